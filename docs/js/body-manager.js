@@ -1,5 +1,6 @@
 // Body Manager Module
-// Handles body lifecycle (create, destroy, reset)
+// Handles body lifecycle (create, destroy, reset) for one or more simultaneous dynamic bodies.
+// dynMesh / dynBody always point at the focused body (PiP views, HUD, variants, torque buttons).
 
 import { makeCube } from './bodies/cube.js';
 import { makeCubeSoft } from './bodies/cube-soft.js';
@@ -23,6 +24,11 @@ export class BodyManager {
     
     this.dynMesh = null;
     this.dynBody = null;
+    this.bodies = [];        // All dynamic bodies: { id, mesh, body }
+    this.bodyCount = 1;
+    this.maxBodies = CFG.MAX_BODIES ?? 64;  // Unfocused bodies each cost an off-screen PiP capture per stamp
+    this.focusIndex = 0;
+    this.bodySpacing = 3.0;  // Spawn grid spacing (m)
     this.shapeType = 'cube10';
     this.customBodyURL = null;
     this.variantInfo = null; // Store KHR variant information
@@ -48,37 +54,37 @@ export class BodyManager {
   
   setFriction(friction) {
     this.friction = friction;
-    if (this.dynBody) {
-      this.dynBody.setFriction(friction);
-      this.dynBody.activate();
+    for (const { body } of this.bodies) {
+      body.setFriction(friction);
+      body.activate();
     }
   }
   
   setRestitution(restitution) {
     this.restitution = restitution;
-    if (this.dynBody) {
-      this.dynBody.setRestitution(restitution);
-      this.dynBody.activate();
+    for (const { body } of this.bodies) {
+      body.setRestitution(restitution);
+      body.activate();
     }
   }
   
   setLinearDamping(linearDamping) {
-    if (this.dynBody && !this.dynMesh.userData.isSoftBody) {
+    for (const { body } of this.getRigidBodies()) {
       // Get current angular damping to preserve it
       const angularDamping = this.angularDamping || 0.03;
       this.linearDamping = linearDamping;
-      this.dynBody.setDamping(linearDamping, angularDamping);
-      this.dynBody.activate();
+      body.setDamping(linearDamping, angularDamping);
+      body.activate();
     }
   }
   
   setAngularDamping(angularDamping) {
-    if (this.dynBody && !this.dynMesh.userData.isSoftBody) {
+    for (const { body } of this.getRigidBodies()) {
       // Get current linear damping to preserve it
       const linearDamping = this.linearDamping || 0.01;
       this.angularDamping = angularDamping;
-      this.dynBody.setDamping(linearDamping, angularDamping);
-      this.dynBody.activate();
+      body.setDamping(linearDamping, angularDamping);
+      body.activate();
     }
   }
   
@@ -95,50 +101,71 @@ export class BodyManager {
       // This will be handled by calling start() after setMass()
     }
   }
+
+  setBodyCount(count) {
+    // Takes effect on the next start()
+    this.bodyCount = Math.max(1, Math.min(this.maxBodies, Math.round(count) || 1));
+  }
+
+  /**
+   * Select the body PiP views and HUD follow
+   * @returns {Object|null} Focused { id, mesh, body } entry
+   */
+  setFocus(index) {
+    if (this.bodies.length === 0) {
+      this.focusIndex = 0;
+      return null;
+    }
+    this.focusIndex = Math.max(0, Math.min(this.bodies.length - 1, index | 0));
+    const entry = this.bodies[this.focusIndex];
+    this.dynMesh = entry.mesh;
+    this.dynBody = entry.body;
+    return entry;
+  }
   
   setSoftStiffness(stiffness) {
-    if (this.dynMesh && this.dynMesh.userData.isSoftBody && this.dynBody) {
-      const materials = this.dynBody.get_m_materials();
+    for (const { body } of this.getSoftBodies()) {
+      const materials = body.get_m_materials();
       const physMat0 = materials.at(0);
       physMat0.set_m_kLST(stiffness); // Linear stiffness
       physMat0.set_m_kAST(stiffness); // Angular stiffness
       physMat0.set_m_kVST(stiffness); // Volume stiffness
-      this.dynBody.setActivationState(4); // Keep active
+      body.setActivationState(4); // Keep active
     }
   }
   
   setSoftDamping(damping) {
-    if (this.dynMesh && this.dynMesh.userData.isSoftBody && this.dynBody) {
-      const cfg = this.dynBody.get_m_cfg();
+    for (const { body } of this.getSoftBodies()) {
+      const cfg = body.get_m_cfg();
       cfg.set_kDP(damping);
-      this.dynBody.setActivationState(4);
+      body.setActivationState(4);
     }
   }
   
   setSoftPressure(pressure) {
-    if (this.dynMesh && this.dynMesh.userData.isSoftBody && this.dynBody) {
-      const cfg = this.dynBody.get_m_cfg();
+    for (const { body } of this.getSoftBodies()) {
+      const cfg = body.get_m_cfg();
       cfg.set_kPR(pressure);
-      this.dynBody.setActivationState(4);
+      body.setActivationState(4);
     }
   }
   
   setSoftIterations(iterations) {
-    if (this.dynMesh && this.dynMesh.userData.isSoftBody && this.dynBody) {
-      const cfg = this.dynBody.get_m_cfg();
+    for (const { body } of this.getSoftBodies()) {
+      const cfg = body.get_m_cfg();
       cfg.set_viterations(iterations);
       cfg.set_piterations(iterations);
-      this.dynBody.setActivationState(4);
+      body.setActivationState(4);
     }
   }
   
   setSoftContactHardness(hardness) {
-    if (this.dynMesh && this.dynMesh.userData.isSoftBody && this.dynBody) {
-      const cfg = this.dynBody.get_m_cfg();
+    for (const { body } of this.getSoftBodies()) {
+      const cfg = body.get_m_cfg();
       cfg.set_kCHR(hardness);  // Contact hardness rigid
       cfg.set_kKHR(hardness * 0.9);  // Kinetic hardness rigid
       cfg.set_kSHR(hardness);  // Soft-rigid hardness
-      this.dynBody.setActivationState(4);
+      body.setActivationState(4);
     }
   }
 
@@ -173,18 +200,20 @@ export class BodyManager {
         // Load the variant material using the GLTF parser
         const newMaterial = await parser.getDependency('material', materialIndex);
 
-        // Clone and apply the material
+        // Clone and apply the material (every body shares the loaded model)
         if (newMaterial) {
-          // Dispose of old material
-          if (this.dynMesh.material) {
-            if (this.dynMesh.material.map) this.dynMesh.material.map.dispose();
-            this.dynMesh.material.dispose();
-          }
+          for (const { mesh } of this.bodies) {
+            // Dispose of old material
+            if (mesh.material) {
+              if (mesh.material.map) mesh.material.map.dispose();
+              mesh.material.dispose();
+            }
 
-          // Apply new material
-          this.dynMesh.material = newMaterial.clone();
-          this.dynMesh.material.needsUpdate = true;
-          this.dynMesh.material.side = this.THREE.FrontSide;
+            // Apply new material
+            mesh.material = newMaterial.clone();
+            mesh.material.needsUpdate = true;
+            mesh.material.side = this.THREE.FrontSide;
+          }
 
           // Update current variant index
           this.variantInfo.currentVariantIndex = variantIndex;
@@ -202,18 +231,27 @@ export class BodyManager {
   }
   
   destroy() {
-    if (this.dynMesh) {
-      this.scene.remove(this.dynMesh);
+    for (const entry of this.bodies) {
+      this.destroyBody(entry);
+    }
+    this.bodies = [];
+    this.dynMesh = null;
+    this.dynBody = null;
+  }
+
+  destroyBody({ mesh, body }) {
+    if (mesh) {
+      this.scene.remove(mesh);
       
       // Dispose of geometry
-      if (this.dynMesh.geometry) {
-        this.dynMesh.geometry.dispose();
+      if (mesh.geometry) {
+        mesh.geometry.dispose();
       }
       
       // Dispose of material(s)
-      if (this.dynMesh.material) {
-        if (Array.isArray(this.dynMesh.material)) {
-          this.dynMesh.material.forEach(mat => {
+      if (mesh.material) {
+        if (Array.isArray(mesh.material)) {
+          mesh.material.forEach(mat => {
             if (mat.map) mat.map.dispose();
             if (mat.normalMap) mat.normalMap.dispose();
             if (mat.roughnessMap) mat.roughnessMap.dispose();
@@ -221,16 +259,16 @@ export class BodyManager {
             mat.dispose();
           });
         } else {
-          if (this.dynMesh.material.map) this.dynMesh.material.map.dispose();
-          if (this.dynMesh.material.normalMap) this.dynMesh.material.normalMap.dispose();
-          if (this.dynMesh.material.roughnessMap) this.dynMesh.material.roughnessMap.dispose();
-          if (this.dynMesh.material.metalnessMap) this.dynMesh.material.metalnessMap.dispose();
-          this.dynMesh.material.dispose();
+          if (mesh.material.map) mesh.material.map.dispose();
+          if (mesh.material.normalMap) mesh.material.normalMap.dispose();
+          if (mesh.material.roughnessMap) mesh.material.roughnessMap.dispose();
+          if (mesh.material.metalnessMap) mesh.material.metalnessMap.dispose();
+          mesh.material.dispose();
         }
       }
       
       // Traverse and dispose children (for GLB models with multiple meshes)
-      this.dynMesh.traverse((child) => {
+      mesh.traverse((child) => {
         if (child.geometry) child.geometry.dispose();
         if (child.material) {
           if (Array.isArray(child.material)) {
@@ -242,22 +280,35 @@ export class BodyManager {
       });
     }
     
-    if (this.dynBody) {
+    if (body) {
       // Check if it's a soft body
-      if (this.dynMesh && this.dynMesh.userData.isSoftBody) {
-        this.A.castObject(this.world, this.A.btSoftRigidDynamicsWorld).removeSoftBody(this.dynBody);
+      if (mesh && mesh.userData.isSoftBody) {
+        this.A.castObject(this.world, this.A.btSoftRigidDynamicsWorld).removeSoftBody(body);
       } else {
-        this.world.removeRigidBody(this.dynBody);
+        this.world.removeRigidBody(body);
       }
-      this.A.destroy(this.dynBody);
+      this.A.destroy(body);
     }
-    
-    this.dynMesh = null;
-    this.dynBody = null;
   }
   
   async start() {
     this.destroy();
+
+    for (let i = 0; i < this.bodyCount; i++) {
+      const made = await this.makeBody();
+      this.bodies.push({ id: i, mesh: made.mesh, body: made.body });
+
+      // Store variant info if available (from custom GLB)
+      if (i === 0) {
+        this.variantInfo = made.variantInfo || null;
+      }
+    }
+
+    this.setFocus(this.focusIndex);
+    this.reset();
+  }
+
+  async makeBody() {
     let made;
     
     const params = [
@@ -294,32 +345,47 @@ export class BodyManager {
       made = makeCube(...params, this.generateRandomCubeTexture, 2, 10);
     }
 
-    this.dynMesh = made.mesh;
-    this.dynBody = made.body;
+    // Contact sampling and the body trackers find the physics body through the mesh
+    // (set after the factory, as some factories replace userData)
+    made.mesh.userData.physicsBody = made.body;
+    return made;
+  }
 
-    // Store variant info if available (from custom GLB)
-    if (made.variantInfo) {
-      this.variantInfo = made.variantInfo;
-    } else {
-      this.variantInfo = null;
-    }
+  /**
+   * Start position of a body: a grid behind the usual start point, centered on z = 0
+   */
+  getSpawnPosition(index) {
+    const cols = Math.ceil(Math.sqrt(Math.max(1, this.bodies.length)));
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    return {
+      x: -this.CFG.PLANE_SIZE/2 + 2 + row * this.bodySpacing,
+      y: 4.5,
+      z: (col - (cols - 1) / 2) * this.bodySpacing
+    };
+  }
 
-    this.reset();
+  reset() {
+    for (let i = 0; i < this.bodies.length; i++) {
+      this.resetBody(i);
+    }
   }
   
-  reset() {
-    if (!this.dynMesh || !this.dynBody) return;
+  resetBody(index) {
+    const entry = this.bodies[index];
+    if (!entry) return;
+    const { mesh, body } = entry;
     
-    const x = -this.CFG.PLANE_SIZE/2 + 2, y = 4.5, z = 0;
+    const { x, y, z } = this.getSpawnPosition(index);
     
     // Check if it's a soft body
-    if (this.dynMesh.userData.isSoftBody) {
+    if (mesh.userData.isSoftBody) {
       // For soft bodies, reset all nodes
-      const nodes = this.dynBody.get_m_nodes();
+      const nodes = body.get_m_nodes();
       const nodeCount = nodes.size();
       
       // Get initial positions from stored userData
-      const initialPositions = this.dynMesh.userData.initialPositions;
+      const initialPositions = mesh.userData.initialPositions;
       
       if (initialPositions) {
         // Reset nodes to initial positions with offset
@@ -349,24 +415,24 @@ export class BodyManager {
         
         // Reset soft body's bounding box and internal state
         try {
-          this.dynBody.initializeFaceTree();
+          body.initializeFaceTree();
         } catch (e) {
           // Method might not be available in all builds
         }
         
         // Reset pose to clear any accumulated deformation
         try {
-          this.dynBody.resetLinkRestLengths();
+          body.resetLinkRestLengths();
         } catch (e) {
           // Method might not be available
         }
         
         // Activate soft body
-        this.dynBody.setActivationState(4);
+        body.setActivationState(4);
         
         // Update mesh visually
-        if (this.dynMesh.userData.updateSoftBodyMesh) {
-          this.dynMesh.userData.updateSoftBodyMesh();
+        if (mesh.userData.updateSoftBodyMesh) {
+          mesh.userData.updateSoftBodyMesh();
         }
       }
     } else {
@@ -374,9 +440,9 @@ export class BodyManager {
       const tr = new this.A.btTransform();
       tr.setIdentity();
       tr.setOrigin(new this.A.btVector3(x, y, z));
-      this.dynBody.setWorldTransform(tr);
-      this.dynBody.getMotionState().setWorldTransform(tr);
-      this.dynBody.setLinearVelocity(new this.A.btVector3(this.speedX, 0, this.speedZ));
+      body.setWorldTransform(tr);
+      body.getMotionState().setWorldTransform(tr);
+      body.setLinearVelocity(new this.A.btVector3(this.speedX, 0, this.speedZ));
 
       // Apply stored angular velocity (torque) values from state if available
       let angVelX = 0, angVelY = 0, angVelZ = 0;
@@ -385,12 +451,12 @@ export class BodyManager {
         angVelY = window.state.torqueY || 0;
         angVelZ = window.state.torqueZ || 0;
       }
-      this.dynBody.setAngularVelocity(new this.A.btVector3(angVelX, angVelY, angVelZ));
+      body.setAngularVelocity(new this.A.btVector3(angVelX, angVelY, angVelZ));
 
-      this.dynBody.clearForces();
-      this.dynBody.activate();
-      this.dynMesh.position.set(x, y, z);
-      this.dynMesh.quaternion.set(0, 0, 0, 1);
+      body.clearForces();
+      body.activate();
+      mesh.position.set(x, y, z);
+      mesh.quaternion.set(0, 0, 0, 1);
     }
   }
   
@@ -401,4 +467,16 @@ export class BodyManager {
   getMesh() {
     return this.dynMesh;
   }
+
+  getBodies() {
+    return this.bodies;
+  }
+
+  getSoftBodies() {
+    return this.bodies.filter(entry => entry.mesh.userData.isSoftBody);
+  }
+
+  getRigidBodies() {
+    return this.bodies.filter(entry => !entry.mesh.userData.isSoftBody);
+  }
 }
@@ -0,0 +1,109 @@
+// Body Contact Tracker
+// Per-body contact state for scenes with several dynamic bodies. Each body keeps its own temporal
+// contact memory, contact plane fit, OBB history and velocities; all of them accumulate into the
+// shared wear, sliding and flow maps. The focused body's tracker also drives the PiP views and HUD.
+
+import { ContactState } from './contacts.js';
+import { ContactPlaneEstimator } from './contact-plane.js';
+import { BoxStabilizer } from './bounding-box/index.js';
+import { sanitizeVector3 } from './utils.js';
+
+export class BodyContactTracker {
+  /**
+   * @param {Object} THREE - Three.js namespace
+   * @param {Object} entry - Body entry from BodyManager.getBodies() ({ id, mesh, body }), or null while no body exists
+   */
+  constructor(THREE, entry = null) {
+    this.THREE = THREE;
+    this.entry = entry;
+
+    this.contactState = new ContactState();
+    this.planeEstimator = new ContactPlaneEstimator(THREE);
+    this.supportPlane = null;     // Ground tangent plane under the body
+    this.contactResult = null;    // Last sampleContacts() result (with contactPlane)
+
+    this.lastOBB = null;
+    this.previousVelocity = new THREE.Vector3(0, 0, 0);
+    this.previousAngle = 0;
+    this.boxStabilizer = new BoxStabilizer();  // Continuous box orientation / size across frames
+    this.footprint = null;        // Contact polygon from computeFootprint() (null = the OBB rectangle)
+
+    this.velocity = null;         // {x, y, z} m/s (node average for soft bodies)
+    this.angularVelocity = null;  // {x, y, z} rad/s (zero for soft bodies)
+  }
+
+  get mesh() {
+    return this.entry ? this.entry.mesh : null;
+  }
+
+  get body() {
+    return this.entry ? this.entry.body : null;
+  }
+
+  reset() {
+    this.contactState.reset();
+    this.planeEstimator.reset();
+    this.contactResult = null;
+    this.lastOBB = null;
+    this.previousVelocity.set(0, 0, 0);
+    this.previousAngle = 0;
+    this.boxStabilizer.reset();
+    this.footprint = null;
+    this.velocity = null;
+    this.angularVelocity = null;
+  }
+
+  /**
+   * Physics body to read velocities from for a mesh: the mesh's own (trace replay proxies carry a stand-in),
+   * else the tracked body
+   */
+  bodyFor(mesh) {
+    return (mesh && mesh.userData.physicsBody) || this.body;
+  }
+
+  /**
+   * Contact samples of the last frame ([] without contacts)
+   */
+  get contactSamples() {
+    return this.contactResult ? this.contactResult.contactSamples : [];
+  }
+
+  /**
+   * Read linear and angular velocity from a physics body
+   * @param {Object} A - Ammo namespace (temporary vectors are destroyed)
+   * @param {Object} body - Physics body (defaults to the tracked body; trace replay passes its stand-in)
+   * @param {THREE.Object3D} mesh - Mesh whose userData tells soft from rigid (defaults to the tracked mesh)
+   * @returns {BodyContactTracker} this - velocity / angularVelocity are null without a body
+   */
+  updateVelocity(A, body = this.body, mesh = this.mesh) {
+    this.velocity = null;
+    this.angularVelocity = null;
+    if (!body) return this;
+
+    if (mesh && mesh.userData.isSoftBody) {
+      const nodes = body.get_m_nodes();
+      const nodeCount = nodes.size();
+      let avgVx = 0, avgVy = 0, avgVz = 0;
+      for (let i = 0; i < nodeCount; i++) {
+        const nodeVel = nodes.at(i).get_m_v();
+        avgVx += nodeVel.x();
+        avgVy += nodeVel.y();
+        avgVz += nodeVel.z();
+      }
+      if (nodeCount > 0) {
+        this.velocity = { x: avgVx / nodeCount, y: avgVy / nodeCount, z: avgVz / nodeCount };
+      }
+      // Soft bodies don't have rigid angular velocity
+      this.angularVelocity = { x: 0, y: 0, z: 0 };
+    } else {
+      const lv = body.getLinearVelocity();
+      this.velocity = sanitizeVector3({ x: lv.x(), y: lv.y(), z: lv.z() });
+      A.destroy(lv);
+      const av = body.getAngularVelocity();
+      this.angularVelocity = sanitizeVector3({ x: av.x(), y: av.y(), z: av.z() });
+      A.destroy(av);
+    }
+
+    return this;
+  }
+}
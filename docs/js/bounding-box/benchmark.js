@@ -0,0 +1,293 @@
+// Bounding box benchmark
+// Runs every footprint algorithm on the same contact set each frame (live or from a recorded trace) and
+// compares them: fit ratio (box area / convex hull area of the contacts), frame-to-frame angle jitter,
+// centre drift relative to the contacts, and compute time.
+
+import { computeBoundingBox } from './index.js';
+import { BoxStabilizer } from './stabilizer.js';
+import { angleDifference, convexHull2D, polygonArea } from './utils.js';
+import { getContactFrame } from '../math/plane-fit.js';
+
+export const BBOX_ALGORITHMS = ['aabb', 'obb', 'ombb', 'kdop8', 'kdop16', 'kdop32', 'hybrid', 'circle', 'ellipse', 'obb3d'];
+
+// Overlay colour per algorithm
+export const BBOX_ALGORITHM_COLORS = {
+  aabb: 0xf87171,
+  obb: 0xfbbf24,
+  ombb: 0x34d399,
+  kdop8: 0x60a5fa,
+  kdop16: 0x3b82f6,
+  kdop32: 0x1d4ed8,
+  hybrid: 0xf472b6,
+  circle: 0xa78bfa,
+  ellipse: 0x2dd4bf,
+  obb3d: 0xfb923c
+};
+
+/**
+ * Convex hull area of the contacts in the 2D frame computeBoundingBox measures boxes in
+ * (world XZ, or the contact plane's tangent / bitangent)
+ */
+export function contactHullArea(contacts, contactPlane = null) {
+  if (contacts.length < 3) return 0;
+  const frame = contactPlane ? getContactFrame(contactPlane) : null;
+  const pts = frame
+    ? contacts.map(p => {
+        const dx = p.x - frame.origin.x, dy = p.y - frame.origin.y, dz = p.z - frame.origin.z;
+        return {
+          x: dx * frame.tangent.x + dy * frame.tangent.y + dz * frame.tangent.z,
+          z: dx * frame.bitangent.x + dy * frame.bitangent.y + dz * frame.bitangent.z
+        };
+      })
+    : contacts;
+  const hull = convexHull2D(pts);
+  return hull.length >= 3 ? polygonArea(hull) : 0;
+}
+
+export class BBoxBenchmark {
+  /**
+   * @param {Object} THREE - Three.js namespace
+   * @param {Object} CFG - Configuration (MIN_CONTACT_SIZE, OBB_DEPTH)
+   * @param {Object} options - { algorithms, angleThreshold, stabilize, stabilizerOptions, maxFrames }
+   */
+  constructor(THREE, CFG, options = {}) {
+    this.THREE = THREE;
+    this.CFG = CFG;
+    this.algorithms = options.algorithms ?? BBOX_ALGORITHMS;
+    this.angleThreshold = options.angleThreshold ?? 25 * Math.PI / 180;
+    this.stabilize = options.stabilize ?? false;  // Run each algorithm through its own BoxStabilizer
+    this.stabilizerOptions = options.stabilizerOptions ?? {};  // Rate limits applied to them every frame
+    this.maxFrames = options.maxFrames ?? 10000;  // Per-frame log kept for CSV export
+
+    this.reset();
+  }
+
+  reset() {
+    // Per-algorithm temporal state, as each tracker keeps it for the live box
+    this.states = new Map(this.algorithms.map(algorithm => [algorithm, {
+      previousVelocity: new this.THREE.Vector3(0, 0, 0),
+      previousAngle: 0,
+      lastOBB: null,
+      stabilizer: new BoxStabilizer(),
+      prevCenter: null,
+      prevCentroid: null,
+      prevTheta: null,
+      frames: 0,
+      fitFrames: 0,
+      sumFit: 0,
+      jitterFrames: 0,
+      sumJitter: 0,
+      maxJitter: 0,
+      sumDrift: 0,
+      sumTime: 0
+    }]));
+    this.frameLog = [];
+    this.frameCount = 0;
+    this.lastResults = null;
+  }
+
+  /**
+   * Run all algorithms on one contact set
+   * @param {Object} sample - { contacts, contactPoint, contactNormal, body, A, isSoftBody, contactPlane }
+   * @param {number} time - Frame time in seconds (clocks the stabilizers)
+   * @returns {Object} algorithm -> { obb, fitRatio, jitterDeg, driftMm, timeMs }
+   */
+  measure(sample, time) {
+    const { contacts, contactPoint, contactNormal, body = null, A = null, isSoftBody = false, contactPlane = null } = sample;
+    if (!contacts || contacts.length === 0) {
+      // Gap: jitter and drift restart on the next frame with contacts
+      for (const state of this.states.values()) {
+        state.prevCenter = null;
+        state.prevCentroid = null;
+      }
+      this.lastResults = null;
+      return null;
+    }
+
+    const hullArea = contactHullArea(contacts, contactPlane);
+    const centroid = { x: 0, y: 0, z: 0 };
+    for (const p of contacts) {
+      centroid.x += p.x / contacts.length;
+      centroid.y += p.y / contacts.length;
+      centroid.z += p.z / contacts.length;
+    }
+
+    const results = {};
+    for (const algorithm of this.algorithms) {
+      const state = this.states.get(algorithm);
+      let stabilizer = null;
+      if (this.stabilize) {
+        stabilizer = state.stabilizer;
+        Object.assign(stabilizer, this.stabilizerOptions);
+        stabilizer.clockTime = time;
+      }
+
+      const start = performance.now();
+      const obb = computeBoundingBox(
+        contacts, contactPoint, contactNormal, algorithm, this.CFG, this.THREE, body, A,
+        state.lastOBB, state.previousVelocity, state.previousAngle, this.angleThreshold, isSoftBody, contactPlane, stabilizer
+      );
+      const timeMs = performance.now() - start;
+      if (!obb) continue;
+
+      state.lastOBB = obb;
+      state.previousAngle = obb.theta;
+
+      const fitRatio = hullArea > 1e-9 ? (obb.width * obb.height) / hullArea : null;
+      let jitterDeg = null, driftMm = null;
+      if (state.prevCenter) {
+        jitterDeg = Math.abs(angleDifference(obb.theta, state.prevTheta)) * 180 / Math.PI;
+        // Box centre motion not explained by the contacts moving
+        const dx = (obb.center.x - state.prevCenter.x) - (centroid.x - state.prevCentroid.x);
+        const dy = (obb.center.y - state.prevCenter.y) - (centroid.y - state.prevCentroid.y);
+        const dz = (obb.center.z - state.prevCenter.z) - (centroid.z - state.prevCentroid.z);
+        driftMm = Math.sqrt(dx * dx + dy * dy + dz * dz) * 1000;
+      }
+      state.prevCenter = obb.center;
+      state.prevCentroid = centroid;
+      state.prevTheta = obb.theta;
+
+      state.frames++;
+      state.sumTime += timeMs;
+      if (fitRatio !== null) {
+        state.fitFrames++;
+        state.sumFit += fitRatio;
+      }
+      if (jitterDeg !== null) {
+        state.jitterFrames++;
+        state.sumJitter += jitterDeg;
+        state.maxJitter = Math.max(state.maxJitter, jitterDeg);
+        state.sumDrift += driftMm;
+      }
+
+      results[algorithm] = { obb, fitRatio, jitterDeg, driftMm, timeMs };
+      if (this.frameLog.length < this.maxFrames) {
+        this.frameLog.push({ frame: this.frameCount, t: time, algorithm, contacts: contacts.length, fitRatio, jitterDeg, driftMm, timeMs });
+      }
+    }
+
+    this.frameCount++;
+    this.lastResults = results;
+    return results;
+  }
+
+  /**
+   * One summary row per algorithm
+   */
+  summary() {
+    return this.algorithms.map(algorithm => {
+      const s = this.states.get(algorithm);
+      return {
+        name: algorithm,
+        frames: s.frames,
+        meanFitRatio: s.fitFrames > 0 ? s.sumFit / s.fitFrames : null,
+        meanJitterDeg: s.jitterFrames > 0 ? s.sumJitter / s.jitterFrames : null,
+        maxJitterDeg: s.jitterFrames > 0 ? s.maxJitter : null,
+        meanDriftMm: s.jitterFrames > 0 ? s.sumDrift / s.jitterFrames : null,
+        meanTimeMs: s.frames > 0 ? s.sumTime / s.frames : null
+      };
+    });
+  }
+
+  summaryToCSV() {
+    return toCSV(this.summary());
+  }
+
+  framesToCSV() {
+    return toCSV(this.frameLog);
+  }
+
+  /**
+   * Download the summary (or the per-frame log) as CSV
+   */
+  saveCSV(filename = 'bbox-benchmark.csv', perFrame = false) {
+    if (this.frameCount === 0) {
+      console.warn('BBox benchmark is empty - nothing to save');
+      return;
+    }
+    const blob = new Blob([perFrame ? this.framesToCSV() : this.summaryToCSV()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * CSV with a header from the first row's keys (null -> empty cell)
+ */
+export function toCSV(rows) {
+  if (rows.length === 0) return '';
+  const keys = Object.keys(rows[0]);
+  const cell = (v) => {
+    if (v === null || v === undefined) return '';
+    if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(6);
+    return String(v);
+  };
+  return [keys.join(','), ...rows.map(r => keys.map(k => cell(r[k])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * All benchmark boxes at once, one outline colour per algorithm
+ */
+export class BBoxBenchmarkOverlay {
+  constructor(scene, THREE) {
+    this.THREE = THREE;
+    this.group = new THREE.Group();
+    this.group.visible = false;
+    this.lines = new Map();
+    scene.add(this.group);
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * @param {Object} results - BBoxBenchmark.measure() output (null hides every box)
+   */
+  update(results) {
+    for (const [algorithm, line] of this.lines) {
+      line.visible = !!(results && results[algorithm]);
+    }
+    if (!results) return;
+
+    for (const [algorithm, { obb }] of Object.entries(results)) {
+      let line = this.lines.get(algorithm);
+      if (!line) {
+        const geometry = new this.THREE.BufferGeometry();
+        geometry.setAttribute('position', new this.THREE.BufferAttribute(new Float32Array(12), 3));
+        line = new this.THREE.LineLoop(geometry, new this.THREE.LineBasicMaterial({
+          color: BBOX_ALGORITHM_COLORS[algorithm] ?? 0xffffff,
+          depthTest: false
+        }));
+        line.renderOrder = 10;
+        this.lines.set(algorithm, line);
+        this.group.add(line);
+      }
+
+      // Footprint rectangle, lifted 2mm along the normal so it is not z-fighting the ground
+      const pos = line.geometry.attributes.position;
+      const hw = obb.width / 2, hh = obb.height / 2;
+      [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([a, b], i) => {
+        pos.setXYZ(i,
+          obb.center.x + a * hw * obb.e1.x + b * hh * obb.e2.x + 0.002 * obb.n.x,
+          obb.center.y + a * hw * obb.e1.y + b * hh * obb.e2.y + 0.002 * obb.n.y,
+          obb.center.z + a * hw * obb.e1.z + b * hh * obb.e2.z + 0.002 * obb.n.z);
+      });
+      pos.needsUpdate = true;
+      line.geometry.computeBoundingSphere();
+    }
+  }
+
+  dispose() {
+    for (const line of this.lines.values()) {
+      line.geometry.dispose();
+      line.material.dispose();
+    }
+    this.lines.clear();
+    this.group.parent?.remove(this.group);
+  }
+}
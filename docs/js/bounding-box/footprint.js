@@ -0,0 +1,409 @@
+// Contact footprint polygons
+// The box algorithms reduce the footprint to a rectangle, which overestimates round or L-shaped patches.
+// These return the patch as polygon loops instead (convex hull, or an alpha shape that follows concave
+// outlines), with area / perimeter / second moments, and rasterize them into a mask in PiP pixel layout
+// so the intersection view, stamping and accumulation only work inside the patch. The OBB keeps framing
+// the PiP cameras.
+
+import { convexHull2D, polygonArea } from './utils.js';
+
+export const FOOTPRINT_ALGORITHMS = ['rectangle', 'hull', 'alpha', 'kdop'];
+
+/**
+ * Delaunay triangulation of 2D points {x, z} (Bowyer-Watson)
+ * @returns {Array} Counter-clockwise triangles [i, j, k] (indices into pts)
+ */
+export function delaunay2D(pts) {
+  const n = pts.length;
+  if (n < 3) return [];
+
+  let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  for (const p of pts) {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minZ = Math.min(minZ, p.z);
+    maxZ = Math.max(maxZ, p.z);
+  }
+  const size = Math.max(maxX - minX, maxZ - minZ) || 1;
+  const midX = (minX + maxX) / 2, midZ = (minZ + maxZ) / 2;
+
+  // Super triangle far outside the points (indices n, n+1, n+2)
+  const verts = pts.concat([
+    { x: midX - 20 * size, z: midZ - 20 * size },
+    { x: midX + 20 * size, z: midZ - 20 * size },
+    { x: midX, z: midZ + 20 * size }
+  ]);
+
+  const makeTriangle = (a, b, c) => {
+    const A = verts[a], B = verts[b], C = verts[c];
+    const d = 2 * (A.x * (B.z - C.z) + B.x * (C.z - A.z) + C.x * (A.z - B.z));
+    // Counter-clockwise order
+    if (d < 0) [b, c] = [c, b];
+    const a2 = A.x * A.x + A.z * A.z, b2 = B.x * B.x + B.z * B.z, c2 = C.x * C.x + C.z * C.z;
+    const ux = (a2 * (B.z - C.z) + b2 * (C.z - A.z) + c2 * (A.z - B.z)) / d;
+    const uz = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    const r2 = (A.x - ux) ** 2 + (A.z - uz) ** 2;
+    return { v: [a, b, c], ux, uz, r2 };
+  };
+
+  let triangles = [makeTriangle(n, n + 1, n + 2)];
+  for (let i = 0; i < n; i++) {
+    const p = verts[i];
+    const bad = [];
+    const keep = [];
+    for (const t of triangles) {
+      ((p.x - t.ux) ** 2 + (p.z - t.uz) ** 2 < t.r2 * (1 + 1e-12) ? bad : keep).push(t);
+    }
+
+    // Boundary of the cavity: edges used by exactly one bad triangle
+    const edges = new Map();
+    for (const t of bad) {
+      for (let k = 0; k < 3; k++) {
+        const a = t.v[k], b = t.v[(k + 1) % 3];
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        edges.set(key, edges.has(key) ? null : [a, b]);
+      }
+    }
+    for (const edge of edges.values()) {
+      if (!edge) continue;
+      const t = makeTriangle(edge[0], edge[1], i);
+      if (Number.isFinite(t.r2)) keep.push(t);
+    }
+    triangles = keep;
+  }
+
+  return triangles.filter(t => t.v.every(k => k < n)).map(t => ({ v: t.v, r: Math.sqrt(t.r2) }));
+}
+
+/**
+ * Alpha shape of 2D points {x, z}: union of the Delaunay triangles with circumradius <= alpha
+ * @param {Array} pts - Points {x, z}
+ * @param {number} alpha - Circumradius limit (same units as the points)
+ * @returns {Array} Boundary loops of {x, z}; outer loops counter-clockwise, holes clockwise ([] if none remain)
+ */
+export function alphaShape2D(pts, alpha) {
+  const kept = delaunay2D(pts).filter(t => t.r <= alpha);
+
+  // Directed boundary edges: triangle edges whose reverse is not in another kept triangle
+  const directed = new Set();
+  for (const t of kept) {
+    for (let k = 0; k < 3; k++) directed.add(`${t.v[k]},${t.v[(k + 1) % 3]}`);
+  }
+  const next = new Map();
+  for (const key of directed) {
+    const [a, b] = key.split(',').map(Number);
+    if (directed.has(`${b},${a}`)) continue;
+    if (!next.has(a)) next.set(a, []);
+    next.get(a).push(b);
+  }
+
+  // Chain into loops (a vertex shared by two loops has two outgoing edges)
+  const loops = [];
+  for (const [start, ends] of next) {
+    while (ends.length > 0) {
+      const loop = [];
+      let a = start;
+      do {
+        loop.push(pts[a]);
+        const outgoing = next.get(a);
+        a = outgoing && outgoing.length > 0 ? outgoing.pop() : start;
+      } while (a !== start && loop.length <= pts.length);
+      if (loop.length >= 3) loops.push(loop);
+    }
+  }
+  return loops;
+}
+
+/**
+ * Area, perimeter and second moments of polygon loops {x, z} (holes clockwise subtract)
+ * @returns {Object} { area, perimeter, centroid {x, z}, mu20, mu02, mu11, theta, elongation }
+ *   mu20 / mu02 / mu11 are central second moments of area (∫x², ∫z², ∫xz about the centroid);
+ *   theta is the major principal axis angle from +x, elongation = sqrt(λmax / λmin)
+ */
+export function polygonMetrics(loops) {
+  let area = 0, perimeter = 0, sx = 0, sz = 0, sxx = 0, szz = 0, sxz = 0;
+  for (const loop of loops) {
+    for (let i = 0; i < loop.length; i++) {
+      const a = loop[i];
+      const b = loop[(i + 1) % loop.length];
+      const cross = a.x * b.z - b.x * a.z;
+      area += cross / 2;
+      perimeter += Math.hypot(b.x - a.x, b.z - a.z);
+      sx += (a.x + b.x) * cross / 6;
+      sz += (a.z + b.z) * cross / 6;
+      sxx += (a.x * a.x + a.x * b.x + b.x * b.x) * cross / 12;
+      szz += (a.z * a.z + a.z * b.z + b.z * b.z) * cross / 12;
+      sxz += (a.x * b.z + 2 * a.x * a.z + 2 * b.x * b.z + b.x * a.z) * cross / 24;
+    }
+  }
+
+  // All loops clockwise: flip so the area is positive
+  if (area < 0) {
+    area = -area;
+    sx = -sx; sz = -sz; sxx = -sxx; szz = -szz; sxz = -sxz;
+  }
+  if (area < 1e-12) {
+    return { area: 0, perimeter, centroid: { x: 0, z: 0 }, mu20: 0, mu02: 0, mu11: 0, theta: 0, elongation: 1 };
+  }
+
+  const cx = sx / area, cz = sz / area;
+  const mu20 = sxx - area * cx * cx;
+  const mu02 = szz - area * cz * cz;
+  const mu11 = sxz - area * cx * cz;
+
+  const mean = (mu20 + mu02) / 2;
+  const diff = Math.sqrt(((mu20 - mu02) / 2) ** 2 + mu11 * mu11);
+  const lMax = mean + diff, lMin = mean - diff;
+
+  return {
+    area,
+    perimeter,
+    centroid: { x: cx, z: cz },
+    mu20,
+    mu02,
+    mu11,
+    theta: 0.5 * Math.atan2(2 * mu11, mu20 - mu02),
+    elongation: lMin > 1e-18 ? Math.sqrt(lMax / lMin) : Infinity
+  };
+}
+
+/**
+ * Footprint polygon of a contact set in its box frame
+ * @param {Array} contacts - World points {x, y, z} (the set the box was built from)
+ * @param {Object} obb - Box from computeBoundingBox() (center, n, e1, e2)
+ * @param {string} algorithm - 'hull' | 'alpha' | 'kdop' (the box's own k-DOP polygon, from the kdopN box algorithms)
+ * @param {Object} options - { alpha (m, null = auto), alphaScale (× median contact spacing), margin (m) }
+ * @returns {Object|null} { algorithm, used, alpha, loops, metrics, center, n, e1, e2, axis, margin }; loops are
+ *   {x, z} in metres along e1 / e2 from the box center. Null for fewer than 3 distinct, non-collinear points,
+ *   or for 'kdop' when the box has no polygon.
+ */
+export function computeFootprint(contacts, obb, algorithm, options = {}) {
+  if (!contacts || !obb || contacts.length < 3) return null;
+
+  const { center, n, e1 } = obb;
+  const e2 = obb.e2 ?? {
+    x: n.y * e1.z - n.z * e1.y,
+    y: n.z * e1.x - n.x * e1.z,
+    z: n.x * e1.y - n.y * e1.x
+  };
+  const toBox = (p) => {
+    const dx = p.x - center.x, dy = p.y - center.y, dz = p.z - center.z;
+    return { x: dx * e1.x + dy * e1.y + dz * e1.z, z: dx * e2.x + dy * e2.y + dz * e2.z };
+  };
+
+  if (algorithm === 'kdop') {
+    if (!obb.polygon || obb.polygon.length < 3) return null;
+    const loop = obb.polygon.map(toBox);
+    if (polygonArea(loop) < 1e-10) return null;
+    return createFootprint(algorithm, 'kdop', null, [loop], obb, e2, options);
+  }
+
+  // Box-frame points, deduplicated on a 0.1mm grid (synthetic corners can repeat real contacts)
+  const pts = [];
+  const seen = new Set();
+  for (const p of contacts) {
+    const q = toBox(p);
+    const key = `${Math.round(q.x * 1e4)},${Math.round(q.z * 1e4)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    pts.push(q);
+  }
+  if (pts.length < 3) return null;
+
+  const hull = convexHull2D(pts);
+  if (hull.length < 3 || polygonArea(hull) < 1e-10) return null;
+
+  let loops = [hull];
+  let used = 'hull';
+  let alpha = null;
+  if (algorithm === 'alpha') {
+    alpha = options.alpha ?? (options.alphaScale ?? 2) * medianSpacing(pts);
+    const shape = alphaShape2D(pts, alpha);
+    // Alpha too small for these points: nothing survives, keep the hull
+    if (shape.length > 0 && polygonMetrics(shape).area > 1e-10) {
+      loops = shape;
+      used = 'alpha';
+    }
+  }
+
+  return createFootprint(algorithm, used, alpha, loops, obb, e2, options);
+}
+
+function createFootprint(algorithm, used, alpha, loops, obb, e2, options) {
+  const { center, n, e1 } = obb;
+  const metrics = polygonMetrics(loops);
+  const c = Math.cos(metrics.theta), s = Math.sin(metrics.theta);
+  return {
+    algorithm,
+    used,
+    alpha,
+    loops,
+    metrics,
+    center,
+    n,
+    e1,
+    e2,
+    axis: { x: c * e1.x + s * e2.x, y: c * e1.y + s * e2.y, z: c * e1.z + s * e2.z },
+    margin: options.margin ?? 0
+  };
+}
+
+/**
+ * Median nearest-neighbour distance of 2D points
+ */
+function medianSpacing(pts) {
+  const nearest = pts.map((p, i) => {
+    let best = Infinity;
+    for (let j = 0; j < pts.length; j++) {
+      if (j !== i) best = Math.min(best, (pts[j].x - p.x) ** 2 + (pts[j].z - p.z) ** 2);
+    }
+    return Math.sqrt(best);
+  }).sort((a, b) => a - b);
+  return nearest[Math.floor(nearest.length / 2)];
+}
+
+/**
+ * Footprint loops as world points {x, y, z}
+ */
+export function footprintToWorld(footprint) {
+  const { center, e1, e2 } = footprint;
+  return footprint.loops.map(loop => loop.map(p => ({
+    x: center.x + p.x * e1.x + p.z * e2.x,
+    y: center.y + p.x * e1.y + p.z * e2.y,
+    z: center.z + p.x * e1.z + p.z * e2.z
+  })));
+}
+
+/**
+ * Rasterize a footprint into a pixel mask (1 = inside the polygon or within footprint.margin of it)
+ * @param {Object} footprint - From computeFootprint()
+ * @param {Object} view - Orthographic view { origin, right, up, width, height }: pixel (x, y) covers
+ *   origin + ((x + 0.5) / W - 0.5)·width·right + ((y + 0.5) / H - 0.5)·height·up (row 0 at the bottom,
+ *   as read back from a render target)
+ * @returns {Uint8Array} W·H mask
+ */
+export function buildFootprintMask(footprint, view, W, H) {
+  const mask = new Uint8Array(W * H);
+  const { origin, right, up, width, height } = view;
+  const margin = footprint.margin;
+
+  // Loops in view coordinates (metres along right / up from the view origin)
+  let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+  const edges = [];
+  for (const loop of footprintToWorld(footprint)) {
+    const pts = loop.map(p => {
+      const dx = p.x - origin.x, dy = p.y - origin.y, dz = p.z - origin.z;
+      const a = dx * right.x + dy * right.y + dz * right.z;
+      const b = dx * up.x + dy * up.y + dz * up.z;
+      minA = Math.min(minA, a);
+      maxA = Math.max(maxA, a);
+      minB = Math.min(minB, b);
+      maxB = Math.max(maxB, b);
+      return { a, b };
+    });
+    for (let i = 0; i < pts.length; i++) edges.push([pts[i], pts[(i + 1) % pts.length]]);
+  }
+
+  // Only the pixels around the polygon bounds need testing
+  const x0 = Math.max(0, Math.floor(((minA - margin) / width + 0.5) * W));
+  const x1 = Math.min(W - 1, Math.ceil(((maxA + margin) / width + 0.5) * W));
+  const y0 = Math.max(0, Math.floor(((minB - margin) / height + 0.5) * H));
+  const y1 = Math.min(H - 1, Math.ceil(((maxB + margin) / height + 0.5) * H));
+  const margin2 = margin * margin;
+
+  for (let y = y0; y <= y1; y++) {
+    const b = ((y + 0.5) / H - 0.5) * height;
+    for (let x = x0; x <= x1; x++) {
+      const a = ((x + 0.5) / W - 0.5) * width;
+      let inside = false;
+      let near = false;
+      for (const [p, q] of edges) {
+        if ((p.b > b) !== (q.b > b) && a < p.a + (b - p.b) * (q.a - p.a) / (q.b - p.b)) inside = !inside;
+        if (margin > 0 && !near) near = segmentDistanceSq(a, b, p, q) <= margin2;
+      }
+      if (inside || near) mask[y * W + x] = 1;
+    }
+  }
+
+  return mask;
+}
+
+function segmentDistanceSq(a, b, p, q) {
+  const da = q.a - p.a, db = q.b - p.b;
+  const len2 = da * da + db * db;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, ((a - p.a) * da + (b - p.b) * db) / len2)) : 0;
+  return (a - p.a - t * da) ** 2 + (b - p.b - t * db) ** 2;
+}
+
+/**
+ * Zero the RGBA pixels outside a mask (in place)
+ */
+export function clipPixels(pixels, mask) {
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i]) {
+      pixels[4 * i] = 0;
+      pixels[4 * i + 1] = 0;
+      pixels[4 * i + 2] = 0;
+      pixels[4 * i + 3] = 0;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Footprint outline on the ground (every loop, lifted 2mm along the normal)
+ */
+export class FootprintOverlay {
+  constructor(scene, THREE, color = 0x22d3ee) {
+    this.THREE = THREE;
+    this.capacity = 0;
+    this.lines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color, depthTest: false })
+    );
+    this.lines.renderOrder = 11;
+    this.lines.visible = false;
+    this.lines.frustumCulled = false;
+    scene.add(this.lines);
+  }
+
+  setVisible(visible) {
+    this.lines.visible = visible;
+  }
+
+  /**
+   * @param {Object} footprint - From computeFootprint() (null hides the outline)
+   */
+  update(footprint) {
+    if (!footprint) {
+      this.lines.geometry.setDrawRange(0, 0);
+      return;
+    }
+
+    const loops = footprintToWorld(footprint);
+    const vertices = 2 * loops.reduce((sum, loop) => sum + loop.length, 0);
+    if (vertices > this.capacity) {
+      this.capacity = 2 * vertices;
+      this.lines.geometry.setAttribute('position', new this.THREE.BufferAttribute(new Float32Array(3 * this.capacity), 3));
+    }
+
+    const pos = this.lines.geometry.attributes.position;
+    const n = footprint.n;
+    let k = 0;
+    for (const loop of loops) {
+      for (let i = 0; i < loop.length; i++) {
+        for (const p of [loop[i], loop[(i + 1) % loop.length]]) {
+          pos.setXYZ(k++, p.x + 0.002 * n.x, p.y + 0.002 * n.y, p.z + 0.002 * n.z);
+        }
+      }
+    }
+    pos.needsUpdate = true;
+    this.lines.geometry.setDrawRange(0, k);
+  }
+
+  dispose() {
+    this.lines.geometry.dispose();
+    this.lines.material.dispose();
+    this.lines.parent?.remove(this.lines);
+  }
+}
@@ -4,25 +4,59 @@
 import { computeAABB } from './aabb.js';
 import { computePCAOBB } from './obb.js';
 import { computeOMBB } from './ombb.js';
-import { computeKDOP } from './kdop.js';
+import { computeKDOP, computeKDOPPolygon, KDOP_ALGORITHMS } from './kdop.js';
 import { computeHybrid } from './hybrid.js';
+import { ROUND_ALGORITHMS, computeRoundFit } from './round.js';
+import { computeOBB3D } from './obb3d.js';
+import { nearestEquivalentAngle } from './stabilizer.js';
 import { rotatePoints2D, angleDifference, wrapToPi } from './utils.js';
+import { getContactFrame } from '../math/plane-fit.js';
 
-export function computeBoundingBox(contactPts, contactPoint, contactNormal, algorithm, CFG, THREE, dynBody, A, lastOBB, previousVelocity, previousAngle, ANGLE_STABILITY_THRESHOLD, isSoftBody = false) {
+export { BoxStabilizer } from './stabilizer.js';
+export { ROUND_ALGORITHMS } from './round.js';
+export { KDOP_ALGORITHMS } from './kdop.js';
+
+/**
+ * Oriented contact footprint box
+ * The 2D algorithms work in world XZ, or in the (tangent, bitangent) frame of contactPlane when one is given
+ * (fitted plane from ContactPlaneEstimator). The box normal is then the plane normal instead of contactNormal.
+ * With a BoxStabilizer the velocity threshold and angle hold are replaced by its continuous orientation
+ * and rate-limited width / height.
+ * 'circle' and 'ellipse' return the box around the fitted shape, plus shape and radius / semiAxes.
+ * 'kdop8' / 'kdop16' / 'kdop32' also return the k-DOP polygon as world points (polygon).
+ * 'obb3d' skips the 2D projection: the frame comes from the 3D contact cloud (see obb3d.js), the contact plane or
+ * normal only orients n, the stabilizer is not used, e1 stays continuous with lastOBB.e1 and theta is the XZ heading
+ * of e1. It also returns contactDepth, the extent of the contacts along n.
+ */
+export function computeBoundingBox(contactPts, contactPoint, contactNormal, algorithm, CFG, THREE, dynBody, A, lastOBB, previousVelocity, previousAngle, ANGLE_STABILITY_THRESHOLD, isSoftBody = false, contactPlane = null, stabilizer = null) {
   if (!contactPts || contactPts.length === 0) return null;
-  
+
+  // 2D footprint coordinates: (x, z) or in-plane (u, v)
+  const frame = contactPlane ? getContactFrame(contactPlane) : null;
+  const toLocal = frame
+    ? (p) => {
+        const dx = p.x - frame.origin.x, dy = p.y - frame.origin.y, dz = p.z - frame.origin.z;
+        return {
+          x: dx * frame.tangent.x + dy * frame.tangent.y + dz * frame.tangent.z,
+          z: dx * frame.bitangent.x + dy * frame.bitangent.y + dz * frame.bitangent.z
+        };
+      }
+    : (p) => ({ x: p.x, z: p.z });
+  const localPts = frame ? contactPts.map(toLocal) : contactPts;
+
   // Calculate geometric center (centroid) of contact points first
   let centroidX = 0, centroidZ = 0;
-  for (const p of contactPts) {
+  for (const p of localPts) {
     centroidX += p.x;
     centroidZ += p.z;
   }
-  centroidX /= contactPts.length;
-  centroidZ /= contactPts.length;
+  centroidX /= localPts.length;
+  centroidZ /= localPts.length;
   
   // Get current velocity
   let currentVelocity = new THREE.Vector3(0, 0, 0);
   let velocityMag = 0;
+  let velocityAngle = 0;
   
   if (dynBody) {
     if (isSoftBody) {
@@ -44,26 +78,91 @@ export function computeBoundingBox(contactPts, contactPoint, contactNormal, algo
         avgVy /= nodeCount;
         avgVz /= nodeCount;
         currentVelocity.set(avgVx, avgVy, avgVz);
-        velocityMag = Math.sqrt(avgVx * avgVx + avgVz * avgVz); // XZ plane magnitude
       }
     } else {
       // For rigid bodies, use getLinearVelocity
       const lv = dynBody.getLinearVelocity();
       currentVelocity.set(lv.x(), lv.y(), lv.z());
-      velocityMag = Math.sqrt(lv.x() * lv.x() + lv.z() * lv.z()); // XZ plane magnitude
       A.destroy(lv);
     }
+
+    // In-plane speed and heading (XZ plane, or the contact plane frame)
+    const vu = frame ? currentVelocity.dot(frame.tangent) : currentVelocity.x;
+    const vv = frame ? currentVelocity.dot(frame.bitangent) : currentVelocity.z;
+    velocityMag = Math.sqrt(vu * vu + vv * vv);
+    velocityAngle = Math.atan2(vv, vu);
+  }
+
+  if (algorithm === 'obb3d') {
+    const box3D = computeOBB3D(contactPts, {
+      referenceNormal: contactPlane ? contactPlane.normal : contactNormal,
+      velocity: dynBody ? currentVelocity : null,
+      previousE1: lastOBB ? lastOBB.e1 : null,
+      minSize: CFG.MIN_CONTACT_SIZE
+    });
+    previousVelocity.copy(currentVelocity);
+    return {
+      center: box3D.center,
+      n: box3D.n,
+      e1: box3D.e1,
+      e2: box3D.e2,
+      width: box3D.width,
+      height: box3D.height,
+      depth: CFG.OBB_DEPTH,
+      contactDepth: box3D.contactDepth,
+      theta: Math.atan2(box3D.e1.z, box3D.e1.x)
+    };
   }
   
   // Translate points relative to centroid for consistent box centering
-  const pts2D = contactPts.map(p => ({ x: p.x - centroidX, z: p.z - centroidZ }));
+  const pts2D = localPts.map(p => ({ x: p.x - centroidX, z: p.z - centroidZ }));
   let bbox2D;
   let finalTheta;
+  const round = ROUND_ALGORITHMS.includes(algorithm);
   
-  // If velocity is significant, align box with velocity direction
-  if (velocityMag > 0.5) {
+  if (round) {
+    // Circle / ellipse: only an elongated ellipse sets the angle, a round fit keeps the previous one
+    // (velocity heading when moving), so a symmetric footprint does not spin the box
+    const fit = computeRoundFit(pts2D, algorithm);
+    const heldTheta = stabilizer && stabilizer.theta !== null
+      ? stabilizer.theta
+      : (velocityMag > 0.5 ? velocityAngle : (lastOBB ? previousAngle : 0));
+    const shapeTheta = fit.theta === null ? heldTheta : nearestEquivalentAngle(fit.theta, heldTheta, Math.PI);
+    finalTheta = wrapToPi(stabilizer ? stabilizer.updateOrientation(shapeTheta, velocityAngle, velocityMag) : shapeTheta);
+
+    let size = fit.extents(finalTheta);
+    size = { width: Math.max(CFG.MIN_CONTACT_SIZE, size.width), height: Math.max(CFG.MIN_CONTACT_SIZE, size.height) };
+    if (stabilizer) size = stabilizer.updateSize(size.width, size.height);
+    bbox2D = {
+      width: size.width,
+      height: size.height,
+      centerX: centroidX + fit.centerX,
+      centerZ: centroidZ + fit.centerZ,
+      theta: finalTheta,
+      round: fit.shape === 'circle'
+        ? { shape: 'circle', radius: fit.radius }
+        : { shape: 'ellipse', semiAxes: fit.semiAxes, axisTheta: fit.axisTheta }
+    };
+  } else if (stabilizer) {
+    // Temporal coherence layer: shape and velocity frames blended, extents measured at the stabilized angle
+    const shapeBox = computeShapeBox(pts2D, algorithm, CFG);
+    finalTheta = stabilizer.updateOrientation(shapeBox.theta, velocityAngle, velocityMag);
+    const projected = projectBBox(pts2D, finalTheta);
+    const size = stabilizer.updateSize(
+      Math.max(CFG.MIN_CONTACT_SIZE, projected.width),
+      Math.max(CFG.MIN_CONTACT_SIZE, projected.height)
+    );
+    bbox2D = {
+      width: size.width,
+      height: size.height,
+      centerX: centroidX + projected.centerX,
+      centerZ: centroidZ + projected.centerZ,
+      theta: finalTheta
+    };
+  } else if (velocityMag > 0.5) {
+    // If velocity is significant, align box with velocity direction
     // Use velocity direction as box orientation (wrapped to [-π, π])
-    finalTheta = wrapToPi(Math.atan2(currentVelocity.z, currentVelocity.x));
+    finalTheta = wrapToPi(velocityAngle);
     
     // Project all points along velocity direction and compute bounds
     const rotated = rotatePoints2D(pts2D, -finalTheta);
@@ -96,25 +195,7 @@ export function computeBoundingBox(contactPts, contactPoint, contactNormal, algo
     };
   } else {
     // Low velocity - use traditional algorithm
-    switch (algorithm) {
-      case 'aabb':
-        bbox2D = computeAABB(pts2D, CFG);
-        break;
-      case 'obb':
-        bbox2D = computePCAOBB(pts2D, CFG, computeAABB);
-        break;
-      case 'ombb':
-        bbox2D = computeOMBB(pts2D, CFG, computeAABB);
-        break;
-      case 'kdop8':
-        bbox2D = computeKDOP(pts2D, 8, CFG, computeAABB);
-        break;
-      case 'hybrid':
-        bbox2D = computeHybrid(pts2D, 16, 0.05, CFG, computeAABB);
-        break;
-      default:
-        bbox2D = computeOMBB(pts2D, CFG, computeAABB);
-    }
+    bbox2D = computeShapeBox(pts2D, algorithm, CFG);
     finalTheta = bbox2D.theta;
     
     // Transform bbox center back to world coordinates (add centroid offset)
@@ -132,7 +213,7 @@ export function computeBoundingBox(contactPts, contactPoint, contactNormal, algo
   }
   
   // Apply angle stability if velocity is consistent
-  if (lastOBB && velocityConsistent && velocityMag > 0.5) {
+  if (!stabilizer && !round && lastOBB && velocityConsistent && velocityMag > 0.5) {
     // Calculate shortest angular difference (properly wrapped)
     const angleDiff = Math.abs(angleDifference(finalTheta, previousAngle));
 
@@ -152,22 +233,69 @@ export function computeBoundingBox(contactPts, contactPoint, contactNormal, algo
   previousVelocity.copy(currentVelocity);
   previousAngle = finalTheta;
   
-  const n = new THREE.Vector3(contactNormal.x, contactNormal.y, contactNormal.z).normalize();
-  const t1 = new THREE.Vector3(Math.cos(finalTheta), 0, Math.sin(finalTheta));
+  let center, n, t1;
+  if (frame) {
+    // Back from the plane frame to world space
+    n = frame.normal.clone();
+    t1 = frame.tangent.clone().multiplyScalar(Math.cos(finalTheta)).addScaledVector(frame.bitangent, Math.sin(finalTheta));
+    const c = frame.origin.clone().addScaledVector(frame.tangent, bbox2D.centerX).addScaledVector(frame.bitangent, bbox2D.centerZ);
+    center = { x: c.x, y: c.y, z: c.z };
+  } else {
+    n = new THREE.Vector3(contactNormal.x, contactNormal.y, contactNormal.z).normalize();
+    t1 = new THREE.Vector3(Math.cos(finalTheta), 0, Math.sin(finalTheta));
+    center = { x: bbox2D.centerX, y: contactPoint.y, z: bbox2D.centerZ };
+  }
   const t2 = new THREE.Vector3().crossVectors(n, t1).normalize();
+
+  // k-DOP footprint polygon (independent of the box orientation), back to world space like the center
+  let polygon;
+  if (KDOP_ALGORITHMS[algorithm]) {
+    const local = (bbox2D.polygon ?? computeKDOPPolygon(pts2D, KDOP_ALGORITHMS[algorithm]))
+      .map(p => ({ x: centroidX + p.x, z: centroidZ + p.z }));
+    polygon = frame
+      ? local.map(p => {
+          const w = frame.origin.clone().addScaledVector(frame.tangent, p.x).addScaledVector(frame.bitangent, p.z);
+          return { x: w.x, y: w.y, z: w.z };
+        })
+      : local.map(p => ({ x: p.x, y: contactPoint.y, z: p.z }));
+  }
   
   return {
-    center: { x: bbox2D.centerX, y: contactPoint.y, z: bbox2D.centerZ },
+    center,
     n: { x: n.x, y: n.y, z: n.z },
     e1: { x: t1.x, y: t1.y, z: t1.z },
     e2: { x: t2.x, y: t2.y, z: t2.z },
     width: bbox2D.width,
     height: bbox2D.height,
     depth: CFG.OBB_DEPTH,
-    theta: finalTheta
+    theta: finalTheta,
+    ...bbox2D.round,
+    ...(polygon && { polygon })
   };
 }
 
+/**
+ * Footprint box from the selected 2D algorithm (points relative to their centroid)
+ */
+function computeShapeBox(pts2D, algorithm, CFG) {
+  switch (algorithm) {
+    case 'aabb':
+      return computeAABB(pts2D, CFG);
+    case 'obb':
+      return computePCAOBB(pts2D, CFG, computeAABB);
+    case 'ombb':
+      return computeOMBB(pts2D, CFG, computeAABB);
+    case 'kdop8':
+    case 'kdop16':
+    case 'kdop32':
+      return computeKDOP(pts2D, KDOP_ALGORITHMS[algorithm], CFG, computeAABB);
+    case 'hybrid':
+      return computeHybrid(pts2D, 16, 0.05, CFG, computeAABB);
+    default:
+      return computeOMBB(pts2D, CFG, computeAABB);
+  }
+}
+
 function projectBBox(pts, theta) {
   const rotated = rotatePoints2D(pts, -theta);
   let minX = Infinity, maxX = -Infinity;
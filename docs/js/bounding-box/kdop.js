@@ -2,8 +2,15 @@
 
 import { projectBBox, wrapToPi } from './utils.js';
 
+// Box algorithm name -> k
+export const KDOP_ALGORITHMS = { kdop8: 8, kdop16: 16, kdop32: 32 };
+
+/**
+ * Best of k box orientations (π/k apart) plus the k-DOP polygon of the points
+ * @returns {Object} { width, height, centerX, centerZ, theta, polygon }
+ */
 export function computeKDOP(pts, k, CFG, computeAABB) {
-  if (pts.length < 2) return computeAABB(pts, CFG);
+  if (pts.length < 2) return { ...computeAABB(pts, CFG), polygon: computeKDOPPolygon(pts, k) };
   
   let bestArea = Infinity;
   let bestBox = null;
@@ -31,6 +38,43 @@ export function computeKDOP(pts, k, CFG, computeAABB) {
     height: Math.max(CFG.MIN_CONTACT_SIZE, bestBox.height),
     centerX: bestBox.centerX,
     centerZ: bestBox.centerZ,
-    theta: bestBox.theta
+    theta: bestBox.theta,
+    polygon: computeKDOPPolygon(pts, k)
   };
 }
+
+/**
+ * k-DOP polygon: intersection of the k half-planes with outward normals 2π/k apart (k/2 slabs) that touch the points
+ * @param {Array} pts - Points {x, z}
+ * @param {number} k - Number of half-planes (8, 16, 32, ...)
+ * @returns {Array} Counter-clockwise vertices {x, z}, coincident corners merged ([] without points)
+ */
+export function computeKDOPPolygon(pts, k) {
+  if (pts.length === 0) return [];
+
+  const normals = [];
+  const support = [];
+  for (let j = 0; j < k; j++) {
+    const a = 2 * Math.PI * j / k;
+    const n = { x: Math.cos(a), z: Math.sin(a) };
+    let h = -Infinity;
+    for (const p of pts) h = Math.max(h, p.x * n.x + p.z * n.z);
+    normals.push(n);
+    support.push(h);
+  }
+
+  // Every half-plane touches the points, so the corners are the crossings of neighbouring edges
+  const det = Math.sin(2 * Math.PI / k);
+  const polygon = [];
+  for (let j = 0; j < k; j++) {
+    const a = normals[j], b = normals[(j + 1) % k];
+    const ha = support[j], hb = support[(j + 1) % k];
+    const v = { x: (ha * b.z - hb * a.z) / det, z: (a.x * hb - b.x * ha) / det };
+    const last = polygon[polygon.length - 1];
+    if (!last || Math.hypot(v.x - last.x, v.z - last.z) > 1e-9) polygon.push(v);
+  }
+  if (polygon.length > 1 && Math.hypot(polygon[0].x - polygon[polygon.length - 1].x, polygon[0].z - polygon[polygon.length - 1].z) <= 1e-9) {
+    polygon.pop();
+  }
+  return polygon;
+}
@@ -0,0 +1,152 @@
+// 3D OBB - PCA over the contact cloud, refined by a minimum-volume rotation search
+// The 2D algorithms measure the footprint on XZ (or a fitted plane) and take the normal from outside. Here the
+// frame comes from the 3D contacts themselves, so a body leaning on the wall obstacle or sitting in a dip of a
+// GLB ground gets its box, and the PiP cameras that follow it, along the real contact normal.
+
+import { symmetricEigen3 } from '../math/plane-fit.js';
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const normalize = (a) => scale(a, 1 / (Math.sqrt(dot(a, a)) || 1));
+const removeComponent = (a, n) => {
+  const d = dot(a, n);
+  return { x: a.x - d * n.x, y: a.y - d * n.y, z: a.z - d * n.z };
+};
+
+/**
+ * Rotate v about the unit axis by angle (Rodrigues)
+ */
+function rotate(v, axis, angle) {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  const k = cross(axis, v);
+  const d = dot(axis, v) * (1 - c);
+  return {
+    x: v.x * c + k.x * s + axis.x * d,
+    y: v.y * c + k.y * s + axis.y * d,
+    z: v.z * c + k.z * s + axis.z * d
+  };
+}
+
+/**
+ * Unit vector perpendicular to n (world X, or Z when n is along X)
+ */
+function anyPerpendicular(n) {
+  const t = removeComponent({ x: 1, y: 0, z: 0 }, n);
+  return normalize(dot(t, t) > 1e-6 ? t : removeComponent({ x: 0, y: 0, z: 1 }, n));
+}
+
+/**
+ * Point extents along three axes
+ */
+function measure(points, axes) {
+  return axes.map(axis => {
+    let min = Infinity, max = -Infinity;
+    for (const p of points) {
+      const d = dot(p, axis);
+      if (d < min) min = d;
+      if (d > max) max = d;
+    }
+    return { min, max, size: max - min };
+  });
+}
+
+/**
+ * Oriented box of a 3D contact cloud
+ * @param {Array} points - Contacts {x, y, z}
+ * @param {Object} options - {
+ *   referenceNormal: {x, y, z} the normal must face (contact normal into the body); fallback normal for clouds
+ *     that do not span a plane,
+ *   velocity: {x, y, z} or null - align e1 with its in-plane direction when faster than headingSpeed (m/s),
+ *   previousE1: {x, y, z} or null - pick the 90°/180° equivalent of e1 closest to it (frame continuity),
+ *   padding: added to each extent in the volume objective so flat clouds still compare by area (m),
+ *   minSize: smallest width / height (m) }
+ * @returns {Object|null} { center, n, e1, e2, width, height, contactDepth, planar }
+ */
+export function computeOBB3D(points, options = {}) {
+  if (!points || points.length === 0) return null;
+
+  const referenceNormal = normalize(options.referenceNormal ?? { x: 0, y: 1, z: 0 });
+  const padding = options.padding ?? 0.001;
+  const minSize = options.minSize ?? 0;
+
+  const count = points.length;
+  const c = { x: 0, y: 0, z: 0 };
+  for (const p of points) {
+    c.x += p.x / count;
+    c.y += p.y / count;
+    c.z += p.z / count;
+  }
+  const local = points.map(p => ({ x: p.x - c.x, y: p.y - c.y, z: p.z - c.z }));
+
+  let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+  for (const p of local) {
+    xx += p.x * p.x; xy += p.x * p.y; xz += p.x * p.z;
+    yy += p.y * p.y; yz += p.y * p.z; zz += p.z * p.z;
+  }
+  const { values, vectors } = symmetricEigen3([xx / count, xy / count, xz / count, yy / count, yz / count, zz / count]);
+  const principal = vectors.map(([x, y, z]) => ({ x, y, z }));
+
+  // Normal from the cloud when it spans a plane, else from the reference (single contact, line contact)
+  const planar = values[1] > 1e-10 && values[1] >= values[0] * 1e-6;
+  let n = planar ? principal[2] : referenceNormal;
+  if (dot(n, referenceNormal) < 0) n = scale(n, -1);
+  let e1 = removeComponent(principal[0], n);
+  e1 = dot(e1, e1) > 1e-12 ? normalize(e1) : anyPerpendicular(n);
+
+  // Minimum-volume refinement: coordinate descent over rotations about the three box axes
+  let axes = [e1, cross(n, e1), n];
+  const volume = (frame) => measure(local, frame).reduce((v, e) => v * (e.size + padding), 1);
+  let best = volume(axes);
+  if (planar) {
+    for (let step = 10 * Math.PI / 180; step > 0.05 * Math.PI / 180; step /= 2) {
+      for (let iteration = 0, improved = true; improved && iteration < 20; iteration++) {
+        improved = false;
+        for (let k = 0; k < 3; k++) {
+          for (const sign of [1, -1]) {
+            const candidate = axes.map((axis, j) => (j === k ? axis : rotate(axis, axes[k], sign * step)));
+            const v = volume(candidate);
+            if (v < best - 1e-15) {
+              best = v;
+              axes = candidate;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  n = normalize(axes[2]);
+  if (dot(n, referenceNormal) < 0) n = scale(n, -1);
+  e1 = normalize(removeComponent(axes[0], n));
+
+  // In-plane orientation: heading when moving, else the equivalent of e1 nearest the previous box
+  const heading = options.velocity ? removeComponent(options.velocity, n) : null;
+  const headingSpeed = options.headingSpeed ?? 0.5;
+  if (heading && dot(heading, heading) > headingSpeed * headingSpeed) {
+    e1 = normalize(heading);
+  } else if (options.previousE1) {
+    const e2 = cross(n, e1);
+    const candidates = [e1, e2, scale(e1, -1), scale(e2, -1)];
+    e1 = candidates.reduce((a, b) => (dot(b, options.previousE1) > dot(a, options.previousE1) ? b : a));
+  }
+  const e2 = normalize(cross(n, e1));
+
+  const [m1, m2, mn] = measure(local, [e1, e2, n]);
+  const mid = (m) => (m.min + m.max) / 2;
+  return {
+    center: {
+      x: c.x + e1.x * mid(m1) + e2.x * mid(m2) + n.x * mid(mn),
+      y: c.y + e1.y * mid(m1) + e2.y * mid(m2) + n.y * mid(mn),
+      z: c.z + e1.z * mid(m1) + e2.z * mid(m2) + n.z * mid(mn)
+    },
+    n,
+    e1,
+    e2,
+    width: Math.max(minSize, m1.size),
+    height: Math.max(minSize, m2.size),
+    contactDepth: mn.size,
+    planar
+  };
+}
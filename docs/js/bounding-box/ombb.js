@@ -1,31 +1,11 @@
 // OMBB (Optimal Minimum Bounding Box) - Rotating Calipers Algorithm
 
-import { projectBBox, wrapToPi } from './utils.js';
+import { projectBBox, wrapToPi, convexHull2D } from './utils.js';
 
 export function computeOMBB(pts, CFG, computeAABB) {
   if (pts.length < 3) return computeAABB(pts, CFG);
   
-  const sorted = [...pts].sort((a, b) => a.x === b.x ? a.z - b.z : a.x - b.x);
-  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
-  
-  const lower = [];
-  for (const p of sorted) {
-    while (lower.length >= 2 && cross(lower[lower.length-2], lower[lower.length-1], p) <= 0) {
-      lower.pop();
-    }
-    lower.push(p);
-  }
-  
-  const upper = [];
-  for (let i = sorted.length - 1; i >= 0; i--) {
-    const p = sorted[i];
-    while (upper.length >= 2 && cross(upper[upper.length-2], upper[upper.length-1], p) <= 0) {
-      upper.pop();
-    }
-    upper.push(p);
-  }
-  
-  const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+  const hull = convexHull2D(pts);
   if (hull.length < 2) return computeAABB(pts, CFG);
   
   let bestArea = Infinity;
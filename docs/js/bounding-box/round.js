@@ -0,0 +1,140 @@
+// Round footprint fits (spheres, pucks, cylinders)
+// A rotationally symmetric footprint has no preferred rectangle orientation, so the rectangle algorithms spin
+// with contact noise. These fit a minimum enclosing circle (Welzl) or a moment ellipse instead; the box around
+// them only takes an orientation from a clearly elongated ellipse and otherwise holds the angle it is given.
+
+import { convexHull2D } from './utils.js';
+import { polygonMetrics } from './footprint.js';
+
+export const ROUND_ALGORITHMS = ['circle', 'ellipse'];
+
+// Below this major / minor axis ratio the ellipse counts as round (orientation held)
+const ROUND_ELONGATION = 1.1;
+
+function circleFrom2(a, b) {
+  const x = (a.x + b.x) / 2, z = (a.z + b.z) / 2;
+  return { x, z, r: Math.hypot(a.x - x, a.z - z) };
+}
+
+function circleFrom3(a, b, c) {
+  const d = 2 * (a.x * (b.z - c.z) + b.x * (c.z - a.z) + c.x * (a.z - b.z));
+  if (Math.abs(d) < 1e-18) {
+    // Collinear: the farthest pair spans the circle
+    const pairs = [circleFrom2(a, b), circleFrom2(a, c), circleFrom2(b, c)];
+    return pairs.reduce((best, p) => (p.r > best.r ? p : best));
+  }
+  const a2 = a.x * a.x + a.z * a.z, b2 = b.x * b.x + b.z * b.z, c2 = c.x * c.x + c.z * c.z;
+  const x = (a2 * (b.z - c.z) + b2 * (c.z - a.z) + c2 * (a.z - b.z)) / d;
+  const z = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+  return { x, z, r: Math.hypot(a.x - x, a.z - z) };
+}
+
+/**
+ * Minimum enclosing circle of 2D points {x, z} (Welzl, iterative form)
+ * @returns {Object} { x, z, r }
+ */
+export function minEnclosingCircle(pts) {
+  if (pts.length === 0) return { x: 0, z: 0, r: 0 };
+  const eps = 1e-12;
+  const inside = (c, p) => Math.hypot(p.x - c.x, p.z - c.z) <= c.r * (1 + 1e-9) + eps;
+
+  let c = { x: pts[0].x, z: pts[0].z, r: 0 };
+  for (let i = 1; i < pts.length; i++) {
+    if (inside(c, pts[i])) continue;
+    // pts[i] is on the boundary of the circle of pts[0..i]
+    c = { x: pts[i].x, z: pts[i].z, r: 0 };
+    for (let j = 0; j < i; j++) {
+      if (inside(c, pts[j])) continue;
+      // pts[i] and pts[j] on the boundary
+      c = circleFrom2(pts[i], pts[j]);
+      for (let k = 0; k < j; k++) {
+        if (!inside(c, pts[k])) c = circleFrom3(pts[i], pts[j], pts[k]);
+      }
+    }
+  }
+  return c;
+}
+
+/**
+ * Ellipse with the second moments of the footprint, scaled to enclose every point
+ * Moments come from the convex hull polygon (independent of how densely contacts sample the patch), or from
+ * the point covariance when the hull has no area.
+ * @returns {Object} { x, z, a, b, theta, elongation } - semi-axes a >= b, theta = major axis angle from +x
+ */
+export function momentEllipse(pts) {
+  const hull = convexHull2D(pts);
+  const metrics = hull.length >= 3 ? polygonMetrics([hull]) : null;
+
+  let x, z, mu20, mu02, mu11;
+  if (metrics && metrics.area > 1e-12) {
+    ({ x, z } = metrics.centroid);
+    ({ mu20, mu02, mu11 } = metrics);
+  } else {
+    x = 0; z = 0;
+    for (const p of pts) {
+      x += p.x / pts.length;
+      z += p.z / pts.length;
+    }
+    mu20 = 0; mu02 = 0; mu11 = 0;
+    for (const p of pts) {
+      mu20 += (p.x - x) ** 2;
+      mu02 += (p.z - z) ** 2;
+      mu11 += (p.x - x) * (p.z - z);
+    }
+  }
+
+  const mean = (mu20 + mu02) / 2;
+  const diff = Math.sqrt(((mu20 - mu02) / 2) ** 2 + mu11 * mu11);
+  const l1 = mean + diff;
+  const l2 = Math.max(mean - diff, l1 * 1e-12);
+  const theta = 0.5 * Math.atan2(2 * mu11, mu20 - mu02);
+  if (l1 <= 0) return { x, z, a: 0, b: 0, theta: 0, elongation: 1 };
+
+  // Largest normalized radius of any point: scales the moment ellipse until it encloses them all
+  const c = Math.cos(theta), s = Math.sin(theta);
+  let scale = 0;
+  for (const p of pts) {
+    const u = (p.x - x) * c + (p.z - z) * s;
+    const v = -(p.x - x) * s + (p.z - z) * c;
+    scale = Math.max(scale, Math.sqrt(u * u / l1 + v * v / l2));
+  }
+
+  return { x, z, a: scale * Math.sqrt(l1), b: scale * Math.sqrt(l2), theta, elongation: Math.sqrt(l1 / l2) };
+}
+
+/**
+ * Round fit of footprint points
+ * @returns {Object} { shape, centerX, centerZ, theta (null = no preferred orientation), extents(angle), radius | semiAxes }
+ *   extents(angle) gives the width / height of the enclosing box whose first axis is at angle
+ */
+export function computeRoundFit(pts, algorithm) {
+  if (algorithm === 'circle') {
+    const c = minEnclosingCircle(pts);
+    return {
+      shape: 'circle',
+      centerX: c.x,
+      centerZ: c.z,
+      theta: null,
+      radius: c.r,
+      extents: () => ({ width: 2 * c.r, height: 2 * c.r })
+    };
+  }
+
+  const e = momentEllipse(pts);
+  return {
+    shape: 'ellipse',
+    centerX: e.x,
+    centerZ: e.z,
+    theta: e.elongation >= ROUND_ELONGATION ? e.theta : null,
+    semiAxes: { a: e.a, b: e.b },
+    axisTheta: e.theta,
+    extents: (angle) => {
+      // Half extents of the rotated ellipse along the box axes
+      const c = Math.cos(angle - e.theta), s = Math.sin(angle - e.theta);
+      return {
+        width: 2 * Math.sqrt(e.a * e.a * c * c + e.b * e.b * s * s),
+        height: 2 * Math.sqrt(e.a * e.a * s * s + e.b * e.b * c * c)
+      };
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// Bounding box temporal coherence layer
+// Keeps the footprint box orientation continuous across frames: the shape-aligned angle is resolved to the
+// nearest of its 90° equivalents (rectangles look the same rotated by 90° / 180°), blended with the
+// velocity-aligned angle over a speed band instead of switching at one threshold, and the result is turned
+// and resized at limited rates.
+
+import { wrapToPi } from './utils.js';
+
+/**
+ * Nearest angle to reference that is equivalent to angle modulo period
+ */
+export function nearestEquivalentAngle(angle, reference, period) {
+  const d = angle - reference;
+  return reference + d - period * Math.round(d / period);
+}
+
+export class BoxStabilizer {
+  /**
+   * @param {Object} options - { speedLow, speedHigh (m/s), maxTurnRate (rad/s), maxSizeRate (m/s), maxGap (s) }
+   */
+  constructor(options = {}) {
+    this.speedLow = options.speedLow ?? 0.3;       // Below: shape-aligned
+    this.speedHigh = options.speedHigh ?? 0.8;     // Above: velocity-aligned
+    this.maxTurnRate = options.maxTurnRate ?? 2 * Math.PI;  // 360°/s
+    this.maxSizeRate = options.maxSizeRate ?? 1.0;          // Width / height change per second (m/s)
+    this.maxGap = options.maxGap ?? 0.25;          // Snap to the raw box after this gap (s)
+
+    this.clockTime = null;  // Optional externally driven time in seconds (e.g. trace replay)
+    this.reset();
+  }
+
+  reset() {
+    this.theta = null;
+    this.width = null;
+    this.height = null;
+    this.time = null;
+    this.dt = 0;
+    this.snapped = false;
+    this.velocityWeight = 0;
+  }
+
+  /**
+   * Weight of the velocity-aligned frame (smoothstep over [speedLow, speedHigh])
+   */
+  velocityBlend(speed) {
+    if (this.speedHigh <= this.speedLow) return speed >= this.speedHigh ? 1 : 0;
+    const t = Math.min(1, Math.max(0, (speed - this.speedLow) / (this.speedHigh - this.speedLow)));
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Advance one frame and return the stabilized box angle
+   * @param {number} shapeTheta - Angle from the footprint algorithm
+   * @param {number} velocityTheta - In-plane heading of the body
+   * @param {number} speed - In-plane speed (m/s)
+   * @returns {number} Angle in [-π, π]
+   */
+  updateOrientation(shapeTheta, velocityTheta, speed) {
+    const time = this.clockTime ?? (performance.now() / 1000);
+    const dt = this.time === null ? null : time - this.time;
+    this.time = time;
+    this.velocityWeight = this.velocityBlend(speed);
+
+    // No history to stay continuous with: take the dominant frame as is
+    if (this.theta === null || dt === null || dt < 0 || dt > this.maxGap) {
+      this.theta = wrapToPi(this.velocityWeight >= 0.5 ? velocityTheta : shapeTheta);
+      this.dt = 0;
+      this.snapped = true;
+      return this.theta;
+    }
+
+    // Shape boxes repeat every 90°; the velocity axis every 180° (which end leads does not matter for the box)
+    const shape = nearestEquivalentAngle(shapeTheta, this.theta, Math.PI / 2);
+    const velocity = nearestEquivalentAngle(velocityTheta, this.theta, Math.PI);
+    const target = shape + this.velocityWeight * (velocity - shape);
+
+    const maxStep = this.maxTurnRate * dt;
+    const step = Math.min(maxStep, Math.max(-maxStep, target - this.theta));
+    this.theta = wrapToPi(this.theta + step);
+    this.dt = dt;
+    this.snapped = false;
+    return this.theta;
+  }
+
+  /**
+   * Rate-limited width / height (call after updateOrientation, with extents measured at its angle)
+   * @returns {Object} { width, height }
+   */
+  updateSize(width, height) {
+    if (this.snapped || this.width === null) {
+      this.width = width;
+      this.height = height;
+    } else {
+      const maxStep = this.maxSizeRate * this.dt;
+      this.width += Math.min(maxStep, Math.max(-maxStep, width - this.width));
+      this.height += Math.min(maxStep, Math.max(-maxStep, height - this.height));
+    }
+    return { width: this.width, height: this.height };
+  }
+}
@@ -22,6 +22,48 @@ export function angleDifference(a, b) {
   return wrapToPi(a - b);
 }
 
+/**
+ * Convex hull of 2D points {x, z} (Andrew's monotone chain), counter-clockwise without collinear points
+ * @param {Array} pts - Points {x, z}
+ * @returns {Array} Hull vertices
+ */
+export function convexHull2D(pts) {
+  const sorted = [...pts].sort((a, b) => a.x === b.x ? a.z - b.z : a.x - b.x);
+  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length-2], lower[lower.length-1], p) <= 0) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length-2], upper[upper.length-1], p) <= 0) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/**
+ * Area of a simple polygon {x, z} (shoelace formula, unsigned)
+ */
+export function polygonArea(poly) {
+  let area = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    area += a.x * b.z - b.x * a.z;
+  }
+  return Math.abs(area) / 2;
+}
+
 export function rotatePoints2D(pts, theta) {
   const c = Math.cos(theta), s = Math.sin(theta);
   return pts.map(p => ({
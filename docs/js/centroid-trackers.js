@@ -0,0 +1,142 @@
+// Centroid Trackers
+// Alternatives to the EMA on the contact centroid. At speed v the EMA trails the contact patch by
+// about v·τ; the constant-velocity Kalman filter predicts with the body velocity instead, and the
+// one-euro filter raises its cutoff with speed. Filter state is plain data kept in ContactState.
+
+export const CENTROID_TRACKERS = ['ema', 'kalman', 'oneEuro'];
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Constant-velocity Kalman state, one independent [position, velocity] filter per axis
+ * @param {Object} z - First measured centroid
+ * @param {Object} velocity - Body velocity (null = start at rest)
+ * @param {Object} params - ContactParams (kalmanPositionNoise, kalmanVelocityNoise)
+ * @param {number} time - Time of the measurement in seconds
+ */
+export function createKalmanState(z, velocity, params, time) {
+  const r = params.kalmanPositionNoise * params.kalmanPositionNoise;
+  const rv = params.kalmanVelocityNoise * params.kalmanVelocityNoise;
+  const kf = { time };
+  for (const a of AXES) {
+    kf[a] = {
+      p: z[a],
+      v: velocity ? velocity[a] : 0,
+      P00: r,
+      P01: 0,
+      P11: velocity ? rv : 1.0  // Unknown velocity: ±1 m/s
+    };
+  }
+  return kf;
+}
+
+/**
+ * One predict / update cycle
+ * Predicts over dt with white-noise acceleration (kalmanAccelNoise), then updates with the measured
+ * centroid and, when given, the body velocity as a direct velocity measurement.
+ * @param {Object} kf - State from createKalmanState() (updated in place)
+ * @param {Object} z - Measured centroid {x, y, z}
+ * @param {Object} velocity - Body velocity {x, y, z} or null
+ * @param {number} dt - Time since the last update in seconds
+ * @param {Object} params - ContactParams
+ * @returns {Object} { center, innovation } - innovation = |z - predicted position| in metres
+ */
+export function kalmanStep(kf, z, velocity, dt, params) {
+  const q = params.kalmanAccelNoise * params.kalmanAccelNoise;
+  const r = params.kalmanPositionNoise * params.kalmanPositionNoise;
+  const rv = params.kalmanVelocityNoise * params.kalmanVelocityNoise;
+  const dt2 = dt * dt;
+  const center = {};
+  let innovationSq = 0;
+
+  for (const a of AXES) {
+    const s = kf[a];
+
+    // Predict: x = F x, P = F P Fᵀ + Q
+    let p = s.p + s.v * dt;
+    let v = s.v;
+    let P00 = s.P00 + 2 * dt * s.P01 + dt2 * s.P11 + q * dt2 * dt / 3;
+    let P01 = s.P01 + dt * s.P11 + q * dt2 / 2;
+    let P11 = s.P11 + q * dt;
+
+    // Position measurement (H = [1 0])
+    const y = z[a] - p;
+    innovationSq += y * y;
+    const S = P00 + r;
+    const K0 = P00 / S;
+    const K1 = P01 / S;
+    p += K0 * y;
+    v += K1 * y;
+    P11 -= K1 * P01;
+    P01 -= K0 * P01;
+    P00 -= K0 * P00;
+
+    // Velocity measurement (H = [0 1])
+    if (velocity) {
+      const yv = velocity[a] - v;
+      const Sv = P11 + rv;
+      const K0v = P01 / Sv;
+      const K1v = P11 / Sv;
+      p += K0v * yv;
+      v += K1v * yv;
+      P00 -= K0v * P01;
+      P01 -= K0v * P11;
+      P11 -= K1v * P11;
+    }
+
+    s.p = p;
+    s.v = v;
+    s.P00 = P00;
+    s.P01 = P01;
+    s.P11 = P11;
+    center[a] = p;
+  }
+
+  return { center, innovation: Math.sqrt(innovationSq) };
+}
+
+/**
+ * One-euro filter state
+ */
+export function createOneEuroState(z, time) {
+  return {
+    time,
+    x: { ...z },
+    dx: { x: 0, y: 0, z: 0 }
+  };
+}
+
+// Smoothing factor of a first-order low-pass with the given cutoff (Hz) over dt
+function lowPassAlpha(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+/**
+ * One-euro step (Casiez et al. 2012): cutoff = minCutoff + β·|ẋ|
+ * Speed is the magnitude of the filtered 3D velocity, so all axes share one cutoff and the
+ * direction of motion is not distorted.
+ * @param {Object} f - State from createOneEuroState() (updated in place)
+ * @param {Object} z - Measured centroid
+ * @param {number} dt - Time since the last update in seconds
+ * @param {Object} params - ContactParams (oneEuroMinCutoff, oneEuroBeta, oneEuroDCutoff)
+ * @returns {Object} { center, innovation, cutoff } - innovation = |z - previous estimate| in metres
+ */
+export function oneEuroStep(f, z, dt, params) {
+  const aD = lowPassAlpha(params.oneEuroDCutoff, dt);
+  let innovationSq = 0;
+  for (const a of AXES) {
+    const d = z[a] - f.x[a];
+    innovationSq += d * d;
+    f.dx[a] += aD * (d / dt - f.dx[a]);
+  }
+
+  const speed = Math.sqrt(f.dx.x * f.dx.x + f.dx.y * f.dx.y + f.dx.z * f.dx.z);
+  const cutoff = params.oneEuroMinCutoff + params.oneEuroBeta * speed;
+  const aX = lowPassAlpha(cutoff, dt);
+  for (const a of AXES) {
+    f.x[a] += aX * (z[a] - f.x[a]);
+  }
+
+  return { center: { ...f.x }, innovation: Math.sqrt(innovationSq), cutoff };
+}
@@ -0,0 +1,181 @@
+// Contact Diagnostics HUD
+// Shows the per-stage report returned by sampleContacts() and keeps a rolling per-frame history,
+// so ContactParams can be tuned without console logging.
+
+// Stages plotted in the history chart (in pipeline order)
+const HISTORY_SERIES = [
+  { key: 'acquire', label: 'Acquire', color: '#60a5fa' },
+  { key: 'gridDedupe', label: 'Grid', color: '#34d399' },
+  { key: 'iqrOutlier', label: 'IQR', color: '#fbbf24' },
+  { key: 'neighborSupport', label: 'Neighbor', color: '#f472b6' },
+  { key: 'final', label: 'Final', color: '#ffffff' }
+];
+
+export class ContactDiagnosticsHUD {
+  constructor(historyLength = 120) {
+    this.historyLength = historyLength;
+    this.history = [];
+    this.paused = false;
+
+    this.detailsEl = document.getElementById('contactDiagnosticsDetails');
+    this.tableEl = document.getElementById('contactDiagStages');
+    this.summaryEl = document.getElementById('contactDiagSummary');
+    this.centroidEl = document.getElementById('contactDiagCentroid');
+    this.eventsEl = document.getElementById('contactDiagEvents');
+    this.canvas = document.getElementById('contactDiagHistory');
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+  }
+
+  /**
+   * Record one frame of diagnostics and refresh the HUD if it is open
+   * @param {Object} diagnostics - diagnostics object from sampleContacts()
+   * @param {number} step - Simulation step counter for labeling
+   */
+  update(diagnostics, step) {
+    if (this.paused || !diagnostics || !diagnostics.stages) return;
+
+    const s = diagnostics.stages;
+    this.history.push({
+      step,
+      acquire: s.acquire.out,
+      gridDedupe: s.gridDedupe.out,
+      iqrOutlier: s.iqrOutlier.out,
+      neighborSupport: s.neighborSupport.out,
+      final: s.augmentation.out,
+      gate: diagnostics.gateFired,
+      held: diagnostics.heldLast,
+      emaAlpha: diagnostics.emaAlpha
+    });
+    if (this.history.length > this.historyLength) {
+      this.history.shift();
+    }
+
+    // Skip DOM work while the section is collapsed
+    if (!this.detailsEl || this.detailsEl.style.display === 'none') return;
+
+    this.renderStages(diagnostics);
+    this.renderHistory();
+    this.renderEvents();
+  }
+
+  /**
+   * Per-stage in → out table for the current frame
+   */
+  renderStages(diagnostics) {
+    const s = diagnostics.stages;
+
+    if (this.summaryEl) {
+      const alpha = diagnostics.emaAlpha !== null ? diagnostics.emaAlpha.toFixed(3) : '—';
+      this.summaryEl.textContent =
+        `${diagnostics.contactMethod} | gate: ${diagnostics.gateFired || 'none'} | ` +
+        `hold-last: ${diagnostics.heldLast ? `yes (${s.holdLast.holdFrames})` : 'no'} | EMA α: ${alpha}`;
+      if (diagnostics.slip && diagnostics.slip.total > 0) {
+        const pct = (f) => `${(f * 100).toFixed(0)}%`;
+        this.summaryEl.textContent +=
+          ` | stick ${pct(diagnostics.slip.stickFraction)} / slip ${pct(diagnostics.slip.slipFraction)} / impact ${pct(diagnostics.slip.impactFraction)}`;
+      }
+    }
+
+    if (this.centroidEl) {
+      const mm = (m) => m !== null && m !== undefined ? `${(m * 1000).toFixed(1)} mm` : '—';
+      this.centroidEl.textContent =
+        `${diagnostics.centroidTracker || 'ema'} | innovation ${mm(diagnostics.centroidInnovation)} | lag ${mm(diagnostics.centroidLag)}`;
+    }
+
+    if (!this.tableEl) return;
+
+    const stateOf = (stage) => {
+      if (stage.enabled === false) return 'off';
+      if (stage.applied === false) return 'skipped';
+      if (stage.reverted) return 'reverted';
+      return 'on';
+    };
+
+    const rows = [
+      ['Acquire', s.acquire.in, s.acquire.out, `${s.acquire.manifolds} manifolds, ${s.acquire.rejectedDistance} far`],
+      ['Grid dedupe', s.gridDedupe.in, s.gridDedupe.out, stateOf(s.gridDedupe)],
+      ['IQR outliers', s.iqrOutlier.in, s.iqrOutlier.out, stateOf(s.iqrOutlier)],
+      ['Neighbor support', s.neighborSupport.in, s.neighborSupport.out, stateOf(s.neighborSupport)],
+      ['Quality gates', s.qualityGates.in, s.qualityGates.out, s.qualityGates.enabled ? (s.qualityGates.fired.join(', ') || 'pass') : 'off'],
+      ['Augmentation', s.augmentation.in, s.augmentation.out, `${s.augmentation.synthetic} synthetic${s.augmentation.synthetic > 0 ? ` (${s.augmentation.strategy})` : ''}`]
+    ];
+
+    this.tableEl.innerHTML = rows.map(([name, inCount, outCount, note]) => {
+      const dropped = inCount - outCount;
+      const color = dropped > 0 ? '#f87171' : '#7a8a9e';
+      return `<div><span class="pill">${name}</span> ${inCount} → ${outCount} ` +
+        `<span style="color: ${color};">(${dropped > 0 ? '-' + dropped : note})</span></div>`;
+    }).join('');
+  }
+
+  /**
+   * Rolling per-frame chart of stage output counts
+   */
+  renderHistory() {
+    if (!this.ctx) return;
+
+    const W = this.canvas.width;
+    const H = this.canvas.height;
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, W, H);
+
+    let maxCount = 1;
+    for (const h of this.history) {
+      maxCount = Math.max(maxCount, h.acquire, h.final);
+    }
+
+    const dx = W / Math.max(1, this.historyLength - 1);
+    const yOf = (v) => H - 2 - (v / maxCount) * (H - 4);
+
+    // Mark frames where a gate fired (red) or hold-last was used (amber)
+    this.history.forEach((h, i) => {
+      if (h.held || h.gate) {
+        ctx.fillStyle = h.held ? 'rgba(251, 191, 36, 0.35)' : 'rgba(248, 113, 113, 0.35)';
+        ctx.fillRect(i * dx - dx / 2, 0, Math.max(1, dx), H);
+      }
+    });
+
+    for (const series of HISTORY_SERIES) {
+      ctx.strokeStyle = series.color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      this.history.forEach((h, i) => {
+        const y = yOf(h[series.key]);
+        if (i === 0) ctx.moveTo(0, y);
+        else ctx.lineTo(i * dx, y);
+      });
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#7a8a9e';
+    ctx.font = '9px monospace';
+    ctx.fillText(`max ${maxCount}`, 2, 9);
+  }
+
+  /**
+   * Text log of recent frames where contacts were rejected or held
+   */
+  renderEvents() {
+    if (!this.eventsEl) return;
+
+    const events = this.history.filter(h => h.gate || h.held).slice(-8).reverse();
+    if (events.length === 0) {
+      this.eventsEl.innerHTML = '<div style="color: #7a8a9e;">No gate events</div>';
+      return;
+    }
+
+    this.eventsEl.innerHTML = events.map(h =>
+      `<div>#${h.step}: ${h.acquire} → ${h.final} ${h.gate ? `gate=${h.gate}` : ''} ${h.held ? 'held' : ''}</div>`
+    ).join('');
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  clear() {
+    this.history = [];
+    if (this.ctx) this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.eventsEl) this.eventsEl.innerHTML = '';
+  }
+}
@@ -0,0 +1,247 @@
+// Contact Lifecycle Events
+// Turns the per-step Ammo manifolds into contactBegin / contactPersist / contactEnd / impact events per
+// (dynamic body, partner body) pair, so managers and user scripts can subscribe instead of diffing
+// sample arrays. Soft bodies without manifold points fall back to their sampleContacts() output
+// (partner = ground).
+
+import { isSameBody } from './contacts.js';
+
+export const CONTACT_EVENTS = ['contactBegin', 'contactPersist', 'contactEnd', 'impact'];
+
+export class ContactEventEmitter {
+  /**
+   * @param {Object} options - { impactImpulse (N·s), d_max (m), maxManifolds }
+   */
+  constructor(options = {}) {
+    this.impactImpulse = options.impactImpulse ?? 0.5;  // Pair impulse that counts as an impact (N·s)
+    this.d_max = options.d_max ?? 0.005;                // Max separation for manifold points (5mm, as ContactParams)
+    this.maxManifolds = options.maxManifolds ?? 64;
+
+    this.listeners = new Map(CONTACT_EVENTS.map(type => [type, new Set()]));
+    this.bodyRoles = [];        // [{ body, role }] partners to label ('ground', 'wall', 'variant-ground')
+    this.active = new Map();    // pair key -> contact record of the last step
+    this.objectIds = new WeakMap();
+    this.nextObjectId = 1;
+  }
+
+  /**
+   * Subscribe to a contact event
+   * @param {string} type - One of CONTACT_EVENTS
+   * @param {Function} handler - Called with the event object
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    const set = this.listeners.get(type);
+    if (!set) throw new Error(`Unknown contact event: ${type} (expected ${CONTACT_EVENTS.join(', ')})`);
+    set.add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const set = this.listeners.get(type);
+    if (set) set.delete(handler);
+  }
+
+  hasListeners(type) {
+    return this.listeners.get(type).size > 0;
+  }
+
+  emit(type, event) {
+    for (const handler of this.listeners.get(type)) {
+      try {
+        handler({ type, ...event });
+      } catch (e) {
+        console.error(`Contact event handler for ${type} failed:`, e);
+      }
+    }
+  }
+
+  /**
+   * Register static partners so events can say what the body touched
+   * @param {Array} bodyRoles - [{ body, role }] (entries without a body are ignored)
+   */
+  setBodyRoles(bodyRoles) {
+    this.bodyRoles = bodyRoles.filter(r => r.body);
+  }
+
+  /**
+   * Forget active contacts without emitting contactEnd (scene rebuilt, trace replay started)
+   */
+  reset() {
+    this.active.clear();
+  }
+
+  /**
+   * Stable key for an Ammo object (pointer when available, replay stand-ins by role, else object identity)
+   */
+  keyOf(obj) {
+    if (obj && obj.ptr !== undefined) return `p${obj.ptr}`;
+    if (obj && typeof obj.role === 'string') return `r${obj.role}`;
+    if (!this.objectIds.has(obj)) this.objectIds.set(obj, this.nextObjectId++);
+    return `o${this.objectIds.get(obj)}`;
+  }
+
+  /**
+   * Label a partner body: registered role, another dynamic body ('body'), replay stand-in role, or 'other'
+   */
+  roleOf(partner, bodies) {
+    for (const r of this.bodyRoles) {
+      if (isSameBody(partner, r.body)) return r.role;
+    }
+    if (bodies.some(entry => isSameBody(partner, entry.body))) return 'body';
+    if (partner && typeof partner.role === 'string') return partner.role;
+    return 'other';
+  }
+
+  /**
+   * Scan the manifolds of one physics step and emit events
+   * @param {Object} dispatcher - Ammo collision dispatcher (or replay stand-in)
+   * @param {Array} bodies - Dynamic bodies [{ id, body, mesh, contactSamples? }] (contactSamples: soft body fallback)
+   * @param {number} time - Simulation time in seconds
+   */
+  update(dispatcher, bodies, time) {
+    const current = new Map();
+
+    const touch = (entry, partner, role) => {
+      const key = `${entry.id}:${this.keyOf(partner)}`;
+      let contact = current.get(key);
+      if (!contact) {
+        contact = { key, entry, partner, role, points: [], normal: { x: 0, y: 0, z: 0 }, impulse: 0 };
+        current.set(key, contact);
+      }
+      return contact;
+    };
+
+    const manifolds = dispatcher ? Math.min(dispatcher.getNumManifolds(), this.maxManifolds) : 0;
+    for (let i = 0; i < manifolds; i++) {
+      const m = dispatcher.getManifoldByIndexInternal(i);
+      const n = m.getNumContacts();
+      if (n === 0) continue;
+
+      const body0 = m.getBody0();
+      const body1 = m.getBody1();
+
+      for (const entry of bodies) {
+        // normalWorldOnB points from B to A: flip it when the dynamic body is B
+        let partner, sign;
+        if (isSameBody(body0, entry.body)) {
+          partner = body1;
+          sign = 1;
+        } else if (isSameBody(body1, entry.body)) {
+          partner = body0;
+          sign = -1;
+        } else {
+          continue;
+        }
+
+        let contact = null;
+        for (let j = 0; j < n; j++) {
+          const p = m.getContactPoint(j);
+          if ((p.getDistance?.() ?? 0) > this.d_max) continue;
+
+          if (!contact) contact = touch(entry, partner, this.roleOf(partner, bodies));
+          const pw = p.get_m_positionWorldOnB();
+          const nB = p.get_m_normalWorldOnB();
+          const impulse = p.getAppliedImpulse?.() ?? 0;
+          contact.points.push({ x: pw.x(), y: pw.y(), z: pw.z(), impulse });
+          contact.normal.x += sign * nB.x();
+          contact.normal.y += sign * nB.y();
+          contact.normal.z += sign * nB.z();
+          contact.impulse += impulse;
+        }
+      }
+    }
+
+    // Soft bodies touching the ground through node contacts only
+    for (const entry of bodies) {
+      if (!entry.contactSamples || entry.contactSamples.length === 0) continue;
+      if (!entry.mesh || !entry.mesh.userData.isSoftBody) continue;
+      const ground = this.bodyRoles.find(r => r.role === 'ground');
+      const partner = ground ? ground.body : GROUND_PARTNER;
+      if (current.has(`${entry.id}:${this.keyOf(partner)}`)) continue;
+
+      const contact = touch(entry, partner, 'ground');
+      for (const s of entry.contactSamples) {
+        contact.points.push({ x: s.x, y: s.y, z: s.z, impulse: s.impulse || 0 });
+        contact.impulse += s.impulse || 0;
+      }
+      contact.normal.y = 1;
+    }
+
+    // Begin / persist / impact
+    for (const contact of current.values()) {
+      finalize(contact);
+      const previous = this.active.get(contact.key);
+      contact.beginTime = previous ? previous.beginTime : time;
+
+      const event = this.eventOf(contact, time);
+      if (!previous) {
+        this.emit('contactBegin', event);
+      } else if (this.hasListeners('contactPersist')) {
+        this.emit('contactPersist', event);
+      }
+
+      // Rising edge only, so a heavy body resting above the threshold does not fire every step
+      const wasImpact = previous && previous.impulse >= this.impactImpulse;
+      if (contact.impulse >= this.impactImpulse && !wasImpact) {
+        this.emit('impact', event);
+      }
+    }
+
+    // End (carries the last seen point / normal)
+    for (const [key, previous] of this.active) {
+      if (!current.has(key)) this.emit('contactEnd', { ...this.eventOf(previous, time), impulse: 0 });
+    }
+
+    this.active = current;
+  }
+
+  /**
+   * Event payload for a pair
+   */
+  eventOf(contact, time) {
+    return {
+      time,
+      duration: time - contact.beginTime,
+      bodyId: contact.entry.id,
+      body: contact.entry.body,
+      mesh: contact.entry.mesh,
+      partner: contact.partner,
+      partnerRole: contact.role,
+      point: contact.point,
+      normal: contact.normal,
+      impulse: contact.impulse,
+      maxImpulse: contact.maxImpulse,
+      points: contact.points
+    };
+  }
+}
+
+// Partner used for soft body node contacts when no ground body is registered
+const GROUND_PARTNER = { role: 'ground' };
+
+/**
+ * Representative point (impulse-weighted centroid, plain centroid without impulses) and unit normal
+ */
+function finalize(contact) {
+  const pts = contact.points;
+  let wx = 0, wy = 0, wz = 0, w = 0;
+  let cx = 0, cy = 0, cz = 0;
+  let maxImpulse = 0;
+  for (const p of pts) {
+    cx += p.x; cy += p.y; cz += p.z;
+    if (p.impulse > 0) {
+      wx += p.x * p.impulse; wy += p.y * p.impulse; wz += p.z * p.impulse;
+      w += p.impulse;
+    }
+    maxImpulse = Math.max(maxImpulse, p.impulse);
+  }
+  contact.point = w > 0
+    ? { x: wx / w, y: wy / w, z: wz / w }
+    : { x: cx / pts.length, y: cy / pts.length, z: cz / pts.length };
+  contact.maxImpulse = maxImpulse;
+
+  const n = contact.normal;
+  const len = Math.sqrt(n.x * n.x + n.y * n.y + n.z * n.z);
+  contact.normal = len > 1e-9 ? { x: n.x / len, y: n.y / len, z: n.z / len } : { x: 0, y: 1, z: 0 };
+}
@@ -0,0 +1,122 @@
+// Contact Plane Estimation
+// Fits the plane through the real (non-synthetic) contact points every frame (RANSAC + least squares),
+// smooths it over time, and falls back to the static ground plane when the fit is not trustworthy.
+// Consumers: computeBoundingBox (2D footprint frame), PiP cameras (via lastOBB.n) and ground stamping.
+
+import { Plane } from './math/plane.js?v=2.1';
+import { fitPlaneRANSAC } from './math/plane-fit.js';
+
+export class ContactPlaneEstimator {
+  constructor(THREE, options = {}) {
+    this.THREE = THREE;
+    this.enabled = true;
+
+    // Fit acceptance
+    this.minPoints = options.minPoints ?? 4;              // Fewer real contacts -> static plane
+    this.threshold = options.threshold ?? 0.01;           // RANSAC inlier distance (10mm)
+    this.minInlierRatio = options.minInlierRatio ?? 0.6;  // Share of contacts that must agree
+    this.maxRms = options.maxRms ?? 0.01;                 // Max RMS residual of the refined fit (10mm)
+
+    // Temporal smoothing
+    this.tau = options.tau ?? 0.1;                        // Normal EMA time constant in seconds
+    this.maxGap = options.maxGap ?? 0.5;                  // Snap instead of blending after this gap (s)
+
+    const gn = options.staticNormal ?? { x: 0, y: 1, z: 0 };
+    this.staticNormal = new THREE.Vector3(gn.x, gn.y, gn.z).normalize();
+
+    this.normal = null;     // Smoothed normal (THREE.Vector3)
+    this.lastTime = null;
+    this.last = null;       // Last estimate
+  }
+
+  reset() {
+    this.normal = null;
+    this.lastTime = null;
+    this.last = null;
+  }
+
+  /**
+   * Estimate the contact plane for this frame
+   * @param {Array} contacts - Contact samples ({x, y, z, isSynthetic}); synthetic points are ignored
+   * @param {Object} referenceNormal - Average manifold normal used to orient the fitted normal (optional)
+   * @param {number} time - Current time in seconds
+   * @returns {Object} { plane, fitted, inliers, outliers, rms, tiltDeg, reason } - plane is null without contacts
+   */
+  update(contacts, referenceNormal = null, time = performance.now() / 1000) {
+    const THREE = this.THREE;
+    const real = contacts.filter(p => !p.isSynthetic);
+
+    if (contacts.length === 0) {
+      this.normal = null;
+      this.last = { plane: null, fitted: false, inliers: 0, outliers: 0, rms: 0, tiltDeg: 0, reason: 'no_contacts' };
+      return this.last;
+    }
+
+    // Fit, or fall back to the static normal
+    let target = this.staticNormal.clone();
+    let point = null;
+    let fitted = false;
+    let inliers = 0, outliers = 0, rms = 0;
+    let reason = null;
+
+    if (!this.enabled) {
+      reason = 'disabled';
+    } else if (real.length < this.minPoints) {
+      reason = 'sparse';
+    } else {
+      const fit = fitPlaneRANSAC(real, THREE, { threshold: this.threshold, minInliers: this.minPoints });
+      if (!fit) {
+        reason = 'degenerate';
+      } else if (fit.inliers < real.length * this.minInlierRatio) {
+        reason = 'low_support';
+      } else if (fit.rms > this.maxRms) {
+        reason = 'high_residual';
+      } else {
+        target.copy(fit.plane.normal);
+        point = fit.plane.p0.clone();
+        fitted = true;
+        inliers = fit.inliers;
+        outliers = fit.outliers;
+        rms = fit.rms;
+      }
+    }
+
+    // Orient the normal towards the body (manifold normals), else towards the static normal
+    const ref = referenceNormal && (referenceNormal.x * referenceNormal.x + referenceNormal.y * referenceNormal.y + referenceNormal.z * referenceNormal.z) > 1e-12
+      ? new THREE.Vector3(referenceNormal.x, referenceNormal.y, referenceNormal.z)
+      : this.staticNormal;
+    if (target.dot(ref) < 0) target.negate();
+
+    // Static fallback passes through the centroid of all samples
+    if (!point) {
+      point = new THREE.Vector3();
+      for (const p of contacts) point.add(new THREE.Vector3(p.x, p.y, p.z));
+      point.multiplyScalar(1 / contacts.length);
+    }
+
+    // Frame-rate independent EMA on the normal
+    const dt = this.lastTime !== null ? time - this.lastTime : Infinity;
+    this.lastTime = time;
+    if (!this.normal || !(dt > 0) || dt > this.maxGap) {
+      this.normal = target.clone();
+    } else {
+      const alpha = Math.exp(-dt / this.tau);
+      this.normal.multiplyScalar(alpha).addScaledVector(target, 1 - alpha);
+      if (this.normal.lengthSq() < 1e-12) this.normal.copy(target);
+      this.normal.normalize();
+    }
+
+    const tiltDeg = Math.acos(Math.min(1, Math.abs(this.normal.dot(this.staticNormal)))) * 180 / Math.PI;
+
+    this.last = {
+      plane: new Plane(this.normal.clone(), point),
+      fitted,
+      inliers,
+      outliers,
+      rms,
+      tiltDeg,
+      reason
+    };
+    return this.last;
+  }
+}
@@ -0,0 +1,169 @@
+// Contact Slip Classification
+// Post-pass over sampleContacts() output: each contact's relative velocity (v + ω×r minus the ground's
+// velocity at that point, as PiP7 computes it) is split into normal and tangential parts and the contact
+// is labelled stick, slip or impact. The wear accumulators use the labels as a mask so only slipping
+// area wears the ground.
+
+export const SLIP_STATES = ['stick', 'slip', 'impact'];
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+export class SlipParams {
+  constructor(overrides = {}) {
+    this.slipSpeed = overrides.slipSpeed ?? 0.01;             // Tangential speed at or below this sticks (m/s)
+    this.impactSpeed = overrides.impactSpeed ?? 0.3;          // Approach speed above this is an impact (m/s)
+    this.useFrictionCone = overrides.useFrictionCone ?? true; // Cone test for contacts with a solver impulse
+  }
+}
+
+/**
+ * Velocity of a point on a rigid body: v + ω × (p - c)
+ * @param {Object} point - World point {x, y, z}
+ * @param {Object} center - Center of rotation (center of mass)
+ * @param {Object} velocity - Linear velocity (null = at rest)
+ * @param {Object} angularVelocity - Angular velocity (null = no spin)
+ */
+export function pointVelocity(point, center, velocity, angularVelocity) {
+  const v = velocity || ZERO;
+  const w = angularVelocity || ZERO;
+  const c = center || ZERO;
+  const rx = point.x - c.x, ry = point.y - c.y, rz = point.z - c.z;
+  return {
+    x: v.x + w.y * rz - w.z * ry,
+    y: v.y + w.z * rx - w.x * rz,
+    z: v.z + w.x * ry - w.y * rx
+  };
+}
+
+/**
+ * Body velocity relative to the ground at a contact point
+ * @param {Object} point - Contact point
+ * @param {Object} motion - { center, velocity, angularVelocity, groundVelocity, groundAngularVelocity }
+ *   (ground rotation is about the world origin)
+ */
+export function relativeContactVelocity(point, motion) {
+  const v = pointVelocity(point, motion.center, motion.velocity, motion.angularVelocity);
+  const g = pointVelocity(point, ZERO, motion.groundVelocity, motion.groundAngularVelocity);
+  return { x: v.x - g.x, y: v.y - g.y, z: v.z - g.z };
+}
+
+/**
+ * Label one contact
+ * Impact: approaching the ground faster than impactSpeed. Otherwise stick at or below slipSpeed, and
+ * above it the friction cone decides when the solver reported a normal impulse: the tangential impulse
+ * needed to stop this contact's share of the body within one solver step (m_share·|v_t|, i.e. |F_t|·dt)
+ * against what friction can supply (μ·J_n, i.e. μ|F_n|·dt). Without an impulse every moving contact slips.
+ * @param {Object} vRel - Relative velocity at the contact
+ * @param {Object} normal - Unit contact normal pointing from the ground into the body
+ * @param {Object} cone - { mu, impulse (N·s, 0 = unknown), massShare (kg) }
+ * @param {SlipParams} params - Thresholds
+ * @returns {Object} { state, normalSpeed, tangentialSpeed } - normalSpeed < 0 while approaching
+ */
+export function classifyContact(vRel, normal, cone = null, params = new SlipParams()) {
+  const vn = vRel.x * normal.x + vRel.y * normal.y + vRel.z * normal.z;
+  const tx = vRel.x - vn * normal.x;
+  const ty = vRel.y - vn * normal.y;
+  const tz = vRel.z - vn * normal.z;
+  const vt = Math.sqrt(tx * tx + ty * ty + tz * tz);
+
+  let state;
+  if (-vn > params.impactSpeed) {
+    state = 'impact';
+  } else if (vt <= params.slipSpeed) {
+    state = 'stick';
+  } else if (params.useFrictionCone && cone && cone.impulse > 0) {
+    state = cone.massShare * vt <= cone.mu * cone.impulse ? 'stick' : 'slip';
+  } else {
+    state = 'slip';
+  }
+
+  return { state, normalSpeed: vn, tangentialSpeed: vt };
+}
+
+/**
+ * Classify every contact sample (sets sample.slipState and sample.tangentialSpeed)
+ * @param {Array} contacts - Contact samples ({x, y, z, impulse})
+ * @param {Object} motion - See relativeContactVelocity()
+ * @param {Object} normal - Unit contact normal (ground → body)
+ * @param {Object} options - { mu, mass (kg, shared evenly between contacts), params (SlipParams) }
+ * @returns {Object} { stick, slip, impact, total, stickFraction, slipFraction, impactFraction }
+ */
+export function classifyContactSlip(contacts, motion, normal, options = {}) {
+  const params = options.params || new SlipParams();
+  const mu = options.mu ?? 0;
+  const massShare = contacts.length > 0 ? (options.mass ?? 1) / contacts.length : 0;
+  const counts = { stick: 0, slip: 0, impact: 0 };
+
+  for (const p of contacts) {
+    const vRel = relativeContactVelocity(p, motion);
+    const c = classifyContact(vRel, normal, { mu, impulse: p.impulse || 0, massShare }, params);
+    p.slipState = c.state;
+    p.tangentialSpeed = c.tangentialSpeed;
+    counts[c.state]++;
+  }
+
+  const total = contacts.length;
+  return {
+    ...counts,
+    total,
+    stickFraction: total > 0 ? counts.stick / total : 0,
+    slipFraction: total > 0 ? counts.slip / total : 0,
+    impactFraction: total > 0 ? counts.impact / total : 0
+  };
+}
+
+/**
+ * Per-pixel slip mask in PiP image space (each pixel takes the label of its nearest contact)
+ * Pixel (x, y) sits at center + (x/W - 0.5)·width·e1 + (y/H - 0.5)·height·e2 with e2 = n × e1,
+ * the same mapping the flow and sliding accumulators use.
+ * @param {Array} contacts - Samples labelled by classifyContactSlip()
+ * @param {Object} obb - Box the PiP views were rendered from
+ * @param {number} W - PiP width in pixels
+ * @param {number} H - PiP height in pixels
+ * @returns {Uint8Array|null} 1 = slipping, 0 = stick / impact; null without labelled contacts
+ */
+export function buildSlipMask(contacts, obb, W, H) {
+  const labelled = contacts.filter(p => p.slipState);
+  if (!obb || labelled.length === 0) return null;
+
+  const mask = new Uint8Array(W * H);
+  const slipping = labelled.filter(p => p.slipState === 'slip').length;
+  if (slipping === 0) return mask;
+  if (slipping === labelled.length) return mask.fill(1);
+
+  // Contacts in box coordinates (metres along e1 / e2 from the center)
+  const { center, n, e1 } = obb;
+  const e2 = {
+    x: n.y * e1.z - n.z * e1.y,
+    y: n.z * e1.x - n.x * e1.z,
+    z: n.x * e1.y - n.y * e1.x
+  };
+  const e2Len = Math.sqrt(e2.x * e2.x + e2.y * e2.y + e2.z * e2.z) || 1;
+  const pts = labelled.map(p => {
+    const dx = p.x - center.x, dy = p.y - center.y, dz = p.z - center.z;
+    return {
+      a: dx * e1.x + dy * e1.y + dz * e1.z,
+      b: (dx * e2.x + dy * e2.y + dz * e2.z) / e2Len,
+      slip: p.slipState === 'slip' ? 1 : 0
+    };
+  });
+
+  for (let y = 0; y < H; y++) {
+    const b = ((y / H) - 0.5) * obb.height;
+    for (let x = 0; x < W; x++) {
+      const a = ((x / W) - 0.5) * obb.width;
+      let best = Infinity, label = 0;
+      for (const p of pts) {
+        const da = p.a - a, db = p.b - b;
+        const d = da * da + db * db;
+        if (d < best) {
+          best = d;
+          label = p.slip;
+        }
+      }
+      mask[y * W + x] = label;
+    }
+  }
+
+  return mask;
+}
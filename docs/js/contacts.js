@@ -1,5 +1,8 @@
 
 import { Plane } from './math/plane.js?v=2.1';
+import { getContactFrame } from './math/plane-fit.js';
+import { createKalmanState, kalmanStep, createOneEuroState, oneEuroStep } from './centroid-trackers.js';
+import { getMeshSliceOnPlane } from './mesh-slice.js';
 
 // Contact Sampling and Geometric Center Calculation
 // Robust acquisition with noise control, hysteresis, and quality gates
@@ -85,16 +88,41 @@ export class ContactParams {
     this.tauCentroid = overrides.tauCentroid ?? 0.05;  // EMA time constant in seconds (50ms)
     this.N_hold = overrides.N_hold ?? 2;            // Hold-last frames
 
+    // Centroid tracker: 'ema' (tauCentroid), 'kalman' (constant velocity, fed by bodyVelocity) or 'oneEuro'
+    this.centroidTracker = overrides.centroidTracker ?? 'ema';
+    this.bodyVelocity = overrides.bodyVelocity ?? null;      // Body linear velocity {x, y, z} for the Kalman filter
+    this.trackerMaxGap = overrides.trackerMaxGap ?? 0.25;    // Restart Kalman / one-euro after this gap (s)
+    this.kalmanAccelNoise = overrides.kalmanAccelNoise ?? 5.0;       // Process noise, acceleration std (m/s²)
+    this.kalmanPositionNoise = overrides.kalmanPositionNoise ?? 0.01; // Centroid measurement std (10mm)
+    this.kalmanVelocityNoise = overrides.kalmanVelocityNoise ?? 0.05; // Body velocity measurement std (m/s)
+    this.oneEuroMinCutoff = overrides.oneEuroMinCutoff ?? 3.0; // Cutoff at rest (Hz, ~ tauCentroid 50ms)
+    this.oneEuroBeta = overrides.oneEuroBeta ?? 10.0;          // Cutoff increase per m/s of centroid speed
+    this.oneEuroDCutoff = overrides.oneEuroDCutoff ?? 1.0;     // Cutoff of the speed estimate (Hz)
+
+    // Synthetic augmentation of sparse contacts: 'kdop8' (box corners of near-ground vertices) or
+    // 'meshSlice' (outline and interior of the mesh section just above the contact plane)
+    this.syntheticStrategy = overrides.syntheticStrategy ?? 'kdop8';
+    this.sliceOffset = overrides.sliceOffset ?? 0.01;         // Section height above the contact plane (10mm)
+    this.sliceMaxOutline = overrides.sliceMaxOutline ?? 24;   // Max outline samples
+    this.sliceMaxInterior = overrides.sliceMaxInterior ?? 16; // Approx. interior grid samples
+
     // Performance limits
     this.N_target = overrides.N_target ?? 48;       // Target sample count
     this.maxManifolds = overrides.maxManifolds ?? 32; // Max manifolds to scan
 
+    // Force measurement
+    this.solverTimestep = overrides.solverTimestep ?? 1 / 120; // Internal solver step (s): F = impulse / dt
+
     // Ground plane (default: y=0 horizontal) - ensure normalized
     const gn = overrides.groundNormal ?? {x: 0, y: 1, z: 0};
     const gnMag = Math.sqrt(gn.x * gn.x + gn.y * gn.y + gn.z * gn.z);
     this.groundNormal = gnMag > 1e-9 ? {x: gn.x/gnMag, y: gn.y/gnMag, z: gn.z/gnMag} : {x: 0, y: 1, z: 0};
     this.groundOffset = overrides.groundOffset ?? null; // null = use softGroundThreshold
 
+    // Tangent plane of the supporting surface under the body (GroundSurface.getSupportPlane)
+    // Replaces groundNormal / y=0 for ramps and bowls; null = horizontal ground
+    this.supportPlane = overrides.supportPlane ?? null;
+
     // Filter enable flags (all true by default for production)
     this.enableHysteresis = overrides.enableHysteresis ?? true;
     this.enableVelocityGate = overrides.enableVelocityGate ?? true;
@@ -108,7 +136,7 @@ export class ContactParams {
   }
 
   // Preset for soft body physics (very lenient thresholds to capture all contacts)
-  static forSoftBody() {
+  static forSoftBody(overrides = {}) {
     return new ContactParams({
       d_enter: 0.050,            // 50mm - very lenient for soft body deformation
       d_exit: 0.080,             // 80mm - much wider hysteresis band
@@ -129,7 +157,8 @@ export class ContactParams {
       enableEMASmoothing: true,      // Keep smoothing for stability
       enableHoldLast: true,          // Keep hold-last for stability
       enableQualityGates: false,     // DISABLE - too restrictive for soft bodies
-      enableDistanceFilter: false    // DISABLE - accept all manifold contacts
+      enableDistanceFilter: false,   // DISABLE - accept all manifold contacts
+      ...overrides
     });
   }
 }
@@ -144,6 +173,9 @@ export class ContactState {
     this.holdFrames = 0;         // Hold-last counter
     this.prevDt = null;          // Previous delta time for frame-rate independent EMA
     this.lastUpdateTime = null;  // Last update timestamp
+    this.clockTime = null;       // Optional externally driven time in seconds (e.g. trace replay)
+    this.kalman = null;          // Constant-velocity Kalman centroid state (centroid-trackers.js)
+    this.oneEuro = null;         // One-euro centroid state
   }
 
   reset() {
@@ -154,6 +186,8 @@ export class ContactState {
     this.holdFrames = 0;
     this.prevDt = null;
     this.lastUpdateTime = null;
+    this.kalman = null;
+    this.oneEuro = null;
   }
 }
 
@@ -246,13 +280,16 @@ export function getMeshKDOP8OnPlane(mesh, plane, THREE, tolerance = 0.15) {
   if (!bestBox) return null;
 
   const { theta, centerU, centerV, halfWidth, halfHeight } = bestBox;
+  const cosT = Math.cos(theta);
+  const sinT = Math.sin(theta);
 
+  // Corners in the rotated frame, rotated back into plane (u, v) coordinates
   const corners = [
     { u: centerU - halfWidth, v: centerV - halfHeight },
     { u: centerU + halfWidth, v: centerV - halfHeight },
     { u: centerU + halfWidth, v: centerV + halfHeight },
     { u: centerU - halfWidth, v: centerV + halfHeight }
-  ];
+  ].map(c => ({ u: c.u * cosT - c.v * sinT, v: c.u * sinT + c.v * cosT }));
 
   const tangent = localFrame.tangent;
   const bitangent = localFrame.bitangent;
@@ -277,6 +314,7 @@ export function augmentContactsWithKDOP8(contacts, mesh, plane, gc, THREE, angul
     x: pt.x,
     y: pt.y,
     z: pt.z,
+    impulse: pt.impulse ?? 0,
     isSynthetic: false
   }));
 
@@ -305,6 +343,7 @@ export function augmentContactsWithKDOP8(contacts, mesh, plane, gc, THREE, angul
         x: corner.x,
         y: corner.y,
         z: corner.z,
+        impulse: 0,
         isSynthetic: true
       });
     }
@@ -319,6 +358,7 @@ export function augmentContactsWithKDOP8(contacts, mesh, plane, gc, THREE, angul
           x: (c1.x + c2.x) / 2,
           y: (c1.y + c2.y) / 2,
           z: (c1.z + c2.z) / 2,
+          impulse: 0,
           isSynthetic: true
         });
       }
@@ -329,6 +369,38 @@ export function augmentContactsWithKDOP8(contacts, mesh, plane, gc, THREE, angul
   return augmented;
 }
 
+/**
+ * Augment sparse contacts with samples of the mesh section just above the contact plane
+ * @param {Array} contacts - Filtered real contacts
+ * @param {THREE.Mesh} mesh - Body mesh
+ * @param {Plane} plane - Contact plane
+ * @param {Object} THREE - Three.js namespace
+ * @param {Object} options - { offset, maxOutline, maxInterior } (see getMeshSliceOnPlane)
+ */
+export function augmentContactsWithMeshSlice(contacts, mesh, plane, THREE, options = {}) {
+  if (contacts.length === 0) {
+    return [];
+  }
+
+  // Copy existing contacts and mark as real (not synthetic)
+  const augmented = contacts.map(pt => ({
+    x: pt.x,
+    y: pt.y,
+    z: pt.z,
+    impulse: pt.impulse ?? 0,
+    isSynthetic: false
+  }));
+
+  const samples = getMeshSliceOnPlane(mesh, plane, THREE, options);
+  if (samples) {
+    for (const p of samples) {
+      augmented.push({ x: p.x, y: p.y, z: p.z, impulse: 0, isSynthetic: true });
+    }
+  }
+
+  return augmented;
+}
+
 // ===== Utility Functions for Contact Separation =====
 export function getRealContacts(contactSamples) {
   return contactSamples.filter(pt => !pt.isSynthetic);
@@ -346,6 +418,14 @@ export function separateContacts(contactSamples) {
   };
 }
 
+// Same Ammo body? Wrappers returned by getBody0 / getBody1 are not the objects Ammo handed out at
+// creation, so compare the underlying pointers as well
+export function isSameBody(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return a.ptr !== undefined && a.ptr === b.ptr;
+}
+
 export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STABLE_BOX, softGroundThreshold = 0.15, params = null, state = null) {
   // Check if this is a soft body
   const isSoftBody = dynMesh && dynMesh.userData.isSoftBody;
@@ -357,7 +437,7 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
   if (!state) state = new ContactState();
 
   // Calculate frame-rate independent dt
-  const currentTime = performance.now() / 1000.0; // Convert to seconds
+  const currentTime = state.clockTime ?? (performance.now() / 1000.0); // Convert to seconds
   if (state.lastUpdateTime !== null) {
     state.prevDt = currentTime - state.lastUpdateTime;
   } else {
@@ -367,12 +447,15 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
 
   // Set ground offset from softGroundThreshold if not explicitly set
   const groundOffset = params.groundOffset ?? softGroundThreshold;
-  const n = params.groundNormal;
+  const support = params.supportPlane;
+  const n = support ? support.normal : params.groundNormal;
   
-  // Create plane for geometric operations
+  // Create plane for geometric operations (offset along the surface normal on inclined ground)
   let plane = null;
   try {
-    plane = new Plane(new THREE.Vector3(n.x, n.y, n.z), new THREE.Vector3(0, groundOffset, 0));
+    plane = support
+      ? new Plane(support.normal, support.p0.clone().addScaledVector(support.normal, groundOffset))
+      : new Plane(new THREE.Vector3(n.x, n.y, n.z), new THREE.Vector3(0, groundOffset, 0));
     
     // Verify plane has required methods
     if (!plane.getLocalFrame || typeof plane.getLocalFrame !== 'function') {
@@ -390,6 +473,33 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
   const pAccum = new THREE.Vector3(0, 0, 0);
   let rawCount = 0;
 
+  // Applied impulse along the ground normal, summed over accepted manifold contacts (N·s)
+  let normalImpulse = 0;
+  let impulseContacts = 0;
+  const addImpulse = (p, nB) => {
+    const impulse = p.getAppliedImpulse?.() ?? 0;
+    if (impulse > 0) {
+      // |n·g| keeps ground reactions and drops wall pushes (normal sign depends on body order)
+      const along = nB ? Math.abs(nB.x() * n.x + nB.y() * n.y + nB.z() * n.z) : 1;
+      normalImpulse += impulse * along;
+      impulseContacts++;
+    }
+    return impulse;
+  };
+
+  // Per-stage counts (in → out) so a collapsing contact count can be traced to the filter responsible
+  const stages = {
+    acquire: { in: 0, out: 0, manifolds: 0, rejectedDistance: 0, manifoldContacts: 0, nodeContacts: 0, impulseContacts: 0 },
+    gridDedupe: { enabled: params.enableGridDedupe, applied: false, in: 0, out: 0 },
+    iqrOutlier: { enabled: params.enableIQROutlier, applied: false, in: 0, out: 0 },
+    neighborSupport: { enabled: params.enableNeighborSupport, applied: false, reverted: false, in: 0, out: 0 },
+    qualityGates: { enabled: params.enableQualityGates, in: 0, out: 0, fired: [] },
+    holdLast: { enabled: params.enableHoldLast, used: false, holdFrames: 0 },
+    ema: { enabled: params.enableEMASmoothing, applied: false, alpha: null },
+    centroid: { tracker: params.centroidTracker, applied: false, innovation: null, lag: null },
+    augmentation: { in: 0, out: 0, synthetic: 0, strategy: params.syntheticStrategy }
+  };
+
   // ===== PHASE 1: ACQUIRE CANDIDATES =====
   if (isSoftBody && dynMesh.userData.physicsBody) {
     // SOFT BODY PATH: Use BOTH manifold contacts AND signed distance
@@ -399,6 +509,7 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     // FIRST: Check contact manifolds (soft body <-> rigid body contacts)
     const manifolds = dispatcher.getNumManifolds();
     const maxManifolds = Math.min(manifolds, params.maxManifolds);
+    stages.acquire.manifolds = maxManifolds;
 
     for (let i = 0; i < maxManifolds; i++) {
       const m = dispatcher.getManifoldByIndexInternal(i);
@@ -406,17 +517,19 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       const body1 = m.getBody1();
 
       // Check if this manifold involves our soft body
-      const involvesOurSoftBody = (body0 === softBody || body1 === softBody);
+      const involvesOurSoftBody = isSameBody(body0, softBody) || isSameBody(body1, softBody);
 
       if (involvesOurSoftBody) {
         const numContacts = m.getNumContacts();
 
         for (let j = 0; j < numContacts && candidates.length < params.N_target; j++) {
           const p = m.getContactPoint(j);
+          stages.acquire.in++;
 
           // For soft bodies, be very lenient with distance
           const distance = p.getDistance?.() ?? 0;
           const acceptContact = params.enableDistanceFilter ? (distance <= params.d_max) : true;
+          if (!acceptContact) stages.acquire.rejectedDistance++;
 
           if (acceptContact) {
             const nB = p.get_m_normalWorldOnB && p.get_m_normalWorldOnB();
@@ -426,9 +539,11 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
               nAccum.z += nB.z();
             }
 
+            const impulse = addImpulse(p, nB);
+
             const pwB = p.get_m_positionWorldOnB && p.get_m_positionWorldOnB();
             if (pwB) {
-              const pi = { x: pwB.x(), y: pwB.y(), z: pwB.z() };
+              const pi = { x: pwB.x(), y: pwB.y(), z: pwB.z(), impulse };
               candidates.push(pi);
 
               pAccum.x += pi.x;
@@ -452,6 +567,7 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     if (!state.prevSD) state.prevSD = new Array(nodeCount).fill(1e9);
 
     for (let i = 0; i < nodeCount && candidates.length < params.N_target; i++) {
+      stages.acquire.in++;
       const node = nodes.at(i);
       const nodePos = node.get_m_x();
       const nodeNormal = node.get_m_n();
@@ -488,7 +604,8 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       }
 
       if (keepNode) {
-        candidates.push({x: pi.x, y: pi.y, z: pi.z});
+        // Node contacts carry no solver impulse
+        candidates.push({x: pi.x, y: pi.y, z: pi.z, impulse: 0});
 
         // Accumulate position and normal
         pAccum.x += pi.x;
@@ -506,22 +623,34 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       // Update state
       state.prevSD[i] = sd;
     }
+
+    stages.acquire.manifoldContacts = manifoldContactsFound;
+    stages.acquire.nodeContacts = nodeContactsFound;
   } else {
     // RIGID BODY PATH: Manifold scanning with distance filter
+    // With several dynamic bodies in the world, only manifolds involving this mesh's body count
+    const rigidBody = dynMesh ? dynMesh.userData.physicsBody : null;
     const manifolds = dispatcher.getNumManifolds();
     const maxManifolds = Math.min(manifolds, params.maxManifolds);
 
+    stages.acquire.manifolds = maxManifolds;
+
     for (let i = 0; i < maxManifolds && candidates.length < params.N_target; i++) {
       const m = dispatcher.getManifoldByIndexInternal(i);
+      if (rigidBody && !isSameBody(m.getBody0(), rigidBody) && !isSameBody(m.getBody1(), rigidBody)) continue;
       const n = m.getNumContacts();
 
       for (let j = 0; j < n && candidates.length < params.N_target; j++) {
         const p = m.getContactPoint(j);
+        stages.acquire.in++;
 
         // Distance filter: reject separated contacts (optional)
         if (params.enableDistanceFilter) {
           const distance = p.getDistance?.() ?? 0;
-          if (distance > params.d_max) continue;
+          if (distance > params.d_max) {
+            stages.acquire.rejectedDistance++;
+            continue;
+          }
         }
 
         const nB = p.get_m_normalWorldOnB && p.get_m_normalWorldOnB();
@@ -531,9 +660,11 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
           nAccum.z += nB.z();
         }
 
+        const impulse = addImpulse(p, nB);
+
         const pwB = p.get_m_positionWorldOnB && p.get_m_positionWorldOnB();
         if (pwB) {
-          const pi = { x: pwB.x(), y: pwB.y(), z: pwB.z() };
+          const pi = { x: pwB.x(), y: pwB.y(), z: pwB.z(), impulse };
           candidates.push(pi);
 
           pAccum.x += pi.x;
@@ -541,25 +672,36 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
           pAccum.z += pi.z;
 
           rawCount++;
+          stages.acquire.manifoldContacts++;
         }
       }
     }
   }
+  stages.acquire.out = candidates.length;
+  stages.acquire.impulseContacts = impulseContacts;
+
+  // Total normal force over the last solver step
+  const normalForce = normalImpulse / Math.max(1e-6, params.solverTimestep);
 
   // ===== PHASE 2: NOISE CONTROL =====
   let filtered = candidates;
   const beforeFiltering = filtered.length;
 
 
-  // Filter 1: XZ Grid Deduplication (optional)
+  // Filter 1: XZ Grid Deduplication (optional) - in the support plane's (u, v) on inclined ground
+  stages.gridDedupe.in = filtered.length;
   if (params.enableGridDedupe && filtered.length > 0) {
+    stages.gridDedupe.applied = true;
     const seen = new Set();
     const dedup = [];
     const gridInv = 1 / params.gridCellXZ;
+    const frame = support && plane ? getContactFrame(plane) : null;
 
     for (const pt of filtered) {
-      const gx = Math.floor(pt.x * gridInv);
-      const gz = Math.floor(pt.z * gridInv);
+      const px = frame ? pt.x * frame.tangent.x + pt.y * frame.tangent.y + pt.z * frame.tangent.z : pt.x;
+      const pz = frame ? pt.x * frame.bitangent.x + pt.y * frame.bitangent.y + pt.z * frame.bitangent.z : pt.z;
+      const gx = Math.floor(px * gridInv);
+      const gz = Math.floor(pz * gridInv);
       const key = `${gx},${gz}`; // String key prevents hash collisions
 
       if (!seen.has(key)) {
@@ -569,10 +711,13 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     }
     filtered = dedup;
   }
+  stages.gridDedupe.out = filtered.length;
 
   // Filter 2: Height Outlier Rejection (IQR) (optional)
   // Only apply IQR when n >= 8 (quartiles well-defined)
+  stages.iqrOutlier.in = filtered.length;
   if (params.enableIQROutlier && filtered.length >= 8 && plane) {
+    stages.iqrOutlier.applied = true;
     const beforeIQR = filtered.length;
     const distances = filtered.map(p => plane.signedDistanceToPoint(new THREE.Vector3(p.x, p.y, p.z))).sort((a, b) => a - b);
     const q25 = distances[Math.floor(distances.length * 0.25)];
@@ -586,10 +731,13 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
         return dist >= dMin && dist <= dMax;
     });
   }
+  stages.iqrOutlier.out = filtered.length;
 
   // Filter 3: Neighbor Support with Spatial Grid (O(n) instead of O(n²))
   // Note: This is disabled by default for soft bodies in ContactParams.forSoftBody()
+  stages.neighborSupport.in = filtered.length;
   if (params.enableNeighborSupport && isSoftBody && filtered.length > params.k) {
+    stages.neighborSupport.applied = true;
     // Build spatial grid for O(n) neighbor queries
     const grid = new SpatialGrid(params.r_n);
     for (const pt of filtered) {
@@ -608,8 +756,11 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     // Only apply filter if we still have enough contacts after filtering
     if (kept.length >= params.k) {
       filtered = kept;
+    } else {
+      stages.neighborSupport.reverted = true;
     }
   }
+  stages.neighborSupport.out = filtered.length;
 
 
   // ===== PHASE 3: CENTROID & NORMAL =====
@@ -639,20 +790,50 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       z: sumz / filtered.length
     };
 
-    // Temporal EMA smoothing (optional) - frame-rate independent
-    if (params.enableEMASmoothing && state.prevC && state.prevDt) {
+    // Temporal smoothing (optional) - EMA, Kalman or one-euro tracker, all frame-rate independent
+    const measured = geometricCenter;
+    const dt = state.prevDt;
+    if (params.enableEMASmoothing && params.centroidTracker === 'kalman') {
+      if (!state.kalman || currentTime - state.kalman.time > params.trackerMaxGap || !(dt > 0)) {
+        state.kalman = createKalmanState(measured, params.bodyVelocity, params, currentTime);
+      } else {
+        const k = kalmanStep(state.kalman, measured, params.bodyVelocity, dt, params);
+        state.kalman.time = currentTime;
+        geometricCenter = k.center;
+        stages.centroid.applied = true;
+        stages.centroid.innovation = k.innovation;
+      }
+    } else if (params.enableEMASmoothing && params.centroidTracker === 'oneEuro') {
+      if (!state.oneEuro || currentTime - state.oneEuro.time > params.trackerMaxGap || !(dt > 0)) {
+        state.oneEuro = createOneEuroState(measured, currentTime);
+      } else {
+        const f = oneEuroStep(state.oneEuro, measured, dt, params);
+        state.oneEuro.time = currentTime;
+        geometricCenter = f.center;
+        stages.centroid.applied = true;
+        stages.centroid.innovation = f.innovation;
+      }
+    } else if (params.enableEMASmoothing && state.prevC && state.prevDt) {
       // α = exp(-dt/τ) for frame-rate independence
       const alpha = Math.exp(-state.prevDt / params.tauCentroid);
+      stages.ema.applied = true;
+      stages.ema.alpha = alpha;
+      stages.centroid.applied = true;
+      stages.centroid.innovation = Math.hypot(measured.x - state.prevC.x, measured.y - state.prevC.y, measured.z - state.prevC.z);
       geometricCenter = {
         x: alpha * state.prevC.x + (1 - alpha) * geometricCenter.x,
         y: alpha * state.prevC.y + (1 - alpha) * geometricCenter.y,
         z: alpha * state.prevC.z + (1 - alpha) * geometricCenter.z
       };
     }
+
+    // Lag: how far the tracked centroid sits from this frame's measured centroid
+    stages.centroid.lag = Math.hypot(geometricCenter.x - measured.x, geometricCenter.y - measured.y, geometricCenter.z - measured.z);
   }
 
   // ===== PHASE 4: QUALITY GATES =====
   const flags = { degraded: false, rejected: false, held: false, reasons: [] };
+  stages.qualityGates.in = filtered.length;
 
   if (params.enableQualityGates) {
     // Sparse contact gate
@@ -688,6 +869,7 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       geometricCenter = state.prevC;
       flags.held = true;
       state.holdFrames++;
+      stages.holdLast.used = true;
     } else {
       state.holdFrames = 0;
       state.prevPts = filtered;
@@ -700,6 +882,10 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     if (geometricCenter) state.prevC = geometricCenter;
   }
 
+  stages.qualityGates.fired = [...flags.reasons];
+  stages.qualityGates.out = filtered.length;
+  stages.holdLast.holdFrames = state.holdFrames;
+
   // ===== PHASE 5: AUGMENTATION (if still sparse) =====
   let finalContacts;
   let syntheticCount = 0;
@@ -728,15 +914,21 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       }
     }
 
-    // Augment with synthetic KDOP-8 corner points (4-8 points depending on rotation)
-    const augmented = augmentContactsWithKDOP8(
-      filtered,
-      dynMesh,
-      plane,
-      geometricCenter,
-      THREE,
-      angularVelocity  // Pass angular velocity for high-rotation detection
-    );
+    // Augment with the mesh section outline / interior, or with KDOP-8 corner points (4-8 points depending on rotation)
+    const augmented = params.syntheticStrategy === 'meshSlice'
+      ? augmentContactsWithMeshSlice(filtered, dynMesh, plane, THREE, {
+        offset: params.sliceOffset,
+        maxOutline: params.sliceMaxOutline,
+        maxInterior: params.sliceMaxInterior
+      })
+      : augmentContactsWithKDOP8(
+        filtered,
+        dynMesh,
+        plane,
+        geometricCenter,
+        THREE,
+        angularVelocity  // Pass angular velocity for high-rotation detection
+      );
 
     finalContacts = augmented;
     syntheticCount = augmented.filter(pt => pt.isSynthetic).length;
@@ -746,6 +938,7 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       x: pt.x,
       y: pt.y,
       z: pt.z,
+      impulse: pt.impulse ?? 0,
       isSynthetic: false
     }));
   } else {
@@ -755,6 +948,9 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
 
   // ===== RETURN RESULTS =====
   const realContactCount = finalContacts.filter(pt => !pt.isSynthetic).length;
+  stages.augmentation.in = filtered.length;
+  stages.augmentation.out = finalContacts.length;
+  stages.augmentation.synthetic = syntheticCount;
 
   return {
     contactSamples: finalContacts,
@@ -766,6 +962,9 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
     avgContactNormal,
     avgContactPoint,
     geometricCenter: geometricCenter || { x: 0, y: 0, z: 0 },
+    normalImpulse,
+    normalForce,
+    hasMeasuredForce: impulseContacts > 0,
     flags,
     diagnostics: {
       isSoftBody: isSoftBody,
@@ -779,7 +978,15 @@ export function sampleContacts(dispatcher, THREE, dynMesh, MIN_CONTACTS_FOR_STAB
       hullVertexCount: hullVertexCount,
       usedManifolds: isSoftBody || rawCount > 0,
       contactMethod: isSoftBody ? 'hybrid (manifold + signed distance)' : 'manifold only',
-      augmentationUsed: syntheticCount > 0 ? 'hull-based' : 'none'
+      augmentationUsed: syntheticCount > 0 ? params.syntheticStrategy : 'none',
+      stages: stages,
+      gateFired: flags.reasons.length > 0 ? flags.reasons.join(',') : null,
+      heldLast: flags.held,
+      emaAlpha: stages.ema.alpha,
+      centroidTracker: params.centroidTracker,
+      centroidInnovation: stages.centroid.innovation,
+      centroidLag: stages.centroid.lag,
+      normalForce: normalForce
     }
   };
 }
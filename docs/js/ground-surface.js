@@ -0,0 +1,208 @@
+// Ground Surface
+// Support-surface queries for non-horizontal ground (ramps, bowls, loaded GLB ground).
+// Contact checks use the local tangent plane under the body; accumulation maps world points into the
+// ground mesh's UV space (canvas x = u·W, canvas y = (1 - v)·H, matching CanvasTexture flipY).
+
+import { Plane } from './math/plane.js?v=2.1';
+
+export const GROUND_SHAPES = ['flat', 'ramp', 'bowl'];
+
+/**
+ * Ground height at world (x, z) for the built-in shapes
+ * @param {string} shape - 'flat' | 'ramp' | 'bowl'
+ * @param {Object} options - { slopeDeg (ramp, falls towards +X), bowlRadius (bowl curvature radius) }
+ */
+export function groundHeight(shape, x, z, options = {}) {
+  switch (shape) {
+    case 'ramp':
+      return -x * Math.tan((options.slopeDeg ?? 12) * Math.PI / 180);
+    case 'bowl': {
+      const R = options.bowlRadius ?? 20;
+      return (x * x + z * z) / (2 * R);
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Ground geometry for the built-in shapes
+ * Same layout and UVs as the flat PlaneGeometry (mesh rotated -π/2 about X), with heights displaced
+ * along local +Z (world +Y), so overlays can share it and keep the planar UV mapping.
+ * @returns {THREE.BufferGeometry}
+ */
+export function createGroundGeometry(THREE, shape, size, options = {}) {
+  const segments = options.segments ?? 100;
+  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+  if (shape === 'flat') return geometry;
+
+  const pos = geometry.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    // Local (x, y) -> world (x, -y) after the -π/2 rotation
+    pos.setZ(i, groundHeight(shape, pos.getX(i), -pos.getY(i), options));
+  }
+  pos.needsUpdate = true;
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+export class GroundSurface {
+  /**
+   * @param {Object} THREE - Three.js namespace
+   * @param {number} size - Size of the analytic flat plane used without a target (or when rays miss)
+   */
+  constructor(THREE, size) {
+    this.THREE = THREE;
+    this.size = size;
+    this.target = null;       // Ground mesh / group to raycast against
+    this.castHeight = 100;    // Rays start this far above the query point
+    this.cache = new Map();   // Samples of the current frame by query cell (beginFrame() clears)
+    this.cacheCell = 0.001;   // Query cell size (m): queries within half a cell share a sample
+    this.maxCached = 256;
+
+    this.raycaster = new THREE.Raycaster();
+    this.up = new THREE.Vector3(0, 1, 0);
+    this.down = new THREE.Vector3(0, -1, 0);
+    this.tmp = new THREE.Vector3();
+  }
+
+  /**
+   * Set the ground object queries run against
+   * @param {THREE.Object3D|null} target - Ground mesh or group (null = flat plane y = 0)
+   * @param {number} size - Fallback plane size (optional)
+   */
+  setTarget(target, size = this.size) {
+    this.target = target;
+    this.size = size;
+    this.cache.clear();
+  }
+
+  /**
+   * Drop the cached samples (call once per frame, before the first query)
+   */
+  beginFrame() {
+    this.cache.clear();
+  }
+
+  /**
+   * Surface sample below (or above) a world point
+   * Cached per frame by (x, z) cell, as the support plane and every canvas mapper of a body query the
+   * same point: returned samples are shared and must not be modified.
+   * @param {Object} point - World position {x, y, z}
+   * @returns {Object} { point, normal, uv, gradU, gradV, hit } - gradU / gradV are the world-space UV
+   *   gradients (UV units per metre) of the hit triangle, hit is false for the analytic fallback
+   */
+  query(point) {
+    // Rays start castHeight above the point, so the height does not change the hit
+    const key = `${Math.round(point.x / this.cacheCell)},${Math.round(point.z / this.cacheCell)}`;
+    let sample = this.cache.get(key);
+    if (!sample) {
+      if (this.cache.size >= this.maxCached) this.cache.clear();
+      sample = this.sampleAt(point);
+      this.cache.set(key, sample);
+    }
+    return sample;
+  }
+
+  /**
+   * Uncached surface sample (see query)
+   */
+  sampleAt(point) {
+    const THREE = this.THREE;
+
+    if (this.target) {
+      this.tmp.set(point.x, point.y + this.castHeight, point.z);
+      this.raycaster.set(this.tmp, this.down);
+      this.target.updateMatrixWorld(true);
+      const hits = this.raycaster.intersectObject(this.target, true);
+      const sample = hits.length > 0 ? this.sampleHit(hits[0]) : null;
+      if (sample) return sample;
+    }
+
+    // Analytic flat plane: same mapping as PlaneGeometry(size) rotated -π/2 about X
+    const S = this.size;
+    return {
+      point: new THREE.Vector3(point.x, 0, point.z),
+      normal: this.up.clone(),
+      uv: new THREE.Vector2((point.x + S / 2) / S, 1 - (point.z + S / 2) / S),
+      gradU: new THREE.Vector3(1 / S, 0, 0),
+      gradV: new THREE.Vector3(0, 0, -1 / S),
+      hit: false
+    };
+  }
+
+  /**
+   * Normal, UV and UV gradients from a raycast hit (null without UVs)
+   */
+  sampleHit(hit) {
+    const THREE = this.THREE;
+    const geometry = hit.object.geometry;
+    const uvAttr = geometry && geometry.attributes.uv;
+    if (!hit.face || !hit.uv || !uvAttr) return null;
+
+    const pos = geometry.attributes.position;
+    const { a, b, c } = hit.face;
+    const p0 = new THREE.Vector3().fromBufferAttribute(pos, a).applyMatrix4(hit.object.matrixWorld);
+    const e1 = new THREE.Vector3().fromBufferAttribute(pos, b).applyMatrix4(hit.object.matrixWorld).sub(p0);
+    const e2 = new THREE.Vector3().fromBufferAttribute(pos, c).applyMatrix4(hit.object.matrixWorld).sub(p0);
+
+    const normal = new THREE.Vector3().crossVectors(e1, e2);
+    if (normal.lengthSq() < 1e-20) return null;
+    normal.normalize();
+    if (normal.dot(this.up) < 0) normal.negate();
+
+    // In-plane UV gradients: solve grad·e1 = Δ1, grad·e2 = Δ2 with grad = α·e1 + β·e2
+    const du1 = uvAttr.getX(b) - uvAttr.getX(a), dv1 = uvAttr.getY(b) - uvAttr.getY(a);
+    const du2 = uvAttr.getX(c) - uvAttr.getX(a), dv2 = uvAttr.getY(c) - uvAttr.getY(a);
+    const g11 = e1.dot(e1), g12 = e1.dot(e2), g22 = e2.dot(e2);
+    const det = g11 * g22 - g12 * g12;
+    const gradient = (d1, d2) => {
+      const alpha = (g22 * d1 - g12 * d2) / det;
+      const beta = (g11 * d2 - g12 * d1) / det;
+      return e1.clone().multiplyScalar(alpha).addScaledVector(e2, beta);
+    };
+
+    return {
+      point: hit.point.clone(),
+      normal,
+      uv: hit.uv.clone(),
+      gradU: gradient(du1, du2),
+      gradV: gradient(dv1, dv2),
+      hit: true
+    };
+  }
+
+  /**
+   * Tangent plane of the supporting surface under a point
+   * @returns {Plane}
+   */
+  getSupportPlane(point) {
+    const q = this.query(point);
+    return new Plane(q.normal, q.point);
+  }
+
+  /**
+   * Linear world -> canvas mapping around a point (exact for planar UVs, first order on curved ground)
+   * @param {Object} point - Anchor point (e.g. OBB center)
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @returns {Object} { toCanvas(x, y, z) -> {x, y}, pixelsPerMeter, sample }
+   */
+  createCanvasMapper(point, width, height) {
+    const q = this.query(point);
+    const o = q.point, gu = q.gradU, gv = q.gradV;
+
+    return {
+      sample: q,
+      pixelsPerMeter: Math.sqrt(gu.length() * width * gv.length() * height),
+      toCanvas: (x, y, z) => {
+        const dx = x - o.x, dy = y - o.y, dz = z - o.z;
+        const u = q.uv.x + gu.x * dx + gu.y * dy + gu.z * dz;
+        const v = q.uv.y + gv.x * dx + gv.y * dy + gv.z * dz;
+        return { x: u * width, y: (1 - v) * height };
+      }
+    };
+  }
+}
@@ -6,8 +6,11 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
 // Import modules
 import { generateRandomGroundTexture, generateRandomCubeTexture } from './textures.js';
-import { sampleContacts, getRealContacts, getSyntheticContacts, separateContacts } from './contacts.js';
+import { sampleContacts, ContactParams, getRealContacts, getSyntheticContacts, separateContacts } from './contacts.js';
 import { computeBoundingBox } from './bounding-box/index.js';
+import { BBoxBenchmark, BBoxBenchmarkOverlay, BBOX_ALGORITHMS, BBOX_ALGORITHM_COLORS } from './bounding-box/benchmark.js';
+import { computeFootprint, FootprintOverlay } from './bounding-box/footprint.js';
+import { Plane } from './math/plane.js?v=2.1';
 import { BodyManager } from './body-manager.js';
 import {
   createOBBVisualization,
@@ -23,6 +26,15 @@ import {
 import { PiPManager } from './pip/index.js';
 import { saveCanvasAsPNG, hasPixelContent, sanitizePhysicsValue, sanitizeVector3 } from './utils.js';
 import { GroundVariantManager } from './managers/ground-variant-manager.js';
+import { WallStampingManager } from './managers/wall-stamping-manager.js';
+import { ImpactAccumulationManager } from './managers/impact-accumulation-manager.js';
+import { ContactDiagnosticsHUD } from './contact-diagnostics-hud.js';
+import { ContactTraceRecorder, parseContactTrace } from './trace/contact-trace.js';
+import { ContactTracePlayer } from './trace/contact-trace-player.js';
+import { BodyContactTracker } from './body-tracker.js';
+import { classifyContactSlip, buildSlipMask } from './contact-slip.js';
+import { ContactEventEmitter } from './contact-events.js';
+import { GroundSurface, createGroundGeometry } from './ground-surface.js';
 
 // Initialize Ammo.js
 const A = await Ammo();
@@ -35,7 +47,8 @@ const CFG = {
   OBB_DEPTH: 2.5,
   MIN_CONTACT_SIZE: 0.05,
   CONTACT_POINT_SIZE: 0.12,
-  GEOM_MEAN_SIZE: 0.18
+  GEOM_MEAN_SIZE: 0.18,
+  MAX_BODIES: 64
 };
 
 // ======= Scene Manager Class =======
@@ -137,6 +150,7 @@ class GroundManager {
     this.CFG = CFG;
     this.ground = null;
     this.groundBody = null;
+    this.shape = 'flat';
     this.wallObstacleMesh = null;
     this.wallObstacleBody = null;
   }
@@ -174,16 +188,7 @@ class GroundManager {
     this.scene.add(this.ground);
 
     // Ground physics body
-    const groundShape = new this.A.btBoxShape(new this.A.btVector3(this.CFG.PLANE_SIZE / 2, 0.5, this.CFG.PLANE_SIZE / 2));
-    const gTr = new this.A.btTransform();
-    gTr.setIdentity();
-    gTr.setOrigin(new this.A.btVector3(0, -0.5, 0));
-    const gMotion = new this.A.btDefaultMotionState(gTr);
-    const gInfo = new this.A.btRigidBodyConstructionInfo(0, gMotion, groundShape, new this.A.btVector3(0, 0, 0));
-    this.groundBody = new this.A.btRigidBody(gInfo);
-    this.groundBody.setFriction(0.5);
-    this.groundBody.setRestitution(0.6);
-    this.groundBody.setRollingFriction(0.1);
+    this.groundBody = this.createGroundBody();
     this.world.addRigidBody(this.groundBody);
 
     // Wall obstacle
@@ -224,6 +229,74 @@ class GroundManager {
       wallObstacleBody: this.wallObstacleBody
     };
   }
+
+  /**
+   * Ground collider for the current shape
+   * Flat ground keeps the 1m thick box; ramps and bowls use a triangle mesh built from the render geometry
+   */
+  createGroundBody() {
+    let groundShape;
+    const gTr = new this.A.btTransform();
+    gTr.setIdentity();
+
+    if (this.shape === 'flat') {
+      groundShape = new this.A.btBoxShape(new this.A.btVector3(this.CFG.PLANE_SIZE / 2, 0.5, this.CFG.PLANE_SIZE / 2));
+      gTr.setOrigin(new this.A.btVector3(0, -0.5, 0));
+    } else {
+      this.ground.updateMatrixWorld(true);
+      const geometry = this.ground.geometry;
+      const pos = geometry.attributes.position;
+      const index = geometry.index;
+      const triCount = index ? index.count / 3 : pos.count / 3;
+      const triMesh = new this.A.btTriangleMesh(true, true);
+      const v = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+      const bv = [new this.A.btVector3(0, 0, 0), new this.A.btVector3(0, 0, 0), new this.A.btVector3(0, 0, 0)];
+
+      for (let t = 0; t < triCount; t++) {
+        for (let k = 0; k < 3; k++) {
+          const i = index ? index.getX(t * 3 + k) : t * 3 + k;
+          v[k].fromBufferAttribute(pos, i).applyMatrix4(this.ground.matrixWorld);
+          bv[k].setValue(v[k].x, v[k].y, v[k].z);
+        }
+        triMesh.addTriangle(bv[0], bv[1], bv[2], false);
+      }
+      bv.forEach(b => this.A.destroy(b));
+
+      groundShape = new this.A.btBvhTriangleMeshShape(triMesh, true, true);
+      groundShape.setMargin(0.02);
+    }
+
+    const gMotion = new this.A.btDefaultMotionState(gTr);
+    const gInfo = new this.A.btRigidBodyConstructionInfo(0, gMotion, groundShape, new this.A.btVector3(0, 0, 0));
+    const body = new this.A.btRigidBody(gInfo);
+    body.setFriction(0.5);
+    body.setRestitution(0.6);
+    body.setRollingFriction(0.1);
+    return body;
+  }
+
+  /**
+   * Switch the ground between 'flat', 'ramp' and 'bowl' (render mesh and collider)
+   * The collider is only added back if the ground was active (a variant ground removes it)
+   */
+  setShape(shape) {
+    if (!this.ground || shape === this.shape) return;
+    this.shape = shape;
+
+    this.ground.geometry.dispose();
+    this.ground.geometry = createGroundGeometry(THREE, shape, this.CFG.PLANE_SIZE);
+
+    const wasActive = this.ground.visible;
+    if (this.groundBody) {
+      if (wasActive) this.world.removeRigidBody(this.groundBody);
+      this.A.destroy(this.groundBody);
+    }
+    this.groundBody = this.createGroundBody();
+    if (wasActive) this.world.addRigidBody(this.groundBody);
+    window.groundBody = this.groundBody;
+
+    console.log(`Ground shape: ${shape}`);
+  }
 }
 
 // ======= Stamping Manager Class =======
@@ -290,6 +363,16 @@ class StampingManager {
     this.stampCtx.clearRect(0, 0, this.stampCanvas.width, this.stampCanvas.height);
     this.stampTexture.needsUpdate = true;
   }
+
+  /**
+   * Follow the ground shape (same layout and UVs as the ground mesh)
+   */
+  setSurfaceGeometry(geometry) {
+    if (this.stampOverlay) {
+      this.stampOverlay.geometry.dispose();
+      this.stampOverlay.geometry = geometry.clone();
+    }
+  }
 }
 
 
@@ -420,6 +503,16 @@ class FlowAccumulationManager {
     }
   }
 
+  /**
+   * Follow the ground shape (same layout and UVs as the ground mesh)
+   */
+  setSurfaceGeometry(geometry) {
+    if (this.flowOverlay) {
+      this.flowOverlay.geometry.dispose();
+      this.flowOverlay.geometry = geometry.clone();
+    }
+  }
+
   /**
    * Cross product for rotational velocity: ω × r
    */
@@ -478,8 +571,12 @@ class FlowAccumulationManager {
    * This creates a persistent history of all contact events
    *
    * @param {number} timestep - Time elapsed since last accumulation in seconds (δt)
+   * @param {Object} pressureField - Shared contact pressure (pip/pressure.js): its contact pixels and per-pixel
+   *   pressure replace the top ∧ bottom intersection and F / A (null = intersection, uniform pressure)
+   * @param {Float32Array} gpuFlow - GPU flow pass of the same frame (PiPGPUPasses.readFlow()): its contact pixels,
+   *   pressure and tangential velocities replace the pixels, the pressure field and the velocity math (null = CPU)
    */
-  accumulate(pixels1, pixels2, velocity, angularVelocity, normalForceValue, lastOBB, stampWorldX, stampWorldZ, timestep = 0) {
+  accumulate(pixels1, pixels2, velocity, angularVelocity, normalForceValue, lastOBB, stampWorldX, stampWorldZ, timestep = 0, slipMask = null, footprintMask = null, pressureField = null, gpuFlow = null) {
     if (!velocity || !lastOBB) return;
 
     // Validate and cap timestep for numerical stability
@@ -510,8 +607,10 @@ class FlowAccumulationManager {
     const e1 = lastOBB.e1;
     const e2 = lastOBB.e2;
 
-    // Contact plane normal (ground plane: pointing up) - normalized
-    const normal = { x: 0, y: 1, z: 0 };
+    // Ground mesh UV mapping around the contact, and the surface normal there (up on flat ground)
+    const mapper = window.groundSurface.createCanvasMapper(center, W_canvas, H_canvas);
+    const sn = mapper.sample.normal;
+    const normal = { x: sn.x, y: sn.y, z: sn.z };
     const normalMag = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z);
     if (normalMag > 1e-9) {
       normal.x /= normalMag;
@@ -525,10 +624,12 @@ class FlowAccumulationManager {
     const stampSizeWorld = Math.max(paddedWidth, paddedHeight);
 
     // FIRST PASS: Count intersection pixels and calculate contact area
+    // (inside the footprint polygon when one is given, so round / concave patches are not counted as boxes)
     let intersectionPixelCount = 0;
-    for (let y = 0; y < H_pip; y++) {
+    for (let y = 0; y < H_pip && !pressureField && !gpuFlow; y++) {
       for (let x = 0; x < W_pip; x++) {
         const pipIdx = (y * W_pip + x) * 4;
+        if (footprintMask && !footprintMask[y * W_pip + x]) continue;
         const has1 = hasPixelContent(pixels1, pipIdx);
         const has2 = hasPixelContent(pixels2, pipIdx);
         if (has1 && has2) {
@@ -547,20 +648,25 @@ class FlowAccumulationManager {
     const pressure = contactArea > 0.001 ? normalForceValue / contactArea : 0;
 
     // SECOND PASS: Process each pixel in intersection with accurate pressure
+    // (sticking / impacting area still carries load above, but only slipping pixels wear)
     for (let y = 0; y < H_pip; y++) {
       for (let x = 0; x < W_pip; x++) {
         const pipIdx = (y * W_pip + x) * 4;
+        if (slipMask && !slipMask[y * W_pip + x]) continue;
+        if (footprintMask && !footprintMask[y * W_pip + x]) continue;
 
-        // Check if pixel is in intersection using alpha-aware detection
-        const has1 = hasPixelContent(pixels1, pipIdx);
-        const has2 = hasPixelContent(pixels2, pipIdx);
+        // Check if pixel is in intersection using alpha-aware detection (or in the GPU flow / pressure field contact)
+        const inContact = gpuFlow ? gpuFlow[pipIdx + 3] >= 0
+          : pressureField ? pressureField.contact[y * W_pip + x]
+          : hasPixelContent(pixels1, pipIdx) && hasPixelContent(pixels2, pipIdx);
 
-        if (has1 && has2) {
+        if (inContact) {
           // Convert PiP pixel to world space (relative to OBB center)
           const u = (x / W_pip) - 0.5;
           const v = (y / H_pip) - 0.5;
 
           const worldX = center.x + u * width * e1.x + v * height * e2.x;
+          const worldY = center.y + u * width * e1.y + v * height * e2.y;
           const worldZ = center.z + u * width * e1.z + v * height * e2.z;
 
           /**
@@ -584,37 +690,43 @@ class FlowAccumulationManager {
            * - ΔL = τ × δt (angular momentum change = torque × timestep)
            */
 
-          // Position vector from center (WORLD SPACE)
-          const r = {
-            x: worldX - center.x,
-            y: 0,
-            z: worldZ - center.z
-          };
-
-          // Calculate rotational velocity: v_rot = ω × r (WORLD SPACE)
-          // For rotating bodies: different points have different velocities
-          // Velocity increases linearly with distance from rotation axis
-          let v_rot = { x: 0, y: 0, z: 0 };
-          if (angularVelocity) {
-            v_rot = this.crossProduct(angularVelocity, r);
-          }
+          // Tangential velocity at the pixel (from the GPU flow pass when given)
+          let v_tangential;
+          if (gpuFlow) {
+            v_tangential = { x: gpuFlow[pipIdx], y: gpuFlow[pipIdx + 1], z: gpuFlow[pipIdx + 2] };
+          } else {
+            // Position vector from center (WORLD SPACE)
+            const r = {
+              x: worldX - center.x,
+              y: worldY - center.y,
+              z: worldZ - center.z
+            };
+
+            // Calculate rotational velocity: v_rot = ω × r (WORLD SPACE)
+            // For rotating bodies: different points have different velocities
+            // Velocity increases linearly with distance from rotation axis
+            let v_rot = { x: 0, y: 0, z: 0 };
+            if (angularVelocity) {
+              v_rot = this.crossProduct(angularVelocity, r);
+            }
 
-          // Total 3D velocity at contact point (WORLD SPACE)
-          // v_total = v_translational + v_rotational
-          const v_3d = {
-            x: velocity.x + v_rot.x,
-            y: v_rot.y,
-            z: velocity.z + v_rot.z
-          };
-
-          // Project to tangent plane (remove normal component)
-          // v_tangential = v - (v · n) * n
-          const v_dot_n = v_3d.x * normal.x + v_3d.y * normal.y + v_3d.z * normal.z;
-          const v_tangential = {
-            x: v_3d.x - v_dot_n * normal.x,
-            y: v_3d.y - v_dot_n * normal.y,
-            z: v_3d.z - v_dot_n * normal.z
-          };
+            // Total 3D velocity at contact point (WORLD SPACE)
+            // v_total = v_translational + v_rotational
+            const v_3d = {
+              x: velocity.x + v_rot.x,
+              y: velocity.y + v_rot.y,
+              z: velocity.z + v_rot.z
+            };
+
+            // Project to tangent plane (remove normal component)
+            // v_tangential = v - (v · n) * n
+            const v_dot_n = v_3d.x * normal.x + v_3d.y * normal.y + v_3d.z * normal.z;
+            v_tangential = {
+              x: v_3d.x - v_dot_n * normal.x,
+              y: v_3d.y - v_dot_n * normal.y,
+              z: v_3d.z - v_dot_n * normal.z
+            };
+          }
 
           // Use accurate pressure from contact force distribution
           // Pressure is already calculated as total normal force / contact area
@@ -623,6 +735,7 @@ class FlowAccumulationManager {
           // Calculate tangential velocity magnitude
           const velMag = Math.sqrt(
             v_tangential.x * v_tangential.x +
+            v_tangential.y * v_tangential.y +
             v_tangential.z * v_tangential.z
           );
 
@@ -644,10 +757,10 @@ class FlowAccumulationManager {
           // (High values are normal during fast rotation: v = ω × r)
 
           if (velMag > 0.01) {
-            // Map world coordinates to ground canvas coordinates (floating point)
-            // Use this.groundSize instead of CFG.PLANE_SIZE to support variant ground scaling
-            const canvasXf = ((worldX + this.groundSize / 2) / this.groundSize) * W_canvas;
-            const canvasYf = ((worldZ + this.groundSize / 2) / this.groundSize) * H_canvas;
+            // Map world coordinates to ground canvas coordinates via the ground mesh UVs (floating point)
+            const mapped = mapper.toCanvas(worldX, worldY, worldZ);
+            const canvasXf = mapped.x;
+            const canvasYf = mapped.y;
 
             // Bilinear splatting coordinates
             const x0 = Math.floor(canvasXf);
@@ -680,7 +793,8 @@ class FlowAccumulationManager {
             }
 
             // Calculate tangential traction (shear stress): τ = μ × σ_n
-            const tangential_traction = mu * pressure;
+            const localPressure = gpuFlow ? gpuFlow[pipIdx + 3] : pressureField ? pressureField.pressure[y * W_pip + x] : pressure;
+            const tangential_traction = mu * localPressure;
 
             // Calculate energy dissipation (power per unit area)
             const energyDissipation = tangential_traction * velMag;
@@ -1012,6 +1126,7 @@ class FlowAccumulationManager {
     const height = lastOBB.height;
     const e1 = lastOBB.e1;
     const e2 = lastOBB.e2;
+    const mapper = window.groundSurface.createCanvasMapper(center, W_canvas, H_canvas);
 
     // Process each pixel in pip6 canvas
     for (let y = 0; y < H_pip; y++) {
@@ -1027,12 +1142,13 @@ class FlowAccumulationManager {
           const v = (y / H_pip) - 0.5;
 
           const worldX = center.x + u * width * e1.x + v * height * e2.x;
+          const worldY = center.y + u * width * e1.y + v * height * e2.y;
           const worldZ = center.z + u * width * e1.z + v * height * e2.z;
 
-          // Map world coordinates to ground canvas coordinates
-          // Use this.groundSize instead of CFG.PLANE_SIZE to support variant ground scaling
-          const canvasX = Math.round(((worldX + this.groundSize / 2) / this.groundSize) * W_canvas);
-          const canvasY = Math.round(((worldZ + this.groundSize / 2) / this.groundSize) * H_canvas);
+          // Map world coordinates to ground canvas coordinates via the ground mesh UVs
+          const mapped = mapper.toCanvas(worldX, worldY, worldZ);
+          const canvasX = Math.round(mapped.x);
+          const canvasY = Math.round(mapped.y);
 
           // Check bounds
           if (canvasX >= 0 && canvasX < W_canvas && canvasY >= 0 && canvasY < H_canvas) {
@@ -1201,13 +1317,26 @@ class SlidingDistanceManager {
     }
   }
 
+  /**
+   * Follow the ground shape (same layout and UVs as the ground mesh)
+   */
+  setSurfaceGeometry(geometry) {
+    if (this.slidingOverlay) {
+      this.slidingOverlay.geometry.dispose();
+      this.slidingOverlay.geometry = geometry.clone();
+    }
+  }
+
   /**
    * Accumulate sliding distance from PiP contact region
    * Tracks total distance traveled by each point on the ground
    */
-  accumulate(pixels1, pixels2, velocity, angularVelocity, lastOBB, timestep = 0) {
+  accumulate(pixels1, pixels2, velocity, angularVelocity, lastOBB, timestep = 0, normalForce = null, slipMask = null, footprintMask = null, pressureField = null) {
     if (!velocity || !lastOBB || timestep <= 0) return;
 
+    // No sliding under zero load (e.g. measured force is all wall reaction, nothing on the ground)
+    if (normalForce !== null && normalForce <= 0) return;
+
     const W_pip = this.CFG.PIP_W;
     const H_pip = this.CFG.PIP_H;
     const W_canvas = this.slidingCanvas.width;
@@ -1220,6 +1349,7 @@ class SlidingDistanceManager {
 
     const width = lastOBB.width;
     const height = lastOBB.height;
+    const mapper = window.groundSurface.createCanvasMapper(center, W_canvas, H_canvas);
 
     // Get ground velocity (relative motion)
     let groundVelocity = { x: 0, y: 0, z: 0 };
@@ -1244,21 +1374,30 @@ class SlidingDistanceManager {
       for (let x = 0; x < W_pip; x++) {
         const pixelIdx = (y * W_pip + x) * 4;
 
-        // Check if pixel has content (intersection from both views)
-        const hasContent = (pixels1[pixelIdx + 3] > 10) && (pixels2[pixelIdx + 3] > 10);
+        // Check if pixel has content (intersection from both views, or loaded in the pressure field)
+        const hasContent = pressureField
+          ? pressureField.contact[y * W_pip + x] === 1 && pressureField.pressure[y * W_pip + x] > 0
+          : (pixels1[pixelIdx + 3] > 10) && (pixels2[pixelIdx + 3] > 10);
         if (!hasContent) continue;
 
+        // Sticking / impacting contact area does not slide
+        if (slipMask && !slipMask[y * W_pip + x]) continue;
+
+        // Outside the footprint polygon
+        if (footprintMask && !footprintMask[y * W_pip + x]) continue;
+
         // Convert pixel to world coordinates
         const u = (x / W_pip) - 0.5;
         const v = (y / H_pip) - 0.5;
 
         const worldX = center.x + u * width * e1.x + v * height * e2.x;
+        const worldY = center.y + u * width * e1.y + v * height * e2.y;
         const worldZ = center.z + u * width * e1.z + v * height * e2.z;
 
         // Position vector from center (for object rotation)
         const r = {
           x: worldX - center.x,
-          y: 0,
+          y: worldY - center.y,
           z: worldZ - center.z
         };
 
@@ -1271,7 +1410,7 @@ class SlidingDistanceManager {
         }
 
         // Ground rotational velocity at this point
-        const r_ground = { x: worldX, y: 0, z: worldZ };
+        const r_ground = { x: worldX, y: worldY, z: worldZ };
         let v_rot_ground = { x: 0, y: 0, z: 0 };
         v_rot_ground.x = groundAngularVelocity.y * r_ground.z - groundAngularVelocity.z * r_ground.y;
         v_rot_ground.y = groundAngularVelocity.z * r_ground.x - groundAngularVelocity.x * r_ground.z;
@@ -1316,9 +1455,10 @@ class SlidingDistanceManager {
           // Sliding distance = velocity magnitude × timestep × K factor
           const slidingDist = this.K * velMag * timestep;
 
-          // Map world coordinates to ground canvas coordinates (bilinear splatting)
-          const canvasXf = ((worldX + this.groundSize / 2) / this.groundSize) * W_canvas;
-          const canvasYf = ((worldZ + this.groundSize / 2) / this.groundSize) * H_canvas;
+          // Map world coordinates to ground canvas coordinates via the ground mesh UVs (bilinear splatting)
+          const mapped = mapper.toCanvas(worldX, worldY, worldZ);
+          const canvasXf = mapped.x;
+          const canvasYf = mapped.y;
 
           // Bilinear splatting coordinates
           const x0 = Math.floor(canvasXf);
@@ -1459,6 +1599,10 @@ class UIManager {
     this.setupPhysicsControls();
     this.setupVisualizationControls();
     this.setupStampingControls();
+    this.setupWallStampingControls();
+    this.setupContactDiagnosticsControls();
+    this.setupContactTraceControls();
+    this.setupBBoxBenchmarkControls();
 
     this.initialized = true;
   }
@@ -1553,10 +1697,82 @@ class UIManager {
       window.bodyManager.start();
     };
 
+    const bodyCountEl = document.getElementById('bodyCount');
+    if (bodyCountEl) {
+      bodyCountEl.max = String(window.bodyManager.maxBodies);
+      bodyCountEl.oninput = (e) => {
+        document.getElementById('bodyCountVal').textContent = e.target.value;
+      };
+      bodyCountEl.onchange = async (e) => {
+        window.state.bodyCount = parseInt(e.target.value);
+        window.bodyManager.setBodyCount(window.state.bodyCount);
+        await window.bodyManager.start();
+        this.updateFocusedBodyOptions();
+      };
+    }
+
+    const focusedBodyEl = document.getElementById('focusedBody');
+    if (focusedBodyEl) {
+      focusedBodyEl.onchange = (e) => {
+        if (window.animationManager) window.animationManager.focusBody(parseInt(e.target.value));
+      };
+    }
+
     document.getElementById('bboxAlgo').onchange = (e) => {
       window.state.bboxAlgorithm = e.target.value;
       document.getElementById('bboxType').textContent = e.target.options[e.target.selectedIndex].text;
     };
+
+    // Box orientation stabilizer (continuous angle, speed-band blend, rate limits)
+    const enableBoxStabilizerEl = document.getElementById('enableBoxStabilizer');
+    if (enableBoxStabilizerEl) {
+      enableBoxStabilizerEl.onchange = (e) => {
+        window.state.enableBoxStabilizer = e.target.checked;
+        if (window.animationManager) {
+          for (const tracker of window.animationManager.trackers) tracker.boxStabilizer.reset();
+        }
+      };
+    }
+
+    const boxMaxTurnRateEl = document.getElementById('boxMaxTurnRate');
+    if (boxMaxTurnRateEl) {
+      boxMaxTurnRateEl.oninput = (e) => {
+        window.state.boxMaxTurnRate = parseInt(e.target.value);
+        document.getElementById('boxMaxTurnRateVal').textContent = `${window.state.boxMaxTurnRate}°/s`;
+      };
+    }
+
+    const boxMaxSizeRateEl = document.getElementById('boxMaxSizeRate');
+    if (boxMaxSizeRateEl) {
+      boxMaxSizeRateEl.oninput = (e) => {
+        window.state.boxMaxSizeRate = parseInt(e.target.value) / 10;
+        document.getElementById('boxMaxSizeRateVal').textContent = `${window.state.boxMaxSizeRate.toFixed(1)} m/s`;
+      };
+    }
+
+    // Contact footprint polygon (clips PiP views, stamps and accumulation)
+    const footprintAlgoEl = document.getElementById('footprintAlgo');
+    if (footprintAlgoEl) {
+      footprintAlgoEl.onchange = (e) => {
+        window.state.footprintAlgorithm = e.target.value;
+      };
+    }
+
+    const footprintAlphaEl = document.getElementById('footprintAlpha');
+    if (footprintAlphaEl) {
+      footprintAlphaEl.oninput = (e) => {
+        window.state.footprintAlphaScale = parseInt(e.target.value) / 10;
+        document.getElementById('footprintAlphaVal').textContent = `${window.state.footprintAlphaScale.toFixed(1)}×`;
+      };
+    }
+
+    const footprintMarginEl = document.getElementById('footprintMargin');
+    if (footprintMarginEl) {
+      footprintMarginEl.oninput = (e) => {
+        window.state.footprintMargin = parseInt(e.target.value) / 1000;
+        document.getElementById('footprintMarginVal').textContent = `${parseInt(e.target.value)} mm`;
+      };
+    }
   }
 
   setupPhysicsControls() {
@@ -1736,6 +1952,61 @@ class UIManager {
     };
   }
 
+  /**
+   * Registered PiP views: enable, reorder, resize and set the resolution at runtime (rebuilt when the registry
+   * changes); the source views (top, bottom, intersection) share the PiP grid, so their resolution sets it
+   */
+  setupPiPViewList() {
+    const listEl = document.getElementById('pipViewList');
+    if (!listEl || !window.pipManager) return;
+    const views = window.pipManager.views;
+    const sizes = [['', 'Default'], ['192', '192 px'], ['256', '256 px'], ['384', '384 px'], ['512', '512 px']];
+    const resolutions = ['128x128', '256x256', '512x512', '256x128', '512x256', '1024x512'];
+
+    const button = (text, onclick) => {
+      const el = document.createElement('button');
+      el.className = 'btn-small';
+      el.textContent = text;
+      el.onclick = onclick;
+      return el;
+    };
+
+    const build = () => {
+      listEl.innerHTML = '';
+      views.list().forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'row';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = entry.enabled;
+        checkbox.onchange = (e) => views.setEnabled(entry.id, e.target.checked);
+        label.append(checkbox, ` ${entry.label}`);
+
+        const size = document.createElement('select');
+        for (const [value, text] of sizes) size.add(new Option(text, value));
+        size.value = entry.size ? String(entry.size) : '';
+        size.onchange = (e) => views.setSize(entry.id, parseInt(e.target.value) || null);
+
+        const grid = `${CFG.PIP_W}x${CFG.PIP_H}`;
+        const resolution = document.createElement('select');
+        if (!entry.source) resolution.add(new Option(`PiP grid (${grid.replace('x', ' × ')})`, ''));
+        for (const value of new Set([...resolutions, grid])) resolution.add(new Option(value.replace('x', ' × '), value));
+        resolution.value = entry.source ? grid : entry.resolution ? `${entry.resolution.W}x${entry.resolution.H}` : '';
+        resolution.onchange = (e) => {
+          const [W, H] = e.target.value.split('x').map(Number);
+          window.pipManager.setViewResolution(entry.id, e.target.value ? { W, H } : null);
+        };
+
+        row.append(label, button('▲', () => views.move(entry.id, index - 1)), button('▼', () => views.move(entry.id, index + 1)), size, resolution);
+        listEl.appendChild(row);
+      });
+    };
+    build();
+    views.onChange(build);
+  }
+
   setupVisualizationControls() {
     const pipEnabledEl = document.getElementById('pipEnabled');
     if (pipEnabledEl) {
@@ -1745,6 +2016,47 @@ class UIManager {
       };
     }
 
+    this.setupPiPViewList();
+
+    // How views frame the box (stretch / aspect-preserving / fixed mm per pixel)
+    const pipScaleModeEl = document.getElementById('pipScaleMode');
+    if (pipScaleModeEl) {
+      pipScaleModeEl.onchange = (e) => {
+        window.state.pipScaleMode = e.target.value;
+        window.pipManager.setViewScale(window.state.pipScaleMode, window.state.pipMmPerPixel);
+      };
+    }
+
+    const pipMmPerPixelEl = document.getElementById('pipMmPerPixel');
+    if (pipMmPerPixelEl) {
+      pipMmPerPixelEl.oninput = (e) => {
+        window.state.pipMmPerPixel = parseFloat(e.target.value);
+        document.getElementById('pipMmPerPixelValue').textContent = window.state.pipMmPerPixel.toFixed(1);
+        window.pipManager.setViewScale(window.state.pipScaleMode, window.state.pipMmPerPixel);
+      };
+    }
+
+    // GPU PiP passes (CPU path for depth contact, Winkler / Hertz and as the reference)
+    const gpuPiPEl = document.getElementById('gpuPiP');
+    if (gpuPiPEl) {
+      gpuPiPEl.onchange = (e) => {
+        window.state.gpuPiP = window.pipManager.setGPUPasses(e.target.checked);
+        e.target.checked = window.state.gpuPiP;
+      };
+    }
+
+    const verifyGPUEl = document.getElementById('verifyGPU');
+    if (verifyGPUEl) {
+      verifyGPUEl.onclick = async () => {
+        const resultEl = document.getElementById('gpuVerifyResult');
+        resultEl.textContent = '…';
+        const result = await window.pipManager.verifyGPU();
+        resultEl.textContent = result
+          ? `contact ${result.contactPixelsGPU} / ${result.contactPixelsCPU} px (${result.mismatchedPixels} differ), max wear ${result.maxWearGPU.toFixed(3)} / ${result.maxWearCPU.toFixed(3)} W/m²`
+          : 'No GPU frame (paused, GPU off, depth contact or non-uniform pressure)';
+      };
+    }
+
     const showOBBEl = document.getElementById('showOBB');
     if (showOBBEl) {
       showOBBEl.onchange = (e) => {
@@ -1768,6 +2080,38 @@ class UIManager {
       };
     }
 
+    // Synthetic augmentation strategy for sparse contacts (KDOP-8 corners / mesh slice)
+    const syntheticStrategyEl = document.getElementById('syntheticStrategy');
+    if (syntheticStrategyEl) {
+      syntheticStrategyEl.onchange = (e) => {
+        window.state.syntheticStrategy = e.target.value;
+      };
+    }
+
+    const enablePlaneFitEl = document.getElementById('enablePlaneFit');
+    if (enablePlaneFitEl) {
+      enablePlaneFitEl.onchange = (e) => {
+        window.state.enablePlaneFit = e.target.checked;
+        if (window.animationManager) {
+          for (const tracker of window.animationManager.trackers) tracker.planeEstimator.reset();
+        }
+      };
+    }
+
+    // Centroid tracker (EMA / Kalman / one-euro); filter state restarts on the next frame
+    const centroidTrackerEl = document.getElementById('centroidTracker');
+    if (centroidTrackerEl) {
+      centroidTrackerEl.onchange = (e) => {
+        window.state.centroidTracker = e.target.value;
+        if (window.animationManager) {
+          for (const tracker of window.animationManager.trackers) {
+            tracker.contactState.kalman = null;
+            tracker.contactState.oneEuro = null;
+          }
+        }
+      };
+    }
+
     const showGeomCenterEl = document.getElementById('showGeomCenter');
     if (showGeomCenterEl) {
       showGeomCenterEl.onchange = (e) => {
@@ -1786,6 +2130,284 @@ class UIManager {
         } else {
           window.world.removeRigidBody(window.wallObstacleBody);
         }
+
+        if (window.wallStampingManager) {
+          window.wallStampingManager.updateVisibility(window.state.showWallObstacle);
+        }
+      };
+    }
+
+    const groundShapeEl = document.getElementById('groundShape');
+    if (groundShapeEl) {
+      groundShapeEl.onchange = (e) => {
+        window.state.groundShape = e.target.value;
+        if (window.groundManager) {
+          window.groundManager.setShape(window.state.groundShape);
+          this.applyGroundShape(window.state.groundShape);
+        }
+      };
+    }
+  }
+
+  /**
+   * Make the wear / stamp overlays follow the built-in ground shape (flat keeps the plain overlay planes)
+   */
+  applyGroundShape(shape) {
+    const geometry = window.groundManager.ground.geometry;
+    if (window.stampingManager) window.stampingManager.setSurfaceGeometry(geometry);
+    if (window.flowAccumulationManager) {
+      if (shape === 'flat') window.flowAccumulationManager.setGroundSize(window.CFG.PLANE_SIZE);
+      else window.flowAccumulationManager.setSurfaceGeometry(geometry);
+    }
+    if (window.slidingDistanceManager) {
+      if (shape === 'flat') window.slidingDistanceManager.setGroundSize(window.CFG.PLANE_SIZE);
+      else window.slidingDistanceManager.setSurfaceGeometry(geometry);
+    }
+    if (window.impactAccumulationManager) {
+      if (shape === 'flat') window.impactAccumulationManager.setGroundSize(window.CFG.PLANE_SIZE);
+      else window.impactAccumulationManager.setSurfaceGeometry(geometry);
+    }
+  }
+
+  setupContactDiagnosticsControls() {
+    const pauseDiagEl = document.getElementById('pauseContactDiag');
+    if (pauseDiagEl) {
+      pauseDiagEl.onchange = (e) => {
+        if (window.contactDiagnosticsHUD) {
+          window.contactDiagnosticsHUD.setPaused(e.target.checked);
+        }
+      };
+    }
+
+    const clearDiagEl = document.getElementById('clearContactDiag');
+    if (clearDiagEl) {
+      clearDiagEl.onclick = () => {
+        if (window.contactDiagnosticsHUD) {
+          window.contactDiagnosticsHUD.clear();
+        }
+      };
+    }
+  }
+
+  setupBBoxBenchmarkControls() {
+    const enableEl = document.getElementById('enableBBoxBenchmark');
+    if (enableEl) {
+      enableEl.onchange = (e) => {
+        window.state.enableBBoxBenchmark = e.target.checked;
+        if (!e.target.checked) window.bboxBenchmarkOverlay.update(null);
+      };
+    }
+
+    const showBoxesEl = document.getElementById('showBenchmarkBoxes');
+    if (showBoxesEl) {
+      showBoxesEl.onchange = (e) => {
+        window.bboxBenchmarkOverlay.setVisible(e.target.checked);
+      };
+    }
+
+    const runTraceEl = document.getElementById('runBBoxBenchmarkTrace');
+    if (runTraceEl) {
+      runTraceEl.onclick = () => {
+        const player = window.contactTracePlayer;
+        if (!player) {
+          document.getElementById('bboxBenchmarkTable').textContent = 'Load a trace first (Contact Trace)';
+          return;
+        }
+        const benchmark = window.bboxBenchmark;
+        benchmark.reset();
+        benchmark.stabilize = window.state.enableBoxStabilizer;
+        benchmark.stabilizerOptions = window.animationManager.getBoxStabilizerRates();
+        player.replayPipeline(THREE, CFG, {
+          dynMesh: window.bodyManager.getMesh(),
+          minContacts: window.MIN_CONTACTS_FOR_STABLE_BOX,
+          softGroundThreshold: window.softGroundThreshold,
+          angleThreshold: window.ANGLE_STABILITY_THRESHOLD,
+          benchmark,
+          stabilizerOptions: window.state.enableBoxStabilizer ? window.animationManager.getBoxStabilizerRates() : null
+        });
+        window.animationManager.renderBBoxBenchmarkTable();
+      };
+    }
+
+    const resetEl = document.getElementById('resetBBoxBenchmark');
+    if (resetEl) {
+      resetEl.onclick = () => {
+        window.bboxBenchmark.reset();
+        window.bboxBenchmarkOverlay.update(null);
+        window.animationManager.renderBBoxBenchmarkTable();
+      };
+    }
+
+    const saveCsvEl = document.getElementById('saveBBoxBenchmarkCSV');
+    if (saveCsvEl) {
+      saveCsvEl.onclick = () => window.bboxBenchmark.saveCSV(`bbox-benchmark-${Date.now()}.csv`);
+    }
+
+    const saveFramesCsvEl = document.getElementById('saveBBoxBenchmarkFramesCSV');
+    if (saveFramesCsvEl) {
+      saveFramesCsvEl.onclick = () => window.bboxBenchmark.saveCSV(`bbox-benchmark-frames-${Date.now()}.csv`, true);
+    }
+  }
+
+  setupContactTraceControls() {
+    const statusEl = document.getElementById('contactTraceStatus');
+    const setStatus = (text) => {
+      if (statusEl) statusEl.textContent = text;
+    };
+
+    const recordEl = document.getElementById('recordContactTrace');
+    if (recordEl) {
+      recordEl.onclick = () => {
+        const recorder = window.contactTraceRecorder;
+        if (!recorder) return;
+
+        if (recorder.recording) {
+          recorder.stop();
+          recordEl.textContent = '⏺ Record';
+          setStatus(`Recorded ${recorder.frames.length} steps`);
+          return;
+        }
+
+        const dynMesh = window.bodyManager.getMesh();
+        const bodyRoles = [
+          { body: window.groundManager ? window.groundManager.groundBody : null, role: 'ground' },
+          { body: window.wallObstacleBody, role: 'wall' },
+          ...(window.groundVariantManager ? window.groundVariantManager.variantBodies : []).map(body => ({ body, role: 'ground' }))
+        ];
+        recorder.start({
+          shape: window.bodyManager.shapeType,
+          isSoftBody: !!(dynMesh && dynMesh.userData.isSoftBody),
+          mass: window.bodyManager.mass,
+          friction: window.bodyManager.friction,
+          gravity: window.state.gravity,
+          timestepHz: window.state.timestepHz,
+          fixedTimestep: window.state.fixedTimestep,
+          CFG: window.CFG
+        }, bodyRoles);
+        recordEl.textContent = '⏹ Stop';
+        setStatus('Recording...');
+      };
+    }
+
+    const saveEl = document.getElementById('saveContactTrace');
+    if (saveEl) {
+      saveEl.onclick = () => {
+        if (window.contactTraceRecorder) {
+          window.contactTraceRecorder.save(`contact-trace-${window.bodyManager.shapeType}-${Date.now()}.json`);
+        }
+      };
+    }
+
+    const loadEl = document.getElementById('loadContactTrace');
+    if (loadEl) {
+      loadEl.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+          const trace = parseContactTrace(await file.text());
+          if (window.contactTracePlayer) window.contactTracePlayer.stop();
+          window.contactTracePlayer = new ContactTracePlayer(trace);
+          window.animationManager.renderTraceComparisonTable(null);
+          setStatus(`Loaded ${trace.frames.length} steps (${trace.meta.shape || 'unknown shape'}${trace.meta.isSoftBody ? ', soft' : ''})`);
+        } catch (err) {
+          console.error('Failed to load contact trace:', err);
+          setStatus(`Load failed: ${err.message}`);
+        }
+        e.target.value = '';
+      };
+    }
+
+    const replayEl = document.getElementById('replayContactTrace');
+    if (replayEl) {
+      replayEl.onclick = () => {
+        const player = window.contactTracePlayer;
+        if (!player) {
+          setStatus('Load a trace first');
+          return;
+        }
+        if (player.playing) {
+          player.stop();
+          setStatus('Replay stopped');
+          return;
+        }
+        const loopEl = document.getElementById('loopContactTrace');
+        if (player.start(window.bodyManager.getMesh(), loopEl ? loopEl.checked : false)) {
+          setStatus(`Replaying ${player.frameCount} steps`);
+        } else {
+          setStatus('Trace does not match the current body type');
+        }
+      };
+    }
+
+    const compareEl = document.getElementById('compareContactTrace');
+    if (compareEl) {
+      compareEl.onclick = () => {
+        const player = window.contactTracePlayer;
+        if (!player) {
+          setStatus('Load a trace first');
+          return;
+        }
+        const configs = BBOX_ALGORITHMS.map(algorithm => ({ name: algorithm, algorithm }));
+        const rows = player.compare(THREE, CFG, configs, {
+          dynMesh: window.bodyManager.getMesh(),
+          minContacts: window.MIN_CONTACTS_FOR_STABLE_BOX,
+          softGroundThreshold: window.softGroundThreshold,
+          angleThreshold: window.ANGLE_STABILITY_THRESHOLD,
+          stabilizerOptions: window.state.enableBoxStabilizer ? window.animationManager.getBoxStabilizerRates() : null
+        });
+        window.animationManager.renderTraceComparisonTable(rows);
+        const best = rows.reduce((a, b) => (b.meanThetaJitterDeg < a.meanThetaJitterDeg ? b : a));
+        setStatus(`Compared ${rows.length} algorithms over ${player.frameCount} steps - steadiest: ${best.name} (${best.meanThetaJitterDeg.toFixed(2)}°/step)`);
+      };
+    }
+  }
+
+  setupWallStampingControls() {
+    const enableWallStampingEl = document.getElementById('enableWallStamping');
+    if (enableWallStampingEl) {
+      enableWallStampingEl.onchange = (e) => {
+        window.state.enableWallStamping = e.target.checked;
+        if (window.wallStampingManager) {
+          window.wallStampingManager.setEnabled(window.state.enableWallStamping);
+        }
+      };
+    }
+
+    const showWallStampsEl = document.getElementById('showWallStamps');
+    if (showWallStampsEl) {
+      showWallStampsEl.onchange = (e) => {
+        window.state.showWallStamps = e.target.checked;
+        if (window.wallStampingManager) {
+          window.wallStampingManager.setShowStamps(window.state.showWallStamps);
+        }
+      };
+    }
+
+    const stampWallLineStencilEl = document.getElementById('stampWallLineStencil');
+    if (stampWallLineStencilEl) {
+      stampWallLineStencilEl.onchange = (e) => {
+        window.state.stampWallLineStencil = e.target.checked;
+        if (window.wallStampingManager) {
+          window.wallStampingManager.setStampLineStencil(window.state.stampWallLineStencil);
+        }
+      };
+    }
+
+    const clearWallStampsEl = document.getElementById('clearWallStamps');
+    if (clearWallStampsEl) {
+      clearWallStampsEl.onclick = () => {
+        if (window.wallStampingManager) {
+          window.wallStampingManager.clearAllStamps();
+        }
+      };
+    }
+
+    const saveWallStampsEl = document.getElementById('saveWallStamps');
+    if (saveWallStampsEl) {
+      saveWallStampsEl.onclick = () => {
+        if (window.wallStampingManager) {
+          window.wallStampingManager.saveAllStamps();
+        }
       };
     }
   }
@@ -1850,6 +2472,47 @@ class UIManager {
       }
     }
 
+    // Normal force source selector
+    const normalForceSourceEl = document.getElementById('normalForceSource');
+    if (normalForceSourceEl) {
+      normalForceSourceEl.onchange = (e) => {
+        window.state.normalForceSource = e.target.value;
+        console.log(`Normal force source: ${e.target.value}`);
+      };
+    }
+
+    // Contact pressure distribution for traction and wear
+    const pressureModelEl = document.getElementById('pressureModel');
+    if (pressureModelEl) {
+      pressureModelEl.onchange = (e) => {
+        window.state.pressureModel = e.target.value;
+      };
+    }
+
+    // Depth contact: PiP penetration map instead of the binary top / bottom mask
+    const depthContactEl = document.getElementById('depthContact');
+    if (depthContactEl) {
+      depthContactEl.onchange = (e) => {
+        window.state.depthContact = e.target.checked;
+      };
+    }
+
+    const contactToleranceEl = document.getElementById('contactTolerance');
+    if (contactToleranceEl) {
+      contactToleranceEl.oninput = (e) => {
+        window.state.contactTolerance = parseInt(e.target.value) / 1000;
+        document.getElementById('contactToleranceVal').textContent = `${parseInt(e.target.value)} mm`;
+      };
+    }
+
+    // Only slipping contact area wears (stick / impact contacts are masked out)
+    const slipOnlyWearEl = document.getElementById('slipOnlyWear');
+    if (slipOnlyWearEl) {
+      slipOnlyWearEl.onchange = (e) => {
+        window.state.slipOnlyWear = e.target.checked;
+      };
+    }
+
     // Wear display mode selector
     const wearDisplayModeEl = document.getElementById('wearDisplayMode');
     if (wearDisplayModeEl) {
@@ -1885,6 +2548,61 @@ class UIManager {
       };
     }
 
+    // Impact wear layer controls
+    const enableImpactWearEl = document.getElementById('enableImpactWear');
+    if (enableImpactWearEl) {
+      enableImpactWearEl.onchange = (e) => {
+        window.state.enableImpactWear = e.target.checked;
+      };
+    }
+
+    const showImpactOverlayEl = document.getElementById('showImpactOverlay');
+    if (showImpactOverlayEl) {
+      showImpactOverlayEl.onchange = (e) => {
+        if (window.impactAccumulationManager && window.impactAccumulationManager.impactOverlay) {
+          window.impactAccumulationManager.impactOverlay.visible = e.target.checked;
+        }
+      };
+    }
+
+    const impactDisplayModeEl = document.getElementById('impactDisplayMode');
+    if (impactDisplayModeEl) {
+      impactDisplayModeEl.onchange = (e) => {
+        if (window.impactAccumulationManager) {
+          window.impactAccumulationManager.displayMode = e.target.value;
+          window.impactAccumulationManager.dirty = true;  // Re-render (and re-blend) with the new channel
+        }
+      };
+    }
+
+    const clearImpactsEl = document.getElementById('clearImpacts');
+    if (clearImpactsEl) {
+      clearImpactsEl.onclick = () => {
+        if (window.impactAccumulationManager) {
+          window.impactAccumulationManager.clearImpacts();
+          if (window.groundVariantManager && window.groundVariantManager.impactBlendTexture) {
+            window.groundVariantManager.setImpactBlendTexture(window.impactAccumulationManager.generateBlendTexture(THREE));
+          }
+        }
+        const impactCountEl = document.getElementById('impactCountDisplay');
+        if (impactCountEl) impactCountEl.textContent = '0';
+      };
+    }
+
+    const saveImpactPNGEl = document.getElementById('saveImpactPNG');
+    if (saveImpactPNGEl) {
+      saveImpactPNGEl.onclick = () => {
+        if (window.impactAccumulationManager) window.impactAccumulationManager.savePNG();
+      };
+    }
+
+    const saveImpactRawEl = document.getElementById('saveImpactRaw');
+    if (saveImpactRawEl) {
+      saveImpactRawEl.onclick = () => {
+        if (window.impactAccumulationManager) window.impactAccumulationManager.saveRaw();
+      };
+    }
+
     const slidingKFactorEl = document.getElementById('slidingKFactor');
     const slidingKFactorValEl = document.getElementById('slidingKFactorVal');
     if (slidingKFactorEl && slidingKFactorValEl) {
@@ -2009,14 +2727,37 @@ class UIManager {
           const variantSelectRow = document.getElementById('variantGroundSelectRow');
           const variantSelect = document.getElementById('variantGroundSelect');
           if (variantSelectRow && variantSelect && window.groundVariantManager.globalVariantNames.length > 0) {
-            variantSelect.innerHTML = '';
+            // Blend modes first, then one entry per variant (pins the ground to it)
+            variantSelect.innerHTML = '<option value="-1">Blend by wear (all)</option>';
+            if (window.groundVariantManager.globalVariantNames.length >= 2) {
+              variantSelect.innerHTML += '<option value="pair">Blend by wear (pair)</option>';
+            }
             window.groundVariantManager.globalVariantNames.forEach((name, idx) => {
               const option = document.createElement('option');
               option.value = idx;
               option.textContent = name || `Variant ${idx + 1}`;
               variantSelect.appendChild(option);
             });
+            variantSelect.value = '-1';
             variantSelectRow.style.display = 'flex';
+
+            // Pair selectors (A = no wear, B = full wear)
+            ['variantPairA', 'variantPairB'].forEach((id, pairIdx) => {
+              const pairSelect = document.getElementById(id);
+              if (!pairSelect) return;
+              pairSelect.innerHTML = '';
+              window.groundVariantManager.globalVariantNames.forEach((name, idx) => {
+                const option = document.createElement('option');
+                option.value = idx;
+                option.textContent = name || `Variant ${idx + 1}`;
+                pairSelect.appendChild(option);
+              });
+              pairSelect.value = String(Math.min(pairIdx, window.groundVariantManager.globalVariantNames.length - 1));
+            });
+          }
+          const variantPairRow = document.getElementById('variantPairRow');
+          if (variantPairRow) {
+            variantPairRow.style.display = 'none';
           }
           
           document.getElementById('removeVariantGround').disabled = false;
@@ -2038,7 +2779,12 @@ class UIManager {
 
           console.log(`Loaded GLB with ${result.variantCount} variants:`, window.groundVariantManager.globalVariantNames);
           
-          // Update flow overlay size to match variant ground (use actual mesh size)
+          // Accumulate in the variant ground's own UVs (the blend shader samples them)
+          if (window.groundSurface) {
+            window.groundSurface.setTarget(window.groundVariantManager.variantRoot, window.groundVariantManager.getGroundSize());
+          }
+
+          // Update flow overlay size to match variant ground (use actual mesh size)
           if (window.flowAccumulationManager && window.groundVariantManager) {
             const variantGroundSize = window.groundVariantManager.getGroundSize();
             window.flowAccumulationManager.setGroundSize(variantGroundSize);
@@ -2051,6 +2797,11 @@ class UIManager {
             window.slidingDistanceManager.setGroundSize(variantGroundSize);
             console.log(`Set sliding overlay size to ${variantGroundSize.toFixed(2)} units`);
           }
+
+          // Update impact overlay size
+          if (window.impactAccumulationManager && window.groundVariantManager) {
+            window.impactAccumulationManager.setGroundSize(window.groundVariantManager.getGroundSize());
+          }
         } catch (error) {
           console.error('Failed to load GLB:', error);
           const namesListEl = document.getElementById('variantNamesList');
@@ -2083,6 +2834,10 @@ class UIManager {
           if (variantSelectRow) {
             variantSelectRow.style.display = 'none';
           }
+          const variantPairRow = document.getElementById('variantPairRow');
+          if (variantPairRow) {
+            variantPairRow.style.display = 'none';
+          }
           
           removeVariantGroundEl.disabled = true;
 
@@ -2108,6 +2863,17 @@ class UIManager {
             window.slidingDistanceManager.setGroundSize(window.CFG.PLANE_SIZE);
             console.log(`Reset sliding overlay to original size: ${window.CFG.PLANE_SIZE}`);
           }
+
+          // Reset impact overlay to original size
+          if (window.impactAccumulationManager && window.CFG) {
+            window.impactAccumulationManager.setGroundSize(window.CFG.PLANE_SIZE);
+          }
+
+          // Back to the built-in ground (overlays follow its shape again)
+          if (window.groundSurface && window.groundManager) {
+            window.groundSurface.setTarget(window.groundManager.ground, window.CFG.PLANE_SIZE);
+            window.uiManager.applyGroundShape(window.groundManager.shape);
+          }
         }
       };
     }
@@ -2121,6 +2887,9 @@ class UIManager {
         variantGroundScaleValEl.textContent = val.toFixed(2) + 'x';
         if (window.groundVariantManager) {
           window.groundVariantManager.setScale(val);
+          if (window.groundSurface && window.groundVariantManager.variantRoot) {
+            window.groundSurface.setTarget(window.groundVariantManager.variantRoot, window.groundVariantManager.getGroundSize());
+          }
           
           // Update flow overlay size to match new scale (use actual mesh size)
           if (window.flowAccumulationManager) {
@@ -2163,6 +2932,24 @@ class UIManager {
       };
     }
 
+    const variantImpactMixEl = document.getElementById('variantImpactMix');
+    const variantImpactMixValEl = document.getElementById('variantImpactMixVal');
+    if (variantImpactMixEl && variantImpactMixValEl) {
+      variantImpactMixEl.oninput = (e) => {
+        const val = parseFloat(e.target.value);
+        variantImpactMixValEl.textContent = val.toFixed(2);
+        if (window.groundVariantManager) {
+          window.groundVariantManager.impactMix = val;
+          window.groundVariantManager.updateUniforms();
+
+          // First use: build the impact blend map now instead of waiting for the next impact
+          if (val > 0 && !window.groundVariantManager.impactBlendTexture && window.impactAccumulationManager) {
+            window.groundVariantManager.setImpactBlendTexture(window.impactAccumulationManager.generateBlendTexture(THREE));
+          }
+        }
+      };
+    }
+
     const variantInvertEl = document.getElementById('variantInvert');
     if (variantInvertEl) {
       variantInvertEl.onchange = (e) => {
@@ -2217,23 +3004,60 @@ class UIManager {
 
     // Variant Ground Select Handler
     const variantGroundSelectEl = document.getElementById('variantGroundSelect');
+    const variantPairAEl = document.getElementById('variantPairA');
+    const variantPairBEl = document.getElementById('variantPairB');
+    const applyVariantPair = () => {
+      if (window.groundVariantManager && variantPairAEl && variantPairBEl) {
+        window.groundVariantManager.setBlendPair(parseInt(variantPairAEl.value), parseInt(variantPairBEl.value));
+      }
+    };
+
     if (variantGroundSelectEl) {
-      variantGroundSelectEl.onchange = (e) => {
-        const variantIndex = parseInt(e.target.value);
-        if (window.groundVariantManager && variantIndex >= 0) {
-          window.groundVariantManager.setVariant(variantIndex);
+      variantGroundSelectEl.onchange = async (e) => {
+        if (!window.groundVariantManager) return;
+
+        const isPair = e.target.value === 'pair';
+        const variantPairRow = document.getElementById('variantPairRow');
+        if (variantPairRow) {
+          variantPairRow.style.display = isPair ? 'flex' : 'none';
+        }
+
+        if (isPair) {
+          applyVariantPair();
+        } else {
+          // -1 restores the wear blend shader, any other index pins that variant
+          await window.groundVariantManager.setVariant(parseInt(e.target.value));
         }
       };
     }
+
+    if (variantPairAEl) {
+      variantPairAEl.onchange = applyVariantPair;
+    }
+    if (variantPairBEl) {
+      variantPairBEl.onchange = applyVariantPair;
+    }
   }
 
 
+  updateFocusedBodyOptions() {
+    const focusedBodyEl = document.getElementById('focusedBody');
+    if (!focusedBodyEl) return;
+
+    focusedBodyEl.innerHTML = '';
+    window.bodyManager.getBodies().forEach((entry, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `Body ${index + 1}`;
+      focusedBodyEl.appendChild(option);
+    });
+    focusedBodyEl.value = String(window.bodyManager.focusIndex);
+    window.state.focusedBody = window.bodyManager.focusIndex;
+  }
+
   updateBodyVelocity() {
-    const dynBody = window.bodyManager.getBody();
-    const dynMesh = window.bodyManager.getMesh();
-    
-    if (dynBody) {
-      if (dynMesh && dynMesh.userData.isSoftBody) {
+    for (const { mesh: dynMesh, body: dynBody } of window.bodyManager.getBodies()) {
+      if (dynMesh.userData.isSoftBody) {
         const nodes = dynBody.get_m_nodes();
         const nodeCount = nodes.size();
         for (let i = 0; i < nodeCount; i++) {
@@ -2309,6 +3133,14 @@ class AnimationManager {
     this.lastFrameTime = performance.now();
     this.lastStampTime = 0;
     this.lastPiPTime = 0;
+    this.lastWallStampTime = 0;
+    this.replayBody = null;  // Stand-in body while a contact trace is replaying
+    this.simulationTime = 0; // Simulated seconds, timestamps contact events
+    this.lastImpactRenderTime = 0;
+    this.lastBenchmarkTableTime = 0;
+    this.trackers = [];      // Per-body contact state, one per BodyManager body (see syncTrackers)
+    this.idleTracker = new BodyContactTracker(THREE);  // Used while no body exists (e.g. during start())
+    this.supportPlane = null;  // Ground tangent plane under the focused body, refreshed every frame
     this.tmpTr = new A.btTransform();
 
     this.RESET_BOUNDARY = CFG.PLANE_SIZE / 2;
@@ -2348,6 +3180,9 @@ class AnimationManager {
     }
     document.getElementById('frame').textContent = String(this.frame);
 
+    // Ground samples are cached per frame (bodies move between frames)
+    if (window.groundSurface) window.groundSurface.beginFrame();
+
     // Update accumulated sliding distance displays
     const accSlidingEl = document.getElementById('accumulatedSlidingDist');
     if (accSlidingEl && window.slidingDistanceManager) {
@@ -2394,20 +3229,46 @@ class AnimationManager {
       maxWearDisplayEl.textContent = `${(maxWear * 100).toFixed(2)}%`;
     }
 
-    // Get dynamic body reference
-    const dynBody = this.bodyManager.getBody();
-    const dynMesh = this.bodyManager.getMesh();
-    
     // Physics step - handle single step mode and sub-stepping
     const shouldUpdatePhysics = !window.state.isPaused || window.singleStep;
 
-    if (shouldUpdatePhysics) {
-      this.stepPhysics(now, dynBody, dynMesh);
+    // Contact trace replay drives the body from recorded frames instead of Ammo
+    const dynMesh = this.bodyManager.getMesh();
+    const replay = window.contactTracePlayer ? window.contactTracePlayer.next(dynMesh, shouldUpdatePhysics) : null;
+    // Live and replayed bodies are different objects: start contact events afresh when switching
+    if (!!replay !== !!this.replayBody && window.contactEvents) window.contactEvents.reset();
+    this.replayBody = replay ? replay.body : null;
+    if (replay) {
+      const traceFrameEl = document.getElementById('contactTraceFrame');
+      if (traceFrameEl) traceFrameEl.textContent = `${window.contactTracePlayer.frameIndex} / ${window.contactTracePlayer.frameCount}`;
+    }
 
-      // Apply sub-stepping (run physics multiple times per frame)
-      const subSteps = window.subStepping || 1;
-      for (let i = 0; i < subSteps; i++) {
-        window.world.stepSimulation(1 / window.state.timestepHz, window.state.maxSubsteps, 1 / window.state.fixedTimestep);
+    // Get dynamic body reference (the focused body; PiP views, HUD and trace record / replay follow it)
+    const dynBody = replay ? replay.body : this.bodyManager.getBody();
+    this.syncTrackers();
+    const focused = this.getFocusedTracker();
+
+    // Tangent plane of the ground under the body (ramps, bowls; y=0 plane on flat ground)
+    focused.supportPlane = this.getSupportPlane(replay ? replay.mesh : dynMesh);
+    this.supportPlane = focused.supportPlane;
+
+    if (shouldUpdatePhysics) {
+      if (!replay) {
+        this.stepPhysics(now);
+
+        // Apply sub-stepping (run physics multiple times per frame)
+        const subSteps = window.subStepping || 1;
+        const recorder = window.contactTraceRecorder;
+        for (let i = 0; i < subSteps; i++) {
+          window.world.stepSimulation(1 / window.state.timestepHz, window.state.maxSubsteps, 1 / window.state.fixedTimestep);
+          this.simulationTime += 1 / window.state.timestepHz;
+          if (recorder && recorder.recording) {
+            recorder.recordStep(window.dispatcher, dynBody, dynMesh, window.stepCounter, 1 / window.state.fixedTimestep);
+          }
+          this.emitContactEvents(window.dispatcher, this.simulationTime);
+        }
+      } else {
+        this.emitContactEvents(replay.dispatcher, replay.frame.t, replay);
       }
 
       // Increment step counter for each physics update
@@ -2421,10 +3282,11 @@ class AnimationManager {
         window.singleStep = false;
       }
     }
+    this.renderImpactMap(now);
     
-    // Update body position and check bounds
-    if (dynBody && dynMesh) {
-      this.updateBodyTransform(dynBody, dynMesh);
+    // Update body positions and check bounds (replay already posed the mesh)
+    if (!replay) {
+      this.trackers.forEach((tracker, index) => this.updateBodyTransform(tracker.body, tracker.mesh, index));
     }
 
     // Check angular velocity for performance throttling
@@ -2454,13 +3316,21 @@ class AnimationManager {
       // Use cached result during high rotation
       newContactResult = this.cachedContactResult;
     } else {
-      // Normal contact sampling
-      newContactResult = sampleContacts(window.dispatcher, THREE, dynMesh, window.MIN_CONTACTS_FOR_STABLE_BOX, window.softGroundThreshold);
+      // Normal contact sampling (solver step converts manifold impulses to normal force)
+      const solverTimestep = replay ? replay.frame.dt : 1 / window.state.fixedTimestep;
+      newContactResult = replay
+        ? this.sampleBodyContacts(focused, replay.dispatcher, replay.mesh, solverTimestep, now)
+        : this.sampleBodyContacts(focused, window.dispatcher, dynMesh, solverTimestep, now);
+      if (window.contactDiagnosticsHUD) {
+        window.contactDiagnosticsHUD.update(newContactResult.diagnostics, window.stepCounter);
+      }
+      this.updatePlaneFitInfo(newContactResult.contactPlane);
       // Cache for next frame if throttling active
       if (angularVelMag > this.HIGH_ANGULAR_VEL_THRESHOLD) {
         this.cachedContactResult = newContactResult;
       }
     }
+    focused.contactResult = newContactResult;
     window.state.contactSamples = newContactResult.contactSamples;
     this.contactResult = newContactResult;
 
@@ -2478,10 +3348,22 @@ class AnimationManager {
     } else if (this.cachedOBB) {
       // Use cached OBB
       window.state.lastOBB = this.cachedOBB;
+      focused.lastOBB = this.cachedOBB;
       updateOBBVisualization(this.visualizationManager.obbGroup, this.cachedOBB, window.state.paddingWidthScale, window.state.paddingHeightScale, window.state.paddingDepthTopScale, window.state.paddingDepthBottomScale, CFG, THREE);
       this.visualizationManager.obbGroup.visible = window.state.showOBB;
     }
 
+    // Other bodies: contacts, contact plane and OBB from their own state (no HUD / visualization)
+    if (!replay) {
+      this.updateUnfocusedBodies(now);
+    }
+
+    // Accumulate wall obstacle contacts (every frame, independent of PiP throttling)
+    // Wall stamping reads the live dispatcher, so it is skipped during trace replay
+    if (window.state.showWallObstacle && window.state.enableWallStamping && !replay) {
+      this.handleWallStamping(now);
+    }
+
     // Render main scene
     this.renderer.render(this.scene, this.camera);
 
@@ -2489,19 +3371,249 @@ class AnimationManager {
     this.renderPiPAndStamp(now, dynBody, dynMesh, shouldUseAggressiveThrottling);
   }
 
-  stepPhysics(now, dynBody, dynMesh) {
+  stepPhysics(now) {
     const dt = Math.min(1 / 30, Math.max(1 / 240, (now - this.lastFrameTime) / 1000));
     this.lastFrameTime = now;
     
-    if (dynBody && dynMesh) {
-      if (dynMesh.userData.isSoftBody) {
-        this.updateSoftBodyPhysics(dynBody, dt);
+    for (const { mesh, body } of this.bodyManager.getBodies()) {
+      if (mesh.userData.isSoftBody) {
+        this.updateSoftBodyPhysics(body, dt);
       } else {
-        this.updateRigidBodyPhysics(dynBody, dt);
+        this.updateRigidBodyPhysics(body, dt, mesh);
       }
     }
   }
 
+  /**
+   * Contact lifecycle events for this physics step (window.contactEvents subscribers)
+   * Soft bodies fall back to their last sampled contacts when no manifold touches them.
+   * @param {Object} dispatcher - Ammo dispatcher, or the replay stand-in
+   * @param {number} time - Simulation time in seconds
+   * @param {Object} replay - Replay frame from ContactTracePlayer.next() (focused body only), or null
+   */
+  emitContactEvents(dispatcher, time, replay = null) {
+    const events = window.contactEvents;
+    if (!events) return;
+
+    events.setBodyRoles(this.getContactBodyRoles());
+    const focused = this.getFocusedTracker();
+    const bodies = replay
+      ? [{ id: focused.entry ? focused.entry.id : 0, body: replay.body, mesh: replay.mesh, contactSamples: focused.contactSamples }]
+      : this.trackers.filter(tracker => tracker.entry).map(tracker => ({
+        id: tracker.entry.id,
+        body: tracker.body,
+        mesh: tracker.mesh,
+        contactSamples: tracker.contactSamples
+      }));
+    events.update(dispatcher, bodies, time);
+  }
+
+  /**
+   * Redraw the impact layer (throttled; impacts arrive from contact events during physics steps)
+   */
+  renderImpactMap(now) {
+    const impacts = window.impactAccumulationManager;
+    if (!impacts || !impacts.dirty || now - this.lastImpactRenderTime < 200) return;
+    this.lastImpactRenderTime = now;
+
+    impacts.render();
+
+    // Mix into the variant ground blend map
+    if (window.groundVariantManager && window.groundVariantManager.variantRoot && window.groundVariantManager.impactMix > 0) {
+      window.groundVariantManager.setImpactBlendTexture(impacts.generateBlendTexture(THREE));
+    }
+
+    const impactCountEl = document.getElementById('impactCountDisplay');
+    if (impactCountEl) impactCountEl.textContent = String(impacts.totalImpacts);
+  }
+
+  /**
+   * Static partners labelled in contact events
+   */
+  getContactBodyRoles() {
+    return [
+      { body: window.groundManager ? window.groundManager.groundBody : null, role: 'ground' },
+      { body: window.wallObstacleBody, role: 'wall' },
+      ...(window.groundVariantManager ? window.groundVariantManager.variantBodies : []).map(body => ({ body, role: 'variant-ground' }))
+    ];
+  }
+
+  /**
+   * Keep one tracker per dynamic body (a tracker lives as long as its body)
+   */
+  syncTrackers() {
+    const bodies = this.bodyManager.getBodies();
+    if (this.trackers.length === bodies.length && this.trackers.every((tracker, i) => tracker.entry === bodies[i])) return;
+
+    this.trackers = bodies.map(entry =>
+      this.trackers.find(tracker => tracker.entry === entry) || new BodyContactTracker(THREE, entry)
+    );
+    this.cachedContactResult = null;
+    this.cachedOBB = null;
+  }
+
+  getFocusedTracker() {
+    return this.trackers[this.bodyManager.focusIndex] || this.idleTracker;
+  }
+
+  getUnfocusedTrackers() {
+    // Trace replay only covers the focused body
+    if (this.replayBody) return [];
+    return this.trackers.filter((tracker, i) => i !== this.bodyManager.focusIndex);
+  }
+
+  /**
+   * Move the PiP views and HUD to another body
+   */
+  focusBody(index) {
+    this.bodyManager.setFocus(index);
+    this.cachedContactResult = null;
+    this.cachedOBB = null;
+    window.state.focusedBody = this.bodyManager.focusIndex;
+  }
+
+  /**
+   * Contacts and fitted contact plane of one body, continuing that body's temporal state
+   */
+  sampleBodyContacts(tracker, dispatcher, mesh, solverTimestep, now) {
+    const supportPlane = tracker.supportPlane;
+    tracker.updateVelocity(A, tracker.bodyFor(mesh), mesh);
+    const overrides = {
+      solverTimestep,
+      supportPlane,
+      centroidTracker: window.state.centroidTracker,
+      bodyVelocity: tracker.velocity,
+      syntheticStrategy: window.state.syntheticStrategy
+    };
+    const contactParams = mesh && mesh.userData.isSoftBody
+      ? ContactParams.forSoftBody(overrides)
+      : new ContactParams(overrides);
+    const result = sampleContacts(dispatcher, THREE, mesh, window.MIN_CONTACTS_FOR_STABLE_BOX, window.softGroundThreshold, contactParams, tracker.contactState);
+
+    // Fitted contact plane (falls back to the static ground plane on sparse / noisy contacts)
+    tracker.planeEstimator.enabled = window.state.enablePlaneFit;
+    if (supportPlane) tracker.planeEstimator.staticNormal.copy(supportPlane.normal);
+    result.contactPlane = tracker.planeEstimator.update(result.contactSamples, result.avgContactNormal, now / 1000);
+
+    // Stick / slip / impact label per contact (relative velocity against the ground, friction cone)
+    const contactNormal = result.contactPlane.plane
+      ? result.contactPlane.plane.normal
+      : (supportPlane ? supportPlane.normal : { x: 0, y: 1, z: 0 });
+    result.slip = classifyContactSlip(
+      result.contactSamples,
+      {
+        center: mesh && !mesh.userData.isSoftBody ? mesh.position : null,
+        velocity: tracker.velocity,
+        angularVelocity: tracker.angularVelocity,
+        ...this.getGroundVelocity()
+      },
+      contactNormal,
+      { mu: this.bodyManager.friction, mass: this.bodyManager.mass }
+    );
+    result.diagnostics.slip = result.slip;
+
+    tracker.contactResult = result;
+    return result;
+  }
+
+  /**
+   * Ground body velocities (zero for the static ground)
+   * @returns {Object} { groundVelocity, groundAngularVelocity }
+   */
+  getGroundVelocity() {
+    let groundVelocity = { x: 0, y: 0, z: 0 };
+    let groundAngularVelocity = { x: 0, y: 0, z: 0 };
+
+    if (window.groundManager && window.groundManager.groundBody) {
+      try {
+        const gv = window.groundManager.groundBody.getLinearVelocity();
+        groundVelocity = { x: gv.x(), y: gv.y(), z: gv.z() };
+        A.destroy(gv);
+
+        const gav = window.groundManager.groundBody.getAngularVelocity();
+        groundAngularVelocity = { x: gav.x(), y: gav.y(), z: gav.z() };
+        A.destroy(gav);
+      } catch (e) {
+        // Ground is static, velocities remain zero
+      }
+    }
+
+    return { groundVelocity, groundAngularVelocity };
+  }
+
+  /**
+   * Contacts a body's box is built from (synthetic ones only with augmentation enabled)
+   */
+  getBoxContacts(tracker) {
+    return window.state.enableSynthetic
+      ? tracker.contactSamples
+      : tracker.contactSamples.filter(pt => !pt.isSynthetic);
+  }
+
+  /**
+   * Box stabilizer rate limits from the UI (shared by the live boxes, the benchmark and trace replays)
+   * @returns {Object} { maxTurnRate (rad/s), maxSizeRate (m/s) }
+   */
+  getBoxStabilizerRates() {
+    return {
+      maxTurnRate: window.state.boxMaxTurnRate * Math.PI / 180,
+      maxSizeRate: window.state.boxMaxSizeRate
+    };
+  }
+
+  /**
+   * OBB of one body's contacts from its previous box, velocity and angle
+   * @returns {Object|null} OBB, or null when no usable contacts remain
+   */
+  computeBodyOBB(tracker, dynBody, isSoftBody) {
+    const result = tracker.contactResult;
+
+    const contacts = this.getBoxContacts(tracker);
+    if (contacts.length === 0) return null;
+
+    let stabilizer = null;
+    if (window.state.enableBoxStabilizer) {
+      stabilizer = Object.assign(tracker.boxStabilizer, this.getBoxStabilizerRates());
+    }
+
+    const obb = computeBoundingBox(
+      contacts,
+      result.avgContactPoint,
+      result.avgContactNormal,
+      window.state.bboxAlgorithm,
+      CFG,
+      THREE,
+      dynBody,
+      A,
+      tracker.lastOBB,
+      tracker.previousVelocity,
+      tracker.previousAngle,
+      window.ANGLE_STABILITY_THRESHOLD,
+      isSoftBody,
+      window.state.enablePlaneFit && result.contactPlane ? result.contactPlane.plane : null,
+      stabilizer
+    );
+    if (obb) tracker.previousAngle = obb.theta;
+
+    // Contact polygon for clipping PiP views, stamps and accumulation (the box still frames the cameras)
+    tracker.footprint = obb && window.state.footprintAlgorithm !== 'rectangle'
+      ? computeFootprint(contacts, obb, window.state.footprintAlgorithm, {
+          alphaScale: window.state.footprintAlphaScale,
+          margin: window.state.footprintMargin
+        })
+      : null;
+    return obb;
+  }
+
+  updateUnfocusedBodies(now) {
+    const solverTimestep = 1 / window.state.fixedTimestep;
+    for (const tracker of this.getUnfocusedTrackers()) {
+      tracker.supportPlane = this.getSupportPlane(tracker.mesh);
+      this.sampleBodyContacts(tracker, window.dispatcher, tracker.mesh, solverTimestep, now);
+      tracker.lastOBB = this.computeBodyOBB(tracker, tracker.body, tracker.mesh.userData.isSoftBody || false);
+    }
+  }
+
   updateSoftBodyPhysics(dynBody, dt) {
     const nodes = dynBody.get_m_nodes();
     const nodeCount = nodes.size();
@@ -2564,10 +3676,9 @@ class AnimationManager {
    *
    * Force Y: Applied at center of mass (no torque)
    */
-  updateRigidBodyPhysics(dynBody, dt) {
+  updateRigidBodyPhysics(dynBody, dt, mesh = this.bodyManager.getMesh()) {
     if (window.state.forceX !== 0 || window.state.forceZ !== 0) {
       // Get object's axis-aligned bounding box to find base
-      const mesh = this.bodyManager.getMesh();
       let baseOffset = -1.0; // Default: 1 unit below CoM
 
       if (mesh && mesh.geometry) {
@@ -2602,7 +3713,7 @@ class AnimationManager {
     }
   }
 
-  updateBodyTransform(dynBody, dynMesh) {
+  updateBodyTransform(dynBody, dynMesh, index = this.bodyManager.focusIndex) {
     if (dynMesh.userData.isSoftBody && dynMesh.userData.updateSoftBodyMesh) {
       dynMesh.userData.updateSoftBodyMesh();
       dynMesh.visible = true;
@@ -2628,7 +3739,7 @@ class AnimationManager {
         if (Math.abs(avgX) > this.RESET_BOUNDARY || 
             Math.abs(avgZ) > this.RESET_BOUNDARY || 
             avgY < this.RESET_Y_THRESHOLD) {
-          this.bodyManager.reset();
+          this.bodyManager.resetBody(index);
         }
       }
     } else {
@@ -2642,7 +3753,7 @@ class AnimationManager {
       if (Math.abs(p.x()) > this.RESET_BOUNDARY || 
           Math.abs(p.z()) > this.RESET_BOUNDARY || 
           p.y() < this.RESET_Y_THRESHOLD) {
-        this.bodyManager.reset();
+        this.bodyManager.resetBody(index);
       }
     }
   }
@@ -2670,6 +3781,14 @@ class AnimationManager {
       }
     }
 
+    const slipFractionsEl = document.getElementById('slipFractions');
+    if (slipFractionsEl) {
+      const slip = this.contactResult.slip;
+      slipFractionsEl.textContent = slip && slip.total > 0
+        ? `${(slip.stickFraction * 100).toFixed(0)}% / ${(slip.slipFraction * 100).toFixed(0)}% / ${(slip.impactFraction * 100).toFixed(0)}%`
+        : '—';
+    }
+
     if (displayCount > 0) {
       document.getElementById('gcenter').textContent =
         `(${this.contactResult.geometricCenter.x.toFixed(3)}, ${this.contactResult.geometricCenter.z.toFixed(3)})`;
@@ -2809,56 +3928,169 @@ class AnimationManager {
     updateGeomMeanMarker(this.visualizationManager.geomMeanMarker, displayCount > 0 ? this.contactResult.geometricCenter : null, window.state.showGeomCenter);
   }
 
-  updateBoundingBox(dynMesh, dynBody) {
-    if (dynMesh && window.state.contactSamples.length > 0) {
-      const isSoftBody = dynMesh.userData.isSoftBody || false;
-      
-      // Filter contact samples based on enableSynthetic setting
-      let contactsForBBox = window.state.contactSamples;
-      if (!window.state.enableSynthetic) {
-        // Only use real contacts (filter out synthetic)
-        contactsForBBox = window.state.contactSamples.filter(pt => !pt.isSynthetic);
-        
-        // If no real contacts remain, skip bounding box calculation
-        if (contactsForBBox.length === 0) {
-          window.state.lastOBB = null;
-          this.cachedOBB = null;
-          if (this.visualizationManager.obbGroup) this.visualizationManager.obbGroup.visible = false;
-          document.getElementById('obbAng').textContent = '—';
-          return;
-        }
-      }
-      
-      const obb = computeBoundingBox(
-        contactsForBBox,
-        this.contactResult.avgContactPoint,
-        this.contactResult.avgContactNormal,
-        window.state.bboxAlgorithm,
-        CFG,
-        THREE,
-        dynBody,
-        A,
-        window.state.lastOBB,
-        window.state.previousVelocity,
-        window.state.previousAngle,
-        window.ANGLE_STABILITY_THRESHOLD,
-        isSoftBody
-      );
+  updatePlaneFitInfo(estimate) {
+    const el = document.getElementById('planeFitInfo');
+    if (!el) return;
+    if (!estimate || !estimate.plane) {
+      el.textContent = '—';
+    } else if (estimate.fitted) {
+      el.textContent = `fitted ${estimate.inliers}/${estimate.inliers + estimate.outliers} · ${estimate.tiltDeg.toFixed(1)}°`;
+    } else {
+      el.textContent = `static (${estimate.reason})`;
+    }
+  }
 
-      if (obb) {
-        window.state.lastOBB = obb;
-        this.cachedOBB = obb; // Cache for performance throttling
-        updateOBBVisualization(this.visualizationManager.obbGroup, obb, window.state.paddingWidthScale, window.state.paddingHeightScale, window.state.paddingDepthTopScale, window.state.paddingDepthBottomScale, CFG, THREE);
-        this.visualizationManager.obbGroup.visible = window.state.showOBB;
-        const angDeg = (obb.theta * 180 / Math.PI).toFixed(2);
-        document.getElementById('obbAng').textContent = angDeg + '°';
+  updateBoundingBox(dynMesh, dynBody) {
+    const tracker = this.getFocusedTracker();
+    const obb = dynMesh && window.state.contactSamples.length > 0
+      ? this.computeBodyOBB(tracker, dynBody, dynMesh.userData.isSoftBody || false)
+      : null;
+    tracker.lastOBB = obb;
+
+    if (window.state.enableBBoxBenchmark) this.measureBBoxBenchmark(tracker, dynBody, dynMesh);
+
+    if (obb) {
+      window.state.lastOBB = obb;
+      this.cachedOBB = obb; // Cache for performance throttling
+      updateOBBVisualization(this.visualizationManager.obbGroup, obb, window.state.paddingWidthScale, window.state.paddingHeightScale, window.state.paddingDepthTopScale, window.state.paddingDepthBottomScale, CFG, THREE);
+      this.visualizationManager.obbGroup.visible = window.state.showOBB;
+      const angDeg = (obb.theta * 180 / Math.PI).toFixed(2);
+      let shapeText = '';
+      if (obb.shape === 'circle') {
+        shapeText = ` · r ${(obb.radius * 1000).toFixed(1)} mm`;
+      } else if (obb.shape === 'ellipse') {
+        shapeText = ` · ${(obb.semiAxes.a * 1000).toFixed(1)} × ${(obb.semiAxes.b * 1000).toFixed(1)} mm`;
+      } else if (obb.contactDepth !== undefined) {
+        // 3D OBB: normal tilt from vertical
+        shapeText = ` · tilt ${(Math.acos(Math.min(1, Math.abs(obb.n.y))) * 180 / Math.PI).toFixed(1)}°`;
       }
+      document.getElementById('obbAng').textContent = angDeg + '°' + shapeText;
     } else {
+      // No contacts (or only synthetic ones with augmentation off)
       window.state.lastOBB = null;
       this.cachedOBB = null;
       if (this.visualizationManager.obbGroup) this.visualizationManager.obbGroup.visible = false;
       document.getElementById('obbAng').textContent = '—';
     }
+
+    this.updateFootprintInfo(tracker.footprint, obb);
+  }
+
+  /**
+   * Footprint polygon outline and its area / perimeter / orientation readout
+   */
+  updateFootprintInfo(footprint, obb) {
+    window.footprintOverlay.update(footprint);
+    window.footprintOverlay.setVisible(window.state.showOBB && !!footprint);
+
+    const el = document.getElementById('footprintInfo');
+    if (!el) return;
+    if (!footprint) {
+      el.textContent = obb ? `rectangle · ${(obb.width * obb.height * 1e4).toFixed(1)} cm²` : '—';
+      return;
+    }
+    const m = footprint.metrics;
+    const axisDeg = Math.atan2(footprint.axis.z, footprint.axis.x) * 180 / Math.PI;
+    el.textContent = `${footprint.used} · ${(m.area * 1e4).toFixed(1)} cm² · P ${(m.perimeter * 100).toFixed(1)} cm · ` +
+      `${axisDeg.toFixed(0)}° · ${Number.isFinite(m.elongation) ? m.elongation.toFixed(2) : '∞'}:1 · ` +
+      `${(100 * m.area / Math.max(1e-9, obb.width * obb.height)).toFixed(0)}% of box`;
+  }
+
+  /**
+   * Benchmark mode: every bbox algorithm on the focused body's contacts (the set its live box was built from)
+   */
+  measureBBoxBenchmark(tracker, dynBody, dynMesh) {
+    const result = tracker.contactResult;
+    const benchmark = window.bboxBenchmark;
+    benchmark.stabilize = window.state.enableBoxStabilizer;
+    benchmark.stabilizerOptions = this.getBoxStabilizerRates();
+
+    const results = benchmark.measure({
+      contacts: dynMesh && result ? this.getBoxContacts(tracker) : [],
+      contactPoint: result ? result.avgContactPoint : null,
+      contactNormal: result ? result.avgContactNormal : null,
+      body: dynBody,
+      A,
+      isSoftBody: dynMesh ? dynMesh.userData.isSoftBody || false : false,
+      contactPlane: window.state.enablePlaneFit && result && result.contactPlane ? result.contactPlane.plane : null
+    }, performance.now() / 1000);
+    window.bboxBenchmarkOverlay.update(results);
+
+    const now = performance.now();
+    if (now - this.lastBenchmarkTableTime > 250) {
+      this.lastBenchmarkTableTime = now;
+      this.renderBBoxBenchmarkTable();
+    }
+  }
+
+  /**
+   * Benchmark summary table (one row per algorithm, best value per column highlighted)
+   */
+  renderBBoxBenchmarkTable() {
+    const el = document.getElementById('bboxBenchmarkTable');
+    if (!el) return;
+    const benchmark = window.bboxBenchmark;
+    if (benchmark.frameCount === 0) {
+      el.textContent = 'No frames measured';
+      return;
+    }
+
+    const rows = benchmark.summary();
+    const columns = [
+      ['meanFitRatio', 'Fit', 3],
+      ['meanJitterDeg', 'Jitter °', 2],
+      ['maxJitterDeg', 'Max °', 1],
+      ['meanDriftMm', 'Drift mm', 2],
+      ['meanTimeMs', 'ms', 3]
+    ];
+    const best = {};
+    for (const [key] of columns) {
+      const values = rows.map(r => r[key]).filter(v => v !== null);
+      best[key] = values.length > 0 ? Math.min(...values) : null;
+    }
+
+    const hex = (color) => '#' + color.toString(16).padStart(6, '0');
+    el.innerHTML = `<table style="width: 100%; border-collapse: collapse;">` +
+      `<tr><th style="text-align: left;">${benchmark.frameCount} frames</th>${columns.map(([, label]) => `<th>${label}</th>`).join('')}</tr>` +
+      rows.map(r => `<tr><td style="color: ${hex(BBOX_ALGORITHM_COLORS[r.name])};">${r.name}</td>` +
+        columns.map(([key, , digits]) => {
+          const v = r[key];
+          const style = v !== null && v === best[key] ? 'color: #34d399;' : '';
+          return `<td style="text-align: right; ${style}">${v === null ? '—' : v.toFixed(digits)}</td>`;
+        }).join('') + '</tr>').join('') +
+      '</table>';
+  }
+
+  /**
+   * Trace comparison table (one row per algorithm from ContactTracePlayer.compare(), steadiest highlighted)
+   * @param {Array|null} rows - null clears the table
+   */
+  renderTraceComparisonTable(rows) {
+    const el = document.getElementById('contactTraceCompareTable');
+    if (!el) return;
+    if (!rows || rows.length === 0) {
+      el.textContent = '';
+      return;
+    }
+
+    const columns = [
+      ['boxFrames', 'Boxes', 0],
+      ['meanContacts', 'Contacts', 1],
+      ['meanWidth', 'W m', 3],
+      ['meanHeight', 'H m', 3],
+      ['meanThetaJitterDeg', 'Jitter °', 2]
+    ];
+    const steadiest = Math.min(...rows.map(r => r.meanThetaJitterDeg));
+
+    const hex = (color) => '#' + color.toString(16).padStart(6, '0');
+    el.innerHTML = `<table style="width: 100%; border-collapse: collapse;">` +
+      `<tr><th style="text-align: left;">${rows[0].frames} steps</th>${columns.map(([, label]) => `<th>${label}</th>`).join('')}</tr>` +
+      rows.map(r => `<tr><td style="color: ${hex(BBOX_ALGORITHM_COLORS[r.name] ?? 0xffffff)};">${r.name}</td>` +
+        columns.map(([key, , digits]) => {
+          const style = key === 'meanThetaJitterDeg' && r[key] === steadiest ? 'color: #34d399;' : '';
+          return `<td style="text-align: right; ${style}">${r[key].toFixed(digits)}</td>`;
+        }).join('') + '</tr>').join('') +
+      '</table>';
   }
 
   renderPiPAndStamp(now, dynBody, dynMesh, skipPiPRendering = false) {
@@ -2874,62 +4106,14 @@ class AnimationManager {
     let normalForce = 20.0;
 
     if (dynBody && window.state.lastOBB) {
-      if (dynMesh && dynMesh.userData.isSoftBody) {
-        const nodes = dynBody.get_m_nodes();
-        const nodeCount = nodes.size();
-        let avgVx = 0, avgVy = 0, avgVz = 0;
-
-        for (let i = 0; i < nodeCount; i++) {
-          const node = nodes.at(i);
-          const nodeVel = node.get_m_v();
-          avgVx += nodeVel.x();
-          avgVy += nodeVel.y();
-          avgVz += nodeVel.z();
-        }
-
-        if (nodeCount > 0) {
-          avgVx /= nodeCount;
-          avgVy /= nodeCount;
-          avgVz /= nodeCount;
-          velocity = { x: avgVx, y: avgVy, z: avgVz };
-          const velocityMag = Math.sqrt(avgVx * avgVx + avgVz * avgVz);
-          if (velocityMag > 0.5) {
-            cameraRotation = Math.atan2(-avgVz, avgVx);
-          }
-        }
-
-        // Soft bodies don't have rigid angular velocity
-        angularVelocity = { x: 0, y: 0, z: 0 };
-      } else {
-        const lv = dynBody.getLinearVelocity();
-        velocity = sanitizeVector3({ x: lv.x(), y: lv.y(), z: lv.z() });
-        const velocityMag = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
-        if (velocityMag > 0.5) {
-          cameraRotation = Math.atan2(-lv.z(), lv.x());
-        }
-        A.destroy(lv);
-
-        // Get angular velocity for rigid bodies
-        const av = dynBody.getAngularVelocity();
-        angularVelocity = sanitizeVector3({ x: av.x(), y: av.y(), z: av.z() });
-        A.destroy(av);
-      }
+      const focused = this.getFocusedTracker().updateVelocity(A, dynBody, dynMesh);
+      velocity = focused.velocity;
+      angularVelocity = focused.angularVelocity;
+      cameraRotation = this.getCameraRotation(velocity);
 
       // Calculate normal force
       if (dynMesh) {
-        let verticalVelocity = 0;
-        if (dynMesh.userData.isSoftBody) {
-          if (velocity) verticalVelocity = velocity.y || 0;
-        } else {
-          const lv = dynBody.getLinearVelocity();
-          verticalVelocity = lv.y();
-          A.destroy(lv);
-        }
-
-        const mass = this.bodyManager.mass || 2;
-        const weight = mass * window.state.gravity;
-        const impactFactor = Math.max(0, -verticalVelocity * 2);
-        normalForce = weight * (1.0 + impactFactor);
+        normalForce = this.computeNormalForce(velocity);
       }
     }
 
@@ -2950,19 +4134,216 @@ class AnimationManager {
       angularVelocity,
       normalForce,
       pipTimestep,
-      window.slidingDistanceManager
+      window.slidingDistanceManager,
+      window.state.lastOBB ? this.getFocusedTracker().footprint : null,
+      this.getDepthContact(),
+      window.state.pressureModel
     );
+
+    const pipPathEl = document.getElementById('pipPath');
+    if (pipPathEl) {
+      pipPathEl.textContent = this.pipManager.gpuFrame ? 'GPU' : 'CPU';
+    }
+
+    const pressurePeakEl = document.getElementById('pressurePeak');
+    if (pressurePeakEl) {
+      const field = this.pipManager.pressureField;
+      pressurePeakEl.textContent = field && field.contactPixels > 0
+        ? `${(field.peakPressure / 1000).toFixed(2)} kPa (mean ${(field.meanPressure / 1000).toFixed(2)})`
+        : '—';
+    }
     
-    // Handle stamping
-    if (window.state.enableStamping && now - this.lastStampTime >= window.state.stampInterval && window.state.lastOBB && window.state.contactSamples.length > 0) {
+    // Handle stamping: the focused body through its PiP views, other bodies through off-screen captures
+    const focusedInContact = window.state.lastOBB && window.state.contactSamples.length > 0;
+    const othersInContact = this.getUnfocusedTrackers().filter(tracker => tracker.lastOBB && tracker.contactSamples.length > 0);
+    if (window.state.enableStamping && now - this.lastStampTime >= window.state.stampInterval && (focusedInContact || othersInContact.length > 0)) {
+      // Calculate timestep before updating lastStampTime
+      const timestep = this.lastStampTime > 0 ? (now - this.lastStampTime) / 1000 : 0.001;
+      this.lastStampTime = now;
+
       // Stamp without ground collision validation
-      this.handleStamping(now, velocity, normalForce);
+      let accumulated = focusedInContact ? this.handleStamping(now, velocity, normalForce, timestep) : false;
+      for (const tracker of othersInContact) {
+        accumulated = this.accumulateBodyWear(tracker, timestep) || accumulated;
+      }
+      if (accumulated) {
+        this.renderWearMaps();
+      }
+    }
+  }
+
+  /**
+   * Penetration map options for the PiP views (null = binary top ∧ bottom mask)
+   * The Winkler pressure model needs the map, so it renders depth even with depth contact off.
+   */
+  getDepthContact() {
+    const needed = window.state.depthContact || window.state.pressureModel === 'winkler';
+    return needed ? { tolerance: window.state.contactTolerance } : null;
+  }
+
+  /**
+   * PiP camera heading from the horizontal velocity (null below 0.5 m/s keeps the OBB axes)
+   */
+  getCameraRotation(velocity) {
+    if (!velocity) return null;
+    const velocityMag = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+    return velocityMag > 0.5 ? Math.atan2(-velocity.z, velocity.x) : null;
+  }
+
+  /**
+   * Accumulate a body that is not in the PiP views into the shared flow and sliding maps
+   * @returns {boolean} true if anything was accumulated
+   */
+  accumulateBodyWear(tracker, timestep) {
+    if (!window.flowAccumulationManager) return false;
+
+    tracker.updateVelocity(A);
+    const views = this.pipManager.captureFootprint(
+      tracker.lastOBB,
+      window.state.paddingWidthScale,
+      window.state.paddingHeightScale,
+      window.state.paddingDepthTopScale,
+      window.state.paddingDepthBottomScale,
+      this.getCameraRotation(tracker.velocity),
+      tracker.footprint,
+      this.getDepthContact()
+    );
+    if (!views) return false;
+
+    const center = window.state.useBBoxCenter ? tracker.lastOBB.center : tracker.contactResult.geometricCenter;
+    const normalForce = this.computeNormalForce(tracker.velocity, tracker.contactResult, false);
+    // Cameras are still placed for this body, so the pressure field matches its views
+    const pressureField = this.pipManager.buildPressureField(views.pixels1, views.pixels2, views.mask, views.penetration, normalForce, window.state.pressureModel);
+    this.accumulateWear(views.pixels1, views.pixels2, tracker.velocity, tracker.angularVelocity, normalForce, views.obb, tracker.contactSamples, center.x, center.z, timestep, views.mask, pressureField);
+    return true;
+  }
+
+  /**
+   * Add one body's top / bottom footprint images to the shared flow and sliding maps
+   * @param {Array} contacts - The body's contact samples with stick / slip labels (slipping area only wears)
+   * @param {Uint8Array} footprintMask - Footprint polygon in PiP pixels (null = the whole box)
+   * @param {Object} pressureField - Contact pressure from PiPManager.buildPressureField() (null = intersection, F / A)
+   * @param {Float32Array} gpuFlow - Flow pass of the focused body's GPU frame (PiPManager.readGPUFlow()), null = CPU
+   */
+  accumulateWear(pixels1, pixels2, velocity, angularVelocity, normalForce, obb, contacts, stampWorldX, stampWorldZ, timestep, footprintMask = null, pressureField = null, gpuFlow = null) {
+    const slipMask = window.state.slipOnlyWear ? buildSlipMask(contacts, obb, CFG.PIP_W, CFG.PIP_H) : null;
+
+    // Accumulate flow with timestep for sliding distance calculation
+    window.flowAccumulationManager.accumulate(
+      pixels1,
+      pixels2,
+      velocity,
+      angularVelocity,
+      normalForce,
+      obb,
+      stampWorldX,
+      stampWorldZ,
+      timestep,  // δt in seconds
+      slipMask,
+      footprintMask,
+      pressureField,
+      gpuFlow
+    );
+
+    // Accumulate sliding distance
+    if (window.slidingDistanceManager) {
+      window.slidingDistanceManager.accumulate(
+        pixels1,
+        pixels2,
+        velocity,
+        angularVelocity,
+        obb,
+        timestep,
+        normalForce,
+        slipMask,
+        footprintMask,
+        pressureField
+      );
     }
   }
 
+  /**
+   * Redraw the ground wear layers after all bodies accumulated
+   */
+  renderWearMaps() {
+    // Render sliding distance to ground canvas
+    if (window.slidingDistanceManager) {
+      window.slidingDistanceManager.render();
+    }
+
+    // Note: PiP6 is now instant (no accumulation), so no splatting needed
+
+    // Render flow to ground canvas
+    window.flowAccumulationManager.render();
+
+    // Update variant ground textures if loaded
+    if (window.groundVariantManager && window.groundVariantManager.variantRoot) {
+      // Update blend texture (wear accumulation as grayscale)
+      const wearTexture = window.flowAccumulationManager.generateWearBlendTexture(THREE);
+      window.groundVariantManager.setWearBlendTexture(wearTexture);
+
+      // Update flow map if flow is enabled
+      if (window.groundVariantManager.enableFlow) {
+        const flowTexture = window.flowAccumulationManager.generateFlowMapTexture(THREE);
+        window.groundVariantManager.setFlowMapTexture(flowTexture);
+      }
+    }
+
+    // Update visibility
+    if (window.state.showFlowOverlay && !window.flowAccumulationManager.flowOverlay.visible) {
+      window.flowAccumulationManager.flowOverlay.visible = true;
+    }
+  }
+
+
+  /**
+   * Normal force for stamping, the wear/sliding accumulators and the PiP5/PiP8 traction maps
+   * 'measured' uses the ground-normal manifold impulses reported by sampleContacts;
+   * 'estimated' (and measured frames without impulse data, e.g. soft body node contacts) uses m·g
+   * scaled up by the downward speed.
+   * @param {Object} velocity - Body velocity {x, y, z}
+   * @returns {number} Normal force in N
+   */
+  computeNormalForce(velocity, result = this.contactResult, updateDisplay = true) {
+    let source = 'estimated';
+    let normalForce;
+
+    if (window.state.normalForceSource === 'measured' && result && result.hasMeasuredForce) {
+      source = 'measured';
+      normalForce = result.normalForce;
+    } else {
+      const verticalVelocity = velocity ? velocity.y || 0 : 0;
+      const mass = this.bodyManager.mass || 2;
+      const weight = mass * window.state.gravity;
+      const impactFactor = Math.max(0, -verticalVelocity * 2);
+      normalForce = weight * (1.0 + impactFactor);
+    }
+
+    const normalForceEl = updateDisplay ? document.getElementById('normalForceDisplay') : null;
+    if (normalForceEl) {
+      normalForceEl.textContent = `${normalForce.toFixed(1)} N (${source})`;
+    }
+
+    return normalForce;
+  }
+
+  /**
+   * Tangent plane of the ground under a body mesh (soft body meshes carry world-space vertices)
+   */
+  getSupportPlane(mesh) {
+    if (!window.groundSurface || !mesh) return null;
+    const point = mesh.userData.isSoftBody
+      ? new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3())
+      : mesh.position;
+    return window.groundSurface.getSupportPlane(point);
+  }
 
   isValidGroundCollision(dynBody, dynMesh) {
     if (!dynBody || !dynMesh) return false;
+
+    // Heights and normals are measured against the supporting surface (horizontal y=0 plane by default)
+    const support = this.supportPlane || new Plane(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 0));
+    const heightAt = (x, y, z) => support.signedDistanceToPoint(new THREE.Vector3(x, y, z));
     
     // Check if the body is actually in contact with the ground
     let hasGroundContact = false;
@@ -2977,11 +4358,11 @@ class AnimationManager {
       for (let i = 0; i < nodeCount; i++) {
         const node = nodes.at(i);
         const nodePos = node.get_m_x();
-        const nodeY = nodePos.y();
+        const nodeY = heightAt(nodePos.x(), nodePos.y(), nodePos.z());
         
         if (nodeY < bodyLowestY) bodyLowestY = nodeY;
         
-        // Consider ground contact if node is within threshold of ground plane (y=0)
+        // Consider ground contact if node is within threshold of the supporting surface
         if (nodeY <= window.softGroundThreshold) {
           groundContactPoints++;
           hasGroundContact = true;
@@ -2997,7 +4378,7 @@ class AnimationManager {
       const tmpTr = new A.btTransform();
       dynBody.getMotionState().getWorldTransform(tmpTr);
       const bodyPos = tmpTr.getOrigin();
-      bodyLowestY = bodyPos.y();
+      bodyLowestY = heightAt(bodyPos.x(), bodyPos.y(), bodyPos.z());
       
       // Consider ground contact if body is close to ground plane (tighter threshold)
       if (bodyLowestY <= 0.5) { // Stricter threshold - body must be very close to ground
@@ -3017,12 +4398,12 @@ class AnimationManager {
               const worldPos = contactPoint.get_m_positionWorldOnB();
               
               // Validate this is actually ground contact:
-              // 1. Normal points mostly upward
-              // 2. Contact point is near ground level (y ≈ 0)
+              // 1. Normal points mostly along the surface normal
+              // 2. Contact point is near the surface (height ≈ 0)
               // 3. Contact is not with wall obstacle (if enabled)
               if (normal && worldPos && 
-                  Math.abs(normal.y()) > 0.7 && 
-                  worldPos.y() <= 0.1) { // Stricter: contact point must be very close to ground level
+                  Math.abs(normal.x() * support.normal.x + normal.y() * support.normal.y + normal.z() * support.normal.z) > 0.7 && 
+                  heightAt(worldPos.x(), worldPos.y(), worldPos.z()) <= 0.1) { // Stricter: contact point must be very close to the surface
                 
                 // Additional check: ensure contact is not with wall obstacle
                 if (window.state.showWallObstacle) {
@@ -3048,7 +4429,7 @@ class AnimationManager {
     
     // Also validate that we have enough contact samples for meaningful stamping
     const validContactSamples = window.state.contactSamples.filter(contact => 
-      contact.y <= 0.1 // Stricter: contact points must be very close to ground level
+      heightAt(contact.x, contact.y, contact.z) <= 0.1 // Stricter: contact points must be very close to the surface
     );
     
     const finalResult = hasGroundContact && validContactSamples.length >= 1; // Need at least 1 valid ground contact
@@ -3056,17 +4437,105 @@ class AnimationManager {
     return finalResult;
   }
 
-  handleStamping(now, velocity, normalForce) {
-    // Calculate timestep before updating lastStampTime
-    const timestep = this.lastStampTime > 0 ? (now - this.lastStampTime) / 1000 : 0.001;
-    this.lastStampTime = now;
+  /**
+   * Accumulate wear and sliding distance of every body on the wall obstacle faces
+   * Wall contacts come from the manifolds directly, so no PiP views are needed
+   */
+  handleWallStamping(now) {
+    const timestep = this.lastWallStampTime > 0 ? Math.min((now - this.lastWallStampTime) / 1000, 0.1) : 0;
+    this.lastWallStampTime = now;
+
+    if (!window.wallStampingManager || timestep <= 0) return;
+
+    let contactCount = 0;
+    for (const { mesh, body } of this.bodyManager.getBodies()) {
+      contactCount += this.accumulateWallWear(body, mesh, timestep);
+    }
+
+    const wallContactsEl = document.getElementById('wallContacts');
+    if (wallContactsEl) {
+      wallContactsEl.textContent = String(contactCount);
+    }
+
+    const wallMaxWearEl = document.getElementById('wallMaxWear');
+    if (wallMaxWearEl) {
+      const { maxWear, maxSlidingDistance } = window.wallStampingManager.getMaxValues();
+      wallMaxWearEl.textContent = `${maxWear.toFixed(3)} / ${(maxSlidingDistance * 1000).toFixed(2)} mm`;
+    }
+  }
+
+  /**
+   * Accumulate one body's wall contacts
+   * @returns {number} Wall contacts of the body
+   */
+  accumulateWallWear(dynBody, dynMesh, timestep) {
+    if (!dynBody || !dynMesh) return 0;
+
+    let velocity;
+    let angularVelocity;
+    let bodyCenter;
+
+    if (dynMesh.userData.isSoftBody) {
+      const nodes = dynBody.get_m_nodes();
+      const nodeCount = nodes.size();
+      if (nodeCount === 0) return 0;
+      let vx = 0, vy = 0, vz = 0, px = 0, py = 0, pz = 0;
+      for (let i = 0; i < nodeCount; i++) {
+        const node = nodes.at(i);
+        const nodeVel = node.get_m_v();
+        const nodePos = node.get_m_x();
+        vx += nodeVel.x(); vy += nodeVel.y(); vz += nodeVel.z();
+        px += nodePos.x(); py += nodePos.y(); pz += nodePos.z();
+      }
+      velocity = { x: vx / nodeCount, y: vy / nodeCount, z: vz / nodeCount };
+      angularVelocity = { x: 0, y: 0, z: 0 };
+      bodyCenter = { x: px / nodeCount, y: py / nodeCount, z: pz / nodeCount };
+    } else {
+      const lv = dynBody.getLinearVelocity();
+      velocity = sanitizeVector3({ x: lv.x(), y: lv.y(), z: lv.z() });
+      A.destroy(lv);
+      const av = dynBody.getAngularVelocity();
+      angularVelocity = sanitizeVector3({ x: av.x(), y: av.y(), z: av.z() });
+      A.destroy(av);
+      bodyCenter = { x: dynMesh.position.x, y: dynMesh.position.y, z: dynMesh.position.z };
+    }
+
+    // Fallback normal force when the solver impulse is not available (soft bodies): body weight
+    const mass = this.bodyManager.mass || 2;
+    const fallbackForce = mass * window.state.gravity;
+    const mu = window.bodyManager ? window.bodyManager.friction : 0.5;
+
+    window.wallStampingManager.accumulate(
+      window.dispatcher,
+      dynBody,
+      dynMesh,
+      velocity,
+      angularVelocity,
+      bodyCenter,
+      fallbackForce,
+      mu,
+      timestep,
+      1 / window.state.fixedTimestep
+    );
+    return window.wallStampingManager.lastContactCount;
+  }
+
+  /**
+   * Stamp the focused body's PiP intersection and accumulate its wear
+   * @returns {boolean} true if the flow / sliding maps were accumulated (caller renders them)
+   */
+  handleStamping(now, velocity, normalForce, timestep) {
+    // GPU frames leave hidden canvases and the pressure field behind
+    this.pipManager.syncForStamping(normalForce);
 
     const intersectionCanvas = document.getElementById('pip3Canvas');
-    if (!intersectionCanvas) return;
+    if (!intersectionCanvas) return false;
 
-    // Check if there's content to stamp
+    // Check if there's content to stamp (central 100 × 100 px)
     const tempCtx = intersectionCanvas.getContext('2d');
-    const checkData = tempCtx.getImageData(130 - 50, 130 - 50, 100, 100);
+    const checkW = Math.min(100, intersectionCanvas.width);
+    const checkH = Math.min(100, intersectionCanvas.height);
+    const checkData = tempCtx.getImageData((intersectionCanvas.width - checkW) >> 1, (intersectionCanvas.height - checkH) >> 1, checkW, checkH);
     let hasContent = false;
     for (let i = 0; i < checkData.data.length; i += 4) {
       if (checkData.data[i] > 30 || checkData.data[i+1] > 30 || checkData.data[i+2] > 30) {
@@ -3075,10 +4544,10 @@ class AnimationManager {
       }
     }
     
-    if (!hasContent) return;
+    if (!hasContent) return false;
 
     // Choose stamp position
-    let stampWorldX, stampWorldZ;
+    let stampWorldX, stampWorldY, stampWorldZ;
     if (window.state.useBBoxCenter) {
       if (this.dynMesh) {
         // Calculate 3D bounding box center from mesh
@@ -3086,55 +4555,82 @@ class AnimationManager {
         const center = new window.THREE.Vector3();
         box.getCenter(center);
         stampWorldX = center.x;
+        stampWorldY = center.y;
         stampWorldZ = center.z;
       } else {
         // Fallback to OBB center if no mesh
         stampWorldX = window.state.lastOBB.center.x;
+        stampWorldY = window.state.lastOBB.center.y;
         stampWorldZ = window.state.lastOBB.center.z;
       }
     } else {
       stampWorldX = this.contactResult.geometricCenter.x;
+      stampWorldY = this.contactResult.geometricCenter.y;
       stampWorldZ = this.contactResult.geometricCenter.z;
     }
     
     // Calculate stamp size first to validate boundaries
+    // (a square over the padded box; aspect-preserving / fixed-scale views stamp their actual extent)
     const paddedWidth = window.state.lastOBB.width * window.state.paddingWidthScale;
     const paddedHeight = window.state.lastOBB.height * window.state.paddingHeightScale;
     const stampSizeWorld = Math.max(paddedWidth, paddedHeight);
-    const stampRadius = stampSizeWorld / 2;
-    
-    // Validate ground plane boundaries - ensure stamp stays within the physical ground plane
-    const groundBoundary = CFG.PLANE_SIZE / 2 - stampRadius; // Leave margin for stamp size
+    const viewOBB = this.pipManager.viewOBB;
+    const stampWidthWorld = viewOBB ? viewOBB.width : stampSizeWorld;
+    const stampHeightWorld = viewOBB ? viewOBB.height : stampSizeWorld;
     
-    // Clamp stamp position to stay within ground plane bounds only
-    stampWorldX = Math.max(-groundBoundary, Math.min(groundBoundary, stampWorldX));
-    stampWorldZ = Math.max(-groundBoundary, Math.min(groundBoundary, stampWorldZ));
+    // Convert to canvas coordinates through the ground mesh UVs (surface point below the stamp position)
+    const stampCanvas = this.stampingManager.stampCanvas;
+    const stampMapper = window.groundSurface.createCanvasMapper(
+      { x: stampWorldX, y: stampWorldY, z: stampWorldZ },
+      stampCanvas.width,
+      stampCanvas.height
+    );
+    const surfacePoint = stampMapper.sample.point;
+    const mapped = stampMapper.toCanvas(surfacePoint.x, surfacePoint.y, surfacePoint.z);
+    const stampWidth = stampWidthWorld * stampMapper.pixelsPerMeter;
+    const stampHeight = stampHeightWorld * stampMapper.pixelsPerMeter;
+    const stampSize = Math.max(stampWidth, stampHeight);
     
-    // Convert to canvas coordinates
-    const canvasX = ((stampWorldX + CFG.PLANE_SIZE / 2) / CFG.PLANE_SIZE) * this.stampingManager.stampCanvas.width;
-    const canvasY = ((stampWorldZ + CFG.PLANE_SIZE / 2) / CFG.PLANE_SIZE) * this.stampingManager.stampCanvas.height;
-    const stampSize = stampSizeWorld / CFG.PLANE_SIZE * this.stampingManager.stampCanvas.width;
+    // Clamp so the stamp stays within the ground texture (margin for stamp size)
+    const canvasX = Math.max(stampSize / 2, Math.min(stampCanvas.width - stampSize / 2, mapped.x));
+    const canvasY = Math.max(stampSize / 2, Math.min(stampCanvas.height - stampSize / 2, mapped.y));
     
+    // Fitted contact plane: steep planes are wall contacts (handled by the wall stamper),
+    // sloped ones shrink the PiP image along the slope direction when projected onto the ground texture
+    const fittedPlane = this.contactResult.contactPlane && this.contactResult.contactPlane.fitted
+      ? this.contactResult.contactPlane.plane
+      : null;
+    const stampOnGround = !fittedPlane || this.contactResult.contactPlane.tiltDeg <= 60;
+
     // Apply stamp
-    this.stampingManager.stampCtx.save();
-    this.stampingManager.stampCtx.translate(canvasX, canvasY);
-    this.stampingManager.stampCtx.scale(1, -1);
-    this.stampingManager.stampCtx.globalAlpha = 1.0;
-    this.stampingManager.stampCtx.globalCompositeOperation = 'source-over';
-
-    this.stampingManager.stampCtx.drawImage(
-      intersectionCanvas,
-      -stampSize / 2,
-      -stampSize / 2,
-      stampSize,
-      stampSize
-    );
+    if (stampOnGround) {
+      this.stampingManager.stampCtx.save();
+      this.stampingManager.stampCtx.translate(canvasX, canvasY);
+      if (fittedPlane) {
+        const n = fittedPlane.normal;
+        const slopeAngle = Math.atan2(n.z, n.x);
+        this.stampingManager.stampCtx.rotate(slopeAngle);
+        this.stampingManager.stampCtx.scale(Math.abs(n.y), 1);
+        this.stampingManager.stampCtx.rotate(-slopeAngle);
+      }
+      this.stampingManager.stampCtx.scale(1, -1);
+      this.stampingManager.stampCtx.globalAlpha = 1.0;
+      this.stampingManager.stampCtx.globalCompositeOperation = 'source-over';
+
+      this.stampingManager.stampCtx.drawImage(
+        intersectionCanvas,
+        -stampWidth / 2,
+        -stampHeight / 2,
+        stampWidth,
+        stampHeight
+      );
 
-    this.stampingManager.stampCtx.restore();
-    this.stampingManager.stampTexture.needsUpdate = true;
-    // Ensure the stamp overlay is visible if Show Stamps is enabled
-    if (window.state.showStamps && !this.stampingManager.stampOverlay.visible) {
-      this.stampingManager.stampOverlay.visible = true;
+      this.stampingManager.stampCtx.restore();
+      this.stampingManager.stampTexture.needsUpdate = true;
+      // Ensure the stamp overlay is visible if Show Stamps is enabled
+      if (window.state.showStamps && !this.stampingManager.stampOverlay.visible) {
+        this.stampingManager.stampOverlay.visible = true;
+      }
     }
 
     // Flow accumulation - get pixels from pip1 and pip2
@@ -3146,98 +4642,17 @@ class AnimationManager {
       const pixels1 = pip1Ctx.getImageData(0, 0, CFG.PIP_W, CFG.PIP_H).data;
       const pixels2 = pip2Ctx.getImageData(0, 0, CFG.PIP_W, CFG.PIP_H).data;
 
-      // Get velocity and angular velocity (already calculated earlier in renderPiPAndStamp)
-      const dynBody = this.bodyManager.getBody();
-      const dynMesh = this.bodyManager.getMesh();
-
-      let velocity = null;
-      let angularVelocity = null;
-
-      if (dynBody && window.state.lastOBB) {
-        if (dynMesh && dynMesh.userData.isSoftBody) {
-          const nodes = dynBody.get_m_nodes();
-          const nodeCount = nodes.size();
-          let avgVx = 0, avgVy = 0, avgVz = 0;
-          for (let i = 0; i < nodeCount; i++) {
-            const node = nodes.at(i);
-            const nodeVel = node.get_m_v();
-            avgVx += nodeVel.x();
-            avgVy += nodeVel.y();
-            avgVz += nodeVel.z();
-          }
-          if (nodeCount > 0) {
-            avgVx /= nodeCount;
-            avgVy /= nodeCount;
-            avgVz /= nodeCount;
-            velocity = { x: avgVx, y: avgVy, z: avgVz };
-          }
-          angularVelocity = { x: 0, y: 0, z: 0 };
-        } else {
-          const lv = dynBody.getLinearVelocity();
-          velocity = { x: lv.x(), y: lv.y(), z: lv.z() };
-          A.destroy(lv);
-          const av = dynBody.getAngularVelocity();
-          angularVelocity = { x: av.x(), y: av.y(), z: av.z() };
-          A.destroy(av);
-        }
-      }
-
-      // Accumulate flow with timestep for sliding distance calculation
-      window.flowAccumulationManager.accumulate(
-        pixels1,
-        pixels2,
-        velocity,
-        angularVelocity,
-        normalForce,
-        window.state.lastOBB,
-        stampWorldX,
-        stampWorldZ,
-        timestep  // δt in seconds
-      );
-
-      // Accumulate sliding distance
-      if (window.slidingDistanceManager) {
-        window.slidingDistanceManager.accumulate(
-          pixels1,
-          pixels2,
-          velocity,
-          angularVelocity,
-          window.state.lastOBB,
-          timestep
-        );
-        
-        // Render sliding distance to ground canvas
-        window.slidingDistanceManager.render();
-      }
-
-      // Note: PiP6 is now instant (no accumulation), so no splatting needed
-
-      // Render flow to ground canvas
-      window.flowAccumulationManager.render();
-
-      // Update variant ground textures if loaded
-      if (window.groundVariantManager && window.groundVariantManager.variantRoot) {
-        // Update blend texture (wear accumulation as grayscale)
-        const wearTexture = window.flowAccumulationManager.generateWearBlendTexture(THREE);
-        window.groundVariantManager.setWearBlendTexture(wearTexture);
-
-        // Update flow map if flow is enabled
-        if (window.groundVariantManager.enableFlow) {
-          const flowTexture = window.flowAccumulationManager.generateFlowMapTexture(THREE);
-          window.groundVariantManager.setFlowMapTexture(flowTexture);
-        }
-      }
-
-      // Update visibility
-      if (window.state.showFlowOverlay && !window.flowAccumulationManager.flowOverlay.visible) {
-        window.flowAccumulationManager.flowOverlay.visible = true;
-      }
+      // Velocity and angular velocity were read in renderPiPAndStamp
+      const angularVelocity = this.getFocusedTracker().angularVelocity;
+      this.accumulateWear(pixels1, pixels2, velocity, angularVelocity, normalForce, viewOBB ?? window.state.lastOBB, window.state.contactSamples, stampWorldX, stampWorldZ, timestep, this.pipManager.footprintMask, this.pipManager.pressureField, this.pipManager.readGPUFlow());
+      return true;
     }
+    return false;
   }
 }
 
 // ======= Global Variables =======
-let sceneManager, physicsManager, groundManager, visualizationManager, stampingManager, flowAccumulationManager, slidingDistanceManager, groundVariantManager;
+let sceneManager, physicsManager, groundManager, visualizationManager, stampingManager, flowAccumulationManager, slidingDistanceManager, groundVariantManager, wallStampingManager, impactAccumulationManager;
 let bodyManager, pipManager, uiManager, animationManager;
 
 // ======= State Object =======
@@ -3248,10 +4663,22 @@ const state = {
   showGeomCenter: false,
   showWallObstacle: false,
   showStamps: false,
+  enableWallStamping: true,
+  showWallStamps: false,
+  stampWallLineStencil: true,
   pipEnabled: true,
+  gpuPiP: false,          // PiP3-PiP5 / PiP8 as GPU passes (uniform pressure, binary contact mask)
+  pipScaleMode: 'stretch',   // 'stretch' | 'aspect' | 'fixed' (pip/view-scale.js)
+  pipMmPerPixel: 2,          // Fixed-scale mode resolution
   enableStamping: true,
   useBBoxCenter: false,
   enableSynthetic: true,
+  syntheticStrategy: 'kdop8',  // 'kdop8' | 'meshSlice' (synthetic points for sparse contacts)
+  enablePlaneFit: true,  // RANSAC contact plane for boxes, PiP cameras and stamping (static ground plane otherwise)
+  centroidTracker: 'ema', // 'ema' | 'kalman' | 'oneEuro' (temporal filter on the contact centroid)
+  groundShape: 'flat',   // 'flat' | 'ramp' | 'bowl' (built-in ground)
+  bodyCount: 1,          // Simultaneous dynamic bodies, all accumulating into the shared wear maps
+  focusedBody: 0,        // Body the PiP views and HUD follow
 
   paddingWidthScale: 1.0,
   paddingHeightScale: 1.0,
@@ -3267,12 +4694,23 @@ const state = {
 
   stampInterval: 280,
   stepCounter: 0,
+  normalForceSource: 'measured',  // 'measured' (manifold impulses) | 'estimated' (m·g + impact heuristic)
+  slipOnlyWear: true,             // Flow / sliding maps accumulate slipping contact area only
+  enableImpactWear: true,         // Impact layer records ground impacts (contact impact events)
 
   bboxAlgorithm: 'aabb',
-  lastOBB: null,
-  contactSamples: [],
-  previousVelocity: new THREE.Vector3(0, 0, 0),
-  previousAngle: 0
+  enableBBoxBenchmark: false,  // Run every bbox algorithm on the focused body's contacts each frame
+  enableBoxStabilizer: true,  // Continuous box orientation (90°/180° symmetry, speed-band blend, rate limits)
+  boxMaxTurnRate: 360,        // Box stabilizer turn rate limit (°/s)
+  boxMaxSizeRate: 1.0,        // Box stabilizer width / height rate limit (m/s)
+  footprintAlgorithm: 'rectangle',  // 'rectangle' | 'hull' | 'alpha' | 'kdop' (contact polygon that clips PiP views, stamps and wear)
+  footprintAlphaScale: 2.0,   // Alpha shape radius in median contact spacings
+  footprintMargin: 0.005,     // Footprint polygon grown by this much (m) before masking
+  depthContact: false,        // PiP depth penetration map as the contact region
+  contactTolerance: 0.005,    // Gap below which a pixel is in contact (m)
+  pressureModel: 'uniform',   // Contact pressure distribution: 'uniform' | 'winkler' | 'hertz'
+  lastOBB: null,          // Focused body's OBB (per-body boxes live in AnimationManager.trackers)
+  contactSamples: []
 };
 
 // Constants
@@ -3306,14 +4744,20 @@ async function init() {
   flowAccumulationManager = new FlowAccumulationManager(sceneData.scene, CFG, THREE);
   slidingDistanceManager = new SlidingDistanceManager(sceneData.scene, CFG, THREE);
   groundVariantManager = new GroundVariantManager(sceneData.scene, physicsData.world, physicsData.A, CFG, THREE);
+  wallStampingManager = new WallStampingManager(sceneData.scene, physicsData.A, CFG, THREE);
+  impactAccumulationManager = new ImpactAccumulationManager(sceneData.scene, CFG, THREE);
 
   // Initialize ground and obstacles
   const groundData = groundManager.init();
+  const groundSurface = new GroundSurface(THREE, CFG.PLANE_SIZE);
+  groundSurface.setTarget(groundData.ground, CFG.PLANE_SIZE);
 
   // Initialize other systems
   const stampingData = stampingManager.init();
   const flowAccumulationData = flowAccumulationManager.init();
   const slidingDistanceData = slidingDistanceManager.init();
+  impactAccumulationManager.init();
+  wallStampingManager.init(groundData.wallObstacleMesh, groundData.wallObstacleBody);
   
   // Initialize core managers
   const loader = new GLTFLoader();
@@ -3342,11 +4786,28 @@ async function init() {
   window.sceneManager = sceneManager;
   window.physicsManager = physicsManager;
   window.groundManager = groundManager;
+  window.groundSurface = groundSurface;
   window.visualizationManager = visualizationManager;
   window.stampingManager = stampingManager;
   window.groundVariantManager = groundVariantManager;
   window.flowAccumulationManager = flowAccumulationManager;
   window.slidingDistanceManager = slidingDistanceManager;
+  window.wallStampingManager = wallStampingManager;
+  window.impactAccumulationManager = impactAccumulationManager;
+  window.contactDiagnosticsHUD = new ContactDiagnosticsHUD();
+  window.contactTraceRecorder = new ContactTraceRecorder(physicsData.A);
+  window.contactTracePlayer = null;
+  window.bboxBenchmark = new BBoxBenchmark(THREE, CFG, { angleThreshold: ANGLE_STABILITY_THRESHOLD });
+  window.bboxBenchmarkOverlay = new BBoxBenchmarkOverlay(sceneData.scene, THREE);
+  window.footprintOverlay = new FootprintOverlay(sceneData.scene, THREE);
+  window.contactEvents = new ContactEventEmitter();
+
+  // Impact wear layer: impulse spikes where a body lands or bounces on the ground
+  window.contactEvents.on('impact', (e) => {
+    if (!state.enableImpactWear) return;
+    if (e.partnerRole !== 'ground' && e.partnerRole !== 'variant-ground') return;
+    impactAccumulationManager.accumulate(e, bodyManager.mass, window.groundSurface);
+  });
   window.world = physicsData.world;
   window.dispatcher = physicsData.dispatcher;
   window.scene = sceneData.scene;
@@ -3379,4 +4840,4 @@ async function init() {
 }
 
 // ======= Start Application =======
-init().catch(err => {});
\ No newline at end of file
+init().catch(err => {});
\ No newline at end of file
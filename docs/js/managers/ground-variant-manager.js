@@ -17,6 +17,13 @@ export class GroundVariantManager {
     this.variantBodies = [];  // Store physics bodies from GLB
     this.shaderRefs = [];
     this.globalVariantNames = [];
+    this.parser = null;       // GLTF parser of the loaded file (resolves variant materials)
+    this.variantMeshes = [];  // Meshes carrying KHR_materials_variants mappings
+
+    // Variant mode: 'blend' (all N by wear), 'pair' (locked to two variants), 'single' (pinned)
+    this.variantMode = 'blend';
+    this.activeVariant = -1;
+    this.pairVariants = [0, 1];
 
     // Blend parameters
     this.smoothness = 0.5;
@@ -26,10 +33,12 @@ export class GroundVariantManager {
     this.flowThreshold = 0.1;
     this.enableFlow = false;
     this.scale = 1.0; // Ground scale
+    this.impactMix = 0.0; // Share of the impact layer added to the wear blend intensity
 
     // Textures
     this.wearBlendTexture = null;
     this.flowMapTexture = null;
+    this.impactBlendTexture = null;
   }
 
   /**
@@ -47,9 +56,15 @@ export class GroundVariantManager {
         }
 
         this.shaderRefs.length = 0;
+        this.disposeVariantMaterials();
+        this.variantMeshes = [];
+        this.variantMode = 'blend';
+        this.activeVariant = -1;
+        this.pairVariants = [0, 1];
 
         const root = gltf.scene || gltf.scenes[0];
         this.variantRoot = root;
+        this.parser = gltf.parser;
 
         // Position at ground level with scale
         root.position.y = 0;
@@ -114,6 +129,11 @@ export class GroundVariantManager {
     const ext = mesh.userData?.gltfExtensions?.['KHR_materials_variants'];
     if (!ext || !ext.mappings) return false;
 
+    // Keep the file's default material and a cache for pinned variants (see setVariant)
+    mesh.userData.variantDefaultMaterial = mesh.material;
+    mesh.userData.variantMaterialCache = {};
+    this.variantMeshes.push(mesh);
+
     const parser = gltf.parser;
     const Nfile = Math.max(2, this.globalVariantNames.length);
 
@@ -164,6 +184,11 @@ export class GroundVariantManager {
       shader.uniforms.uSmooth = { value: this.smoothness };
       shader.uniforms.uContrast = { value: this.contrast };
 
+      // Impact layer uniforms (mixed into the wear intensity)
+      shader.uniforms.uImpactTex = { value: this.impactBlendTexture };
+      shader.uniforms.uHasImpact = { value: this.impactBlendTexture ? 1 : 0 };
+      shader.uniforms.uImpactMix = { value: this.impactMix };
+
       // Flow uniforms
       shader.uniforms.uFlowTex = { value: this.flowMapTexture };
       shader.uniforms.uHasFlow = { value: this.flowMapTexture ? 1 : 0 };
@@ -171,6 +196,11 @@ export class GroundVariantManager {
       shader.uniforms.uFlowThreshold = { value: this.flowThreshold };
       shader.uniforms.uEnableFlow = { value: this.enableFlow ? 1 : 0 };
 
+      // Pair lock uniforms (blend between two chosen variants instead of all N)
+      shader.uniforms.uPairLock = { value: this.variantMode === 'pair' ? 1 : 0 };
+      shader.uniforms.uPairA = { value: Math.min(this.pairVariants[0], NUsed - 1) };
+      shader.uniforms.uPairB = { value: Math.min(this.pairVariants[1], NUsed - 1) };
+
       // Variant uniforms
       shader.uniforms.uN = { value: NUsed };
       shader.uniforms.uRoughArr = { value: roughArr };
@@ -201,6 +231,9 @@ export class GroundVariantManager {
         .replace('#include <common>', `#include <common>
           uniform sampler2D uBlendTex;
           uniform sampler2D uFlowTex;
+          uniform sampler2D uImpactTex;
+          uniform int   uHasImpact;
+          uniform float uImpactMix;
           uniform int   uHasFlow;
           uniform int   uEnableFlow;
           uniform float uRotStrength;
@@ -208,6 +241,9 @@ export class GroundVariantManager {
           uniform int   uInvert;
           uniform float uSmooth;
           uniform float uContrast;
+          uniform int   uPairLock;
+          uniform int   uPairA;
+          uniform int   uPairB;
           uniform int   uN;
           uniform float uRoughArr[${NUsed}];
           uniform float uMetalArr[${NUsed}];
@@ -225,6 +261,15 @@ export class GroundVariantManager {
           ${pickFn}
 
           void blendN_byIntensity(vec2 uv, float inten, float rotAngle, out vec3 baseLin, out float rough, out float metal){
+            if (uPairLock == 1) {
+              // Locked pair: full wear range maps from variant A to variant B
+              float tp = clamp(inten, 0.0, 1.0);
+              float up = mix(tp, smoothstep(0.0, 1.0, tp), uSmooth);
+              baseLin = mix(baseAt(uPairA, uv, rotAngle), baseAt(uPairB, uv, rotAngle), up);
+              rough   = mix(uRoughArr[uPairA], uRoughArr[uPairB], up);
+              metal   = mix(uMetalArr[uPairA], uMetalArr[uPairB], up);
+              return;
+            }
             float seg = float(uN - 1);
             float x = clamp(inten, 0.0, 1.0) * seg;
             int i = int(floor(x));
@@ -241,6 +286,9 @@ export class GroundVariantManager {
         .replace('#include <map_fragment>', `
           vec4 blendSample = texture2D(uBlendTex, vUv);
           float inten = dot(blendSample.rgb, vec3(0.2126, 0.7152, 0.0722));
+          if (uHasImpact == 1) {
+            inten = clamp(inten + uImpactMix * texture2D(uImpactTex, vUv).r, 0.0, 1.0);
+          }
           inten = (uInvert == 1) ? (1.0 - inten) : inten;
           inten = contrast01(inten, uContrast);
 
@@ -276,6 +324,8 @@ export class GroundVariantManager {
     };
 
     mesh.material = mat;
+    mesh.userData.variantBlendMaterial = mat;
+    mesh.userData.variantSamplerCount = NUsed;
     return true;
   }
 
@@ -291,6 +341,23 @@ export class GroundVariantManager {
     }
   }
 
+  /**
+   * Set impact layer texture (grayscale, added to the wear intensity by impactMix)
+   */
+  setImpactBlendTexture(texture) {
+    // Replacing the map (not redrawing it) frees the previous one's GPU memory
+    if (this.impactBlendTexture && this.impactBlendTexture !== texture) this.impactBlendTexture.dispose();
+    this.impactBlendTexture = texture;
+    for (const sh of this.shaderRefs) {
+      if (sh.uniforms.uImpactTex) {
+        sh.uniforms.uImpactTex.value = texture;
+      }
+      if (sh.uniforms.uHasImpact) {
+        sh.uniforms.uHasImpact.value = texture ? 1 : 0;
+      }
+    }
+  }
+
   /**
    * Set flow map texture
    */
@@ -351,7 +418,8 @@ export class GroundVariantManager {
       uContrast: this.contrast,
       uRotStrength: this.rotationStrength * Math.PI / 180.0,
       uFlowThreshold: this.flowThreshold,
-      uEnableFlow: this.enableFlow ? 1 : 0
+      uEnableFlow: this.enableFlow ? 1 : 0,
+      uImpactMix: this.impactMix
     };
 
     for (const sh of this.shaderRefs) {
@@ -361,6 +429,10 @@ export class GroundVariantManager {
       if (sh.uniforms.uRotStrength) sh.uniforms.uRotStrength.value = vals.uRotStrength;
       if (sh.uniforms.uFlowThreshold) sh.uniforms.uFlowThreshold.value = vals.uFlowThreshold;
       if (sh.uniforms.uEnableFlow) sh.uniforms.uEnableFlow.value = vals.uEnableFlow;
+      if (sh.uniforms.uImpactMix) sh.uniforms.uImpactMix.value = vals.uImpactMix;
+      if (sh.uniforms.uPairLock) sh.uniforms.uPairLock.value = this.variantMode === 'pair' ? 1 : 0;
+      if (sh.uniforms.uPairA) sh.uniforms.uPairA.value = Math.min(this.pairVariants[0], sh.uniforms.uN.value - 1);
+      if (sh.uniforms.uPairB) sh.uniforms.uPairB.value = Math.min(this.pairVariants[1], sh.uniforms.uN.value - 1);
     }
   }
 
@@ -480,19 +552,123 @@ export class GroundVariantManager {
       this.variantRoot = null;
     }
     this.shaderRefs.length = 0;
+    this.disposeVariantMaterials();
+    this.variantMeshes = [];
+    this.parser = null;
+    this.variantMode = 'blend';
+    this.activeVariant = -1;
   }
 
   /**
-   * Set active variant index (updates all meshes)
+   * Pin every mesh under variantRoot to a single KHR_materials_variants variant
+   * Meshes without a mapping for the variant fall back to their default material (per the extension spec).
+   * A negative index restores wear blending.
+   * @param {number} variantIndex - Index into globalVariantNames, or -1 for blend by wear
+   * @returns {Promise<boolean>} True if materials were switched
    */
-  setVariant(variantIndex) {
+  async setVariant(variantIndex) {
+    if (!this.variantRoot) return false;
+
+    if (variantIndex < 0) {
+      this.restoreBlend();
+      return true;
+    }
+
+    if (!this.parser || variantIndex >= this.globalVariantNames.length) {
+      console.warn('Invalid ground variant index:', variantIndex);
+      return false;
+    }
+
+    try {
+      for (const mesh of this.variantMeshes) {
+        mesh.material = await this.getVariantMaterial(mesh, variantIndex);
+      }
+
+      this.variantMode = 'single';
+      this.activeVariant = variantIndex;
+      console.log(`Ground pinned to variant ${variantIndex} (${this.globalVariantNames[variantIndex] || 'unnamed'})`);
+      return true;
+    } catch (error) {
+      console.error('Failed to switch ground variant:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Resolve (and cache) the material a mesh uses for a given variant
+   */
+  async getVariantMaterial(mesh, variantIndex) {
+    const cache = mesh.userData.variantMaterialCache;
+    if (cache[variantIndex]) return cache[variantIndex];
+
+    const ext = mesh.userData.gltfExtensions['KHR_materials_variants'];
+    const mapping = ext.mappings.find(m => m.variants.includes(variantIndex));
+
+    let material = mesh.userData.variantDefaultMaterial;
+    if (mapping) {
+      const variantMaterial = await this.parser.getDependency('material', mapping.material);
+      material = variantMaterial.clone();
+      material.side = this.THREE.FrontSide;
+      material.needsUpdate = true;
+    }
+
+    cache[variantIndex] = material;
+    return material;
+  }
+
+  /**
+   * Lock wear blending to two chosen variants (A at no wear, B at full wear)
+   * @param {number} indexA - Variant shown where there is no wear
+   * @param {number} indexB - Variant shown at maximum wear
+   */
+  setBlendPair(indexA, indexB) {
     if (!this.variantRoot) return;
-    
-    // This would require storing variant materials and switching them
-    // For now, log the request
-    console.log(`Variant switching to index ${variantIndex} - feature requires material variant system`);
-    
-    // TODO: Implement actual variant switching if KHR_materials_variants is present
+
+    const last = Math.max(0, this.globalVariantNames.length - 1);
+    this.pairVariants = [
+      Math.max(0, Math.min(indexA, last)),
+      Math.max(0, Math.min(indexB, last))
+    ];
+    this.restoreBlendMaterials();
+    this.variantMode = 'pair';
+    this.activeVariant = -1;
+    this.updateUniforms();
+  }
+
+  /**
+   * Return to blending across all N variants by wear
+   */
+  restoreBlend() {
+    this.restoreBlendMaterials();
+    this.variantMode = 'blend';
+    this.activeVariant = -1;
+    this.updateUniforms();
+  }
+
+  /**
+   * Put the blend shader material back on every variant mesh
+   */
+  restoreBlendMaterials() {
+    for (const mesh of this.variantMeshes) {
+      if (mesh.userData.variantBlendMaterial) {
+        mesh.material = mesh.userData.variantBlendMaterial;
+      }
+    }
+  }
+
+  /**
+   * Dispose cached per-variant material clones
+   */
+  disposeVariantMaterials() {
+    for (const mesh of this.variantMeshes) {
+      const cache = mesh.userData.variantMaterialCache || {};
+      for (const material of Object.values(cache)) {
+        if (material !== mesh.userData.variantDefaultMaterial) {
+          material.dispose();
+        }
+      }
+      mesh.userData.variantMaterialCache = {};
+    }
   }
 
   /**
@@ -518,7 +694,10 @@ export class GroundVariantManager {
     return {
       hasVariants: this.variantRoot !== null,
       variantCount: this.globalVariantNames.length,
-      variantNames: [...this.globalVariantNames]
+      variantNames: [...this.globalVariantNames],
+      variantMode: this.variantMode,
+      activeVariant: this.activeVariant,
+      pairVariants: [...this.pairVariants]
     };
   }
 }
@@ -0,0 +1,396 @@
+// ImpactAccumulationManager - Impact wear layer, kept apart from sliding wear
+// Driven by contact `impact` events (impulse spikes at touchdown / bounces): each contact point splats a
+// disc whose radius grows with its impulse (as drawImpactPaint in the multilayer experiment), recording
+// per pixel the peak impulse, the number of impacts and the impact energy.
+
+import { saveCanvasAsPNG } from '../utils.js';
+
+export const IMPACT_CHANNELS = ['peak', 'count', 'energy'];
+
+export const IMPACT_RAW_FORMAT = 'wear-trails-impact-map';
+
+export class ImpactAccumulationManager {
+  constructor(scene, CFG, THREE, resolution = 2048) {
+    this.scene = scene;
+    this.CFG = CFG;
+    this.THREE = THREE;
+    this.resolution = resolution;
+
+    // Ground size tracking (defaults to PLANE_SIZE, updated when variant ground loads)
+    this.groundSize = CFG.PLANE_SIZE;
+
+    // Splat radius: r = min(maxRadius, baseRadius + radiusPerImpulse × J) in metres
+    this.baseRadius = 0.1;
+    this.radiusPerImpulse = 0.02;
+    this.maxRadius = 0.5;
+
+    // Channel shown on the overlay and used for the variant blend map
+    this.displayMode = 'peak';
+
+    this.impactCanvas = null;
+    this.impactCtx = null;
+    this.impactTexture = null;
+    this.impactOverlay = null;
+
+    // Variant blend map, allocated on first use and redrawn in place
+    this.blendCanvas = null;
+    this.blendCtx = null;
+    this.blendData = null;
+    this.blendTexture = null;
+
+    // Accumulators (resolution × resolution, same layout as the wear canvas)
+    this.peakImpulse = null;    // Largest single-point impulse seen (N·s)
+    this.impactCount = null;    // Number of impacts that touched the pixel
+    this.impactEnergy = null;   // Impact energy deposited (J, sums to the impact's energy)
+    this.lastImpactId = null;   // Impact id that last counted each pixel (one count per impact)
+    this.maxPeakImpulse = 0;
+    this.maxImpactCount = 0;
+    this.maxImpactEnergy = 0;
+    this.totalImpacts = 0;
+
+    this.dirty = false;
+  }
+
+  init() {
+    this.impactCanvas = document.createElement('canvas');
+    this.impactCanvas.width = this.resolution;
+    this.impactCanvas.height = this.resolution;
+    this.impactCtx = this.impactCanvas.getContext('2d', { willReadFrequently: true, alpha: true });
+    this.impactCtx.clearRect(0, 0, this.resolution, this.resolution);
+
+    this.createAccumulators();
+
+    this.impactTexture = new this.THREE.CanvasTexture(this.impactCanvas);
+    this.impactTexture.wrapS = this.THREE.ClampToEdgeWrapping;
+    this.impactTexture.wrapT = this.THREE.ClampToEdgeWrapping;
+    this.impactTexture.minFilter = this.THREE.LinearFilter;
+    this.impactTexture.magFilter = this.THREE.LinearFilter;
+
+    // Impact overlay on ground (above the wear and sliding layers)
+    this.impactOverlay = new this.THREE.Mesh(
+      new this.THREE.PlaneGeometry(this.groundSize, this.groundSize),
+      new this.THREE.MeshBasicMaterial({
+        map: this.impactTexture,
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.9,
+        side: this.THREE.FrontSide,
+        depthWrite: false,
+        depthTest: false,
+        blending: this.THREE.NormalBlending
+      })
+    );
+    this.impactOverlay.rotation.x = -Math.PI / 2;
+    this.impactOverlay.position.y = 0.06;
+    this.impactOverlay.receiveShadow = false;
+    this.impactOverlay.castShadow = false;
+    this.impactOverlay.visible = false;
+    this.impactOverlay.renderOrder = 1001;
+    this.scene.add(this.impactOverlay);
+
+    return {
+      impactCanvas: this.impactCanvas,
+      impactTexture: this.impactTexture,
+      impactOverlay: this.impactOverlay
+    };
+  }
+
+  createAccumulators() {
+    const size = this.resolution * this.resolution;
+    this.peakImpulse = new Float32Array(size);
+    this.impactCount = new Uint32Array(size);
+    this.impactEnergy = new Float32Array(size);
+    this.lastImpactId = new Uint32Array(size);
+  }
+
+  /**
+   * Update overlay size to match variant ground
+   */
+  setGroundSize(size) {
+    this.groundSize = size;
+    if (this.impactOverlay) {
+      this.impactOverlay.geometry.dispose();
+      this.impactOverlay.geometry = new this.THREE.PlaneGeometry(size, size);
+    }
+  }
+
+  /**
+   * Follow the ground shape (same layout and UVs as the ground mesh)
+   */
+  setSurfaceGeometry(geometry) {
+    if (this.impactOverlay) {
+      this.impactOverlay.geometry.dispose();
+      this.impactOverlay.geometry = geometry.clone();
+    }
+  }
+
+  /**
+   * Splat one impact event
+   * Energy is the kinetic energy the normal impulse removes from the body, E = J² / (2m),
+   * shared between the contact points by impulse.
+   * @param {Object} impact - ContactEventEmitter `impact` event ({ points [{x, y, z, impulse}], impulse })
+   * @param {number} mass - Body mass in kg
+   * @param {GroundSurface} groundSurface - Maps world points to canvas pixels (ground UVs)
+   * @returns {number} Pixels touched
+   */
+  accumulate(impact, mass, groundSurface) {
+    const points = impact.points || [];
+    if (points.length === 0 || !(impact.impulse > 0)) return 0;
+
+    const W = this.resolution;
+    const H = this.resolution;
+    const mapper = groundSurface.createCanvasMapper(impact.point || points[0], W, H);
+    const energy = (impact.impulse * impact.impulse) / (2 * Math.max(1e-6, mass));
+    const impulseSum = points.reduce((sum, p) => sum + Math.max(0, p.impulse), 0);
+
+    this.totalImpacts++;
+    const impactId = this.totalImpacts;
+    let touched = 0;
+
+    for (const p of points) {
+      // Points without their own impulse share the pair impulse evenly
+      const J = impulseSum > 0 ? Math.max(0, p.impulse) : impact.impulse / points.length;
+      if (J <= 0) continue;
+
+      const radius = Math.min(this.maxRadius, this.baseRadius + this.radiusPerImpulse * J);
+      const rpx = Math.max(1, radius * mapper.pixelsPerMeter);
+      const c = mapper.toCanvas(p.x, p.y, p.z);
+      const x0 = Math.max(0, Math.floor(c.x - rpx)), x1 = Math.min(W - 1, Math.ceil(c.x + rpx));
+      const y0 = Math.max(0, Math.floor(c.y - rpx)), y1 = Math.min(H - 1, Math.ceil(c.y + rpx));
+      if (x0 > x1 || y0 > y1) continue;
+
+      // Smooth falloff w = 1 - (d/r)², normalized so the disc carries exactly its energy share
+      const weights = [];
+      let weightSum = 0;
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const dx = (x + 0.5 - c.x) / rpx, dy = (y + 0.5 - c.y) / rpx;
+          const w = 1 - (dx * dx + dy * dy);
+          if (w <= 0) continue;
+          weights.push(y * W + x, w);
+          weightSum += w;
+        }
+      }
+      if (weightSum <= 0) continue;
+
+      const pointEnergy = energy * J / (impulseSum > 0 ? impulseSum : impact.impulse);
+      for (let k = 0; k < weights.length; k += 2) {
+        const idx = weights[k];
+        const w = weights[k + 1];
+
+        const peak = J * w;
+        if (peak > this.peakImpulse[idx]) {
+          this.peakImpulse[idx] = peak;
+          if (peak > this.maxPeakImpulse) this.maxPeakImpulse = peak;
+        }
+
+        if (this.lastImpactId[idx] !== impactId) {
+          this.lastImpactId[idx] = impactId;
+          this.impactCount[idx]++;
+          if (this.impactCount[idx] > this.maxImpactCount) this.maxImpactCount = this.impactCount[idx];
+          touched++;
+        }
+
+        this.impactEnergy[idx] += pointEnergy * w / weightSum;
+        if (this.impactEnergy[idx] > this.maxImpactEnergy) this.maxImpactEnergy = this.impactEnergy[idx];
+      }
+    }
+
+    this.dirty = true;
+    return touched;
+  }
+
+  /**
+   * Accumulator and maximum of a channel
+   * @param {string} channel - 'peak' | 'count' | 'energy'
+   */
+  getChannel(channel = this.displayMode) {
+    switch (channel) {
+      case 'count': return { data: this.impactCount, max: this.maxImpactCount };
+      case 'energy': return { data: this.impactEnergy, max: this.maxImpactEnergy };
+      default: return { data: this.peakImpulse, max: this.maxPeakImpulse };
+    }
+  }
+
+  /**
+   * Render the selected channel to the overlay canvas
+   */
+  render() {
+    const W = this.impactCanvas.width;
+    const H = this.impactCanvas.height;
+    const imageData = this.impactCtx.createImageData(W, H);
+    const pixels = imageData.data;
+    const { data, max } = this.getChannel();
+
+    for (let i = 0; i < data.length; i++) {
+      const value = data[i];
+      if (value <= 0 || max <= 0) continue;
+
+      const color = this.impactColor(Math.min(1, value / max));
+      const pixelIdx = i * 4;
+      pixels[pixelIdx] = color.r;
+      pixels[pixelIdx + 1] = color.g;
+      pixels[pixelIdx + 2] = color.b;
+      pixels[pixelIdx + 3] = 255;
+    }
+
+    this.impactCtx.putImageData(imageData, 0, 0);
+    this.impactTexture.needsUpdate = true;
+    this.dirty = false;
+  }
+
+  /**
+   * Impact colormap: dark red -> red -> orange -> white
+   */
+  impactColor(t) {
+    t = Math.max(0, Math.min(1, t));
+    let r, g, b;
+
+    if (t < 0.4) {
+      const s = t / 0.4;
+      r = Math.round(96 + 159 * s); g = 0; b = Math.round(32 * (1 - s));
+    } else if (t < 0.8) {
+      const s = (t - 0.4) / 0.4;
+      r = 255; g = Math.round(160 * s); b = 0;
+    } else {
+      const s = (t - 0.8) / 0.2;
+      r = 255; g = Math.round(160 + 95 * s); b = Math.round(255 * s);
+    }
+
+    return { r, g, b };
+  }
+
+  /**
+   * Grayscale blend map of the selected channel (0 = no impact, 1 = channel maximum)
+   * @returns {THREE.CanvasTexture} The same texture on every call, flagged for upload
+   */
+  generateBlendTexture(THREE) {
+    const W = this.resolution;
+    const H = this.resolution;
+    const { data, max } = this.getChannel();
+
+    if (!this.blendTexture) {
+      this.blendCanvas = document.createElement('canvas');
+      this.blendCanvas.width = W;
+      this.blendCanvas.height = H;
+      this.blendCtx = this.blendCanvas.getContext('2d');
+      this.blendData = this.blendCtx.createImageData(W, H);
+
+      this.blendTexture = new THREE.CanvasTexture(this.blendCanvas);
+      this.blendTexture.colorSpace = THREE.NoColorSpace;
+      this.blendTexture.wrapS = THREE.ClampToEdgeWrapping;
+      this.blendTexture.wrapT = THREE.ClampToEdgeWrapping;
+      this.blendTexture.minFilter = THREE.LinearFilter;
+      this.blendTexture.magFilter = THREE.LinearFilter;
+    }
+
+    const blendData = this.blendData;
+    for (let i = 0; i < data.length; i++) {
+      const idx = i * 4;
+      const grayValue = max > 0 ? Math.round(Math.min(1, data[i] / max) * 255) : 0;
+      blendData.data[idx] = grayValue;
+      blendData.data[idx + 1] = grayValue;
+      blendData.data[idx + 2] = grayValue;
+      blendData.data[idx + 3] = 255;
+    }
+
+    this.blendCtx.putImageData(blendData, 0, 0);
+    this.blendTexture.needsUpdate = true;
+    return this.blendTexture;
+  }
+
+  /**
+   * Raw export: uint32 header length, JSON header (padded to 4 bytes), then one Float32 plane per
+   * channel in IMPACT_CHANNELS order (row-major, canvas rows top to bottom)
+   * @returns {ArrayBuffer}
+   */
+  encodeRaw() {
+    const W = this.resolution;
+    const H = this.resolution;
+    const header = {
+      format: IMPACT_RAW_FORMAT,
+      version: 1,
+      width: W,
+      height: H,
+      groundSize: this.groundSize,
+      channels: IMPACT_CHANNELS,
+      units: { peak: 'N·s', count: 'impacts', energy: 'J' },
+      max: { peak: this.maxPeakImpulse, count: this.maxImpactCount, energy: this.maxImpactEnergy },
+      totalImpacts: this.totalImpacts
+    };
+    const json = new TextEncoder().encode(JSON.stringify(header));
+    const headerBytes = Math.ceil(json.length / 4) * 4;
+    const buffer = new ArrayBuffer(4 + headerBytes + IMPACT_CHANNELS.length * W * H * 4);
+
+    new DataView(buffer).setUint32(0, headerBytes, true);
+    const bytes = new Uint8Array(buffer, 4, headerBytes);
+    bytes.fill(0x20);  // Pad with spaces (still valid JSON)
+    bytes.set(json);
+
+    IMPACT_CHANNELS.forEach((channel, k) => {
+      new Float32Array(buffer, 4 + headerBytes + k * W * H * 4, W * H).set(this.getChannel(channel).data);
+    });
+    return buffer;
+  }
+
+  savePNG(filename = `impact-${this.displayMode}.png`) {
+    if (this.dirty) this.render();
+    saveCanvasAsPNG(this.impactCanvas, filename);
+  }
+
+  saveRaw(filename = 'impact-map.bin') {
+    if (this.totalImpacts === 0) {
+      console.warn('No impacts recorded - nothing to export');
+      return;
+    }
+    const blob = new Blob([this.encodeRaw()], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Clear all impact accumulation
+   */
+  clearImpacts() {
+    this.peakImpulse.fill(0);
+    this.impactCount.fill(0);
+    this.impactEnergy.fill(0);
+    this.lastImpactId.fill(0);
+    this.maxPeakImpulse = 0;
+    this.maxImpactCount = 0;
+    this.maxImpactEnergy = 0;
+    this.totalImpacts = 0;
+    this.dirty = false;
+
+    if (this.impactCtx) {
+      this.impactCtx.clearRect(0, 0, this.impactCanvas.width, this.impactCanvas.height);
+      this.impactTexture.needsUpdate = true;
+    }
+
+    console.log('Impact wear cleared');
+  }
+}
+
+/**
+ * Read a raw impact export back into channel arrays
+ * @param {ArrayBuffer} buffer - Output of encodeRaw()
+ * @returns {Object} { header, peak, count, energy } (Float32Array planes)
+ */
+export function decodeImpactRaw(buffer) {
+  const headerBytes = new DataView(buffer).getUint32(0, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerBytes)));
+  if (header.format !== IMPACT_RAW_FORMAT) {
+    throw new Error(`Invalid impact map format: ${header.format}`);
+  }
+
+  const planeSize = header.width * header.height;
+  const out = { header };
+  header.channels.forEach((channel, k) => {
+    out[channel] = new Float32Array(buffer, 4 + headerBytes + k * planeSize * 4, planeSize);
+  });
+  return out;
+}
@@ -4,3 +4,5 @@ export { PhysicsManager } from './physics-manager.js';
 export { GroundManager } from './ground-manager.js';
 export { VisualizationManager } from './visualization-manager.js';
 export { StampingManager } from './stamping-manager.js';
+export { WallStampingManager } from './wall-stamping-manager.js';
+export { ImpactAccumulationManager } from './impact-accumulation-manager.js';
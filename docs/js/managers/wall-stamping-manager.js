@@ -0,0 +1,506 @@
+// WallStampingManager - Stamping and wear accumulation on the wall obstacle
+// Side-impact contacts are projected onto each wall face in that face's own (u, v) frame.
+// Each face keeps its own stamp canvas plus wear / sliding distance accumulators,
+// mirroring what StampingManager and FlowAccumulationManager do for the floor.
+
+import { saveCanvasAsPNG } from '../utils.js';
+import { isSameBody } from '../contacts.js';
+
+export class WallStampingManager {
+  constructor(scene, A, CFG, THREE) {
+    this.scene = scene;
+    this.A = A;
+    this.CFG = CFG;
+    this.THREE = THREE;
+
+    this.wallMesh = null;
+    this.wallBody = null;
+    this.faces = [];
+
+    // Resolution of the face canvases (pixels per world unit)
+    this.pixelsPerUnit = 256;
+
+    // Stamping options (same defaults as ground stamping)
+    this.enabled = true;
+    this.showStamps = false;
+    this.stampLineStencil = true;
+    this.wallVisible = false;
+
+    // Wear model: wear = K × μ × F_n × s (Archard)
+    this.K = 0.15;
+    this.contactRadius = 0.05;    // World-space radius of a single contact splat
+    this.maxContactDistance = 0.02; // Ignore manifold points further apart than this
+    this.softContactThreshold = 0.08; // Soft body nodes closer than this count as touching
+
+    this.lastContactCount = 0;
+  }
+
+  /**
+   * Create per-face canvases, accumulators and overlays for the wall obstacle
+   * @param {THREE.Mesh} wallMesh - Wall obstacle mesh (BoxGeometry)
+   * @param {Ammo.btRigidBody} wallBody - Wall obstacle physics body
+   */
+  init(wallMesh, wallBody) {
+    this.wallMesh = wallMesh;
+    this.wallBody = wallBody;
+
+    const params = wallMesh.geometry.parameters;
+    const hx = params.width / 2;
+    const hy = params.height / 2;
+    const hz = params.depth / 2;
+    this.halfExtents = { x: hx, y: hy, z: hz };
+
+    // Face frames in wall-local space: n = outward normal, u/v = in-plane axes (v points up where possible)
+    const faceDefs = [
+      { name: 'front', n: [0, 0, 1],  u: [1, 0, 0],  v: [0, 1, 0],  uSize: 2 * hx, vSize: 2 * hy, offset: hz },
+      { name: 'back',  n: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0],  uSize: 2 * hx, vSize: 2 * hy, offset: hz },
+      { name: 'right', n: [1, 0, 0],  u: [0, 0, -1], v: [0, 1, 0],  uSize: 2 * hz, vSize: 2 * hy, offset: hx },
+      { name: 'left',  n: [-1, 0, 0], u: [0, 0, 1],  v: [0, 1, 0],  uSize: 2 * hz, vSize: 2 * hy, offset: hx },
+      { name: 'top',   n: [0, 1, 0],  u: [1, 0, 0],  v: [0, 0, -1], uSize: 2 * hx, vSize: 2 * hz, offset: hy }
+    ];
+
+    this.faces = faceDefs.map(def => this.createFace(def));
+
+    return {
+      faces: this.faces
+    };
+  }
+
+  /**
+   * Build canvas, texture, overlay and accumulators for one face
+   */
+  createFace(def) {
+    const THREE = this.THREE;
+    const width = Math.max(16, Math.round(def.uSize * this.pixelsPerUnit));
+    const height = Math.max(16, Math.round(def.vSize * this.pixelsPerUnit));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true, alpha: true });
+    ctx.clearRect(0, 0, width, height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.ClampToEdgeWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+
+    const n = new THREE.Vector3(...def.n);
+    const u = new THREE.Vector3(...def.u);
+    const v = new THREE.Vector3(...def.v);
+
+    // Overlay sits just outside the face; it is a child of the wall so it follows its transform
+    const overlay = new THREE.Mesh(
+      new THREE.PlaneGeometry(def.uSize, def.vSize),
+      new THREE.MeshBasicMaterial({
+        map: texture,
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.FrontSide,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    );
+    overlay.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(u, v, n));
+    overlay.position.copy(n).multiplyScalar(def.offset + 0.002);
+    overlay.receiveShadow = false;
+    overlay.castShadow = false;
+    overlay.visible = false;
+    overlay.renderOrder = 1000;
+    overlay.userData.pipHidden = true;
+    this.wallMesh.add(overlay);
+
+    return {
+      name: def.name,
+      n, u, v,
+      uSize: def.uSize,
+      vSize: def.vSize,
+      offset: def.offset,
+      width,
+      height,
+      canvas,
+      ctx,
+      texture,
+      overlay,
+      wearAccumulation: new Float32Array(width * height),
+      slidingDistance: new Float32Array(width * height),
+      maxWear: 0,
+      maxSlidingDistance: 0,
+      contactCount: 0,
+      lastStamp: null
+    };
+  }
+
+  /**
+   * Collect wall contacts for the current frame in world space
+   * Rigid bodies use the dispatcher manifolds, soft bodies use nodes near the wall surface
+   * @returns {Array} Contacts {x, y, z, impulse}
+   */
+  collectContacts(dispatcher, dynBody, dynMesh) {
+    const contacts = [];
+    if (!dynBody || !dynMesh) return contacts;
+
+    if (dynMesh.userData.isSoftBody) {
+      // Soft <-> rigid contacts are not exposed through the manifolds, test nodes against the box
+      const nodes = dynBody.get_m_nodes();
+      const nodeCount = nodes.size();
+      const local = new this.THREE.Vector3();
+      const inverse = new this.THREE.Matrix4().copy(this.wallMesh.matrixWorld).invert();
+      const h = this.halfExtents;
+      const t = this.softContactThreshold;
+
+      for (let i = 0; i < nodeCount; i++) {
+        const pos = nodes.at(i).get_m_x();
+        local.set(pos.x(), pos.y(), pos.z()).applyMatrix4(inverse);
+        if (Math.abs(local.x) <= h.x + t && Math.abs(local.y) <= h.y + t && Math.abs(local.z) <= h.z + t) {
+          contacts.push({ x: pos.x(), y: pos.y(), z: pos.z(), impulse: 0 });
+        }
+      }
+      return contacts;
+    }
+
+    const manifolds = dispatcher.getNumManifolds();
+    for (let i = 0; i < manifolds; i++) {
+      const m = dispatcher.getManifoldByIndexInternal(i);
+      const body0 = m.getBody0();
+      const body1 = m.getBody1();
+
+      const wallIsA = isSameBody(body0, this.wallBody) && isSameBody(body1, dynBody);
+      const wallIsB = isSameBody(body1, this.wallBody) && isSameBody(body0, dynBody);
+      if (!wallIsA && !wallIsB) continue;
+
+      const numContacts = m.getNumContacts();
+      for (let j = 0; j < numContacts; j++) {
+        const p = m.getContactPoint(j);
+        const distance = p.getDistance?.() ?? 0;
+        if (distance > this.maxContactDistance) continue;
+
+        // Use the point that lies on the wall surface
+        const pw = wallIsA ? p.get_m_positionWorldOnA() : p.get_m_positionWorldOnB();
+        contacts.push({
+          x: pw.x(),
+          y: pw.y(),
+          z: pw.z(),
+          impulse: p.getAppliedImpulse?.() ?? 0
+        });
+      }
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Find the face a wall-local point belongs to (largest normalized coordinate)
+   */
+  classifyFace(local) {
+    const h = this.halfExtents;
+    const rx = Math.abs(local.x) / h.x;
+    const ry = local.y / h.y; // Bottom face rests on the ground, never stamped
+    const rz = Math.abs(local.z) / h.z;
+
+    if (rz >= rx && rz >= ry) {
+      return this.faces.find(f => f.name === (local.z >= 0 ? 'front' : 'back'));
+    }
+    if (rx >= ry) {
+      return this.faces.find(f => f.name === (local.x >= 0 ? 'right' : 'left'));
+    }
+    return this.faces.find(f => f.name === 'top');
+  }
+
+  /**
+   * Accumulate wall contacts for this frame
+   * @param {Object} dispatcher - Ammo collision dispatcher
+   * @param {Object} dynBody - Dynamic body (rigid or soft)
+   * @param {THREE.Mesh} dynMesh - Dynamic body mesh
+   * @param {Object} velocity - Linear velocity {x, y, z}
+   * @param {Object} angularVelocity - Angular velocity {x, y, z}
+   * @param {Object} bodyCenter - Body center of mass {x, y, z}
+   * @param {number} fallbackForce - Normal force used when the solver reports no impulse (N)
+   * @param {number} mu - Friction coefficient
+   * @param {number} timestep - Frame timestep δt in seconds
+   * @param {number} solverTimestep - Fixed solver step used to convert impulses to forces
+   */
+  accumulate(dispatcher, dynBody, dynMesh, velocity, angularVelocity, bodyCenter, fallbackForce, mu, timestep, solverTimestep) {
+    this.lastContactCount = 0;
+    if (!this.enabled || !this.wallVisible || !this.wallMesh || !velocity || timestep <= 0) return;
+
+    const contacts = this.collectContacts(dispatcher, dynBody, dynMesh);
+    this.lastContactCount = contacts.length;
+    if (contacts.length === 0) return;
+
+    const THREE = this.THREE;
+    this.wallMesh.updateMatrixWorld();
+    const inverse = new THREE.Matrix4().copy(this.wallMesh.matrixWorld).invert();
+    const wallRotation = new THREE.Quaternion();
+    this.wallMesh.getWorldQuaternion(wallRotation);
+
+    const local = new THREE.Vector3();
+    const nWorld = new THREE.Vector3();
+    const uWorld = new THREE.Vector3();
+    const vWorld = new THREE.Vector3();
+    const touchedFaces = new Set();
+
+    // Fallback load is shared between simultaneous contacts
+    const sharedForce = (fallbackForce || 0) / contacts.length;
+
+    for (const c of contacts) {
+      local.set(c.x, c.y, c.z).applyMatrix4(inverse);
+      const face = this.classifyFace(local);
+      if (!face) continue;
+
+      // Face-local coordinates (origin at face center)
+      const fu = local.dot(face.u);
+      const fv = local.dot(face.v);
+
+      nWorld.copy(face.n).applyQuaternion(wallRotation);
+      uWorld.copy(face.u).applyQuaternion(wallRotation);
+      vWorld.copy(face.v).applyQuaternion(wallRotation);
+
+      // Velocity of the body at the contact point: v + ω × r (wall is static)
+      const r = { x: c.x - bodyCenter.x, y: c.y - bodyCenter.y, z: c.z - bodyCenter.z };
+      const w = angularVelocity || { x: 0, y: 0, z: 0 };
+      const vp = {
+        x: velocity.x + (w.y * r.z - w.z * r.y),
+        y: (velocity.y || 0) + (w.z * r.x - w.x * r.z),
+        z: velocity.z + (w.x * r.y - w.y * r.x)
+      };
+
+      // Tangential component in the face plane
+      const vn = vp.x * nWorld.x + vp.y * nWorld.y + vp.z * nWorld.z;
+      const vt = { x: vp.x - vn * nWorld.x, y: vp.y - vn * nWorld.y, z: vp.z - vn * nWorld.z };
+      const vtU = vt.x * uWorld.x + vt.y * uWorld.y + vt.z * uWorld.z;
+      const vtV = vt.x * vWorld.x + vt.y * vWorld.y + vt.z * vWorld.z;
+      const velMag = Math.sqrt(vtU * vtU + vtV * vtV);
+
+      // Normal force from solver impulse, otherwise fallback estimate
+      const normalForce = c.impulse > 0 && solverTimestep > 0 ? c.impulse / solverTimestep : sharedForce;
+
+      const slidingDist = velMag * timestep;
+      const wear = this.K * mu * normalForce * slidingDist;
+
+      this.splat(face, fu, fv, wear, slidingDist);
+      this.stamp(face, fu, fv, vtU, vtV, slidingDist);
+
+      face.contactCount++;
+      touchedFaces.add(face);
+    }
+
+    touchedFaces.forEach(face => {
+      face.texture.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Convert face-local (u, v) in world units to canvas pixel coordinates
+   */
+  toCanvas(face, fu, fv) {
+    return {
+      x: (fu / face.uSize + 0.5) * face.width,
+      y: (0.5 - fv / face.vSize) * face.height
+    };
+  }
+
+  /**
+   * Splat wear and sliding distance into the face accumulators (disk kernel)
+   */
+  splat(face, fu, fv, wear, slidingDist) {
+    if (wear <= 0 && slidingDist <= 0) return;
+
+    const { x: cx, y: cy } = this.toCanvas(face, fu, fv);
+    const radius = Math.max(1, this.contactRadius * this.pixelsPerUnit);
+    const r2 = radius * radius;
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const x1 = Math.min(face.width - 1, Math.ceil(cx + radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const y1 = Math.min(face.height - 1, Math.ceil(cy + radius));
+
+    // Normalize kernel weights so the total deposit is independent of radius
+    let weightSum = 0;
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const d2 = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+        if (d2 <= r2) weightSum += 1 - d2 / r2;
+      }
+    }
+    if (weightSum <= 0) return;
+
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const d2 = (x - cx) * (x - cx) + (y - cy) * (y - cy);
+        if (d2 > r2) continue;
+        const weight = (1 - d2 / r2) / weightSum;
+        const idx = y * face.width + x;
+
+        face.wearAccumulation[idx] += wear * weight;
+        face.slidingDistance[idx] += slidingDist * weight;
+
+        if (face.wearAccumulation[idx] > face.maxWear) face.maxWear = face.wearAccumulation[idx];
+        if (face.slidingDistance[idx] > face.maxSlidingDistance) face.maxSlidingDistance = face.slidingDistance[idx];
+      }
+    }
+  }
+
+  /**
+   * Draw a stamp on the face canvas
+   * Line stencil draws a streak along the sliding direction, otherwise a dot
+   */
+  stamp(face, fu, fv, vtU, vtV, slidingDist) {
+    const ctx = face.ctx;
+    const { x, y } = this.toCanvas(face, fu, fv);
+    const radius = Math.max(1, this.contactRadius * this.pixelsPerUnit * 0.5);
+
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.globalCompositeOperation = 'lighter';
+
+    const velMag = Math.sqrt(vtU * vtU + vtV * vtV);
+    if (this.stampLineStencil && velMag > 0.01) {
+      // Canvas y grows downward while face v points up
+      const length = Math.max(radius, slidingDist * this.pixelsPerUnit);
+      const dx = (vtU / velMag) * length;
+      const dy = -(vtV / velMag) * length;
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = radius;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      ctx.moveTo(x - dx, y - dy);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = '#ffffff';
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Render an accumulator to a thermal-colored canvas (for export)
+   */
+  renderAccumulator(face, data, maxValue) {
+    const canvas = document.createElement('canvas');
+    canvas.width = face.width;
+    canvas.height = face.height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(face.width, face.height);
+    const pixels = imageData.data;
+
+    for (let i = 0; i < data.length; i++) {
+      const pixelIdx = i * 4;
+      if (data[i] > 0 && maxValue > 0) {
+        const color = this.thermalColor(Math.min(1.0, data[i] / maxValue));
+        pixels[pixelIdx] = color.r;
+        pixels[pixelIdx + 1] = color.g;
+        pixels[pixelIdx + 2] = color.b;
+        pixels[pixelIdx + 3] = 255;
+      }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Thermal colormap: black -> blue -> cyan -> yellow -> red
+   */
+  thermalColor(t) {
+    t = Math.max(0, Math.min(1, t));
+    let r, g, b;
+
+    if (t < 0.25) {
+      const s = t / 0.25;
+      r = 0; g = 0; b = Math.round(255 * s);
+    } else if (t < 0.5) {
+      const s = (t - 0.25) / 0.25;
+      r = 0; g = Math.round(255 * s); b = 255;
+    } else if (t < 0.75) {
+      const s = (t - 0.5) / 0.25;
+      r = Math.round(255 * s); g = 255; b = Math.round(255 * (1 - s));
+    } else {
+      const s = (t - 0.75) / 0.25;
+      r = 255; g = Math.round(255 * (1 - s * 0.5)); b = 0;
+    }
+
+    return { r, g, b };
+  }
+
+  /**
+   * Maximum accumulated values over all faces
+   */
+  getMaxValues() {
+    let maxWear = 0;
+    let maxSlidingDistance = 0;
+    this.faces.forEach(face => {
+      maxWear = Math.max(maxWear, face.maxWear);
+      maxSlidingDistance = Math.max(maxSlidingDistance, face.maxSlidingDistance);
+    });
+    return { maxWear, maxSlidingDistance };
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  setShowStamps(show) {
+    this.showStamps = show;
+    this.updateVisibility(this.wallVisible);
+  }
+
+  setStampLineStencil(enabled) {
+    this.stampLineStencil = enabled;
+  }
+
+  /**
+   * Overlays are only shown when both the wall and "Show Wall Stamps" are on
+   */
+  updateVisibility(wallVisible) {
+    this.wallVisible = wallVisible;
+    this.faces.forEach(face => {
+      face.overlay.visible = wallVisible && this.showStamps;
+    });
+  }
+
+  clearAllStamps() {
+    this.faces.forEach(face => {
+      face.ctx.clearRect(0, 0, face.width, face.height);
+      face.texture.needsUpdate = true;
+      face.wearAccumulation.fill(0);
+      face.slidingDistance.fill(0);
+      face.maxWear = 0;
+      face.maxSlidingDistance = 0;
+      face.contactCount = 0;
+    });
+    console.log('Wall stamps cleared');
+  }
+
+  /**
+   * Export stamps, wear and sliding distance of every face that has been hit
+   */
+  saveAllStamps() {
+    let saved = 0;
+    this.faces.forEach(face => {
+      if (face.contactCount === 0) return;
+      saveCanvasAsPNG(face.canvas, `wall-${face.name}-stamps.png`);
+      saveCanvasAsPNG(this.renderAccumulator(face, face.wearAccumulation, face.maxWear), `wall-${face.name}-wear.png`);
+      saveCanvasAsPNG(this.renderAccumulator(face, face.slidingDistance, face.maxSlidingDistance), `wall-${face.name}-sliding.png`);
+      saved++;
+    });
+    if (saved === 0) {
+      console.log('No wall contacts recorded - nothing to export');
+    }
+  }
+
+  dispose() {
+    this.faces.forEach(face => {
+      if (this.wallMesh) this.wallMesh.remove(face.overlay);
+      face.overlay.geometry.dispose();
+      face.overlay.material.dispose();
+      face.texture.dispose();
+    });
+    this.faces = [];
+  }
+}
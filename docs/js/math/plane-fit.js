@@ -0,0 +1,211 @@
+// Plane fitting for contact point clouds
+// Least-squares (PCA) fit plus a RANSAC wrapper that rejects stray contacts before refining.
+
+import { Plane } from './plane.js?v=2.1';
+
+/**
+ * Eigen decomposition of a symmetric 3x3 matrix (cyclic Jacobi)
+ * @param {Array} m - Row-major [a00, a01, a02, a11, a12, a22] upper triangle
+ * @returns {Object} { values: [λ0, λ1, λ2], vectors: [[x,y,z], ...] } sorted by descending eigenvalue
+ */
+export function symmetricEigen3(m) {
+  const a = [
+    [m[0], m[1], m[2]],
+    [m[1], m[3], m[4]],
+    [m[2], m[4], m[5]]
+  ];
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 32; sweep++) {
+    const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+    if (off < 1e-24) break;
+
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-30) continue;
+
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p], akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k], aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p], vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+
+  return [0, 1, 2]
+    .map(i => ({ value: a[i][i], vector: [v[0][i], v[1][i], v[2][i]] }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((out, e) => {
+      out.values.push(e.value);
+      out.vectors.push(e.vector);
+      return out;
+    }, { values: [], vectors: [] });
+}
+
+/**
+ * Least-squares plane through points (normal = smallest principal axis)
+ * @param {Array} points - [{x, y, z}]
+ * @param {Object} THREE - Three.js namespace
+ * @returns {Object|null} { plane, rms, eigenvalues } or null when fewer than 3 points or collinear
+ */
+export function fitPlaneLeastSquares(points, THREE) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  let cx = 0, cy = 0, cz = 0;
+  for (const p of points) {
+    cx += p.x; cy += p.y; cz += p.z;
+  }
+  cx /= n; cy /= n; cz /= n;
+
+  let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+  for (const p of points) {
+    const dx = p.x - cx, dy = p.y - cy, dz = p.z - cz;
+    xx += dx * dx; xy += dx * dy; xz += dx * dz;
+    yy += dy * dy; yz += dy * dz; zz += dz * dz;
+  }
+
+  const { values, vectors } = symmetricEigen3([xx / n, xy / n, xz / n, yy / n, yz / n, zz / n]);
+
+  // Collinear (or coincident) points do not define a plane
+  if (values[1] <= 1e-10 || values[1] < values[0] * 1e-6) return null;
+
+  const [nx, ny, nz] = vectors[2];
+  const plane = new Plane(new THREE.Vector3(nx, ny, nz), new THREE.Vector3(cx, cy, cz));
+
+  return {
+    plane,
+    rms: Math.sqrt(Math.max(0, values[2])),
+    eigenvalues: values
+  };
+}
+
+/**
+ * Small deterministic PRNG so fits are reproducible (tests, trace replay)
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * RANSAC plane fit refined by least squares over the inliers
+ * @param {Array} points - [{x, y, z}]
+ * @param {Object} THREE - Three.js namespace
+ * @param {Object} options - { iterations, threshold (m), minInliers, seed }
+ * @returns {Object|null} { plane, rms, inliers, outliers } or null if no plane has enough support
+ */
+export function fitPlaneRANSAC(points, THREE, options = {}) {
+  const {
+    iterations = 48,
+    threshold = 0.01,
+    minInliers = 3,
+    seed = 1
+  } = options;
+
+  const n = points.length;
+  if (n < 3) return null;
+
+  const random = mulberry32(seed);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  let bestInliers = null;
+  let bestResidual = Infinity;
+
+  // Exhaustive for tiny sets, random triples otherwise
+  const triples = [];
+  if (n <= 6) {
+    for (let i = 0; i < n; i++)
+      for (let j = i + 1; j < n; j++)
+        for (let k = j + 1; k < n; k++) triples.push([i, j, k]);
+  } else {
+    for (let it = 0; it < iterations; it++) {
+      const i = Math.floor(random() * n);
+      let j = Math.floor(random() * (n - 1));
+      if (j >= i) j++;
+      let k = Math.floor(random() * (n - 2));
+      if (k >= Math.min(i, j)) k++;
+      if (k >= Math.max(i, j)) k++;
+      triples.push([i, j, k]);
+    }
+  }
+
+  for (const [i, j, k] of triples) {
+    const p0 = points[i], p1 = points[j], p2 = points[k];
+    a.set(p1.x - p0.x, p1.y - p0.y, p1.z - p0.z);
+    b.set(p2.x - p0.x, p2.y - p0.y, p2.z - p0.z);
+    normal.crossVectors(a, b);
+    const len = normal.length();
+    if (len < 1e-9) continue;  // Degenerate sample
+    normal.multiplyScalar(1 / len);
+
+    const d = normal.x * p0.x + normal.y * p0.y + normal.z * p0.z;
+    const inliers = [];
+    let residual = 0;
+    for (const p of points) {
+      const dist = Math.abs(normal.x * p.x + normal.y * p.y + normal.z * p.z - d);
+      if (dist <= threshold) {
+        inliers.push(p);
+        residual += dist;
+      }
+    }
+
+    if (!bestInliers || inliers.length > bestInliers.length ||
+        (inliers.length === bestInliers.length && residual < bestResidual)) {
+      bestInliers = inliers;
+      bestResidual = residual;
+    }
+  }
+
+  if (!bestInliers || bestInliers.length < Math.max(3, minInliers)) return null;
+
+  const refined = fitPlaneLeastSquares(bestInliers, THREE);
+  if (!refined) return null;
+
+  return {
+    plane: refined.plane,
+    rms: refined.rms,
+    inliers: bestInliers.length,
+    outliers: n - bestInliers.length
+  };
+}
+
+/**
+ * In-plane frame for 2D footprint work
+ * tangent follows world +X projected onto the plane (world +Z for planes facing X) and
+ * bitangent = tangent × normal, so a horizontal plane maps (u, v) to world (x, z) unchanged.
+ * @param {Plane} plane - Contact plane
+ * @returns {Object} { origin, normal, tangent, bitangent } (THREE.Vector3)
+ */
+export function getContactFrame(plane) {
+  const normal = plane.normal.clone();
+  const tangent = normal.clone().set(1, 0, 0);
+  tangent.addScaledVector(normal, -tangent.dot(normal));
+  if (tangent.lengthSq() < 1e-6) {
+    tangent.set(0, 0, 1).addScaledVector(normal, -normal.z);
+  }
+  tangent.normalize();
+  const bitangent = tangent.clone().cross(normal).normalize();
+
+  return { origin: plane.p0.clone(), normal, tangent, bitangent };
+}
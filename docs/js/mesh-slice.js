@@ -0,0 +1,194 @@
+// Mesh Slice
+// Cross-section of a body's triangles with a plane just above the ground, used as an alternative to the
+// KDOP-8 corners when contacts are sparse. The section outline and interior follow the actual footprint of
+// cones, pucks on their rim and concave GLBs instead of an 8-direction box around nearby vertices.
+
+/**
+ * Segments where the mesh surface crosses the slice plane
+ * @param {THREE.Mesh} mesh - Body mesh (world transform from matrixWorld)
+ * @param {Plane} plane - Contact plane, normal pointing into the body
+ * @param {Object} THREE - Three.js namespace
+ * @param {number} offset - Slice height above the plane along its normal (m)
+ * @returns {Object|null} { segments: [{ a: {u, v}, b: {u, v} }], frame } in plane coordinates relative to
+ *   plane.p0, or null when the mesh lies entirely on one side
+ */
+export function sliceMeshWithPlane(mesh, plane, THREE, offset = 0.01) {
+  if (!mesh || !mesh.geometry || !mesh.geometry.attributes.position) return null;
+  if (!plane || typeof plane.getLocalFrame !== 'function') return null;
+
+  const pos = mesh.geometry.attributes.position;
+  const index = mesh.geometry.index;
+  const frame = plane.getLocalFrame();
+  const { tangent, bitangent, normal } = frame;
+
+  // Every vertex once: plane coordinates and height above the slice
+  const count = pos.count;
+  const u = new Float64Array(count);
+  const v = new Float64Array(count);
+  const h = new Float64Array(count);
+  const tempVec = new THREE.Vector3();
+  let above = 0;
+
+  for (let i = 0; i < count; i++) {
+    tempVec.set(pos.getX(i), pos.getY(i), pos.getZ(i)).applyMatrix4(mesh.matrixWorld).sub(plane.p0);
+    u[i] = tempVec.dot(tangent);
+    v[i] = tempVec.dot(bitangent);
+    h[i] = tempVec.dot(normal) - offset;
+    if (h[i] >= 0) above++;
+  }
+  if (above === 0 || above === count) return null;
+
+  const crossing = (i, j) => {
+    const t = h[i] / (h[i] - h[j]);
+    return { u: u[i] + t * (u[j] - u[i]), v: v[i] + t * (v[j] - v[i]) };
+  };
+
+  const segments = [];
+  const triangles = Math.floor((index ? index.count : count) / 3);
+  for (let t = 0; t < triangles; t++) {
+    const i0 = index ? index.getX(3 * t) : 3 * t;
+    const i1 = index ? index.getX(3 * t + 1) : 3 * t + 1;
+    const i2 = index ? index.getX(3 * t + 2) : 3 * t + 2;
+    const b0 = h[i0] < 0, b1 = h[i1] < 0, b2 = h[i2] < 0;
+    if (b0 === b1 && b1 === b2) continue;
+
+    // The vertex alone on its side: the section runs across its two edges
+    const [a, b, c] = b0 === b1 ? [i2, i0, i1] : (b0 === b2 ? [i1, i2, i0] : [i0, i1, i2]);
+    segments.push({ a: crossing(a, b), b: crossing(a, c) });
+  }
+
+  return segments.length > 0 ? { segments, frame } : null;
+}
+
+/**
+ * Even-odd test against the unordered section segments (no loop chaining needed, holes stay empty)
+ */
+export function isInsideSlice(segments, pu, pv) {
+  let inside = false;
+  for (const { a, b } of segments) {
+    if ((a.v > pv) !== (b.v > pv)) {
+      const cu = a.u + (pv - a.v) * (b.u - a.u) / (b.v - a.v);
+      if (pu < cu) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Outline and interior sample points of a section
+ * Outline: segment endpoints plus points every perimeter / maxOutline along long segments, thinned by
+ * farthest-point sampling so corners survive. Interior: cell centers of a grid over the section bounds.
+ * @param {Array} segments - From sliceMeshWithPlane()
+ * @param {Object} options - { maxOutline, maxInterior }
+ * @returns {Array} [{ u, v }]
+ */
+export function sampleSlice(segments, options = {}) {
+  const maxOutline = options.maxOutline ?? 24;
+  const maxInterior = options.maxInterior ?? 16;
+
+  let perimeter = 0;
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+  for (const { a, b } of segments) {
+    perimeter += Math.hypot(b.u - a.u, b.v - a.v);
+    minU = Math.min(minU, a.u, b.u);
+    maxU = Math.max(maxU, a.u, b.u);
+    minV = Math.min(minV, a.v, b.v);
+    maxV = Math.max(maxV, a.v, b.v);
+  }
+  const spacing = perimeter / Math.max(1, maxOutline);
+
+  // Candidates, deduplicated on a 1mm grid (neighbouring triangles share their crossing points)
+  const candidates = [];
+  const seen = new Set();
+  const add = (pu, pv) => {
+    const key = `${Math.round(pu * 1000)},${Math.round(pv * 1000)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push({ u: pu, v: pv });
+  };
+  for (const { a, b } of segments) {
+    add(a.u, a.v);
+    add(b.u, b.v);
+    const steps = spacing > 0 ? Math.floor(Math.hypot(b.u - a.u, b.v - a.v) / spacing) : 0;
+    for (let k = 1; k < steps; k++) {
+      const t = k / steps;
+      add(a.u + t * (b.u - a.u), a.v + t * (b.v - a.v));
+    }
+  }
+
+  const points = farthestPointSample(candidates, maxOutline);
+
+  // Interior grid with about maxInterior cells over the bounds (thin slivers get none)
+  const width = maxU - minU;
+  const height = maxV - minV;
+  if (maxInterior > 0 && width > 0 && height > 0) {
+    const step = Math.sqrt(width * height / maxInterior);
+    const nu = Math.max(1, Math.round(width / step));
+    const nv = Math.max(1, Math.round(height / step));
+    for (let i = 0; i < nu; i++) {
+      for (let j = 0; j < nv; j++) {
+        const pu = minU + (i + 0.5) * width / nu;
+        const pv = minV + (j + 0.5) * height / nv;
+        if (isInsideSlice(segments, pu, pv)) points.push({ u: pu, v: pv });
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Keep at most k points, each the farthest from those already kept (seeded with the farthest from the mean)
+ */
+function farthestPointSample(points, k) {
+  if (points.length <= k) return points.slice();
+
+  let cu = 0, cv = 0;
+  for (const p of points) {
+    cu += p.u;
+    cv += p.v;
+  }
+  cu /= points.length;
+  cv /= points.length;
+
+  const dist = points.map(p => (p.u - cu) ** 2 + (p.v - cv) ** 2);
+  const kept = [];
+  for (let n = 0; n < k; n++) {
+    let best = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (dist[i] > dist[best]) best = i;
+    }
+    const p = points[best];
+    kept.push(p);
+    for (let i = 0; i < points.length; i++) {
+      dist[i] = n === 0
+        ? (points[i].u - p.u) ** 2 + (points[i].v - p.v) ** 2
+        : Math.min(dist[i], (points[i].u - p.u) ** 2 + (points[i].v - p.v) ** 2);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Section sample points of a mesh, projected onto the contact plane
+ * @param {THREE.Mesh} mesh - Body mesh
+ * @param {Plane} plane - Contact plane
+ * @param {Object} THREE - Three.js namespace
+ * @param {Object} options - { offset (m), maxOutline, maxInterior }
+ * @returns {Array|null} World points [{x, y, z}], or null without a usable section
+ */
+export function getMeshSliceOnPlane(mesh, plane, THREE, options = {}) {
+  const slice = sliceMeshWithPlane(mesh, plane, THREE, options.offset ?? 0.01);
+  if (!slice) return null;
+
+  const samples = sampleSlice(slice.segments, options);
+  if (samples.length < 3) return null;
+
+  const { tangent, bitangent } = slice.frame;
+  return samples.map(s => {
+    const p = new THREE.Vector3().copy(plane.p0)
+      .addScaledVector(tangent, s.u)
+      .addScaledVector(bitangent, s.v);
+    return { x: p.x, y: p.y, z: p.z };
+  });
+}
@@ -0,0 +1,511 @@
+// GPU PiP passes
+// Intersection (PiP3), tangential velocity (PiP4), traction (PiP5) and local wear (PiP8) as full-screen fragment
+// passes over the pip1 / pip2 render targets. Uniform pressure F / A takes the contact pixel count, and the
+// PiP5 / PiP8 normalisation their maxima, from a 4×4 reduction chain on float targets, so nothing is read back to
+// the CPU unless a view is shown (readPixels) or a stamp needs it.
+// WebGL2 compiles ShaderMaterials as GLSL ES 3.00, so the passes read texels with texelFetch().
+// Same formulas and pixel layout (row 0 at the bottom, pip2 flipped) as the CPU views, which stay the fallback for
+// depth contact and the Winkler / Hertz pressure models, and the reference for PiPManager.verifyGPU().
+// A flow pass gives FlowAccumulationManager its per-pixel tangential velocity and pressure at stamp time.
+
+/**
+ * Target sizes of a 4×4 reduction from W × H down to 1 × 1
+ * @returns {Array} [[w, h], ...] excluding the source
+ */
+export function reductionLevels(W, H) {
+  const levels = [];
+  let w = W, h = H;
+  while (w > 1 || h > 1) {
+    w = Math.ceil(w / 4);
+    h = Math.ceil(h / 4);
+    levels.push([w, h]);
+  }
+  return levels;
+}
+
+const VERTEX = /* glsl */ `
+  void main() {
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Pixel offset from the box center as the CPU views compute it: (x / W - 0.5) · width · e1 + (y / H - 0.5) · height · e2
+const FRAME = /* glsl */ `
+  uniform vec2 viewSize;
+  uniform vec2 boxSize;
+  vec3 pixelOffset(vec3 e1, vec3 e2) {
+    vec2 uv = floor(gl_FragCoord.xy) / viewSize - 0.5;
+    return uv.x * boxSize.x * e1 + uv.y * boxSize.y * e2;
+  }
+`;
+
+// Top ∧ bottom view, alpha or RGB above 10 (buildContactMask()), inside the footprint mask; pip2 rows flipped
+const INTERSECTION = /* glsl */ `
+  uniform sampler2D topMap;
+  uniform sampler2D bottomMap;
+  uniform sampler2D footprintMap;
+  uniform bool useFootprint;
+
+  bool hasContent(vec4 c) {
+    return c.a > 10.0 / 255.0 || max(max(c.r, c.g), c.b) > 10.0 / 255.0;
+  }
+
+  void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    ivec2 size = textureSize(topMap, 0);
+    vec4 top = texelFetch(topMap, p, 0);
+    vec4 bottom = texelFetch(bottomMap, ivec2(p.x, size.y - 1 - p.y), 0);
+    bool inside = !useFootprint || texelFetch(footprintMap, p, 0).r > 0.5;
+    gl_FragColor = inside && hasContent(top) && hasContent(bottom) ? vec4(1.0) : vec4(0.0);
+  }
+`;
+
+// r: 0, g: traction τ = μ · p (PiP5, moving pixels only), b: local wear p · μ · |v_t| (PiP8), a: contact
+const FIELD = /* glsl */ `
+  ${FRAME}
+  uniform sampler2D intersectionMap;
+  uniform sampler2D countMap;
+  uniform vec3 center;
+  uniform vec3 e1;
+  uniform vec3 e2;
+  uniform vec3 n;
+  uniform vec3 wearE1;
+  uniform vec3 wearE2;
+  uniform vec3 velocity;
+  uniform vec3 omega;
+  uniform vec3 groundVelocity;
+  uniform vec3 groundOmega;
+  uniform float mu;
+  uniform float normalForce;
+  uniform float pixelArea;
+
+  void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    if (texelFetch(intersectionMap, p, 0).a < 0.5) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+
+    float count = texelFetch(countMap, ivec2(0), 0).a;
+    float pressure = count > 0.0 ? max(normalForce, 0.0) / (count * pixelArea) : 0.0;
+
+    // PiP5: planar motion over the ground plane
+    vec3 r = pixelOffset(e1, e2);
+    r.y = 0.0;
+    vec3 v = velocity + cross(omega, r);
+    float traction = mu * pressure;
+    if (length(v.xz) <= 0.001 || traction <= 0.001) traction = 0.0;
+
+    // PiP8: relative to the ground body, projected onto the box plane
+    vec3 rw = pixelOffset(wearE1, wearE2);
+    vec3 world = center + rw;
+    vec3 rel = velocity + cross(omega, rw) - (groundVelocity + cross(groundOmega, vec3(world.x, 0.0, world.z)));
+    vec3 vt = rel - dot(rel, n) * n;
+
+    gl_FragColor = vec4(0.0, traction, max(0.0, pressure * mu * length(vt)), 1.0);
+  }
+`;
+
+// FlowAccumulationManager inputs: rgb: tangential velocity v + ω × r of the body projected onto the ground surface
+// plane, a: uniform pressure at contact pixels, -1 elsewhere
+const FLOW = /* glsl */ `
+  ${FRAME}
+  uniform sampler2D intersectionMap;
+  uniform sampler2D countMap;
+  uniform vec3 e1;
+  uniform vec3 e2;
+  uniform vec3 velocity;
+  uniform vec3 omega;
+  uniform vec3 surfaceNormal;
+  uniform float normalForce;
+  uniform float pixelArea;
+
+  void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    if (texelFetch(intersectionMap, p, 0).a < 0.5) {
+      gl_FragColor = vec4(0.0, 0.0, 0.0, -1.0);
+      return;
+    }
+    float count = texelFetch(countMap, ivec2(0), 0).a;
+    float pressure = count > 0.0 ? max(normalForce, 0.0) / (count * pixelArea) : 0.0;
+    vec3 v = velocity + cross(omega, pixelOffset(e1, e2));
+    gl_FragColor = vec4(v - dot(v, surfaceNormal) * surfaceNormal, pressure);
+  }
+`;
+
+// 4×4 blocks: sums in r / a (contact count), maxima in g / b (traction, wear)
+const REDUCE = /* glsl */ `
+  uniform sampler2D source;
+
+  void main() {
+    ivec2 size = textureSize(source, 0);
+    ivec2 base = ivec2(gl_FragCoord.xy) * 4;
+    vec4 acc = vec4(0.0);
+    for (int j = 0; j < 4; j++) {
+      for (int i = 0; i < 4; i++) {
+        ivec2 p = base + ivec2(i, j);
+        if (p.x >= size.x || p.y >= size.y) continue;
+        vec4 s = texelFetch(source, p, 0);
+        acc.r += s.r;
+        acc.g = max(acc.g, s.g);
+        acc.b = max(acc.b, s.b);
+        acc.a += s.a;
+      }
+    }
+    gl_FragColor = acc;
+  }
+`;
+
+// PiP4: direction as hue, |v_t| / vMax as value (at least 0.3)
+const VELOCITY = /* glsl */ `
+  ${FRAME}
+  uniform sampler2D intersectionMap;
+  uniform vec3 e1;
+  uniform vec3 e2;
+  uniform vec3 velocity;
+  uniform vec3 omega;
+  uniform float vMax;
+
+  vec3 hsv2rgb(float h, float s, float v) {
+    float i = floor(h * 6.0);
+    float f = h * 6.0 - i;
+    float p = v * (1.0 - s);
+    float q = v * (1.0 - f * s);
+    float t = v * (1.0 - (1.0 - f) * s);
+    int k = int(mod(i, 6.0));
+    if (k == 0) return vec3(v, t, p);
+    if (k == 1) return vec3(q, v, p);
+    if (k == 2) return vec3(p, v, t);
+    if (k == 3) return vec3(p, q, v);
+    if (k == 4) return vec3(t, p, v);
+    return vec3(v, p, q);
+  }
+
+  void main() {
+    ivec2 p = ivec2(gl_FragCoord.xy);
+    if (texelFetch(intersectionMap, p, 0).a < 0.5) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    vec3 r = pixelOffset(e1, e2);
+    r.y = 0.0;
+    vec3 v = velocity + cross(omega, r);
+    float magnitude = length(v.xz);
+    float angle = magnitude > 0.0 ? atan(v.z, v.x) : 0.0;
+    float hue = (angle + 3.141592653589793) / 6.283185307179586;
+    gl_FragColor = vec4(hsv2rgb(hue, 1.0, max(0.3, min(1.0, magnitude / vMax))), 1.0);
+  }
+`;
+
+// PiP5: grey = τ / max τ (at least 0.01)
+const TRACTION = /* glsl */ `
+  uniform sampler2D fieldMap;
+  uniform sampler2D statsMap;
+
+  void main() {
+    float traction = texelFetch(fieldMap, ivec2(gl_FragCoord.xy), 0).g;
+    if (traction <= 0.001) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    float maxTraction = max(0.01, texelFetch(statsMap, ivec2(0), 0).g);
+    gl_FragColor = vec4(vec3(min(1.0, traction / maxTraction)), 1.0);
+  }
+`;
+
+// PiP8: thermal colormap of wear / max wear
+const WEAR = /* glsl */ `
+  uniform sampler2D fieldMap;
+  uniform sampler2D statsMap;
+
+  vec3 thermal(float t) {
+    t = clamp(t, 0.0, 1.0);
+    if (t < 0.25) return vec3(0.0, 0.0, t / 0.25);
+    if (t < 0.5) return vec3(0.0, (t - 0.25) / 0.25, 1.0);
+    if (t < 0.75) {
+      float s = (t - 0.5) / 0.25;
+      return vec3(s, 1.0, 1.0 - s);
+    }
+    float s = (t - 0.75) / 0.25;
+    return vec3(1.0, 1.0 - 0.5 * s, 0.0);
+  }
+
+  void main() {
+    float wear = texelFetch(fieldMap, ivec2(gl_FragCoord.xy), 0).b;
+    float maxWear = texelFetch(statsMap, ivec2(0), 0).b;
+    if (wear <= 0.0 || maxWear <= 0.0) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    gl_FragColor = vec4(thermal(wear / maxWear), 1.0);
+  }
+`;
+
+export class PiPGPUPasses {
+  /**
+   * Float render targets (EXT_color_buffer_float) on WebGL2
+   */
+  static isSupported(renderer) {
+    return !!(renderer.capabilities && renderer.capabilities.isWebGL2 && renderer.extensions.has('EXT_color_buffer_float'));
+  }
+
+  constructor(THREE, renderer, CFG) {
+    this.THREE = THREE;
+    this.renderer = renderer;
+    this.W = CFG.PIP_W;
+    this.H = CFG.PIP_H;
+
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+    this.scene = new THREE.Scene();
+    this.scene.add(this.quad);
+
+    const frame = () => ({
+      viewSize: { value: new THREE.Vector2(this.W, this.H) },
+      boxSize: { value: new THREE.Vector2() }
+    });
+    this.materials = {
+      intersection: this.createMaterial(INTERSECTION, {
+        topMap: { value: null },
+        bottomMap: { value: null },
+        footprintMap: { value: null },
+        useFootprint: { value: false }
+      }),
+      field: this.createMaterial(FIELD, {
+        ...frame(),
+        intersectionMap: { value: null },
+        countMap: { value: null },
+        center: { value: new THREE.Vector3() },
+        e1: { value: new THREE.Vector3() },
+        e2: { value: new THREE.Vector3() },
+        n: { value: new THREE.Vector3() },
+        wearE1: { value: new THREE.Vector3() },
+        wearE2: { value: new THREE.Vector3() },
+        velocity: { value: new THREE.Vector3() },
+        omega: { value: new THREE.Vector3() },
+        groundVelocity: { value: new THREE.Vector3() },
+        groundOmega: { value: new THREE.Vector3() },
+        mu: { value: 0 },
+        normalForce: { value: 0 },
+        pixelArea: { value: 1 }
+      }),
+      reduce: this.createMaterial(REDUCE, { source: { value: null } }),
+      velocity: this.createMaterial(VELOCITY, {
+        ...frame(),
+        intersectionMap: { value: null },
+        e1: { value: new THREE.Vector3() },
+        e2: { value: new THREE.Vector3() },
+        velocity: { value: new THREE.Vector3() },
+        omega: { value: new THREE.Vector3() },
+        vMax: { value: 5 }
+      }),
+      flow: this.createMaterial(FLOW, {
+        ...frame(),
+        intersectionMap: { value: null },
+        countMap: { value: null },
+        e1: { value: new THREE.Vector3() },
+        e2: { value: new THREE.Vector3() },
+        velocity: { value: new THREE.Vector3() },
+        omega: { value: new THREE.Vector3() },
+        surfaceNormal: { value: new THREE.Vector3(0, 1, 0) },
+        normalForce: { value: 0 },
+        pixelArea: { value: 1 }
+      }),
+      traction: this.createMaterial(TRACTION, { fieldMap: { value: null }, statsMap: { value: null } }),
+      wear: this.createMaterial(WEAR, { fieldMap: { value: null }, statsMap: { value: null } })
+    };
+
+    const byteTarget = () => this.createTarget(this.W, this.H, THREE.UnsignedByteType);
+    this.targets = {
+      intersection: byteTarget(),
+      velocity: byteTarget(),
+      traction: byteTarget(),
+      wear: byteTarget(),
+      field: this.createTarget(this.W, this.H, THREE.FloatType),
+      flow: this.createTarget(this.W, this.H, THREE.FloatType)
+    };
+    this.reduction = reductionLevels(this.W, this.H).map(([w, h]) => this.createTarget(w, h, THREE.FloatType));
+
+    this.footprintData = new Uint8Array(this.W * this.H);
+    this.footprintTexture = new THREE.DataTexture(this.footprintData, this.W, this.H, THREE.RedFormat, THREE.UnsignedByteType);
+    this.footprintTexture.unpackAlignment = 1;
+  }
+
+  createMaterial(fragmentShader, uniforms) {
+    return new this.THREE.ShaderMaterial({
+      vertexShader: VERTEX,
+      fragmentShader,
+      uniforms,
+      depthTest: false,
+      depthWrite: false
+    });
+  }
+
+  createTarget(w, h, type) {
+    const THREE = this.THREE;
+    return new THREE.WebGLRenderTarget(w, h, {
+      type,
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      depthBuffer: false
+    });
+  }
+
+  pass(material, target) {
+    this.quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  /**
+   * Reduce a W × H target to 1 × 1
+   * @returns {Object} The 1 × 1 target
+   */
+  reduce(source) {
+    const material = this.materials.reduce;
+    let texture = source.texture;
+    for (const target of this.reduction) {
+      material.uniforms.source.value = texture;
+      this.pass(material, target);
+      texture = target.texture;
+    }
+    return this.reduction[this.reduction.length - 1];
+  }
+
+  /**
+   * All passes for one frame
+   * @param {Object} inputs - {
+   *   top, bottom: pip1 / pip2 render target textures (pip2 unflipped),
+   *   footprintMask: pip1-layout pixel mask (null = whole view),
+   *   obb: lastOBB, velocity, angularVelocity (null = no motion: PiP4 / PiP5 / PiP8 stay empty),
+   *   groundVelocity, groundAngularVelocity, mu, normalForce (N), pixelArea: view pixel area (m²),
+   *   surfaceNormal: ground normal under the box (flow pass, default up) }
+   */
+  run(inputs) {
+    const { obb, velocity } = inputs;
+    const omega = inputs.angularVelocity || { x: 0, y: 0, z: 0 };
+    const m = this.materials;
+    const setVector = (uniform, v) => uniform.value.set(v.x, v.y || 0, v.z);
+
+    const intersection = m.intersection.uniforms;
+    intersection.topMap.value = inputs.top;
+    intersection.bottomMap.value = inputs.bottom;
+    intersection.useFootprint.value = !!inputs.footprintMask;
+    if (inputs.footprintMask) {
+      for (let i = 0; i < this.footprintData.length; i++) this.footprintData[i] = inputs.footprintMask[i] ? 255 : 0;
+      this.footprintTexture.needsUpdate = true;
+      intersection.footprintMap.value = this.footprintTexture;
+    }
+    this.pass(m.intersection, this.targets.intersection);
+    const count = this.reduce(this.targets.intersection);
+
+    this.hasMotion = !!(velocity && obb);
+    if (!this.hasMotion) {
+      this.renderer.setRenderTarget(null);
+      return;
+    }
+
+    // PiP8 frame: unit n, e1 and e2 = n × e1
+    const THREE = this.THREE;
+    const n = new THREE.Vector3(obb.n.x, obb.n.y, obb.n.z).normalize();
+    const wearE1 = new THREE.Vector3(obb.e1.x, obb.e1.y, obb.e1.z).normalize();
+    const wearE2 = new THREE.Vector3().crossVectors(n, wearE1).normalize();
+
+    const field = m.field.uniforms;
+    field.intersectionMap.value = this.targets.intersection.texture;
+    field.countMap.value = count.texture;
+    field.boxSize.value.set(obb.width, obb.height);
+    setVector(field.center, obb.center);
+    setVector(field.e1, obb.e1);
+    setVector(field.e2, obb.e2);
+    field.n.value.copy(n);
+    field.wearE1.value.copy(wearE1);
+    field.wearE2.value.copy(wearE2);
+    setVector(field.velocity, velocity);
+    setVector(field.omega, omega);
+    setVector(field.groundVelocity, inputs.groundVelocity || { x: 0, y: 0, z: 0 });
+    setVector(field.groundOmega, inputs.groundAngularVelocity || { x: 0, y: 0, z: 0 });
+    field.mu.value = inputs.mu;
+    field.normalForce.value = inputs.normalForce || 0;
+    field.pixelArea.value = inputs.pixelArea;
+    this.pass(m.field, this.targets.field);
+    const stats = this.reduce(this.targets.field);
+
+    // PiP4 scale: at least 5 m/s (as PiP4)
+    const omegaMag = Math.sqrt(omega.x * omega.x + omega.y * omega.y + omega.z * omega.z);
+    const maxRadius = Math.sqrt(obb.width * obb.width + obb.height * obb.height) / 2;
+    const vel = m.velocity.uniforms;
+    vel.intersectionMap.value = this.targets.intersection.texture;
+    vel.boxSize.value.set(obb.width, obb.height);
+    setVector(vel.e1, obb.e1);
+    setVector(vel.e2, obb.e2);
+    setVector(vel.velocity, velocity);
+    setVector(vel.omega, omega);
+    vel.vMax.value = Math.max(5.0, Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z) + omegaMag * maxRadius);
+    this.pass(m.velocity, this.targets.velocity);
+
+    const flow = m.flow.uniforms;
+    flow.intersectionMap.value = this.targets.intersection.texture;
+    flow.countMap.value = count.texture;
+    flow.boxSize.value.set(obb.width, obb.height);
+    setVector(flow.e1, obb.e1);
+    setVector(flow.e2, obb.e2);
+    setVector(flow.velocity, velocity);
+    setVector(flow.omega, omega);
+    setVector(flow.surfaceNormal, inputs.surfaceNormal || { x: 0, y: 1, z: 0 });
+    flow.surfaceNormal.value.normalize();
+    flow.normalForce.value = inputs.normalForce || 0;
+    flow.pixelArea.value = inputs.pixelArea;
+    this.pass(m.flow, this.targets.flow);
+
+    for (const name of ['traction', 'wear']) {
+      m[name].uniforms.fieldMap.value = this.targets.field.texture;
+      m[name].uniforms.statsMap.value = stats.texture;
+      this.pass(m[name], this.targets[name]);
+    }
+
+    this.renderer.setRenderTarget(null);
+  }
+
+  /**
+   * Canvas bytes of one view ('intersection' | 'velocity' | 'traction' | 'wear'), PiP pixel layout
+   */
+  readPixels(name) {
+    const pixels = new Uint8Array(this.W * this.H * 4);
+    this.renderer.readRenderTargetPixels(this.targets[name], 0, 0, this.W, this.H, pixels);
+    return pixels;
+  }
+
+  /**
+   * Flow pass of the last run() (null without motion)
+   * @returns {Float32Array} Per PiP pixel: tangential velocity x, y, z (m/s) and pressure (Pa, -1 outside the contact)
+   */
+  readFlow() {
+    if (!this.hasMotion) return null;
+    const flow = new Float32Array(this.W * this.H * 4);
+    this.renderer.readRenderTargetPixels(this.targets.flow, 0, 0, this.W, this.H, flow);
+    return flow;
+  }
+
+  /**
+   * Reduced values of the last run()
+   * @returns {Object} { contactPixels, maxTraction (Pa), maxWear (W/m²) }
+   */
+  readStats() {
+    const value = new Float32Array(4);
+    this.renderer.readRenderTargetPixels(this.reduction[this.reduction.length - 1], 0, 0, 1, 1, value);
+    return {
+      contactPixels: Math.round(value[3]),
+      maxTraction: this.hasMotion ? value[1] : 0,
+      maxWear: this.hasMotion ? value[2] : 0
+    };
+  }
+
+  dispose() {
+    for (const material of Object.values(this.materials)) material.dispose();
+    for (const target of [...Object.values(this.targets), ...this.reduction]) target.dispose();
+    this.footprintTexture.dispose();
+    this.quad.geometry.dispose();
+  }
+}
@@ -9,10 +9,21 @@ import { PiP5 } from './pip5.js';
 import { PiP7 } from './pip7.js';
 import { PiP8 } from './pip8.js';
 import { PiP6 } from './pip6.js';
+import { PiP9 } from './pip9.js';
+import { PiPGPUPasses } from './gpu-passes.js';
+import { PiPViewRegistry, createFrameResolver } from './registry.js';
+import { PIP_SCALE_MODES } from './view-scale.js';
+import { computePenetrationMap, clipPenetrationMap } from './penetration.js';
+import { buildContactMask, computePressureField } from './pressure.js';
+import { buildFootprintMask, clipPixels } from '../bounding-box/footprint.js';
+
+// GPU pass target drawn into each derived view's canvas
+const GPU_VIEW_TARGETS = { pip3: 'intersection', pip4: 'velocity', pip5: 'traction', pip8: 'wear' };
 
 export class PiPManager {
   constructor(CFG, THREE, renderer, scene) {
     const pipRenderer = new PiPRenderer(CFG, THREE, renderer, scene);
+    this.pipRenderer = pipRenderer;
 
     this.pip1 = new PiP1(pipRenderer);
     this.pip2 = new PiP2(pipRenderer);
@@ -22,20 +33,362 @@ export class PiPManager {
     this.pip6 = new PiP6(pipRenderer);
     this.pip7 = new PiP7(pipRenderer);
     this.pip8 = new PiP8(pipRenderer);
+    this.pip9 = new PiP9(pipRenderer);
 
     this.renderer = renderer;
+    this.CFG = CFG;
+    this.footprintMask = null;  // Footprint polygon mask of the last renderAll() (pip1 pixel layout), null = unclipped
+    this.penetrationMap = null; // Depth contact map of the last renderAll(), null = binary top ∧ bottom mask
+    this.pressureField = null;  // Contact pressure of the last renderAll() (PiP5, PiP8 and the wear maps)
+    this.viewOBB = null;        // lastOBB re-framed to the views in aspect / fixed-scale modes (getViewBox), null = stretched
+
+    this.gpuPasses = null;      // PiPGPUPasses once enabled (setGPUPasses)
+    this.useGPU = false;
+    this.gpuFrame = null;       // Last renderAll() went through the GPU passes: { views, flow, drawn }
+    this.pendingVerification = null;
+
+    // Views rendered by renderAll(), in display order (custom views: this.views.register())
+    this.views = new PiPViewRegistry(document.getElementById('pipContainer'), CFG);
+    this.gridTargets = new Map();  // 'WxH' -> { top, bottom } render targets of views with their own resolution
+    this.views.onChange(() => this.pruneGridTargets());
+    this.registerBuiltinViews();
+
+    // Views whose canvas is on screen; the GPU path reads back only these
+    this.visibleViews = new Set();
+    this.observeVisibility();
+  }
+
+  /**
+   * pip1-pip9 as registry views on their index.html elements; pip1-pip3 are sources, rendered every frame
+   */
+  registerBuiltinViews() {
+    const add = (id, label, inputs, render, options = {}) => {
+      this.views.register(id, { render, clear: () => this[id].clear() }, { label, inputs, ...options });
+    };
+    const motion = ['pixels', 'obb', 'velocity', 'angularVelocity'];
+
+    add('pip1', 'Top View', [], null, { source: true });
+    add('pip2', 'Bottom View', [], null, { source: true });
+    add('pip3', 'Intersection', ['pixels'], (f) => this.pip3.render(f.pixels1, f.pixels2), { source: true });
+    add('pip4', 'Tangential Velocity', motion,
+      (f) => this.pip4.render(f.pixels1, f.pixels2, f.velocity, f.angularVelocity, f.obb));
+    add('pip5', 'Tangential Traction', [...motion, 'normalForce', 'pressure'],
+      (f) => this.pip5.render(f.pixels1, f.pixels2, f.velocity, f.angularVelocity, f.normalForce, f.obb, f.pressureField));
+    add('pip6', 'Accumulated Sliding Distance', [...motion, 'normalForce', 'slidingDistance'], (f) => {
+      const timestepEstimate = window.state ? (window.state.stampInterval / 1000) : 0.001;
+      this.pip6.render(f.pixels1, f.pixels2, f.velocity, f.angularVelocity, f.normalForce, f.obb, timestepEstimate, f.slidingDistanceManager);
+    });
+    add('pip7', 'Local Sliding Distance', [...motion, 'timestep'],
+      (f) => this.pip7.render(f.pixels1, f.pixels2, f.velocity, f.angularVelocity, f.obb, f.timestep));
+    add('pip8', 'Local Wear', [...motion, 'normalForce', 'pressure'],
+      (f) => this.pip8.render(f.pixels1, f.pixels2, f.velocity, f.angularVelocity, f.normalForce, f.obb, f.pressureField));
+    add('pip9', 'Penetration', ['penetration'], (f) => this.pip9.render(f.penetration));
+  }
+
+  observeVisibility() {
+    const observer = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) this.visibleViews.add(entry.target.id);
+        else this.visibleViews.delete(entry.target.id);
+      }
+    });
+    const observed = new Set();
+    const watch = () => {
+      for (const entry of this.views.list()) {
+        if (observed.has(entry.element)) continue;
+        observed.add(entry.element);
+        this.visibleViews.add(entry.id);  // Until the observer reports
+        if (observer) observer.observe(entry.element);
+      }
+    };
+    watch();
+    this.views.onChange(watch);
+  }
+
+  /**
+   * Frame inputs of the registered views at one resolution, resolved on first use
+   * @param {Object} frame - { obb, velocity, angularVelocity, normalForce, timestep, slidingDistanceManager }
+   * @param {Object} grid - { W, H } of the views
+   * @param {Function} views - () => { pixels1, pixels2 (footprint-clipped), footprintMask, penetration, pressureField }
+   *   at that resolution (see renderGrid())
+   */
+  frameResolver(frame, grid, views) {
+    const field = (name) => () => ({ [name]: frame[name] });
+    return createFrameResolver({ W: grid.W, H: grid.H, viewFrame: this.getViewFrame() }, {
+      pixels: () => {
+        const { pixels1, pixels2 } = views();
+        return { pixels1, pixels2 };
+      },
+      obb: field('obb'),
+      velocity: field('velocity'),
+      angularVelocity: field('angularVelocity'),
+      normalForce: field('normalForce'),
+      timestep: field('timestep'),
+      slidingDistance: field('slidingDistanceManager'),
+      pressure: () => ({ pressureField: views().pressureField }),
+      penetration: () => ({ penetration: views().penetration }),
+      footprint: () => ({ footprintMask: views().footprintMask })
+    });
+  }
+
+  /**
+   * PiP grid: resolution of the source views, the stamp, the GPU passes and every view without its own
+   */
+  sourceGrid() {
+    return { W: this.CFG.PIP_W, H: this.CFG.PIP_H };
+  }
+
+  /**
+   * Top / bottom render targets for a view resolution other than the PiP grid, created on first use
+   */
+  gridTargetsFor(grid) {
+    const key = `${grid.W}x${grid.H}`;
+    if (!this.gridTargets.has(key)) {
+      this.gridTargets.set(key, {
+        top: this.pipRenderer.createRenderTarget(grid.W, grid.H),
+        bottom: this.pipRenderer.createRenderTarget(grid.W, grid.H)
+      });
+    }
+    return this.gridTargets.get(key);
+  }
+
+  /**
+   * Dispose the render targets of resolutions no view uses any more
+   */
+  pruneGridTargets() {
+    const used = new Set(this.views.list().map(entry => {
+      const { W, H } = this.views.resolutionOf(entry);
+      return `${W}x${H}`;
+    }));
+    for (const [key, targets] of this.gridTargets) {
+      if (used.has(key)) continue;
+      targets.top.dispose();
+      targets.bottom.dispose();
+      this.gridTargets.delete(key);
+    }
+  }
+
+  /**
+   * pip1 / pip2 at a view resolution other than the PiP grid (cameras already placed, canvases untouched), with the
+   * footprint mask, depth contact and pressure field built at that resolution over the same view extent
+   * @returns {Object} { pixels1, pixels2 (footprint-clipped), footprintMask, penetration, pressureField }
+   */
+  renderGrid(grid, footprint, depthContact, normalForce, pressureModel) {
+    const targets = this.gridTargetsFor(grid);
+    const pixels1 = this.pip1.capture(targets.top);
+    const pixels2 = this.pip2.capture(targets.bottom);
+    const footprintMask = footprint ? buildFootprintMask(footprint, this.getViewFrame(), grid.W, grid.H) : null;
+    if (footprintMask) {
+      clipPixels(pixels1, footprintMask);
+      clipPixels(pixels2, footprintMask);
+    }
+    const penetration = depthContact ? this.renderPenetration(depthContact, footprintMask, grid) : null;
+    const pressureField = this.buildPressureField(pixels1, pixels2, footprintMask, penetration, normalForce, pressureModel, grid);
+    return { pixels1, pixels2, footprintMask, penetration, pressureField };
+  }
+
+  /**
+   * Frame resolvers of one renderAll() frame, one per view resolution
+   * @param {Function} sourceViews - () => renderGrid()-style inputs at the PiP grid
+   * @param {Object} options - renderGrid() arguments for the other resolutions
+   *   ({ footprint, depthContact, normalForce, pressureModel })
+   * @returns {Function} (entry) => frame resolver at the entry's resolution
+   */
+  createViewResolvers(frame, sourceViews, { footprint, depthContact, normalForce, pressureModel }) {
+    const sourceKey = `${this.CFG.PIP_W}x${this.CFG.PIP_H}`;
+    const resolvers = new Map();
+    return (entry) => {
+      const grid = this.views.resolutionOf(entry);
+      const key = `${grid.W}x${grid.H}`;
+      if (!resolvers.has(key)) {
+        let views = null;
+        resolvers.set(key, this.frameResolver(frame, grid, () => {
+          if (!views) {
+            views = key === sourceKey ? sourceViews() : this.renderGrid(grid, footprint, depthContact, normalForce, pressureModel);
+          }
+          return views;
+        }));
+      }
+      return resolvers.get(key);
+    };
+  }
+
+  renderView(entry, resolve) {
+    try {
+      entry.view.render(resolve(entry.inputs), entry.canvasCtx);
+    } catch (e) {
+      console.error(`PiP view ${entry.id} failed:`, e);
+    }
+  }
+
+  /**
+   * Run PiP3-PiP5 and PiP8 as GPU passes when renderAll() allows it (uniform pressure, binary contact mask);
+   * depth contact and the Winkler / Hertz models keep the CPU path
+   * @returns {boolean} Whether the GPU passes are in use (false without WebGL2 float targets)
+   */
+  setGPUPasses(enabled) {
+    if (enabled && !this.gpuPasses) {
+      if (!PiPGPUPasses.isSupported(this.renderer)) {
+        console.warn('GPU PiP passes need WebGL2 float render targets; keeping the CPU path');
+        return false;
+      }
+      this.gpuPasses = new PiPGPUPasses(this.pipRenderer.THREE, this.renderer, this.CFG);
+    }
+    this.useGPU = enabled && !!this.gpuPasses;
+    return this.useGPU;
+  }
+
+  /**
+   * Compare the next GPU frame with the CPU path on the same views
+   * @param {number} timeoutMs - Give up when no frame is rendered in time (paused simulation)
+   * @returns {Promise} Resolves with { contactPixelsGPU, contactPixelsCPU, mismatchedPixels, maxWearGPU, maxWearCPU },
+   *   or null when that frame took the CPU path, no frame came in time or a newer verification replaced this one
+   */
+  verifyGPU(timeoutMs = 2000) {
+    this.resolveVerification(null);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.resolveVerification(null), timeoutMs);
+      this.pendingVerification = (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      };
+    });
+  }
+
+  /**
+   * Pixel footprint of the pip1 camera (pip2 is flipped to the same layout): origin, in-plane axes and extent
+   */
+  getViewFrame() {
+    const camera = this.pip1.camera;
+    camera.updateMatrixWorld();
+    const e = camera.matrixWorld.elements;
+    return {
+      origin: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+      right: { x: e[0], y: e[1], z: e[2] },
+      up: { x: e[4], y: e[5], z: e[6] },
+      width: camera.right - camera.left,
+      height: camera.top - camera.bottom
+    };
+  }
+
+  /**
+   * lastOBB re-framed to the pip1 view (its axes and extent), so pixel (x, y) is exactly
+   * center + (x / W - 0.5) · width · e1 + (y / H - 0.5) · height · e2 for the views and wear maps
+   */
+  getViewBox(lastOBB) {
+    const frame = this.getViewFrame();
+    return { ...lastOBB, e1: frame.right, e2: frame.up, width: frame.width, height: frame.height };
+  }
+
+  /**
+   * PiP grid size: source views, stamp, GPU passes and the views without their own resolution (setViewResolution)
+   */
+  setResolution(W, H) {
+    if (W === this.CFG.PIP_W && H === this.CFG.PIP_H) return;
+    this.CFG.PIP_W = W;
+    this.CFG.PIP_H = H;
+    this.pip1.renderTarget.setSize(W, H);
+    this.pip2.renderTarget.setSize(W, H);
+    this.views.setResolution();
+    if (this.gpuPasses) {
+      this.gpuPasses.dispose();
+      this.gpuPasses = new PiPGPUPasses(this.pipRenderer.THREE, this.renderer, this.CFG);
+    }
+    this.footprintMask = null;
+    this.penetrationMap = null;
+    this.pressureField = null;
+    this.gpuFrame = null;
+  }
+
+  /**
+   * Resolution of one view ({ W, H }, null = follow the PiP grid); the view is rendered at it over the same view
+   * extent. Source views share the PiP grid, so a resolution for one of them sets the grid (setResolution).
+   */
+  setViewResolution(id, resolution) {
+    const entry = this.views.require(id);
+    if (entry.source) {
+      if (resolution) this.setResolution(resolution.W, resolution.H);
+      return;
+    }
+    this.views.setViewResolution(id, resolution);
+  }
+
+  /**
+   * How views frame the box (view-scale.js): 'stretch' | 'aspect' | 'fixed' at mmPerPixel
+   */
+  setViewScale(mode, mmPerPixel = this.pipRenderer.viewScale.mmPerPixel) {
+    if (!PIP_SCALE_MODES.includes(mode)) {
+      throw new Error(`Unknown PiP scale mode: ${mode} (expected ${PIP_SCALE_MODES.join(', ')})`);
+    }
+    this.pipRenderer.viewScale = { mode, mmPerPixel };
+  }
+
+  /**
+   * Box the derived views and wear maps map pixels through: the view box unless stretched
+   */
+  mappingOBB(lastOBB) {
+    return this.pipRenderer.viewScale.mode === 'stretch' ? null : this.getViewBox(lastOBB);
   }
 
-  renderAll(pipEnabled, lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, paddingDepthBottomScale, rotationAngle = null, velocity = null, angularVelocity = null, normalForce = null, timestep = 0.001, slidingDistanceManager = null) {
+  /**
+   * Gap / penetration map from the pip1 / pip2 depth (cameras already placed for the box)
+   * @param {Object} options - computePenetrationMap() options ({ tolerance })
+   * @param {Uint8Array} mask - Footprint polygon mask (null = whole view)
+   * @param {Object} grid - { W, H } of a view with its own resolution (null = PiP grid)
+   */
+  renderPenetration(options, mask = null, grid = null) {
+    const targets = grid ? this.gridTargetsFor(grid) : { top: this.pip1.renderTarget, bottom: this.pip2.renderTarget };
+    const { W, H } = grid ?? this.sourceGrid();
+    const top = this.pip1.renderDepth(targets.top);
+    const bottom = this.pip2.renderDepth(targets.bottom);
+    const frame = this.getViewFrame();
+    const map = computePenetrationMap(top, bottom, {
+      W,
+      H,
+      width: frame.width,
+      height: frame.height,
+      // Each camera sits half its depth range from the box center (PiPRenderer.updateCamera)
+      topDistance: this.pip1.camera.far / 2,
+      bottomDistance: this.pip2.camera.far / 2
+    }, options);
+    return mask ? clipPenetrationMap(map, mask) : map;
+  }
+
+  /**
+   * Contact pressure for the current views (cameras already placed), integrating to normalForce
+   * @param {Uint8Array} mask - Footprint polygon mask (null = whole view)
+   * @param {Object} penetration - Depth contact map; its contact replaces the top ∧ bottom intersection
+   * @param {string} model - 'uniform' | 'winkler' | 'hertz' (see pressure.js)
+   * @param {Object} grid - { W, H } of the pixels (default: PiP grid)
+   */
+  buildPressureField(pixels1, pixels2, mask, penetration, normalForce, model = 'uniform', grid = this.sourceGrid()) {
+    const frame = this.getViewFrame();
+    const contact = penetration ? penetration.contact : buildContactMask(pixels1, pixels2, mask);
+    return computePressureField(contact, normalForce, {
+      W: grid.W,
+      H: grid.H,
+      width: frame.width,
+      height: frame.height
+    }, { model, penetration });
+  }
+
+  /**
+   * @param {Object} footprint - Contact polygon from computeFootprint(); clips PiP3-PiP8 (and so the stamp) to it
+   * @param {Object} depthContact - { tolerance } renders depth and takes the contact region from the penetration
+   *   map (PiP9); null keeps the binary mask
+   * @param {string} pressureModel - Pressure distribution for PiP5, PiP8 and, through pressureField, the wear maps
+   * Views with their own resolution get their inputs re-rendered at it (renderGrid(), once per resolution).
+   * With the GPU passes enabled, uniform pressure and no depth contact, runs renderAllGPU() instead.
+   */
+  renderAll(pipEnabled, lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, paddingDepthBottomScale, rotationAngle = null, velocity = null, angularVelocity = null, normalForce = null, timestep = 0.001, slidingDistanceManager = null, footprint = null, depthContact = null, pressureModel = 'uniform') {
+    this.footprintMask = null;
+    this.penetrationMap = null;
+    this.pressureField = null;
+    this.viewOBB = null;
+    this.gpuFrame = null;
     if (!pipEnabled || !lastOBB) {
-      this.pip1.clear();
-      this.pip2.clear();
-      this.pip3.clear();
-      this.pip4.clear();
-      this.pip5.clear();
-      this.pip6.clear();
-      this.pip7.clear();
-      this.pip8.clear();
+      for (const entry of this.views.list()) this.views.clearView(entry);
+      this.resolveVerification(null);
       return;
     }
 
@@ -43,30 +396,217 @@ export class PiPManager {
     this.pip1.update(lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, rotationAngle);
     this.pip2.update(lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthBottomScale, rotationAngle);
 
+    const viewFrame = this.getViewFrame();
+    this.views.setScale(viewFrame.width, viewFrame.height);
+    this.viewOBB = this.mappingOBB(lastOBB);
+
+    const frame = { obb: this.viewOBB ?? lastOBB, velocity, angularVelocity, normalForce, timestep, slidingDistanceManager };
+    if (this.useGPU && !depthContact && pressureModel === 'uniform') {
+      this.renderAllGPU(frame, footprint);
+      return;
+    }
+    this.resolveVerification(null);
+
     // Render views
     const pixels1 = this.pip1.render();
     const pixels2 = this.pip2.render();
 
+    // Footprint polygon: the derived views only see the contact patch, not the whole box
+    if (footprint) {
+      this.footprintMask = buildFootprintMask(footprint, this.getViewFrame(), this.CFG.PIP_W, this.CFG.PIP_H);
+      clipPixels(pixels1, this.footprintMask);
+      clipPixels(pixels2, this.footprintMask);
+    }
+
+    if (depthContact) {
+      this.penetrationMap = this.renderPenetration(depthContact, this.footprintMask);
+    }
+    this.pressureField = this.buildPressureField(pixels1, pixels2, this.footprintMask, this.penetrationMap, normalForce, pressureModel);
+
     // Render intersection (no rotation needed - cameras are already rotated)
     this.pip3.render(pixels1, pixels2);
 
-    // Render tangential velocity vector field
-    this.pip4.render(pixels1, pixels2, velocity, angularVelocity, lastOBB);
+    // Registered views in display order (PiP4 - PiP9 and custom views), one frame resolver per view resolution
+    const resolverFor = this.createViewResolvers(frame, () => ({
+      pixels1,
+      pixels2,
+      footprintMask: this.footprintMask,
+      penetration: this.penetrationMap,
+      pressureField: this.pressureField
+    }), { footprint, depthContact, normalForce, pressureModel });
+    for (const entry of this.views.list()) {
+      if (entry.enabled && !entry.source) this.renderView(entry, resolverFor(entry));
+    }
 
-    // Render instant tangential traction (unified pressure model)
-    this.pip5.render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB);
+    // Reset render target
+    this.renderer.setRenderTarget(null);
+  }
 
-    // Render accumulated sliding distance from ground canvas (PiP6)
-    const timestepEstimate = window.state ? (window.state.stampInterval / 1000) : 0.001;
-    this.pip6.render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB, timestepEstimate, slidingDistanceManager);
+  /**
+   * renderAll() through the GPU passes: pip1 / pip2 stay in their render targets and a view is read back only
+   * when it is enabled and its canvas is on screen. Other views (PiP6 / PiP7 accumulate on the CPU, custom views,
+   * views with their own resolution) read the views back when shown; syncForStamping() reads back what the stamp
+   * needs and readGPUFlow() what the flow accumulator needs.
+   * @param {Object} frame - frameResolver() frame
+   */
+  renderAllGPU(frame, footprint) {
+    const { obb: lastOBB, velocity, angularVelocity, normalForce } = frame;
+    this.pipRenderer.renderToTarget(this.pip1.renderTarget, this.pip1.camera);
+    this.pipRenderer.renderToTarget(this.pip2.renderTarget, this.pip2.camera);
 
-    // Render PiP7 (local sliding distance with direction)
-    this.pip7.render(pixels1, pixels2, velocity, angularVelocity, lastOBB, timestep);
+    const viewFrame = this.getViewFrame();
+    if (footprint) {
+      this.footprintMask = buildFootprintMask(footprint, viewFrame, this.CFG.PIP_W, this.CFG.PIP_H);
+    }
 
-    // Render PiP8 (local wear map: pressure × friction × velocity)
-    this.pip8.render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB);
+    this.gpuPasses.run({
+      top: this.pip1.renderTarget.texture,
+      bottom: this.pip2.renderTarget.texture,
+      footprintMask: this.footprintMask,
+      obb: lastOBB,
+      velocity,
+      angularVelocity,
+      ...this.pip8.getGroundMotion(),
+      mu: window.bodyManager ? window.bodyManager.friction : 0.5,
+      normalForce,
+      pixelArea: (viewFrame.width * viewFrame.height) / (this.CFG.PIP_W * this.CFG.PIP_H),
+      surfaceNormal: window.groundSurface ? window.groundSurface.query(lastOBB.center).normal : null
+    });
+    this.gpuFrame = { views: null, flow: undefined, drawn: new Set() };
+
+    const resolverFor = this.createViewResolvers(frame, () => {
+      const { pixels1, pixels2 } = this.readGPUViews();
+      if (!this.pressureField) {
+        this.pressureField = this.buildPressureField(pixels1, pixels2, this.footprintMask, null, normalForce, 'uniform');
+      }
+      return { pixels1, pixels2, footprintMask: this.footprintMask, penetration: null, pressureField: this.pressureField };
+    }, { footprint, depthContact: null, normalForce, pressureModel: 'uniform' });
+    for (const entry of this.views.list()) {
+      if (!entry.enabled || !this.visibleViews.has(entry.id)) continue;
+      if (GPU_VIEW_TARGETS[entry.id] && !entry.resolution) this.drawGPUView(entry.id);
+      else if (entry.source) this.readGPUViews();
+      else this.renderView(entry, resolverFor(entry));
+    }
+
+    if (this.pendingVerification) {
+      this.resolveVerification(this.compareWithCPU(lastOBB, velocity, angularVelocity, normalForce, footprint));
+    }
+
+    this.renderer.setRenderTarget(null);
+  }
+
+  resolveVerification(result) {
+    if (!this.pendingVerification) return;
+    const resolve = this.pendingVerification;
+    this.pendingVerification = null;
+    resolve(result);
+  }
+
+  /**
+   * pip1 / pip2 pixels of the last GPU frame (pip2 flipped), drawn to their canvases, then clipped to the footprint
+   */
+  readGPUViews() {
+    if (!this.gpuFrame.views) {
+      const pixels1 = this.pipRenderer.readPixels(this.pip1.renderTarget);
+      const pixels2 = this.pipRenderer.flipRows(this.pipRenderer.readPixels(this.pip2.renderTarget));
+      this.pipRenderer.putPixels(this.pip1.canvasCtx, pixels1);
+      this.pipRenderer.putPixels(this.pip2.canvasCtx, pixels2);
+      if (this.footprintMask) {
+        clipPixels(pixels1, this.footprintMask);
+        clipPixels(pixels2, this.footprintMask);
+      }
+      this.gpuFrame.views = { pixels1, pixels2 };
+    }
+    return this.gpuFrame.views;
+  }
+
+  drawGPUView(view) {
+    const pip = this[view];
+    if (GPU_VIEW_TARGETS[view] !== 'intersection' && !this.gpuPasses.hasMotion) {
+      pip.clear();
+    } else {
+      this.pipRenderer.putPixels(pip.canvasCtx, this.gpuPasses.readPixels(GPU_VIEW_TARGETS[view]));
+    }
+    if (view === 'pip8' && this.gpuPasses.hasMotion) {
+      const maxWearEl = document.getElementById('pip8MaxWear');
+      if (maxWearEl) maxWearEl.textContent = `${this.gpuPasses.readStats().maxWear.toFixed(3)} W/m²`;
+    }
+    this.gpuFrame.drawn.add(view);
+  }
+
+  /**
+   * After a GPU frame, bring the pip1-pip3 canvases and the pressure field up to date for stamping and the
+   * sliding accumulator (no-op after a CPU frame)
+   */
+  syncForStamping(normalForce) {
+    if (!this.gpuFrame) return;
+    const { pixels1, pixels2 } = this.readGPUViews();
+    if (!this.gpuFrame.drawn.has('pip3')) this.drawGPUView('pip3');
+    if (!this.pressureField) {
+      this.pressureField = this.buildPressureField(pixels1, pixels2, this.footprintMask, null, normalForce, 'uniform');
+    }
+  }
+
+  /**
+   * Flow pass of the last GPU frame for FlowAccumulationManager (PiPGPUPasses.readFlow()), null after a CPU frame
+   */
+  readGPUFlow() {
+    if (!this.gpuFrame) return null;
+    if (this.gpuFrame.flow === undefined) this.gpuFrame.flow = this.gpuPasses.readFlow();
+    return this.gpuFrame.flow;
+  }
+
+  /**
+   * The GPU frame against the CPU path on the same views (PiP8 is redrawn by the CPU, at its own resolution if it
+   * has one; the contact is compared on the PiP grid of the GPU passes)
+   */
+  compareWithCPU(lastOBB, velocity, angularVelocity, normalForce, footprint = null) {
+    const { pixels1, pixels2 } = this.readGPUViews();
+    const field = this.buildPressureField(pixels1, pixels2, this.footprintMask, null, normalForce, 'uniform');
+    const gpuContact = this.gpuPasses.readPixels('intersection');
+    let mismatchedPixels = 0;
+    for (let i = 0; i < field.contact.length; i++) {
+      if ((gpuContact[i * 4 + 3] > 127 ? 1 : 0) !== field.contact[i]) mismatchedPixels++;
+    }
+    const stats = this.gpuPasses.readStats();
+    const grid = this.views.resolutionOf(this.views.get('pip8'));
+    const pip8 = grid.W === this.CFG.PIP_W && grid.H === this.CFG.PIP_H
+      ? { pixels1, pixels2, pressureField: field }
+      : this.renderGrid(grid, footprint, null, normalForce, 'uniform');
+    const maxWearCPU = this.pip8.render(pip8.pixels1, pip8.pixels2, velocity, angularVelocity, normalForce, lastOBB, pip8.pressureField);
+    return {
+      contactPixelsGPU: stats.contactPixels,
+      contactPixelsCPU: field.contactPixels,
+      mismatchedPixels,
+      maxWearGPU: stats.maxWear,
+      maxWearCPU
+    };
+  }
+
+  /**
+   * Top / bottom footprint images of a body that is not shown in the PiP views
+   * Same cameras and pixel layout as pip1 / pip2 (the canvases are left untouched), so the result can
+   * feed the flow and sliding accumulators exactly like the focused body's PiP pixels.
+   * @returns {Object|null} { pixels1, pixels2, mask, penetration, obb } or null without an OBB (mask: footprint
+   *   polygon, penetration: depth contact map when depthContact is given; null otherwise; obb: the box to map pixels
+   *   through, see viewOBB)
+   */
+  captureFootprint(lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, paddingDepthBottomScale, rotationAngle = null, footprint = null, depthContact = null) {
+    if (!lastOBB) return null;
+
+    // The focused body's GPU frame is over once its render targets are reused (stamping synced it first)
+    this.gpuFrame = null;
+
+    this.pip1.update(lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, rotationAngle);
+    this.pip2.update(lastOBB, paddingWidthScale, paddingHeightScale, paddingDepthBottomScale, rotationAngle);
+
+    const pixels1 = this.pip1.capture();
+    const pixels2 = this.pip2.capture();
+    const mask = footprint ? buildFootprintMask(footprint, this.getViewFrame(), this.CFG.PIP_W, this.CFG.PIP_H) : null;
+    const penetration = depthContact ? this.renderPenetration(depthContact, mask) : null;
+    const obb = this.mappingOBB(lastOBB) ?? lastOBB;
 
-    // Reset render target
     this.renderer.setRenderTarget(null);
+    return { pixels1, pixels2, mask, penetration, obb };
   }
 }
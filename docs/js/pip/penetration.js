@@ -0,0 +1,159 @@
+// Depth-based penetration maps
+// PiP1 and PiP2 also render depth. Per pixel the bottom view gives the height of the body's underside along n,
+// and the top view the height of the first surface seen from above, which is the ground wherever the body does
+// not cover it. A plane fitted to that visible ground is the reference under the body:
+//   gap = underside - ground   (negative = the body sits in the ground, i.e. penetration)
+// Pixels with a gap below the contact tolerance are in contact, instead of the binary top ∧ bottom mask. Their
+// load shares, in proportion to (tolerance - gap), drive the Winkler (bed-of-springs) pressure model in pressure.js.
+
+export const DEFAULT_CONTACT_TOLERANCE = 0.005;  // m
+
+// Packed depth at or beyond this is the cleared background (far plane)
+const FAR_DEPTH = 0.9999;
+
+/**
+ * Distances from the camera of depth packed into RGBA bytes (MeshDepthMaterial with RGBADepthPacking)
+ * Orthographic depth is linear between the clip planes.
+ * @param {Uint8Array} pixels - Render target bytes
+ * @param {number} near - Camera near plane (m)
+ * @param {number} far - Camera far plane (m)
+ * @returns {Float32Array} Distance per pixel (m), NaN where nothing was hit
+ */
+export function unpackDepthPixels(pixels, near, far) {
+  const depth = new Float32Array(pixels.length / 4);
+  for (let i = 0; i < depth.length; i++) {
+    const j = i * 4;
+    // unpackRGBAToDepth: dot(rgba / 255, (255 / 256) / (256³, 256², 256, 1))
+    const v = (pixels[j] / 16777216 + pixels[j + 1] / 65536 + pixels[j + 2] / 256 + pixels[j + 3]) / 256;
+    depth[i] = v >= FAR_DEPTH ? NaN : near + v * (far - near);
+  }
+  return depth;
+}
+
+/**
+ * Least-squares plane h = h0 + du·u + dv·v through the visible ground heights
+ * Falls back to the mean height when the samples are collinear, and to the contact plane (h = 0) below
+ * minPixels samples.
+ */
+function fitGroundPlane(sums, minPixels) {
+  const { n, u, v, uu, uv, vv, h, uh, vh } = sums;
+  if (n < minPixels) return { h0: 0, du: 0, dv: 0, pixels: n };
+
+  const det = n * (uu * vv - uv * uv) - u * (u * vv - uv * v) + v * (u * uv - uu * v);
+  if (Math.abs(det) < 1e-12 * n * n * n) return { h0: h / n, du: 0, dv: 0, pixels: n };
+
+  return {
+    h0: (h * (uu * vv - uv * uv) - u * (uh * vv - uv * vh) + v * (uh * uv - uu * vh)) / det,
+    du: (n * (uh * vv - uv * vh) - h * (u * vv - uv * v) + v * (u * vh - uh * v)) / det,
+    dv: (n * (uu * vh - uh * uv) - u * (u * vh - uh * v) + h * (u * uv - uu * v)) / det,
+    pixels: n
+  };
+}
+
+// Scale load shares to a mean of 1 over the contact pixels
+function normaliseWeights(weight, contactPixels, weightSum) {
+  if (weightSum <= 0) return;
+  const scale = contactPixels / weightSum;
+  for (let i = 0; i < weight.length; i++) weight[i] *= scale;
+}
+
+/**
+ * Per-pixel gap / penetration between the body and the ground across the padded box
+ * @param {Float32Array} top - PiP1 distances from the camera (m), NaN = nothing hit
+ * @param {Float32Array} bottom - PiP2 distances in the same (row-flipped) layout
+ * @param {Object} view - {
+ *   W, H: pixels,
+ *   width, height: view extent (m),
+ *   topDistance, bottomDistance: PiP1 / PiP2 camera distance from the box center along n (m) }
+ * @param {Object} options - { tolerance: contact gap (m), minGroundPixels: fewer visible ground pixels use the
+ *   box mid-plane as the ground }
+ * @returns {Object} {
+ *   W, H,
+ *   gap: Float32Array (m, NaN where the bottom view sees no body),
+ *   contact: Uint8Array (1 = gap below tolerance),
+ *   weight: Float32Array (load share, mean 1 over contact pixels),
+ *   contactPixels, maxPenetration (m), minGap (m or null), tolerance,
+ *   ground: { h0, du, dv, pixels } }
+ */
+export function computePenetrationMap(top, bottom, view, options = {}) {
+  const { W, H, width, height, topDistance, bottomDistance } = view;
+  const tolerance = options.tolerance ?? DEFAULT_CONTACT_TOLERANCE;
+  const minGroundPixels = options.minGroundPixels ?? 32;
+
+  // Visible ground: hit from above, nothing from below (the body would be seen by both)
+  const sums = { n: 0, u: 0, v: 0, uu: 0, uv: 0, vv: 0, h: 0, uh: 0, vh: 0 };
+  for (let y = 0; y < H; y++) {
+    const v = ((y / H) - 0.5) * height;
+    for (let x = 0; x < W; x++) {
+      const i = y * W + x;
+      if (Number.isNaN(top[i]) || !Number.isNaN(bottom[i])) continue;
+      const u = ((x / W) - 0.5) * width;
+      const h = topDistance - top[i];
+      sums.n++;
+      sums.u += u; sums.v += v;
+      sums.uu += u * u; sums.uv += u * v; sums.vv += v * v;
+      sums.h += h; sums.uh += u * h; sums.vh += v * h;
+    }
+  }
+  const ground = fitGroundPlane(sums, minGroundPixels);
+
+  const gap = new Float32Array(W * H).fill(NaN);
+  const contact = new Uint8Array(W * H);
+  const weight = new Float32Array(W * H);
+  let contactPixels = 0, weightSum = 0, minGap = Infinity;
+
+  for (let y = 0; y < H; y++) {
+    const v = ((y / H) - 0.5) * height;
+    for (let x = 0; x < W; x++) {
+      const i = y * W + x;
+      if (Number.isNaN(bottom[i])) continue;
+      const u = ((x / W) - 0.5) * width;
+      const g = (bottom[i] - bottomDistance) - (ground.h0 + ground.du * u + ground.dv * v);
+      gap[i] = g;
+      if (g < minGap) minGap = g;
+      if (g < tolerance) {
+        contact[i] = 1;
+        weight[i] = tolerance - g;
+        weightSum += weight[i];
+        contactPixels++;
+      }
+    }
+  }
+
+  normaliseWeights(weight, contactPixels, weightSum);
+
+  return {
+    W,
+    H,
+    gap,
+    contact,
+    weight,
+    contactPixels,
+    maxPenetration: minGap < 0 ? -minGap : 0,
+    minGap: Number.isFinite(minGap) ? minGap : null,
+    tolerance,
+    ground
+  };
+}
+
+/**
+ * Drop contact outside a pixel mask (footprint polygon) and renormalise the load shares over what remains
+ * Gap and penetration readouts are left as measured.
+ * @returns {Object} The same map
+ */
+export function clipPenetrationMap(map, mask) {
+  const { contact, weight } = map;
+  let contactPixels = 0, weightSum = 0;
+  for (let i = 0; i < contact.length; i++) {
+    if (!mask[i]) {
+      contact[i] = 0;
+      weight[i] = 0;
+    } else if (contact[i]) {
+      contactPixels++;
+      weightSum += weight[i];
+    }
+  }
+  normaliseWeights(weight, contactPixels, weightSum);
+  map.contactPixels = contactPixels;
+  return map;
+}
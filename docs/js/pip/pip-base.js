@@ -1,44 +1,136 @@
 // Base PiP rendering functionality
 
+import { computeViewExtent } from './view-scale.js';
+
 export class PiPRenderer {
   constructor(CFG, THREE, renderer, scene) {
     this.CFG = CFG;
     this.THREE = THREE;
     this.renderer = renderer;
     this.scene = scene;
+    this.viewScale = { mode: 'stretch', mmPerPixel: 2 };  // computeViewExtent() options
+  }
+
+  /**
+   * Orthographic view extent for a box (at least 0.5 m per side before padding), per viewScale
+   * @returns {Object} { width, height } (m)
+   */
+  viewExtent(lastOBB, paddingWidthScale, paddingHeightScale) {
+    return computeViewExtent(
+      Math.max(0.5, lastOBB.width) * paddingWidthScale,
+      Math.max(0.5, lastOBB.height) * paddingHeightScale,
+      this.CFG.PIP_W,
+      this.CFG.PIP_H,
+      this.viewScale
+    );
   }
   
   createOrthographicCamera() {
     return new this.THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 200);
   }
   
-  createRenderTarget() {
-    return new this.THREE.WebGLRenderTarget(this.CFG.PIP_W, this.CFG.PIP_H);
+  /**
+   * View render target, PiP grid sized unless W × H is given (views with their own resolution)
+   */
+  createRenderTarget(W = this.CFG.PIP_W, H = this.CFG.PIP_H) {
+    return new this.THREE.WebGLRenderTarget(W, H);
   }
   
   renderToCanvas(renderTarget, camera, canvasCtx) {
-    // Temporarily hide overlay/canvas-texture meshes (e.g., stamp and field/flow layers)
+    const pixels = this.renderToPixels(renderTarget, camera);
+    this.putPixels(canvasCtx, pixels);
+    return pixels;
+  }
+
+  /**
+   * Draw a copy of canvas-sized RGBA bytes to a canvas
+   */
+  putPixels(canvasCtx, pixels) {
+    const imageData = new ImageData(new Uint8ClampedArray(pixels), canvasCtx.canvas.width, canvasCtx.canvas.height);
+    canvasCtx.putImageData(imageData, 0, 0);
+  }
+
+  /**
+   * Hide visible objects matching test until the returned list is restored
+   */
+  hideObjects(test) {
     const hidden = [];
     this.scene.traverse((obj) => {
-      if (obj && obj.userData && obj.userData.pipHidden === true && obj.visible) {
+      if (obj && obj.visible && test(obj)) {
         hidden.push(obj);
         obj.visible = false;
       }
     });
+    return hidden;
+  }
+
+  renderToPixels(renderTarget, camera) {
+    this.renderToTarget(renderTarget, camera);
+    return this.readPixels(renderTarget);
+  }
+
+  /**
+   * Render the view into its target only (the GPU passes read it there)
+   */
+  renderToTarget(renderTarget, camera) {
+    // Temporarily hide overlay/canvas-texture meshes (e.g., stamp and field/flow layers)
+    const hidden = this.hideObjects(obj => obj.userData && obj.userData.pipHidden === true);
 
     this.renderer.setRenderTarget(renderTarget);
     this.renderer.render(this.scene, camera);
-    
-    const pixels = new Uint8Array(this.CFG.PIP_W * this.CFG.PIP_H * 4);
-    this.renderer.readRenderTargetPixels(renderTarget, 0, 0, this.CFG.PIP_W, this.CFG.PIP_H, pixels);
-    const imageData = new ImageData(new Uint8ClampedArray(pixels), this.CFG.PIP_W, this.CFG.PIP_H);
-    canvasCtx.putImageData(imageData, 0, 0);
 
     // Restore visibility
     for (const obj of hidden) obj.visible = true;
-    
+  }
+
+  readPixels(renderTarget) {
+    const { width, height } = renderTarget;
+    const pixels = new Uint8Array(width * height * 4);
+    this.renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
     return pixels;
   }
+
+  /**
+   * Depth of the same view packed into RGBA (unpackDepthPixels() in penetration.js decodes it)
+   * Lines, points and sprites (box outlines, markers) are left out; the background clears to the far plane.
+   */
+  renderDepthToPixels(renderTarget, camera) {
+    const THREE = this.THREE;
+    if (!this.depthMaterial) {
+      this.depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    }
+
+    const hidden = this.hideObjects(obj => (obj.userData && obj.userData.pipHidden === true) || obj.isLine || obj.isPoints || obj.isSprite);
+    const background = this.scene.background;
+    const clearColor = this.renderer.getClearColor(new THREE.Color());
+    const clearAlpha = this.renderer.getClearAlpha();
+    const overrideMaterial = this.scene.overrideMaterial;
+    this.scene.background = null;
+    this.scene.overrideMaterial = this.depthMaterial;
+    this.renderer.setClearColor(0xffffff, 1);
+
+    this.renderer.setRenderTarget(renderTarget);
+    this.renderer.render(this.scene, camera);
+
+    const pixels = this.readPixels(renderTarget);
+
+    this.scene.overrideMaterial = overrideMaterial;
+    this.scene.background = background;
+    this.renderer.setClearColor(clearColor, clearAlpha);
+    for (const obj of hidden) obj.visible = true;
+
+    return pixels;
+  }
+
+  flipRows(pixels, W = this.CFG.PIP_W, H = this.CFG.PIP_H) {
+    // Row y becomes row (H-1-y)
+    const rowBytes = W * 4;
+    const flipped = new Uint8ClampedArray(pixels.length);
+    for (let y = 0; y < H; y++) {
+      flipped.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), (H - 1 - y) * rowBytes);
+    }
+    return flipped;
+  }
   
   updateCamera(camera, center, n, e1, w, h, d, direction = 1) {
     // Position camera exactly at the edge of the 3D bounding box based on padding
@@ -47,7 +139,15 @@ export class PiPRenderer {
     
     const pos = center.clone().addScaledVector(n, cameraDistance * direction);
     camera.position.copy(pos);
-    camera.up.copy(e1);
+
+    // Up in the view plane. A heading-derived up is horizontal and can be parallel to a tilted or wall normal
+    // (3D OBB); then any in-plane direction will do
+    const up = e1.clone().addScaledVector(n, -e1.dot(n));
+    if (up.lengthSq() < 1e-8) {
+      up.set(1, 0, 0).addScaledVector(n, -n.x);
+      if (up.lengthSq() < 1e-6) up.set(0, 0, 1).addScaledVector(n, -n.z);
+    }
+    camera.up.copy(up.normalize());
     
     // Set orthographic bounds to exactly match the padded 3D bounding box
     // No additional margins - the view should stop exactly at the box bounds
@@ -1,5 +1,7 @@
 // PiP 2 - Bottom View (-n direction)
 
+import { unpackDepthPixels } from './penetration.js';
+
 export class PiP2 {
   constructor(pipRenderer) {
     this.pipRenderer = pipRenderer;
@@ -25,9 +27,8 @@ export class PiP2 {
       e1 = new this.pipRenderer.THREE.Vector3(lastOBB.e1.x, lastOBB.e1.y, lastOBB.e1.z).normalize();
     }
     
-    // Ensure minimum reasonable dimensions for the orthographic view
-    const w = Math.max(0.5, lastOBB.width) * paddingWidthScale;
-    const h = Math.max(0.5, lastOBB.height) * paddingHeightScale;
+    // Ensure minimum reasonable dimensions for the orthographic view (stretched, aspect-preserving or fixed scale)
+    const { width: w, height: h } = this.pipRenderer.viewExtent(lastOBB, paddingWidthScale, paddingHeightScale);
     const d = Math.max(1.0, this.pipRenderer.CFG.OBB_DEPTH * paddingDepthBottomScale);
 
     // Flip Y axis for bottom view by negating e1 (camera up vector)
@@ -69,6 +70,22 @@ export class PiP2 {
     // Return flipped pixels for intersection calculation
     return flippedData.data;
   }
+
+  /**
+   * Distance (m) from the camera to the first surface per pixel in the flipped layout, NaN where nothing is hit
+   * @param {THREE.WebGLRenderTarget} renderTarget - Target of another view resolution (default: the PiP grid)
+   */
+  renderDepth(renderTarget = this.renderTarget) {
+    const packed = this.pipRenderer.flipRows(
+      this.pipRenderer.renderDepthToPixels(renderTarget, this.camera), renderTarget.width, renderTarget.height);
+    return unpackDepthPixels(packed, this.camera.near, this.camera.far);
+  }
+
+  capture(renderTarget = this.renderTarget) {
+    // Same flipped pixels as render() (at the target's size), canvas untouched
+    return this.pipRenderer.flipRows(
+      this.pipRenderer.renderToPixels(renderTarget, this.camera), renderTarget.width, renderTarget.height);
+  }
   
   clear() {
     this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
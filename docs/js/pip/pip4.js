@@ -58,8 +58,8 @@ export class PiP4 {
    * @param {Object} lastOBB - OBB data containing center and orientation
    */
   render(pixels1, pixels2, velocity, angularVelocity, lastOBB) {
-    const W = this.pipRenderer.CFG.PIP_W;
-    const H = this.pipRenderer.CFG.PIP_H;
+    const W = this.canvasCtx.canvas.width;
+    const H = this.canvasCtx.canvas.height;
 
     // Clear canvas
     this.canvasCtx.clearRect(0, 0, W, H);
@@ -177,6 +177,6 @@ export class PiP4 {
   }
 
   clear() {
-    this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
   }
 }
@@ -33,10 +33,12 @@ export class PiP5 {
    * Render instant tangential traction map with grayscale encoding
    * 0 (black) = no traction, 1 (white) = maximum traction strength
    * Only displays instant traction within current intersection area - NO ACCUMULATION
+   * @param {Object} pressureField - Shared contact pressure (pressure.js): its contact pixels and per-pixel
+   *   pressure replace the intersection and F / A (null = intersection, uniform)
    */
-  render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB) {
-    const W = this.pipRenderer.CFG.PIP_W;
-    const H = this.pipRenderer.CFG.PIP_H;
+  render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB, pressureField = null) {
+    const W = this.canvasCtx.canvas.width;
+    const H = this.canvasCtx.canvas.height;
 
     // Clear canvas
     this.canvasCtx.clearRect(0, 0, W, H);
@@ -65,7 +67,7 @@ export class PiP5 {
 
     // FIRST PASS: Count intersection pixels to calculate contact area
     let intersectionPixelCount = 0;
-    for (let y = 0; y < H; y++) {
+    for (let y = 0; y < H && !pressureField; y++) {
       for (let x = 0; x < W; x++) {
         const pixelIdx = (y * W + x) * 4;
         const has1 = (pixels1[pixelIdx] | pixels1[pixelIdx+1] | pixels1[pixelIdx+2]) > 10;
@@ -97,11 +99,12 @@ export class PiP5 {
         const idx = y * W + x;
         const pixelIdx = idx * 4;
 
-        // Check if pixel is in intersection
+        // Check if pixel is in intersection (or in the pressure field's contact)
         const has1 = (pixels1[pixelIdx] | pixels1[pixelIdx+1] | pixels1[pixelIdx+2]) > 10;
         const has2 = (pixels2[pixelIdx] | pixels2[pixelIdx+1] | pixels2[pixelIdx+2]) > 10;
+        const inContact = pressureField ? pressureField.contact[idx] === 1 : has1 && has2;
 
-        if (has1 && has2) {
+        if (inContact) {
           // Convert pixel to world space
           const u = (x / W) - 0.5;
           const v = (y / H) - 0.5;
@@ -147,8 +150,8 @@ export class PiP5 {
           );
 
           // Calculate tangential traction using unified pressure model
-          // τ = μ × p, where p = F / A (static pressure from solver)
-          const tangential_traction = mu * pressure;
+          // τ = μ × p, where p = F / A (static pressure from solver), or the selected pressure model's field
+          const tangential_traction = mu * (pressureField ? pressureField.pressure[idx] : pressure);
 
           // Only show if there's actual tangential motion
           if (v_tangential_mag > 0.001 && tangential_traction > 0.001) {
@@ -197,6 +200,6 @@ export class PiP5 {
   }
 
   clear() {
-    this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
   }
 }
@@ -18,8 +18,8 @@ export class PiP6 {
       return;
     }
 
-    const W_pip = this.pipRenderer.CFG.PIP_W;
-    const H_pip = this.pipRenderer.CFG.PIP_H;
+    const W_pip = this.canvasCtx.canvas.width;
+    const H_pip = this.canvasCtx.canvas.height;
     const W_canvas = 2048;
     const H_canvas = 2048;
 
@@ -120,6 +120,6 @@ export class PiP6 {
   }
 
   clear() {
-    this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
   }
 }
@@ -7,13 +7,21 @@ export class PiP7 {
     this.canvasCtx = document.getElementById('pip7Canvas').getContext('2d', { willReadFrequently: true });
     
     // Store sliding distance magnitudes (persistent accumulation)
-    const size = pipRenderer.CFG.PIP_W * pipRenderer.CFG.PIP_H;
+    const size = this.canvasCtx.canvas.width * this.canvasCtx.canvas.height;
     this.storedMagnitudes = new Float32Array(size);
     this.maxStoredMagnitude = 0;
   }
 
   clear() {
-    this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
+  }
+
+  /**
+   * Reallocate the stored magnitudes for a new canvas size (view resolution; clears them)
+   */
+  resize() {
+    this.storedMagnitudes = new Float32Array(this.canvasCtx.canvas.width * this.canvasCtx.canvas.height);
+    this.maxStoredMagnitude = 0;
   }
 
   clearMagnitudes() {
@@ -28,8 +36,9 @@ export class PiP7 {
       return;
     }
 
-    const W = this.pipRenderer.CFG.PIP_W;
-    const H = this.pipRenderer.CFG.PIP_H;
+    const W = this.canvasCtx.canvas.width;
+    const H = this.canvasCtx.canvas.height;
+    if (this.storedMagnitudes.length !== W * H) this.resize();
     const imageData = this.canvasCtx.createImageData(W, H);
     const out = imageData.data;
 
@@ -9,17 +9,45 @@ export class PiP8 {
   }
 
   clear() {
-    this.canvasCtx.clearRect(0, 0, this.pipRenderer.CFG.PIP_W, this.pipRenderer.CFG.PIP_H);
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
   }
 
-  render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB) {
+  /**
+   * Ground body velocity (static ground: zero)
+   * @returns {Object} { groundVelocity, groundAngularVelocity }
+   */
+  getGroundMotion() {
+    let groundVelocity = { x: 0, y: 0, z: 0 };
+    let groundAngularVelocity = { x: 0, y: 0, z: 0 };
+
+    if (window.groundManager && window.groundManager.groundBody) {
+      try {
+        const gv = window.groundManager.groundBody.getLinearVelocity();
+        groundVelocity = { x: gv.x(), y: gv.y(), z: gv.z() };
+        window.A.destroy(gv);
+
+        const gav = window.groundManager.groundBody.getAngularVelocity();
+        groundAngularVelocity = { x: gav.x(), y: gav.y(), z: gav.z() };
+        window.A.destroy(gav);
+      } catch (e) {
+        // Ground is static
+      }
+    }
+    return { groundVelocity, groundAngularVelocity };
+  }
+
+  /**
+   * @param {Object} pressureField - Shared contact pressure (pressure.js), null = intersection with F / A
+   * @returns {number} Max local wear (W/m²), 0 without a box or velocity
+   */
+  render(pixels1, pixels2, velocity, angularVelocity, normalForce, lastOBB, pressureField = null) {
     if (!lastOBB || !velocity) {
       this.clear();
-      return;
+      return 0;
     }
 
-    const W = this.pipRenderer.CFG.PIP_W;
-    const H = this.pipRenderer.CFG.PIP_H;
+    const W = this.canvasCtx.canvas.width;
+    const H = this.canvasCtx.canvas.height;
 
     const imageData = this.canvasCtx.createImageData(W, H);
     const out = imageData.data;
@@ -37,7 +65,7 @@ export class PiP8 {
 
     // Calculate contact area for pressure
     let intersectionPixelCount = 0;
-    for (let y = 0; y < H; y++) {
+    for (let y = 0; y < H && !pressureField; y++) {
       for (let x = 0; x < W; x++) {
         const pixelIdx = (y * W + x) * 4;
         const has1 = (pixels1[pixelIdx + 3] > 10);
@@ -53,22 +81,7 @@ export class PiP8 {
     const pressure = contactArea > 0.001 ? (normalForce || 0) / contactArea : 0;
 
     // Get ground velocity
-    let groundVelocity = { x: 0, y: 0, z: 0 };
-    let groundAngularVelocity = { x: 0, y: 0, z: 0 };
-    
-    if (window.groundManager && window.groundManager.groundBody) {
-      try {
-        const gv = window.groundManager.groundBody.getLinearVelocity();
-        groundVelocity = { x: gv.x(), y: gv.y(), z: gv.z() };
-        window.A.destroy(gv);
-        
-        const gav = window.groundManager.groundBody.getAngularVelocity();
-        groundAngularVelocity = { x: gav.x(), y: gav.y(), z: gav.z() };
-        window.A.destroy(gav);
-      } catch (e) {
-        // Ground is static
-      }
-    }
+    const { groundVelocity, groundAngularVelocity } = this.getGroundMotion();
 
     let maxWear = 0;
     const wearData = [];
@@ -81,7 +94,7 @@ export class PiP8 {
         // ONLY process intersection pixels (where both bodies overlap)
         const has1 = (pixels1[pixelIdx + 3] > 10);
         const has2 = (pixels2[pixelIdx + 3] > 10);
-        const isIntersection = has1 && has2;
+        const isIntersection = pressureField ? pressureField.contact[y * W + x] === 1 : has1 && has2;
         
         if (!isIntersection) {
           wearData.push(0);
@@ -148,8 +161,9 @@ export class PiP8 {
           v_tangential.z * v_tangential.z
         );
 
-        // Local wear = Pressure × Friction × Tangential Velocity
-        const localWear = pressure * mu * tangentialVelocity;
+        // Local wear = Pressure × Friction × Tangential Velocity (pressure from the selected model's field)
+        const localPressure = pressureField ? pressureField.pressure[y * W + x] : pressure;
+        const localWear = localPressure * mu * tangentialVelocity;
 
         wearData.push(localWear);
         if (localWear > maxWear) {
@@ -186,6 +200,7 @@ export class PiP8 {
     if (maxWearEl) {
       maxWearEl.textContent = `${maxWear.toFixed(3)} W/m²`;
     }
+    return maxWear;
   }
 
   /**
@@ -0,0 +1,59 @@
+// PiP 9 - Penetration Map
+// Gap between the body's underside and the ground from the PiP1 / PiP2 depth (see penetration.js)
+// Contact pixels: black (at the tolerance) -> red -> yellow (deepest); body out of contact: blue, fading with the
+// gap over 4 tolerances; no body: transparent
+
+export class PiP9 {
+  constructor(pipRenderer) {
+    this.pipRenderer = pipRenderer;
+    this.canvasCtx = document.getElementById('pip9Canvas').getContext('2d');
+  }
+
+  clear() {
+    this.canvasCtx.clearRect(0, 0, this.canvasCtx.canvas.width, this.canvasCtx.canvas.height);
+    const maxPenEl = document.getElementById('pip9MaxPen');
+    if (maxPenEl) maxPenEl.textContent = '—';
+  }
+
+  /**
+   * @param {Object} penetration - computePenetrationMap() output (null clears the view)
+   */
+  render(penetration) {
+    if (!penetration) {
+      this.clear();
+      return;
+    }
+
+    const { W, H, gap, contact, tolerance } = penetration;
+    const imageData = this.canvasCtx.createImageData(W, H);
+    const out = imageData.data;
+
+    // Deepest contact pixel sits furthest below the tolerance
+    const span = Math.max(1e-6, tolerance - (penetration.minGap ?? tolerance));
+
+    for (let i = 0; i < gap.length; i++) {
+      const g = gap[i];
+      if (Number.isNaN(g)) continue;
+      const p = i * 4;
+      if (contact[i]) {
+        const t = Math.min(1, (tolerance - g) / span);
+        out[p] = Math.round(255 * Math.min(1, 2 * t));
+        out[p + 1] = Math.round(255 * Math.max(0, 2 * t - 1));
+        out[p + 2] = 0;
+      } else {
+        const t = Math.max(0, 1 - (g - tolerance) / (4 * tolerance));
+        out[p] = 0;
+        out[p + 1] = Math.round(80 * t);
+        out[p + 2] = Math.round(60 + 160 * t);
+      }
+      out[p + 3] = 255;
+    }
+
+    this.canvasCtx.putImageData(imageData, 0, 0);
+
+    const maxPenEl = document.getElementById('pip9MaxPen');
+    if (maxPenEl) {
+      maxPenEl.textContent = `${(penetration.maxPenetration * 1000).toFixed(1)} mm`;
+    }
+  }
+}
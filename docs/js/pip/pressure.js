@@ -0,0 +1,130 @@
+// Contact pressure fields
+// One per-pixel pressure map (PiP pixel layout) shared by PiP5 traction, PiP8 wear and the flow / sliding
+// accumulators. Every model is scaled so Σ p · pixel area equals the measured normal force:
+//   uniform - F / A over the contact pixels
+//   winkler - elastic foundation, p ∝ (tolerance - gap) from the depth penetration map (see penetration.js)
+//   hertz   - Hertz-like p ∝ √(1 - (s/a)² - (t/b)²) over the moment ellipse of the contact region
+//             (spheres and pucks: peak in the middle, zero at the edge)
+
+export const PRESSURE_MODELS = ['uniform', 'winkler', 'hertz'];
+
+/**
+ * Top ∧ bottom view intersection as a pixel mask (alpha, or RGB for opaque canvases, above 10)
+ * @param {Uint8Array} footprintMask - Footprint polygon (null = the whole view)
+ * @returns {Uint8Array} 1 = in contact
+ */
+export function buildContactMask(pixels1, pixels2, footprintMask = null) {
+  const has = (pixels, i) => pixels[i + 3] > 10 || (pixels[i] | pixels[i + 1] | pixels[i + 2]) > 10;
+  const contact = new Uint8Array(pixels1.length / 4);
+  for (let i = 0; i < contact.length; i++) {
+    if (footprintMask && !footprintMask[i]) continue;
+    if (has(pixels1, i * 4) && has(pixels2, i * 4)) contact[i] = 1;
+  }
+  return contact;
+}
+
+/**
+ * Hertz-like weights over the contact pixels' moment ellipse
+ * A uniform ellipse with semi-axis a has variance a² / 4 along it, so a = 2√λ; the axes are at least half a
+ * pixel so one-pixel and line contacts keep their load.
+ */
+function hertzWeights(contact, view) {
+  const { W, H, width, height } = view;
+  const weight = new Float32Array(contact.length);
+  const coord = (i) => ({ u: ((i % W) / W - 0.5) * width, v: (Math.floor(i / W) / H - 0.5) * height });
+
+  let n = 0, cu = 0, cv = 0;
+  for (let i = 0; i < contact.length; i++) {
+    if (!contact[i]) continue;
+    const { u, v } = coord(i);
+    n++;
+    cu += u;
+    cv += v;
+  }
+  if (n === 0) return weight;
+  cu /= n;
+  cv /= n;
+
+  let suu = 0, svv = 0, suv = 0;
+  for (let i = 0; i < contact.length; i++) {
+    if (!contact[i]) continue;
+    const { u, v } = coord(i);
+    suu += (u - cu) * (u - cu) / n;
+    svv += (v - cv) * (v - cv) / n;
+    suv += (u - cu) * (v - cv) / n;
+  }
+
+  const mean = (suu + svv) / 2;
+  const diff = Math.sqrt(((suu - svv) / 2) ** 2 + suv * suv);
+  const theta = 0.5 * Math.atan2(2 * suv, suu - svv);
+  const c = Math.cos(theta), s = Math.sin(theta);
+  const minAxis = 0.5 * Math.max(width / W, height / H);
+  const a = Math.max(minAxis, 2 * Math.sqrt(mean + diff));
+  const b = Math.max(minAxis, 2 * Math.sqrt(Math.max(0, mean - diff)));
+
+  for (let i = 0; i < contact.length; i++) {
+    if (!contact[i]) continue;
+    const { u, v } = coord(i);
+    const su = ((u - cu) * c + (v - cv) * s) / a;
+    const sv = (-(u - cu) * s + (v - cv) * c) / b;
+    weight[i] = Math.sqrt(Math.max(0, 1 - su * su - sv * sv));
+  }
+  return weight;
+}
+
+/**
+ * Per-pixel contact pressure integrating to the normal force
+ * @param {Uint8Array} contact - Contact pixels (buildContactMask(), or the penetration map's contact)
+ * @param {number} normalForce - Measured normal force (N); null = no load
+ * @param {Object} view - { W, H, width, height }: PiP pixels and the view extent (m), for the pixel area
+ * @param {Object} options - { model, penetration: depth map for winkler (falls back to uniform without it) }
+ * @returns {Object} { model, used, contact, pressure: Float32Array (Pa), contactPixels, contactArea (m²),
+ *   meanPressure, peakPressure, pixelArea }
+ */
+export function computePressureField(contact, normalForce, view, options = {}) {
+  const model = options.model ?? 'uniform';
+  const penetration = options.penetration ?? null;
+  const pixelArea = (view.width * view.height) / (view.W * view.H);
+
+  let used = model;
+  let weight = null;
+  if (model === 'winkler') {
+    if (penetration) weight = penetration.weight;
+    else used = 'uniform';
+  } else if (model === 'hertz') {
+    weight = hertzWeights(contact, view);
+  }
+
+  let contactPixels = 0, weightSum = 0;
+  for (let i = 0; i < contact.length; i++) {
+    if (!contact[i]) continue;
+    contactPixels++;
+    weightSum += weight ? weight[i] : 1;
+  }
+
+  const pressure = new Float32Array(contact.length);
+  const force = Math.max(0, normalForce || 0);
+  let peakPressure = 0;
+  if (weightSum > 0 && force > 0) {
+    // Σ p · pixelArea = F
+    const scale = force / (weightSum * pixelArea);
+    for (let i = 0; i < contact.length; i++) {
+      if (!contact[i]) continue;
+      pressure[i] = scale * (weight ? weight[i] : 1);
+      if (pressure[i] > peakPressure) peakPressure = pressure[i];
+    }
+  }
+
+  const contactArea = contactPixels * pixelArea;
+  return {
+    model,
+    used,
+    contact,
+    pressure,
+    contactPixels,
+    contactArea,
+    meanPressure: contactArea > 0 ? force / contactArea : 0,
+    peakPressure,
+    pixelArea
+  };
+}
@@ -0,0 +1,304 @@
+// PiP View Registry
+// PiPManager renders the registered views in display order. A view declares the frame inputs it reads and gets a
+// canvas in the PiP container (existing #id elements from index.html are adopted), so analysis views can be added,
+// enabled / disabled, reordered and resized at runtime without touching PiPManager:
+//
+//   window.pipManager.views.register('shear', {
+//     render(frame, ctx) { ... frame.pixels1, frame.pressureField ... },
+//   }, { label: 'Shear Direction', inputs: ['pixels', 'pressure', 'velocity'] });
+//
+// Only declared inputs are computed for a view (with the GPU passes, 'pixels' and 'pressure' cost a read-back).
+// A view follows the PiP grid (CFG.PIP_W × PIP_H, the source views' resolution) unless given its own resolution
+// (setViewResolution); its frame is then rendered and resolved at that size over the same view extent.
+// Every view shows a scale bar for the current view extent (setScale).
+
+import { formatLength, scaleBarLength } from './view-scale.js';
+
+/**
+ * Frame inputs a view can declare, and the frame fields each one provides
+ */
+export const PIP_VIEW_INPUTS = {
+  pixels: ['pixels1', 'pixels2'],        // Top / bottom RGBA bytes (bottom flipped to the top layout), footprint-clipped
+  obb: ['obb'],                          // Box of the focused body (lastOBB)
+  velocity: ['velocity'],                // Linear velocity (m/s), null at rest
+  angularVelocity: ['angularVelocity'],  // ω (rad/s)
+  normalForce: ['normalForce'],          // N
+  pressure: ['pressureField'],           // Contact pressure field (pressure.js)
+  penetration: ['penetration'],          // Depth contact map (penetration.js), null with depth contact off
+  footprint: ['footprintMask'],          // Footprint polygon mask, null = whole view
+  timestep: ['timestep'],                // Seconds since the last PiP frame
+  slidingDistance: ['slidingDistanceManager']  // Shared sliding distance accumulator
+};
+
+/**
+ * Per-frame input lookup: each input is resolved once, on the first view that declares it
+ * @param {Object} base - Fields every view gets ({ W, H, viewFrame })
+ * @param {Object} resolvers - Input name -> () => { ...fields }
+ * @returns {Function} (inputs) => frame with base and the declared fields
+ */
+export function createFrameResolver(base, resolvers) {
+  const cache = new Map();
+  return (inputs) => {
+    const frame = { ...base };
+    for (const name of inputs) {
+      if (!cache.has(name)) cache.set(name, resolvers[name]());
+      Object.assign(frame, cache.get(name));
+    }
+    return frame;
+  };
+}
+
+export class PiPViewRegistry {
+  /**
+   * @param {Element} container - PiP container (#pipContainer)
+   */
+  constructor(container, CFG) {
+    this.container = container;
+    this.CFG = CFG;
+    this.entries = new Map();  // id -> entry, in display order
+    this.listeners = new Set();
+    this.scale = null;         // { viewWidth, viewHeight (m), fraction of the view width, length (m) } of the last setScale()
+  }
+
+  /**
+   * Add a view
+   * @param {string} id - Element id; an existing #id is adopted, otherwise a .pip element with a label and an
+   *   `${id}Canvas` canvas is appended to the container
+   * @param {Object} view - { render(frame, canvasCtx), clear(canvasCtx) (optional, default clears the canvas) }
+   * @param {Object} options - {
+   *   label, inputs: keys of PIP_VIEW_INPUTS, enabled (default true), size: displayed size (px, null = CSS default),
+   *   resolution: { W, H } canvas and frame size (null = PiP grid),
+   *   source: always rendered by PiPManager itself (top, bottom and intersection feed the others and the stamp) }
+   * @returns {Object} The registry entry
+   */
+  register(id, view, options = {}) {
+    if (this.entries.has(id)) throw new Error(`PiP view already registered: ${id}`);
+    const inputs = options.inputs ?? [];
+    for (const name of inputs) {
+      if (!PIP_VIEW_INPUTS[name]) {
+        throw new Error(`Unknown PiP view input: ${name} (expected ${Object.keys(PIP_VIEW_INPUTS).join(', ')})`);
+      }
+    }
+
+    const doc = this.container.ownerDocument;
+    let element = doc.getElementById(id);
+    const created = !element;
+    if (created) {
+      element = doc.createElement('div');
+      element.id = id;
+      element.className = 'pip';
+      const label = doc.createElement('div');
+      label.className = 'pip-label';
+      label.textContent = options.label ?? id;
+      const canvas = doc.createElement('canvas');
+      canvas.id = `${id}Canvas`;
+      element.appendChild(label);
+      element.appendChild(canvas);
+      this.container.appendChild(element);
+    }
+    const canvas = element.querySelector('canvas');
+
+    const scale = doc.createElement('div');
+    scale.className = 'pip-scale';
+    const scaleBar = doc.createElement('div');
+    scaleBar.className = 'pip-scale-bar';
+    const scaleLabel = doc.createElement('span');
+    scaleLabel.className = 'pip-scale-label';
+    scale.appendChild(scaleBar);
+    scale.appendChild(scaleLabel);
+    element.appendChild(scale);
+
+    const entry = {
+      id,
+      view,
+      label: options.label ?? id,
+      inputs,
+      source: !!options.source,
+      enabled: true,
+      size: null,
+      resolution: null,
+      element,
+      canvas,
+      canvasCtx: canvas.getContext('2d', { willReadFrequently: true }),
+      scale,
+      scaleBar,
+      scaleLabel,
+      created
+    };
+    this.entries.set(id, entry);
+    this.setViewResolution(id, options.resolution ?? null, { silent: true });
+    if (this.scale) this.drawScale(entry);
+    if (options.enabled === false) this.setEnabled(id, false);
+    if (options.size) this.setSize(id, options.size);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Remove a view (and its element if the registry created it)
+   */
+  unregister(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    this.entries.delete(id);
+    if (entry.created) entry.element.remove();
+    else entry.scale.remove();
+    this.notify();
+  }
+
+  get(id) {
+    return this.entries.get(id) ?? null;
+  }
+
+  /**
+   * @returns {Array} Entries in display order
+   */
+  list() {
+    return [...this.entries.values()];
+  }
+
+  isEnabled(id) {
+    const entry = this.entries.get(id);
+    return !!entry && entry.enabled;
+  }
+
+  /**
+   * Show / hide a view; disabled views are not rendered (source views are, as other views and the stamp need them)
+   */
+  setEnabled(id, enabled) {
+    const entry = this.require(id);
+    entry.enabled = enabled;
+    entry.element.hidden = !enabled;
+    if (!enabled) this.clearView(entry);
+    this.notify();
+  }
+
+  /**
+   * Move a view to a display position (clamped to the list)
+   */
+  move(id, index) {
+    this.require(id);
+    const ids = [...this.entries.keys()].filter(other => other !== id);
+    ids.splice(Math.max(0, Math.min(ids.length, index)), 0, id);
+    this.setOrder(ids);
+  }
+
+  /**
+   * Display order; ids left out keep their relative order after the listed ones
+   */
+  setOrder(ids) {
+    for (const id of ids) this.require(id);
+    const order = [...new Set(ids), ...[...this.entries.keys()].filter(id => !ids.includes(id))];
+    const entries = new Map(order.map(id => [id, this.entries.get(id)]));
+    this.entries = entries;
+    for (const entry of entries.values()) this.container.appendChild(entry.element);
+    this.notify();
+  }
+
+  /**
+   * Displayed width in CSS pixels, the height following the PiP aspect (the canvas keeps PIP_W × PIP_H);
+   * null restores the stylesheet width
+   */
+  setSize(id, size) {
+    const entry = this.require(id);
+    entry.size = size || null;
+    entry.element.style.width = entry.size ? `${entry.size}px` : '';
+    this.notify();
+  }
+
+  /**
+   * Resolution a view renders at
+   * @returns {Object} { W, H }: its own, or the current PiP grid
+   */
+  resolutionOf(entry) {
+    return entry.resolution ?? { W: this.CFG.PIP_W, H: this.CFG.PIP_H };
+  }
+
+  /**
+   * Give a view its own resolution, or null to follow the PiP grid; resizes its canvas (clears it) and keeps the
+   * view at that aspect
+   * @param {Object|null} resolution - { W, H } in pixels
+   */
+  setViewResolution(id, resolution, { silent = false } = {}) {
+    const entry = this.require(id);
+    if (resolution && !(resolution.W >= 1 && resolution.H >= 1)) {
+      throw new Error(`Invalid PiP view resolution: ${resolution.W} x ${resolution.H}`);
+    }
+    entry.resolution = resolution ? { W: Math.round(resolution.W), H: Math.round(resolution.H) } : null;
+    this.resizeCanvas(entry);
+    if (this.scale) this.drawScale(entry);
+    if (!silent) this.notify();
+  }
+
+  /**
+   * Resize the canvases following the PiP grid to the current CFG.PIP_W × CFG.PIP_H (clears them); views with
+   * their own resolution keep it
+   */
+  setResolution() {
+    for (const entry of this.entries.values()) {
+      if (entry.resolution) continue;
+      this.resizeCanvas(entry);
+      if (this.scale) this.drawScale(entry);
+    }
+    this.notify();
+  }
+
+  resizeCanvas(entry) {
+    const { W, H } = this.resolutionOf(entry);
+    entry.canvas.width = W;
+    entry.canvas.height = H;
+    this.applyAspect(entry);
+  }
+
+  applyAspect(entry) {
+    const { W, H } = this.resolutionOf(entry);
+    entry.element.style.height = 'auto';
+    entry.element.style.aspectRatio = `${W} / ${H}`;
+  }
+
+  /**
+   * Scale bars for a view extent (m); the bar runs along the horizontal axis, whose scale the label names when
+   * a view's pixels are not square
+   */
+  setScale(viewWidth, viewHeight) {
+    if (this.scale && this.scale.viewWidth === viewWidth && this.scale.viewHeight === viewHeight) return;
+    const length = scaleBarLength(viewWidth);
+    this.scale = { viewWidth, viewHeight, fraction: viewWidth > 0 ? length / viewWidth : 0, length };
+    for (const entry of this.entries.values()) this.drawScale(entry);
+  }
+
+  drawScale(entry) {
+    const { viewWidth, viewHeight, fraction, length } = this.scale;
+    const { W, H } = this.resolutionOf(entry);
+    const mppX = viewWidth / W, mppY = viewHeight / H;
+    const square = Math.abs(mppX - mppY) <= 0.01 * Math.max(mppX, mppY);
+    entry.scale.hidden = !(length > 0);
+    entry.scaleBar.style.width = `${(fraction * 100).toFixed(2)}%`;
+    entry.scaleLabel.textContent = length > 0 ? `${formatLength(length)}${square ? '' : ' (horizontal)'}` : '';
+  }
+
+  clearView(entry) {
+    const { W, H } = this.resolutionOf(entry);
+    if (entry.view.clear) entry.view.clear(entry.canvasCtx);
+    else entry.canvasCtx.clearRect(0, 0, W, H);
+  }
+
+  /**
+   * Subscribe to registration, order, size, resolution and enable changes
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of this.listeners) listener(this);
+  }
+
+  require(id) {
+    const entry = this.entries.get(id);
+    if (!entry) throw new Error(`Unknown PiP view: ${id}`);
+    return entry;
+  }
+}
@@ -0,0 +1,52 @@
+// PiP view extent and scale
+// How the padded box is framed on the PiP pixel grid (CFG.PIP_W × CFG.PIP_H):
+//   stretch - the padded box fills the grid; metres per pixel differ per axis and change with the box
+//   aspect  - the padded box grown along its short side to the grid aspect, so pixels are square
+//   fixed   - mmPerPixel regardless of the box, so sampled values compare between frames (a larger patch is cut off)
+
+export const PIP_SCALE_MODES = ['stretch', 'aspect', 'fixed'];
+
+/**
+ * View extent (m) for a padded box
+ * @param {number} boxWidth - Padded box extent along the view's horizontal axis (m)
+ * @param {number} boxHeight - Padded box extent along the vertical axis (m)
+ * @param {number} W - Grid width (px)
+ * @param {number} H - Grid height (px)
+ * @param {Object} options - { mode: PIP_SCALE_MODES entry (default 'stretch'), mmPerPixel (fixed mode) }
+ * @returns {Object} { width, height }
+ */
+export function computeViewExtent(boxWidth, boxHeight, W, H, options = {}) {
+  const mode = options.mode ?? 'stretch';
+  if (mode === 'fixed') {
+    const metresPerPixel = (options.mmPerPixel ?? 2) / 1000;
+    return { width: W * metresPerPixel, height: H * metresPerPixel };
+  }
+  if (mode === 'aspect') {
+    const metresPerPixel = Math.max(boxWidth / W, boxHeight / H);
+    return { width: W * metresPerPixel, height: H * metresPerPixel };
+  }
+  return { width: boxWidth, height: boxHeight };
+}
+
+/**
+ * Longest 1 / 2 / 5 × 10^k length (m) that fits in maxFraction of the view width
+ */
+export function scaleBarLength(viewWidth, maxFraction = 0.3) {
+  const limit = viewWidth * maxFraction;
+  if (!(limit > 0)) return 0;
+  const decade = Math.pow(10, Math.floor(Math.log10(limit)));
+  for (const step of [5, 2, 1]) {
+    if (step * decade <= limit) return step * decade;
+  }
+  return decade;
+}
+
+/**
+ * Scale bar label: mm below 1 cm, cm below 1 m
+ */
+export function formatLength(m) {
+  const round = (x) => String(Number(x.toPrecision(3)));
+  if (m < 0.01) return `${round(m * 1000)} mm`;
+  if (m < 1) return `${round(m * 100)} cm`;
+  return `${round(m)} m`;
+}
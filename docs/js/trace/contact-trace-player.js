@@ -0,0 +1,277 @@
+// Contact Trace Player
+// Feeds a recorded contact trace back through sampleContacts / computeBoundingBox without Ammo.
+// Two modes:
+//  - In-app playback: AnimationManager drives the body mesh from the trace instead of physics,
+//    so PiP views, stamping and the accumulation managers run on the recorded motion.
+//  - Offline pipeline: replays every frame synchronously to compare ContactParams / bbox algorithms.
+
+import { sampleContacts, ContactParams, ContactState } from '../contacts.js';
+import { computeBoundingBox, BoxStabilizer } from '../bounding-box/index.js';
+import { angleDifference } from '../bounding-box/utils.js';
+import { parseContactTrace } from './contact-trace.js';
+import { ReplayDispatcher, ReplayManifold, ReplayRigidBody, ReplaySoftBody, ReplayAmmo } from './replay-ammo.js';
+
+export class ContactTracePlayer {
+  constructor(trace) {
+    this.trace = parseContactTrace(trace);
+    this.frameIndex = 0;
+    this.playing = false;
+    this.loop = false;
+    this.current = null;
+  }
+
+  get meta() {
+    return this.trace.meta;
+  }
+
+  get frameCount() {
+    return this.trace.frames.length;
+  }
+
+  /**
+   * Build Ammo stand-ins for one recorded frame
+   * @param {number} index - Frame index
+   * @returns {Object} { frame, dispatcher, body }
+   */
+  buildFrame(index) {
+    const frame = this.trace.frames[index];
+    const body = frame.soft
+      ? new ReplaySoftBody(frame.nodes || [])
+      : new ReplayRigidBody(frame.v, frame.w);
+
+    // One stand-in object per role so identity comparisons (body0 === softBody) behave as recorded
+    const roles = { dyn: body };
+    const bodyFor = (role) => {
+      if (!roles[role]) roles[role] = { role };
+      return roles[role];
+    };
+
+    const manifolds = frame.manifolds.map(m => new ReplayManifold(bodyFor(m.b0), bodyFor(m.b1), m.pts));
+
+    return { frame, dispatcher: new ReplayDispatcher(manifolds), body };
+  }
+
+  /**
+   * Mesh passed to sampleContacts: shares geometry/matrixWorld with the real mesh
+   * but reports the stand-in body as its physics body
+   */
+  createProxyMesh(dynMesh, frame, body) {
+    const proxy = dynMesh ? Object.create(dynMesh) : { geometry: null };
+    proxy.userData = { ...(dynMesh ? dynMesh.userData : {}), isSoftBody: frame.soft, physicsBody: body };
+    return proxy;
+  }
+
+  /**
+   * Apply the recorded rigid body pose to a mesh (soft body meshes are not deformed on replay)
+   */
+  applyPose(mesh, frame) {
+    if (!mesh || frame.soft) return;
+    const p = frame.pose;
+    mesh.position.set(p[0], p[1], p[2]);
+    mesh.quaternion.set(p[3], p[4], p[5], p[6]);
+    mesh.updateMatrixWorld(true);
+  }
+
+  // ===== In-app playback =====
+
+  /**
+   * Start playback; the trace must match the currently selected body type
+   * @returns {boolean} True if playback started
+   */
+  start(dynMesh, loop = false) {
+    const isSoftBody = !!(dynMesh && dynMesh.userData.isSoftBody);
+    if (isSoftBody !== !!this.meta.isSoftBody) {
+      console.warn(`Trace was recorded with a ${this.meta.isSoftBody ? 'soft' : 'rigid'} body - select a matching shape before replaying`);
+      return false;
+    }
+    if (this.meta.shape && window.bodyManager && window.bodyManager.shapeType !== this.meta.shape) {
+      console.warn(`Trace shape "${this.meta.shape}" differs from current shape "${window.bodyManager.shapeType}" - PiP footprints will not match`);
+    }
+
+    this.frameIndex = 0;
+    this.loop = loop;
+    this.playing = this.frameCount > 0;
+    return this.playing;
+  }
+
+  stop() {
+    this.playing = false;
+    this.current = null;
+  }
+
+  /**
+   * Next frame for the animation loop
+   * @param {THREE.Mesh} dynMesh - Current body mesh (pose is overwritten from the trace)
+   * @param {boolean} advance - False to hold the current frame (paused)
+   * @returns {Object|null} { frame, dispatcher, body, mesh } or null when playback ended
+   */
+  next(dynMesh, advance = true) {
+    if (!this.playing) return null;
+
+    if (advance || !this.current) {
+      if (this.frameIndex >= this.frameCount) {
+        if (!this.loop) {
+          this.stop();
+          console.log('Contact trace replay finished');
+          return null;
+        }
+        this.frameIndex = 0;
+      }
+
+      const built = this.buildFrame(this.frameIndex++);
+      this.applyPose(dynMesh, built.frame);
+      built.mesh = this.createProxyMesh(dynMesh, built.frame, built.body);
+      this.current = built;
+    }
+
+    return this.current;
+  }
+
+  // ===== Offline pipeline =====
+
+  /**
+   * Replay all frames through sampleContacts and computeBoundingBox
+   * @param {Object} THREE - Three.js namespace
+   * @param {Object} CFG - Configuration (OBB_DEPTH, MIN_CONTACT_SIZE, ...)
+   * @param {Object} options - { params, algorithm, dynMesh, minContacts, softGroundThreshold, angleThreshold, onFrame,
+   *   benchmark (BBoxBenchmark fed with every frame's contacts),
+   *   stabilizerOptions (BoxStabilizer options, clocked by the recorded timestamps; null = no stabilizer) }
+   * @returns {Array} Per-frame results
+   */
+  replayPipeline(THREE, CFG, options = {}) {
+    const {
+      params = null,
+      algorithm = 'ombb',
+      dynMesh = null,
+      minContacts = 4,
+      softGroundThreshold = 0.15,
+      angleThreshold = 25 * Math.PI / 180,
+      onFrame = null,
+      benchmark = null,
+      stabilizerOptions = null
+    } = options;
+
+    // Persistent temporal state, clocked by the recorded timestamps for deterministic EMA
+    const contactState = new ContactState();
+    const previousVelocity = new THREE.Vector3(0, 0, 0);
+    let previousAngle = 0;
+    let lastOBB = null;
+    const stabilizer = stabilizerOptions ? new BoxStabilizer(stabilizerOptions) : null;
+
+    // Rigid replays reuse the real geometry so synthetic augmentation sees the recorded pose
+    const poseMesh = dynMesh && !this.meta.isSoftBody ? new THREE.Mesh(dynMesh.geometry) : null;
+
+    const results = [];
+    for (let i = 0; i < this.frameCount; i++) {
+      const { frame, dispatcher, body } = this.buildFrame(i);
+      this.applyPose(poseMesh, frame);
+      const mesh = this.createProxyMesh(poseMesh, frame, body);
+
+      contactState.clockTime = frame.t;
+      if (stabilizer) stabilizer.clockTime = frame.t;
+      // Default params use the recorded solver step so impulses convert to the same normal force as live
+      const contactParams = (typeof params === 'function' ? params(frame) : params) ||
+        (frame.soft ? ContactParams.forSoftBody({ solverTimestep: frame.dt }) : new ContactParams({ solverTimestep: frame.dt }));
+      const contactResult = sampleContacts(dispatcher, THREE, mesh, minContacts, softGroundThreshold, contactParams, contactState);
+
+      if (benchmark) {
+        benchmark.measure({
+          contacts: contactResult.contactSamples,
+          contactPoint: contactResult.avgContactPoint,
+          contactNormal: contactResult.avgContactNormal,
+          body,
+          A: ReplayAmmo,
+          isSoftBody: frame.soft
+        }, frame.t);
+      }
+
+      let obb = null;
+      if (contactResult.contactSamples.length > 0) {
+        obb = computeBoundingBox(
+          contactResult.contactSamples,
+          contactResult.avgContactPoint,
+          contactResult.avgContactNormal,
+          algorithm,
+          CFG,
+          THREE,
+          body,
+          ReplayAmmo,
+          lastOBB,
+          previousVelocity,
+          previousAngle,
+          angleThreshold,
+          frame.soft,
+          null,
+          stabilizer
+        );
+        if (obb) {
+          lastOBB = obb;
+          previousAngle = obb.theta;
+        }
+      }
+
+      const result = {
+        step: frame.step,
+        t: frame.t,
+        rawCount: contactResult.rawCount,
+        filteredCount: contactResult.filteredCount,
+        realContactCount: contactResult.realContactCount,
+        syntheticCount: contactResult.syntheticCount,
+        geometricCenter: contactResult.geometricCenter,
+        normalForce: contactResult.hasMeasuredForce ? contactResult.normalForce : null,
+        flags: contactResult.flags,
+        diagnostics: contactResult.diagnostics,
+        obb
+      };
+      results.push(result);
+      if (onFrame) onFrame(result, i);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run several configurations over the same motion and summarize them
+   * @param {Array} configs - [{ name, algorithm, params }]
+   * @returns {Array} One summary row per configuration
+   */
+  compare(THREE, CFG, configs, options = {}) {
+    return configs.map(config => {
+      const results = this.replayPipeline(THREE, CFG, { ...options, ...config });
+      return { name: config.name || config.algorithm, ...summarizeReplay(results) };
+    });
+  }
+}
+
+/**
+ * Summary statistics of a replay (box size, contact counts, orientation jitter)
+ */
+export function summarizeReplay(results) {
+  let boxFrames = 0, sumW = 0, sumH = 0, sumContacts = 0, sumJitter = 0, jitterSamples = 0;
+  let prevTheta = null;
+
+  for (const r of results) {
+    sumContacts += r.filteredCount;
+    if (!r.obb) {
+      prevTheta = null;
+      continue;
+    }
+    boxFrames++;
+    sumW += r.obb.width;
+    sumH += r.obb.height;
+    if (prevTheta !== null) {
+      sumJitter += Math.abs(angleDifference(r.obb.theta, prevTheta));
+      jitterSamples++;
+    }
+    prevTheta = r.obb.theta;
+  }
+
+  return {
+    frames: results.length,
+    boxFrames,
+    meanContacts: results.length > 0 ? sumContacts / results.length : 0,
+    meanWidth: boxFrames > 0 ? sumW / boxFrames : 0,
+    meanHeight: boxFrames > 0 ? sumH / boxFrames : 0,
+    meanThetaJitterDeg: jitterSamples > 0 ? (sumJitter / jitterSamples) * 180 / Math.PI : 0
+  };
+}
@@ -0,0 +1,202 @@
+// Contact Trace Recording
+// Captures per-physics-step contact data (manifold points, soft body nodes, body velocities and pose)
+// into a compact JSON trace that ContactTracePlayer can feed back through the contact pipeline.
+// A trace holds one body: with several bodies the focused one is recorded.
+
+import { isSameBody } from '../contacts.js';
+
+export const TRACE_FORMAT = 'wear-trails-contact-trace';
+export const TRACE_VERSION = 1;
+
+// Round to 6 decimals (µm / µs resolution) to keep traces small
+const r6 = (v) => Math.round(v * 1e6) / 1e6;
+
+export class ContactTraceRecorder {
+  constructor(A) {
+    this.A = A;
+    this.recording = false;
+    this.meta = null;
+    this.frames = [];
+    this.startTime = 0;
+    this.maxFrames = 20000;  // ~5.5 min at 60 Hz, guards against runaway memory use
+    this.maxManifolds = 64;
+    this.bodyRoles = [];     // [{ body, role }] used to label manifold bodies
+    this.tmpTr = null;
+  }
+
+  /**
+   * Start a new trace
+   * @param {Object} meta - Scene description stored with the trace (shape, mass, friction, CFG, ...)
+   * @param {Array} bodyRoles - [{ body, role }] Ammo bodies to label in manifolds ('ground', 'wall', ...)
+   */
+  start(meta = {}, bodyRoles = []) {
+    this.meta = {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      recordedAt: new Date().toISOString(),
+      ...meta
+    };
+    this.frames = [];
+    this.bodyRoles = bodyRoles.filter(r => r.body);
+    this.startTime = performance.now();
+    this.recording = true;
+    console.log('Contact trace recording started');
+  }
+
+  stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    console.log(`Contact trace recording stopped (${this.frames.length} steps)`);
+  }
+
+  /**
+   * Label an Ammo collision object as 'dyn', a registered role, or 'other'
+   */
+  roleOf(body, dynBody) {
+    if (isSameBody(body, dynBody)) return 'dyn';
+    for (const r of this.bodyRoles) {
+      if (isSameBody(body, r.body)) return r.role;
+    }
+    return 'other';
+  }
+
+  /**
+   * Record one physics step
+   * @param {Object} dispatcher - Ammo collision dispatcher
+   * @param {Object} dynBody - Dynamic body (rigid or soft)
+   * @param {THREE.Mesh} dynMesh - Dynamic body mesh
+   * @param {number} step - Simulation step counter
+   * @param {number} dt - Solver timestep in seconds
+   */
+  recordStep(dispatcher, dynBody, dynMesh, step, dt) {
+    if (!this.recording || !dynBody || !dynMesh) return;
+
+    if (this.frames.length >= this.maxFrames) {
+      console.warn(`Contact trace reached ${this.maxFrames} steps - stopping`);
+      this.stop();
+      return;
+    }
+
+    const isSoftBody = !!dynMesh.userData.isSoftBody;
+    const frame = {
+      step,
+      t: r6((performance.now() - this.startTime) / 1000),
+      dt: r6(dt),
+      soft: isSoftBody,
+      pose: [0, 0, 0, 0, 0, 0, 1],
+      v: [0, 0, 0],
+      w: [0, 0, 0],
+      manifolds: []
+    };
+
+    if (isSoftBody) {
+      // Node positions, velocities and normals
+      const nodes = dynBody.get_m_nodes();
+      const nodeCount = nodes.size();
+      frame.nodes = new Array(nodeCount);
+      let vx = 0, vy = 0, vz = 0;
+      for (let i = 0; i < nodeCount; i++) {
+        const node = nodes.at(i);
+        const x = node.get_m_x();
+        const v = node.get_m_v();
+        const n = node.get_m_n();
+        frame.nodes[i] = [
+          r6(x.x()), r6(x.y()), r6(x.z()),
+          r6(v.x()), r6(v.y()), r6(v.z()),
+          r6(n.x()), r6(n.y()), r6(n.z())
+        ];
+        vx += v.x(); vy += v.y(); vz += v.z();
+      }
+      if (nodeCount > 0) {
+        frame.v = [r6(vx / nodeCount), r6(vy / nodeCount), r6(vz / nodeCount)];
+      }
+    } else {
+      // Pose straight from the motion state (the mesh is only synced after all substeps)
+      if (!this.tmpTr) this.tmpTr = new this.A.btTransform();
+      dynBody.getMotionState().getWorldTransform(this.tmpTr);
+      const p = this.tmpTr.getOrigin();
+      const q = this.tmpTr.getRotation();
+      frame.pose = [r6(p.x()), r6(p.y()), r6(p.z()), r6(q.x()), r6(q.y()), r6(q.z()), r6(q.w())];
+
+      const lv = dynBody.getLinearVelocity();
+      frame.v = [r6(lv.x()), r6(lv.y()), r6(lv.z())];
+      this.A.destroy(lv);
+      const av = dynBody.getAngularVelocity();
+      frame.w = [r6(av.x()), r6(av.y()), r6(av.z())];
+      this.A.destroy(av);
+    }
+
+    // Raw manifold contacts (all manifolds, same as the rigid acquisition path scans)
+    const manifolds = Math.min(dispatcher.getNumManifolds(), this.maxManifolds);
+    for (let i = 0; i < manifolds; i++) {
+      const m = dispatcher.getManifoldByIndexInternal(i);
+      const numContacts = m.getNumContacts();
+      if (numContacts === 0) continue;
+
+      const pts = [];
+      for (let j = 0; j < numContacts; j++) {
+        const p = m.getContactPoint(j);
+        const pA = p.get_m_positionWorldOnA();
+        const pB = p.get_m_positionWorldOnB();
+        const nB = p.get_m_normalWorldOnB();
+        pts.push([
+          r6(pA.x()), r6(pA.y()), r6(pA.z()),
+          r6(pB.x()), r6(pB.y()), r6(pB.z()),
+          r6(nB.x()), r6(nB.y()), r6(nB.z()),
+          r6(p.getDistance?.() ?? 0),
+          r6(p.getAppliedImpulse?.() ?? 0)
+        ]);
+      }
+
+      frame.manifolds.push({
+        b0: this.roleOf(m.getBody0(), dynBody),
+        b1: this.roleOf(m.getBody1(), dynBody),
+        pts
+      });
+    }
+
+    this.frames.push(frame);
+  }
+
+  /**
+   * Trace object ({ meta, frames })
+   */
+  getTrace() {
+    return { meta: { ...this.meta, frameCount: this.frames.length }, frames: this.frames };
+  }
+
+  /**
+   * Download the trace as JSON
+   */
+  save(filename = 'contact-trace.json') {
+    if (this.frames.length === 0) {
+      console.warn('Contact trace is empty - nothing to save');
+      return;
+    }
+    const blob = new Blob([JSON.stringify(this.getTrace())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Parse and validate a trace (JSON text or already-parsed object)
+ * @returns {Object} { meta, frames }
+ */
+export function parseContactTrace(input) {
+  const trace = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!trace || !trace.meta || !Array.isArray(trace.frames)) {
+    throw new Error('Invalid contact trace: missing meta or frames');
+  }
+  if (trace.meta.format !== TRACE_FORMAT) {
+    throw new Error(`Invalid contact trace format: ${trace.meta.format}`);
+  }
+  if (trace.meta.version > TRACE_VERSION) {
+    throw new Error(`Unsupported contact trace version ${trace.meta.version} (max ${TRACE_VERSION})`);
+  }
+  return trace;
+}
@@ -0,0 +1,123 @@
+// Replay Ammo Stand-ins
+// Minimal objects exposing the subset of the Ammo.js API that the contact pipeline reads
+// (dispatcher → manifold → contact point, soft body nodes, rigid body velocities),
+// backed by plain recorded numbers instead of a running physics world.
+
+/**
+ * btVector3 stand-in (x()/y()/z() accessors)
+ */
+export class ReplayVector3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this._x = x;
+    this._y = y;
+    this._z = z;
+  }
+
+  x() { return this._x; }
+  y() { return this._y; }
+  z() { return this._z; }
+
+  // Ammo.destroy() calls this; nothing to free
+  __destroy__() {}
+}
+
+/**
+ * btManifoldPoint stand-in
+ * @param {Array} pt - [pAx, pAy, pAz, pBx, pBy, pBz, nBx, nBy, nBz, distance, impulse]
+ */
+export class ReplayContactPoint {
+  constructor(pt) {
+    this.positionWorldOnA = new ReplayVector3(pt[0], pt[1], pt[2]);
+    this.positionWorldOnB = new ReplayVector3(pt[3], pt[4], pt[5]);
+    this.normalWorldOnB = new ReplayVector3(pt[6], pt[7], pt[8]);
+    this.distance = pt[9] ?? 0;
+    this.appliedImpulse = pt[10] ?? 0;
+  }
+
+  get_m_positionWorldOnA() { return this.positionWorldOnA; }
+  get_m_positionWorldOnB() { return this.positionWorldOnB; }
+  get_m_normalWorldOnB() { return this.normalWorldOnB; }
+  getDistance() { return this.distance; }
+  getAppliedImpulse() { return this.appliedImpulse; }
+}
+
+/**
+ * btPersistentManifold stand-in
+ */
+export class ReplayManifold {
+  constructor(body0, body1, points) {
+    this.body0 = body0;
+    this.body1 = body1;
+    this.points = points.map(pt => new ReplayContactPoint(pt));
+  }
+
+  getBody0() { return this.body0; }
+  getBody1() { return this.body1; }
+  getNumContacts() { return this.points.length; }
+  getContactPoint(j) { return this.points[j]; }
+}
+
+/**
+ * btCollisionDispatcher stand-in
+ */
+export class ReplayDispatcher {
+  constructor(manifolds = []) {
+    this.manifolds = manifolds;
+  }
+
+  getNumManifolds() { return this.manifolds.length; }
+  getManifoldByIndexInternal(i) { return this.manifolds[i]; }
+}
+
+/**
+ * Soft body node stand-in
+ * @param {Array} node - [x, y, z, vx, vy, vz, nx, ny, nz]
+ */
+export class ReplaySoftNode {
+  constructor(node) {
+    this.x = new ReplayVector3(node[0], node[1], node[2]);
+    this.v = new ReplayVector3(node[3] ?? 0, node[4] ?? 0, node[5] ?? 0);
+    this.n = new ReplayVector3(node[6] ?? 0, node[7] ?? 1, node[8] ?? 0);
+  }
+
+  get_m_x() { return this.x; }
+  get_m_v() { return this.v; }
+  get_m_n() { return this.n; }
+}
+
+/**
+ * btSoftBody stand-in (node array only)
+ */
+export class ReplaySoftBody {
+  constructor(nodes = []) {
+    const wrapped = nodes.map(n => new ReplaySoftNode(n));
+    this.nodes = {
+      size: () => wrapped.length,
+      at: (i) => wrapped[i]
+    };
+  }
+
+  get_m_nodes() { return this.nodes; }
+}
+
+/**
+ * btRigidBody stand-in (velocities only - the pose is applied to the mesh by the player)
+ */
+export class ReplayRigidBody {
+  constructor(velocity = [0, 0, 0], angularVelocity = [0, 0, 0]) {
+    this.velocity = velocity;
+    this.angularVelocity = angularVelocity;
+  }
+
+  getLinearVelocity() { return new ReplayVector3(...this.velocity); }
+  getAngularVelocity() { return new ReplayVector3(...this.angularVelocity); }
+}
+
+/**
+ * Ammo namespace stand-in for code that only calls A.destroy()
+ */
+export const ReplayAmmo = {
+  destroy(obj) {
+    if (obj && typeof obj.__destroy__ === 'function') obj.__destroy__();
+  }
+};
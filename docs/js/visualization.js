@@ -21,11 +21,22 @@ export function createOBBVisualization(THREE, scene) {
   const obbEdges = new THREE.LineSegments(edgesGeo, edgesMat);
   obbEdges.renderOrder = 2;
   
+  // Footprint polygon outline (k-DOP), positions in the group's box-local coordinates
+  const obbPolygon = new THREE.LineLoop(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: 0xfacc15, depthTest: false })
+  );
+  obbPolygon.renderOrder = 3;
+  obbPolygon.frustumCulled = false;
+  obbPolygon.visible = false;
+  
   obbGroup.add(obbFill);
   obbGroup.add(obbEdges);
+  obbGroup.add(obbPolygon);
+  obbGroup.userData.polygon = obbPolygon;
   scene.add(obbGroup);
   
-  return { obbGroup, obbFill, obbEdges };
+  return { obbGroup, obbFill, obbEdges, obbPolygon };
 }
 
 export function updateOBBVisualization(obbGroup, obb, paddingWidthScale, paddingHeightScale, paddingDepthTopScale, paddingDepthBottomScale, CFG, THREE) {
@@ -60,9 +71,35 @@ export function updateOBBVisualization(obbGroup, obb, paddingWidthScale, padding
   const M = new THREE.Matrix4().multiply(T).multiply(R).multiply(S);
   obbGroup.matrixAutoUpdate = false;
   obbGroup.matrix.copy(M);
+  updateOBBPolygon(obbGroup.userData.polygon, obb.polygon, offsetCenter, e1, n, e2, w, totalDepth, h, THREE);
   obbGroup.updateMatrixWorld(true);
 }
 
+/**
+ * Outline the footprint polygon (world points, 2mm above the contact plane) inside the scaled box group
+ */
+function updateOBBPolygon(line, polygon, origin, e1, n, e2, w, depth, h, THREE) {
+  if (!line) return;
+  line.visible = !!(polygon && polygon.length >= 3);
+  if (!line.visible) return;
+
+  let pos = line.geometry.attributes.position;
+  if (!pos || pos.count < polygon.length) {
+    pos = new THREE.BufferAttribute(new Float32Array(3 * Math.max(polygon.length, 32)), 3);
+    line.geometry.setAttribute('position', pos);
+  }
+  // World -> box-local: undo the group translation, rotation (e1, n, e2) and scale (w, depth, h)
+  polygon.forEach((p, i) => {
+    const dx = p.x - origin.x, dy = p.y - origin.y, dz = p.z - origin.z;
+    pos.setXYZ(i,
+      (dx * e1.x + dy * e1.y + dz * e1.z) / w,
+      (dx * n.x + dy * n.y + dz * n.z + 0.002) / depth,
+      (dx * e2.x + dy * e2.y + dz * e2.z) / h);
+  });
+  pos.needsUpdate = true;
+  line.geometry.setDrawRange(0, polygon.length);
+}
+
 export function createContactVisualization(THREE, CFG) {
   const contactPointsGroup = new THREE.Group();
   
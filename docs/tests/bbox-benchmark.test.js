@@ -0,0 +1,84 @@
+// Bounding box benchmark tests (all algorithms on the same contact sets)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { BBoxBenchmark, BBOX_ALGORITHMS, contactHullArea, toCSV } from '../js/bounding-box/benchmark.js';
+import { convexHull2D, polygonArea } from '../js/bounding-box/utils.js';
+import { MockAmmo, mockRigidBody } from './mock-ammo.js';
+import { TEST_CFG, assertClose, rectanglePoints } from './helpers.js';
+
+const UP = { x: 0, y: 1, z: 0 };
+
+function sampleOf(pts, body = mockRigidBody()) {
+  const center = pts.reduce((a, p) => ({ x: a.x + p.x / pts.length, y: 0, z: a.z + p.z / pts.length }), { x: 0, y: 0, z: 0 });
+  return { contacts: pts, contactPoint: center, contactNormal: UP, body, A: MockAmmo };
+}
+
+describe('convex hull helpers', () => {
+  it('keeps only the outline of a filled rectangle', () => {
+    const hull = convexHull2D(rectanglePoints(2, 1));
+    assert.equal(hull.length, 4);
+    assertClose(polygonArea(hull), 2);
+    assertClose(contactHullArea(rectanglePoints(2, 1, 0.3)), 2);
+  });
+});
+
+describe('BBoxBenchmark', () => {
+  it('measures every algorithm on the same contacts', () => {
+    const benchmark = new BBoxBenchmark(THREE, TEST_CFG);
+    const results = benchmark.measure(sampleOf(rectanglePoints(2, 1, Math.PI / 6)), 0);
+    assert.deepEqual(Object.keys(results), BBOX_ALGORITHMS);
+
+    // OMBB fits the rotated rectangle exactly; the axis-aligned box does not
+    assertClose(results.ombb.fitRatio, 1);
+    assert.ok(results.aabb.fitRatio > 1.5, `AABB fit ${results.aabb.fitRatio}`);
+    for (const r of Object.values(results)) {
+      assert.equal(r.jitterDeg, null);
+      assert.ok(r.timeMs >= 0);
+    }
+  });
+
+  it('reports angle jitter and centre drift relative to the contacts', () => {
+    const benchmark = new BBoxBenchmark(THREE, TEST_CFG, { algorithms: ['aabb', 'ombb'] });
+    // Translating rectangle: no drift; rotating one: OMBB follows it, AABB does not turn
+    benchmark.measure(sampleOf(rectanglePoints(2, 1, 0, 0, 0)), 0);
+    let results = benchmark.measure(sampleOf(rectanglePoints(2, 1, 0, 0.1, 0)), 1 / 60);
+    assertClose(results.ombb.driftMm, 0, 1e-6);
+    assertClose(results.aabb.jitterDeg, 0);
+
+    results = benchmark.measure(sampleOf(rectanglePoints(2, 1, 0.1, 0.1, 0)), 2 / 60);
+    assertClose(results.ombb.jitterDeg, 0.1 * 180 / Math.PI, 1e-6);
+    assertClose(results.aabb.jitterDeg, 0);
+
+    const [aabb, ombb] = benchmark.summary();
+    assert.equal(aabb.name, 'aabb');
+    assert.equal(ombb.frames, 3);
+    assertClose(ombb.maxJitterDeg, 0.1 * 180 / Math.PI, 1e-6);
+    assert.ok(ombb.meanFitRatio < aabb.meanFitRatio);
+  });
+
+  it('restarts jitter after a frame without contacts and exports CSV', () => {
+    const benchmark = new BBoxBenchmark(THREE, TEST_CFG, { algorithms: ['ombb'] });
+    benchmark.measure(sampleOf(rectanglePoints(2, 1)), 0);
+    assert.equal(benchmark.measure({ contacts: [] }, 1 / 60), null);
+    const results = benchmark.measure(sampleOf(rectanglePoints(2, 1, 1.0)), 2 / 60);
+    assert.equal(results.ombb.jitterDeg, null);
+
+    const lines = benchmark.framesToCSV().trim().split('\n');
+    assert.equal(lines[0], 'frame,t,algorithm,contacts,fitRatio,jitterDeg,driftMm,timeMs');
+    assert.equal(lines.length, 3);
+    assert.equal(benchmark.summaryToCSV().trim().split('\n').length, 2);
+    assert.equal(toCSV([{ a: 1, b: null, c: 0.5 }]), 'a,b,c\n1,,0.500000\n');
+  });
+
+  it('applies the stabilizer rate limits to every algorithm', () => {
+    const maxTurnRate = Math.PI / 2;
+    const benchmark = new BBoxBenchmark(THREE, TEST_CFG, { algorithms: ['ombb'], stabilize: true, stabilizerOptions: { maxTurnRate } });
+    benchmark.measure(sampleOf(rectanglePoints(2, 1)), 0);
+    const results = benchmark.measure(sampleOf(rectanglePoints(2, 1, 0.6)), 1 / 60);
+    assertClose(results.ombb.jitterDeg, maxTurnRate / 60 * 180 / Math.PI, 1e-6);
+  });
+});
@@ -0,0 +1,67 @@
+// Body manager tests (bodies built by the real factories, linked to their physics bodies)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { BodyManager } from '../js/body-manager.js';
+import { sampleContacts } from '../js/contacts.js';
+import { GROUND, MockAmmoFactory, mockManifold, mockDispatcher, mockPhysicsWorld } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+async function startBodies(shapeType, count) {
+  const manager = new BodyManager(THREE, MockAmmoFactory, new THREE.Scene(), mockPhysicsWorld(), 1, { PLANE_SIZE: 40 },
+    null, () => ({ width: 1, height: 1 }));
+  manager.setShapeType(shapeType);
+  manager.setBodyCount(count);
+  await manager.start();
+  return manager;
+}
+
+// Bottom face corners of the 2 m factory cube resting on the ground
+const cubeFootprint = (cx) => [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({ x: cx + u, y: 0, z: v }));
+
+describe('BodyManager', () => {
+  it('links every mesh to its physics body, also when the factory replaces userData', async () => {
+    for (const shapeType of ['cube10', 'puckCylinder']) {
+      const manager = await startBodies(shapeType, 3);
+      assert.equal(manager.getBodies().length, 3);
+      for (const { mesh, body } of manager.getBodies()) {
+        assert.equal(mesh.userData.physicsBody, body, shapeType);
+      }
+    }
+    const pucks = await startBodies('puckCylinder', 1);
+    assert.equal(pucks.getMesh().userData.bodyType, 'puck-cylinder');
+  });
+
+  it('takes dozens of bodies, up to CFG.MAX_BODIES', async () => {
+    const manager = await startBodies('cube10', 40);
+    assert.equal(manager.getBodies().length, 40);
+    manager.setBodyCount(1000);
+    assert.equal(manager.bodyCount, 64);
+
+    const capped = new BodyManager(THREE, MockAmmoFactory, new THREE.Scene(), mockPhysicsWorld(), 1, { PLANE_SIZE: 40, MAX_BODIES: 4 });
+    capped.setBodyCount(10);
+    assert.equal(capped.bodyCount, 4);
+  });
+
+  it('lets sampleContacts keep each body to its own manifolds', async () => {
+    const manager = await startBodies('cube10', 2);
+    const [a, b] = manager.getBodies();
+    a.mesh.position.set(-3, 1, 0);
+    b.mesh.position.set(3, 1, 0);
+    for (const { mesh } of [a, b]) mesh.updateMatrixWorld(true);
+    const dispatcher = mockDispatcher(
+      mockManifold(a.body, GROUND, cubeFootprint(-3)),
+      mockManifold(GROUND, b.body, cubeFootprint(3))
+    );
+
+    const resultA = sampleContacts(dispatcher, THREE, a.mesh, 4, 0);
+    const resultB = sampleContacts(dispatcher, THREE, b.mesh, 4, 0);
+    assert.equal(resultA.rawCount, 4);
+    assert.equal(resultB.rawCount, 4);
+    assertClose(resultA.geometricCenter.x, -3);
+    assertClose(resultB.geometricCenter.x, 3);
+  });
+});
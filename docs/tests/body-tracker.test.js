@@ -0,0 +1,86 @@
+// Per-body contact tracker tests (BodyContactTracker)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { BodyContactTracker } from '../js/body-tracker.js';
+import { classifyContactSlip } from '../js/contact-slip.js';
+import { MockAmmo, mockRigidBody, mockSoftBody, mockMesh } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+function rigidTracker(velocity, angularVelocity) {
+  const body = mockRigidBody(velocity, angularVelocity);
+  const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: body });
+  return new BodyContactTracker(THREE, { id: 0, mesh, body });
+}
+
+describe('BodyContactTracker', () => {
+  it('reads rigid body velocities', () => {
+    const tracker = rigidTracker({ x: 1, y: -0.5, z: 2 }, { x: 0, y: 3, z: 0 }).updateVelocity(MockAmmo);
+    assert.deepEqual(tracker.velocity, { x: 1, y: -0.5, z: 2 });
+    assert.deepEqual(tracker.angularVelocity, { x: 0, y: 3, z: 0 });
+  });
+
+  it('averages soft body node velocities and reports no spin', () => {
+    const body = mockSoftBody([
+      { position: { x: 0, y: 0, z: 0 }, velocity: { x: 1, y: 0, z: 0 } },
+      { position: { x: 1, y: 0, z: 0 }, velocity: { x: 3, y: -2, z: 1 } }
+    ]);
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: body, isSoftBody: true });
+    const tracker = new BodyContactTracker(THREE, { id: 1, mesh, body }).updateVelocity(MockAmmo);
+    assertClose(tracker.velocity.x, 2);
+    assertClose(tracker.velocity.y, -1);
+    assertClose(tracker.velocity.z, 0.5);
+    assert.deepEqual(tracker.angularVelocity, { x: 0, y: 0, z: 0 });
+  });
+
+  it('falls back to the tracked body when the mesh carries none, so sliding contacts slip', () => {
+    const body = mockRigidBody({ x: 2, y: 0, z: 0 });
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 0, y: 0.5, z: 0 } });
+    delete mesh.userData.physicsBody;
+    const tracker = new BodyContactTracker(THREE, { id: 0, mesh, body });
+    assert.equal(tracker.bodyFor(mesh), body);
+
+    tracker.updateVelocity(MockAmmo, tracker.bodyFor(mesh), mesh);
+    assert.deepEqual(tracker.velocity, { x: 2, y: 0, z: 0 });
+    const contacts = [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([x, z]) => ({ x, y: 0, z }));
+    const slip = classifyContactSlip(
+      contacts,
+      { center: mesh.position, velocity: tracker.velocity, angularVelocity: tracker.angularVelocity },
+      { x: 0, y: 1, z: 0 },
+      { mu: 0.5, mass: 1 }
+    );
+    assert.notEqual(slip.stick, contacts.length);
+    assert.ok(contacts.some(p => p.slipState === 'slip'));
+
+    // A replay proxy's stand-in wins over the tracked body
+    const standIn = mockRigidBody();
+    const proxy = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: standIn });
+    assert.equal(tracker.bodyFor(proxy), standIn);
+  });
+
+  it('has no velocity or contacts without a body', () => {
+    const tracker = new BodyContactTracker(THREE).updateVelocity(MockAmmo);
+    assert.equal(tracker.mesh, null);
+    assert.equal(tracker.velocity, null);
+    assert.deepEqual(tracker.contactSamples, []);
+  });
+
+  it('keeps temporal state per body and clears it on reset', () => {
+    const a = rigidTracker();
+    const b = rigidTracker();
+    a.previousVelocity.set(1, 0, 0);
+    a.previousAngle = 0.3;
+    a.lastOBB = { theta: 0.3 };
+    assert.notEqual(a.contactState, b.contactState);
+    assert.equal(b.previousAngle, 0);
+    assert.equal(b.previousVelocity.length(), 0);
+
+    a.reset();
+    assert.equal(a.lastOBB, null);
+    assert.equal(a.previousAngle, 0);
+    assert.equal(a.previousVelocity.length(), 0);
+  });
+});
@@ -0,0 +1,477 @@
+// Bounding box tests (computeBoundingBox and the per-algorithm functions)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { computeBoundingBox, BoxStabilizer } from '../js/bounding-box/index.js';
+import { nearestEquivalentAngle } from '../js/bounding-box/stabilizer.js';
+import { computeAABB } from '../js/bounding-box/aabb.js';
+import { computeOMBB } from '../js/bounding-box/ombb.js';
+import { computeHybrid } from '../js/bounding-box/hybrid.js';
+import { computeKDOPPolygon } from '../js/bounding-box/kdop.js';
+import { convexHull2D, polygonArea } from '../js/bounding-box/utils.js';
+import { minEnclosingCircle, momentEllipse } from '../js/bounding-box/round.js';
+import { computeOBB3D } from '../js/bounding-box/obb3d.js';
+import { Plane } from '../js/math/plane.js';
+import { MockAmmo, mockRigidBody, mockSoftBody } from './mock-ammo.js';
+import { TEST_CFG, assertClose, assertAngleClose, boxDims, rectanglePoints } from './helpers.js';
+
+const ANGLE_THRESHOLD = 25 * Math.PI / 180;
+const UP = { x: 0, y: 1, z: 0 };
+const wrapAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+/**
+ * computeBoundingBox with fresh temporal state
+ */
+function box(pts, algorithm, body = mockRigidBody(), isSoftBody = false) {
+  const center = pts.reduce((a, p) => ({ x: a.x + p.x / pts.length, y: a.y + p.y / pts.length, z: a.z + p.z / pts.length }), { x: 0, y: 0, z: 0 });
+  return computeBoundingBox(pts, center, UP, algorithm, TEST_CFG, THREE, body, MockAmmo, null, new THREE.Vector3(), 0, ANGLE_THRESHOLD, isSoftBody);
+}
+
+describe('computeBoundingBox - rotated 2 × 1 footprint', () => {
+  const theta = Math.PI / 6;
+  const pts = rectanglePoints(2, 1, theta, 3, -2);
+
+  it('AABB stays axis aligned and encloses the rotated rectangle', () => {
+    const b = box(pts, 'aabb');
+    assert.equal(b.theta, 0);
+    assertClose(b.width, 2 * Math.cos(theta) + Math.sin(theta));
+    assertClose(b.height, 2 * Math.sin(theta) + Math.cos(theta));
+    assertClose(b.center.x, 3);
+    assertClose(b.center.z, -2);
+  });
+
+  it('PCA-OBB aligns with the long axis', () => {
+    const b = box(pts, 'obb');
+    assertAngleClose(b.theta, theta, Math.PI);
+    assertClose(b.width, 2);
+    assertClose(b.height, 1);
+  });
+
+  it('OMBB finds the exact minimum-area box', () => {
+    const b = box(pts, 'ombb');
+    assertAngleClose(b.theta, theta, Math.PI / 2);
+    const [short, long] = boxDims(b);
+    assertClose(short, 1);
+    assertClose(long, 2);
+    assertClose(b.center.x, 3);
+    assertClose(b.center.z, -2);
+  });
+
+  it('KDOP-8 picks a quantized angle between OMBB and AABB in area', () => {
+    const k = box(pts, 'kdop8');
+    const o = box(pts, 'ombb');
+    const a = box(pts, 'aabb');
+    assertAngleClose(k.theta, 0, Math.PI / 8, 1e-9);
+    assert.ok(k.width * k.height >= o.width * o.height - 1e-9);
+    assert.ok(k.width * k.height <= a.width * a.height + 1e-9);
+  });
+
+  it('falls back to OMBB for unknown algorithms', () => {
+    const b = box(pts, 'unknown');
+    const [short, long] = boxDims(b);
+    assertClose(short, 1);
+    assertClose(long, 2);
+  });
+
+  it('returns a box frame built from the contact normal', () => {
+    const b = box(pts, 'ombb');
+    assert.equal(b.depth, TEST_CFG.OBB_DEPTH);
+    assertClose(b.n.y, 1);
+    assertClose(b.e1.x, Math.cos(b.theta));
+    assertClose(b.e1.z, Math.sin(b.theta));
+    assertClose(b.e1.x * b.e2.x + b.e1.z * b.e2.z, 0);
+  });
+});
+
+describe('computeBoundingBox - degenerate footprints', () => {
+  it('returns null without contacts', () => {
+    assert.equal(box([], 'ombb'), null);
+  });
+
+  it('clamps a single point to MIN_CONTACT_SIZE', () => {
+    const b = box([{ x: 1, y: 0, z: 1 }], 'ombb');
+    assert.equal(b.width, TEST_CFG.MIN_CONTACT_SIZE);
+    assert.equal(b.height, TEST_CFG.MIN_CONTACT_SIZE);
+    assertClose(b.center.x, 1);
+    assertClose(b.center.z, 1);
+  });
+
+  it('clamps the thin side of an edge contact', () => {
+    for (const algorithm of ['aabb', 'obb', 'ombb', 'kdop8', 'hybrid']) {
+      const b = box([{ x: 0, y: 0, z: -0.5 }, { x: 0, y: 0, z: 0.5 }], algorithm);
+      const [short, long] = boxDims(b);
+      assertClose(short, TEST_CFG.MIN_CONTACT_SIZE, 1e-9, algorithm);
+      assertClose(long, 1, 1e-9, algorithm);
+    }
+  });
+});
+
+describe('computeBoundingBox - velocity alignment', () => {
+  const pts = rectanglePoints(1, 1, 0.3);
+
+  it('aligns with the velocity direction above 0.5 m/s', () => {
+    const b = box(pts, 'ombb', mockRigidBody({ x: 0, y: 0, z: 3 }));
+    assertClose(b.theta, Math.PI / 2);
+  });
+
+  it('ignores slow motion', () => {
+    const b = box(pts, 'ombb', mockRigidBody({ x: 0, y: 0, z: 0.2 }));
+    assertAngleClose(b.theta, 0.3, Math.PI / 2);
+  });
+
+  it('averages soft body node velocities', () => {
+    const nodes = [
+      { position: { x: 0, y: 0, z: 0 }, velocity: { x: -2, y: 0, z: 0 } },
+      { position: { x: 0, y: 0, z: 0 }, velocity: { x: -2, y: 0, z: 0 } }
+    ];
+    const b = box(pts, 'ombb', mockSoftBody(nodes), true);
+    assertClose(Math.abs(b.theta), Math.PI);
+  });
+
+  it('holds the previous angle when a consistent velocity swings the box too far', () => {
+    const previousVelocity = new THREE.Vector3(1, 0, 0);
+    const lastOBB = { theta: 0 };
+    const previousAngle = Math.PI / 2;
+    const b = computeBoundingBox(pts, { x: 0, y: 0, z: 0 }, UP, 'ombb', TEST_CFG, THREE,
+      mockRigidBody({ x: 1, y: 0, z: 0.2 }), MockAmmo, lastOBB, previousVelocity, previousAngle, ANGLE_THRESHOLD);
+    assertClose(b.theta, previousAngle);
+    // previousVelocity is updated in place for the next frame
+    assertClose(previousVelocity.z, 0.2);
+  });
+});
+
+describe('computeBoundingBox - fitted contact plane', () => {
+  // 2 × 1 footprint on a 20° slope rising along +X
+  const slope = Math.PI / 9;
+  const pts = rectanglePoints(2, 1).map(p => ({ x: p.x * Math.cos(slope), y: p.x * Math.sin(slope), z: p.z }));
+  const normal = new THREE.Vector3(-Math.sin(slope), Math.cos(slope), 0);
+  const plane = new Plane(normal, new THREE.Vector3());
+
+  function planeBox(algorithm, body = mockRigidBody(), contactPlane = plane) {
+    return computeBoundingBox(pts, { x: 0, y: 0, z: 0 }, UP, algorithm, TEST_CFG, THREE, body, MockAmmo,
+      null, new THREE.Vector3(), 0, ANGLE_THRESHOLD, false, contactPlane);
+  }
+
+  it('measures the footprint in the plane instead of its XZ shadow', () => {
+    const flat = planeBox('aabb', mockRigidBody(), null);
+    assertClose(flat.width, 2 * Math.cos(slope));
+
+    const b = planeBox('aabb');
+    assertClose(b.width, 2);
+    assertClose(b.height, 1);
+  });
+
+  it('uses the plane normal and an in-plane axis for the box frame', () => {
+    const b = planeBox('ombb');
+    assertClose(b.n.x, normal.x);
+    assertClose(b.n.y, normal.y);
+    assertClose(b.e1.x * b.n.x + b.e1.y * b.n.y + b.e1.z * b.n.z, 0);
+    assertClose(b.e2.x * b.n.x + b.e2.y * b.n.y + b.e2.z * b.n.z, 0);
+  });
+
+  it('aligns with the in-plane velocity', () => {
+    const v = { x: 2 * Math.cos(slope), y: 2 * Math.sin(slope), z: 0 };
+    const b = planeBox('ombb', mockRigidBody(v));
+    assertClose(b.e1.x, Math.cos(slope));
+    assertClose(b.e1.y, Math.sin(slope));
+  });
+});
+
+describe('bounding box algorithms - outliers', () => {
+  const pts = rectanglePoints(2, 1).map(p => ({ x: p.x, z: p.z }));
+  pts.push({ x: 4, z: 0 });
+
+  it('OMBB encloses every point including the outlier', () => {
+    const b = computeOMBB(pts, TEST_CFG, computeAABB);
+    assert.ok(Math.max(b.width, b.height) >= 5 - 1e-9);
+  });
+
+  it('Hybrid trims the outlier with its quantile bounds', () => {
+    const b = computeHybrid(pts, 16, 0.05, TEST_CFG, computeAABB);
+    assertClose(b.theta, 0);
+    assertClose(b.width, 2);
+    assertClose(b.height, 1);
+    assertClose(b.centerX, 0);
+  });
+});
+
+describe('k-DOP polygon', () => {
+  const pts = rectanglePoints(2, 1, 0.3).map(p => ({ x: p.x, z: p.z }));
+
+  it('tightens from k = 8 to 32 while enclosing every point', () => {
+    const hullArea = polygonArea(convexHull2D(pts));
+    const areas = [8, 16, 32].map(k => {
+      const poly = computeKDOPPolygon(pts, k);
+      assert.ok(poly.length >= 4 && poly.length <= k);
+      for (const p of pts) {
+        // Inside every edge of the counter-clockwise polygon
+        for (let i = 0; i < poly.length; i++) {
+          const a = poly[i], b = poly[(i + 1) % poly.length];
+          assert.ok((b.x - a.x) * (p.z - a.z) - (b.z - a.z) * (p.x - a.x) >= -1e-9);
+        }
+      }
+      return polygonArea(poly);
+    });
+    assert.ok(areas[0] >= areas[1] - 1e-12 && areas[1] >= areas[2] - 1e-12);
+    assert.ok(areas[2] >= hullArea - 1e-9);
+    assert.ok(areas[2] < hullArea * 1.15);
+  });
+
+  it('is an axis-aligned rectangle for k = 4', () => {
+    const poly = computeKDOPPolygon([{ x: 0, z: 0 }, { x: 2, z: 0 }, { x: 1, z: 1 }], 4);
+    assert.equal(poly.length, 4);
+    assertClose(polygonArea(poly), 2);
+  });
+
+  it('comes back from computeBoundingBox in world space', () => {
+    const world = rectanglePoints(2, 1, 0.3, 3, -2, 9, 5, 0.4);
+    const aabb = box(world, 'aabb');
+    for (const algorithm of ['kdop8', 'kdop16', 'kdop32']) {
+      const b = computeBoundingBox(world, { x: 3, y: 0.4, z: -2 }, UP, algorithm, TEST_CFG, THREE, mockRigidBody(), MockAmmo,
+        null, new THREE.Vector3(), 0, ANGLE_THRESHOLD);
+      assert.ok(b.polygon.length >= 4, algorithm);
+      assert.ok(b.polygon.every(p => p.y === 0.4));
+      const area = polygonArea(b.polygon);
+      assert.ok(area >= 2 - 1e-9 && area <= aabb.width * aabb.height + 1e-9, `${algorithm} area ${area}`);
+    }
+    assert.equal(box(world, 'ombb').polygon, undefined);
+  });
+
+  it('is kept when the box aligns with the velocity', () => {
+    const b = box(pts.map(p => ({ x: p.x, y: 0, z: p.z })), 'kdop16', mockRigidBody({ x: 3, y: 0, z: 0 }));
+    assertClose(b.theta, 0);
+    assertClose(polygonArea(b.polygon), polygonArea(computeKDOPPolygon(pts, 16)));
+  });
+});
+
+describe('round fits - circle and ellipse', () => {
+  // Disc of radius 0.3 at (1, -2): rings of contacts plus a little per-frame jitter
+  const disc = (seed = 0) => {
+    const pts = [];
+    for (let r = 1; r <= 3; r++) {
+      for (let k = 0; k < 12; k++) {
+        const a = 2 * Math.PI * k / 12 + 0.05 * Math.sin(seed + 7 * k + r);
+        pts.push({ x: 1 + 0.1 * r * Math.cos(a), y: 0, z: -2 + 0.1 * r * Math.sin(a) });
+      }
+    }
+    return pts;
+  };
+  const ellipsePts = (a, b, theta) => {
+    const pts = [];
+    for (let k = 0; k < 36; k++) {
+      const t = 2 * Math.PI * k / 36;
+      const u = a * Math.cos(t), v = b * Math.sin(t);
+      pts.push({ x: u * Math.cos(theta) - v * Math.sin(theta), y: 0, z: u * Math.sin(theta) + v * Math.cos(theta) });
+    }
+    return pts;
+  };
+
+  it('Welzl finds the minimum enclosing circle', () => {
+    const c = minEnclosingCircle(disc().map(p => ({ x: p.x, z: p.z })));
+    assertClose(c.x, 1, 1e-6);
+    assertClose(c.z, -2, 1e-6);
+    assertClose(c.r, 0.3, 1e-6);
+
+    // Obtuse triangle: the longest side is the diameter
+    const t = minEnclosingCircle([{ x: -1, z: 0 }, { x: 1, z: 0 }, { x: 0, z: 0.2 }]);
+    assertClose(t.x, 0);
+    assertClose(t.z, 0);
+    assertClose(t.r, 1);
+  });
+
+  it('circle boxes are square, centred on the circle and hold their angle', () => {
+    let lastOBB = null, previousAngle = 0.7;
+    for (let frame = 0; frame < 5; frame++) {
+      const pts = disc(frame);
+      const b = computeBoundingBox(pts, { x: 1, y: 0, z: -2 }, UP, 'circle', TEST_CFG, THREE, mockRigidBody(), MockAmmo,
+        lastOBB ?? { theta: 0.7 }, new THREE.Vector3(), previousAngle, ANGLE_THRESHOLD);
+      assert.equal(b.shape, 'circle');
+      assertClose(b.radius, 0.3, 1e-6);
+      assertClose(b.width, 0.6, 1e-6);
+      assertClose(b.height, 0.6, 1e-6);
+      assertClose(b.center.x, 1, 1e-6);
+      assertClose(b.center.z, -2, 1e-6);
+      assertClose(b.theta, 0.7);
+      lastOBB = b;
+      previousAngle = b.theta;
+    }
+  });
+
+  it('ellipse follows an elongated footprint without 180° flips', () => {
+    const theta = 0.4;
+    const e = momentEllipse(ellipsePts(0.4, 0.1, theta).map(p => ({ x: p.x, z: p.z })));
+    assertAngleClose(e.theta, theta);
+    assertClose(e.a, 0.4, 0.01);
+    assertClose(e.b, 0.1, 0.01);
+
+    const b = computeBoundingBox(ellipsePts(0.4, 0.1, theta), { x: 0, y: 0, z: 0 }, UP, 'ellipse', TEST_CFG, THREE,
+      mockRigidBody(), MockAmmo, { theta: theta + Math.PI - 0.05 }, new THREE.Vector3(), theta + Math.PI - 0.05, ANGLE_THRESHOLD);
+    assert.equal(b.shape, 'ellipse');
+    assertClose(b.theta, wrapAngle(theta + Math.PI), 1e-6);
+    assertClose(b.width, 2 * b.semiAxes.a, 1e-9);
+    assertClose(b.height, 2 * b.semiAxes.b, 1e-9);
+  });
+
+  it('a near-round ellipse keeps the previous angle and encloses the fit', () => {
+    const b = computeBoundingBox(disc(), { x: 1, y: 0, z: -2 }, UP, 'ellipse', TEST_CFG, THREE,
+      mockRigidBody(), MockAmmo, { theta: -1.2 }, new THREE.Vector3(), -1.2, ANGLE_THRESHOLD);
+    assertClose(b.theta, -1.2);
+    assert.ok(Math.min(b.width, b.height) >= 2 * b.semiAxes.b - 1e-9);
+    assert.ok(Math.max(b.width, b.height) <= 2 * b.semiAxes.a + 1e-9);
+    assertClose(b.semiAxes.a, 0.3, 0.02);
+  });
+
+  it('circle boxes turn with the velocity when moving', () => {
+    const b = box(disc(), 'circle', mockRigidBody({ x: 0, y: 0, z: 2 }));
+    assertClose(b.theta, Math.PI / 2);
+    assertClose(b.width, 0.6, 1e-6);
+  });
+});
+
+describe('3D OBB - tilted and wall contacts', () => {
+  // 2 × 1 footprint (long side 0.3 rad off +X) on a plane tilted 30° about X, lifted to (0.5, 1, -1)
+  const tilt = Math.PI / 6;
+  const tilted = rectanglePoints(2, 1, 0.3).map(p => ({
+    x: 0.5 + p.x,
+    y: 1 - p.z * Math.sin(tilt),
+    z: -1 + p.z * Math.cos(tilt)
+  }));
+  const planeNormal = { x: 0, y: Math.cos(tilt), z: Math.sin(tilt) };
+  const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+  it('takes the normal of the tilted contact plane and its in-plane extents', () => {
+    const b = computeOBB3D(tilted, { referenceNormal: UP });
+    assert.ok(b.planar);
+    assertClose(dot(b.n, planeNormal), 1, 1e-6);
+    assertClose(Math.max(b.width, b.height), 2, 1e-3);
+    assertClose(Math.min(b.width, b.height), 1, 1e-3);
+    assertClose(b.contactDepth, 0, 1e-6);
+    assertClose(b.center.x, 0.5);
+    assertClose(b.center.y, 1);
+    assertClose(b.center.z, -1);
+    assertClose(dot(b.e1, b.n), 0);
+    assertClose(dot(b.e2, b.n), 0);
+  });
+
+  it('flips the normal to face the reference normal', () => {
+    const down = computeOBB3D(tilted, { referenceNormal: { x: 0, y: -1, z: 0 } });
+    assertClose(dot(down.n, planeNormal), -1, 1e-6);
+  });
+
+  it('gives a horizontal normal for contacts on a wall', () => {
+    const wall = rectanglePoints(0.8, 0.4).map(p => ({ x: 3, y: 0.5 + p.z, z: p.x }));
+    const b = computeOBB3D(wall, { referenceNormal: { x: -1, y: 0, z: 0 } });
+    assertClose(b.n.x, -1, 1e-6);
+    assertClose(b.width * b.height, 0.32, 1e-4);
+  });
+
+  it('keeps e1 on the equivalent nearest the previous box', () => {
+    const first = computeOBB3D(tilted, { referenceNormal: UP });
+    const flipped = { x: -first.e1.x, y: -first.e1.y, z: -first.e1.z };
+    const b = computeOBB3D(tilted, { referenceNormal: UP, previousE1: flipped });
+    assertClose(dot(b.e1, flipped), 1, 1e-6);
+    // A quarter turn swaps width and height
+    const quarter = computeOBB3D(tilted, { referenceNormal: UP, previousE1: first.e2 });
+    assertClose(quarter.width, first.height, 1e-6);
+  });
+
+  it('aligns e1 with the in-plane velocity when moving', () => {
+    const b = computeOBB3D(tilted, { referenceNormal: UP, velocity: { x: 0, y: 0, z: 2 } });
+    const inPlane = { x: 0, y: -Math.sin(tilt), z: Math.cos(tilt) };
+    assertClose(dot(b.e1, inPlane), 1, 1e-6);
+  });
+
+  it('computeBoundingBox returns the tilted frame with the configured depth', () => {
+    const b = computeBoundingBox(tilted, { x: 0.5, y: 1, z: -1 }, UP, 'obb3d', TEST_CFG, THREE, mockRigidBody(),
+      MockAmmo, null, new THREE.Vector3(), 0, ANGLE_THRESHOLD);
+    assertClose(dot(b.n, planeNormal), 1, 1e-6);
+    assertClose(b.depth, TEST_CFG.OBB_DEPTH);
+    assertClose(b.contactDepth, 0, 1e-6);
+    assertClose(b.theta, Math.atan2(b.e1.z, b.e1.x));
+  });
+
+  it('falls back to the contact normal for a single contact', () => {
+    const b = box([{ x: 1, y: 2, z: 3 }], 'obb3d');
+    assertClose(b.n.y, 1);
+    assertClose(b.width, TEST_CFG.MIN_CONTACT_SIZE);
+    assertClose(b.center.y, 2);
+  });
+});
+
+describe('BoxStabilizer - temporal coherence', () => {
+  const DT = 1 / 60;
+  const run = (stabilizer, frames, input) => {
+    const thetas = [];
+    for (let i = 0; i < frames; i++) {
+      stabilizer.clockTime = i * DT;
+      const { shapeTheta, velocityTheta, speed } = input(i);
+      thetas.push(stabilizer.updateOrientation(shapeTheta, velocityTheta, speed));
+    }
+    return thetas;
+  };
+
+  it('resolves the 90° symmetry of a square footprint', () => {
+    assertClose(nearestEquivalentAngle(Math.PI / 2 + 0.02, 0, Math.PI / 2), 0.02);
+    assertClose(nearestEquivalentAngle(-Math.PI + 0.1, 0, Math.PI), 0.1);
+
+    // OMBB of a square alternates between equivalent answers 90° apart
+    const thetas = run(new BoxStabilizer(), 20, i => ({ shapeTheta: (i % 2 ? Math.PI / 2 : 0) + 0.02, velocityTheta: 0, speed: 0 }));
+    for (const theta of thetas) assertClose(theta, 0.02);
+  });
+
+  it('ignores a reversal of the velocity direction', () => {
+    const thetas = run(new BoxStabilizer(), 20, i => ({ shapeTheta: 0, velocityTheta: i < 10 ? 0.3 : 0.3 - Math.PI, speed: 2 }));
+    for (const theta of thetas) assertClose(theta, 0.3);
+  });
+
+  it('turns continuously from the shape to the velocity frame across the speed band', () => {
+    const stabilizer = new BoxStabilizer({ maxTurnRate: Math.PI });
+    // Accelerating along Z (heading 90°) from rest to 1.2 m/s over two seconds, footprint axis at 0°
+    const thetas = run(stabilizer, 120, i => ({ shapeTheta: 0, velocityTheta: Math.PI / 2, speed: 1.2 * i / 119 }));
+    for (let i = 1; i < thetas.length; i++) {
+      assert.ok(Math.abs(thetas[i] - thetas[i - 1]) <= Math.PI * DT + 1e-9, `jump at frame ${i}`);
+    }
+    assertClose(Math.abs(thetas[thetas.length - 1]), Math.PI / 2, 1e-6);
+    // Halfway through the band the frames are blended, not switched
+    // (heading exactly 90° off: either turning direction is fine)
+    const mid = Math.abs(thetas[Math.round(119 * 0.55 / 1.2)]);
+    assert.ok(mid > 0.2 && mid < Math.PI / 2 - 0.2, `theta ${mid} at 0.55 m/s`);
+  });
+
+  it('rate-limits width and height, and snaps after a gap', () => {
+    const stabilizer = new BoxStabilizer({ maxSizeRate: 0.6 });
+    stabilizer.clockTime = 0;
+    stabilizer.updateOrientation(0, 0, 0);
+    assert.deepEqual(stabilizer.updateSize(1, 1), { width: 1, height: 1 });
+
+    stabilizer.clockTime = 0.1;
+    stabilizer.updateOrientation(0, 0, 0);
+    const size = stabilizer.updateSize(2, 0.5);
+    assertClose(size.width, 1.06);
+    assertClose(size.height, 0.94);
+
+    stabilizer.clockTime = 1.0;
+    stabilizer.updateOrientation(0, 0, 0);
+    assert.deepEqual(stabilizer.updateSize(2, 0.5), { width: 2, height: 0.5 });
+  });
+
+  it('replaces the velocity threshold in computeBoundingBox', () => {
+    const pts = rectanglePoints(2, 1);
+    const center = { x: 0, y: 0, z: 0 };
+    const body = mockRigidBody({ x: 0, y: 0, z: 0.55 });
+    const raw = computeBoundingBox(pts, center, UP, 'ombb', TEST_CFG, THREE, body, MockAmmo, null, new THREE.Vector3(), 0, ANGLE_THRESHOLD);
+    assertAngleClose(raw.theta, Math.PI / 2);
+
+    const stabilizer = new BoxStabilizer();
+    stabilizer.clockTime = 0;
+    computeBoundingBox(pts, center, UP, 'ombb', TEST_CFG, THREE, mockRigidBody(), MockAmmo, null, new THREE.Vector3(), 0, ANGLE_THRESHOLD, false, null, stabilizer);
+    stabilizer.clockTime = DT;
+    const b = computeBoundingBox(pts, center, UP, 'ombb', TEST_CFG, THREE, body, MockAmmo, null, new THREE.Vector3(), 0, ANGLE_THRESHOLD, false, null, stabilizer);
+    assert.ok(Math.abs(b.theta) <= stabilizer.maxTurnRate * DT + 1e-9, `theta ${b.theta}`);
+    assertClose(b.width, 2, 0.1);
+    assertClose(b.height, 1, 0.1);
+  });
+});
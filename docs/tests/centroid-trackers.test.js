@@ -0,0 +1,142 @@
+// Centroid tracker tests (Kalman / one-euro) and their use inside sampleContacts
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { createKalmanState, kalmanStep, createOneEuroState, oneEuroStep } from '../js/centroid-trackers.js';
+import { sampleContacts, ContactParams, ContactState } from '../js/contacts.js';
+import { BodyManager } from '../js/body-manager.js';
+import { BodyContactTracker } from '../js/body-tracker.js';
+import { GROUND, MockAmmoFactory, mockManifold, mockDispatcher, mockRigidBody, mockPhysicsWorld } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+const DT = 1 / 60;
+const SPEED = 2.0;  // m/s along x
+
+/**
+ * Centroid sliding at constant speed; returns the final |measured - tracked| distance
+ */
+function slideLag(step, frames = 60) {
+  let out = null;
+  for (let i = 1; i <= frames; i++) {
+    const z = { x: SPEED * i * DT, y: 0, z: 0 };
+    out = step(z);
+  }
+  return Math.abs(SPEED * frames * DT - out.x);
+}
+
+function emaLag(tau) {
+  let c = { x: 0, y: 0, z: 0 };
+  const alpha = Math.exp(-DT / tau);
+  return slideLag(z => (c = { x: alpha * c.x + (1 - alpha) * z.x, y: 0, z: 0 }));
+}
+
+describe('centroid trackers - sliding at constant speed', () => {
+  const params = new ContactParams();
+
+  it('EMA trails the contact by about v·τ', () => {
+    const lag = emaLag(params.tauCentroid);
+    assert.ok(lag > 0.05 && lag < 0.15, `EMA lag ${lag}`);
+  });
+
+  it('Kalman fed with the body velocity has next to no lag', () => {
+    const velocity = { x: SPEED, y: 0, z: 0 };
+    const kf = createKalmanState({ x: 0, y: 0, z: 0 }, velocity, params, 0);
+    const lag = slideLag(z => kalmanStep(kf, z, velocity, DT, params).center);
+    assert.ok(lag < 0.002, `Kalman lag ${lag}`);
+    assertClose(kf.x.v, SPEED, 1e-3);
+  });
+
+  it('Kalman without a velocity still learns the speed from the centroid track', () => {
+    const kf = createKalmanState({ x: 0, y: 0, z: 0 }, null, params, 0);
+    const lag = slideLag(z => kalmanStep(kf, z, null, DT, params).center);
+    assert.ok(lag < 0.01, `Kalman lag ${lag}`);
+  });
+
+  it('one-euro lags far less than the EMA at speed and smooths jitter at rest', () => {
+    const f = createOneEuroState({ x: 0, y: 0, z: 0 }, 0);
+    const lag = slideLag(z => oneEuroStep(f, z, DT, params).center);
+    assert.ok(lag < emaLag(params.tauCentroid) / 3, `one-euro lag ${lag}`);
+
+    const rest = createOneEuroState({ x: 0, y: 0, z: 0 }, 0);
+    let out = null;
+    for (let i = 0; i < 60; i++) {
+      out = oneEuroStep(rest, { x: (i % 2 ? 1 : -1) * 0.002, y: 0, z: 0 }, DT, params).center;
+    }
+    assert.ok(Math.abs(out.x) < 0.002, `one-euro jitter ${out.x}`);
+  });
+});
+
+describe('sampleContacts - centroid tracker selection', () => {
+  const square = (cx) => [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(([u, v]) => ({ x: cx + u, y: 0, z: v }));
+
+  it('tracks a sliding footprint with the Kalman filter and reports innovation / lag', () => {
+    const body = mockRigidBody();
+    const state = new ContactState();
+    const params = new ContactParams({ centroidTracker: 'kalman', bodyVelocity: { x: SPEED, y: 0, z: 0 } });
+
+    let result = null;
+    for (let i = 0; i <= 30; i++) {
+      state.clockTime = i * DT;
+      result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, square(SPEED * i * DT))), THREE, null, 4, 0, params, state);
+    }
+
+    const d = result.diagnostics;
+    assert.equal(d.centroidTracker, 'kalman');
+    assert.equal(d.stages.centroid.applied, true);
+    assert.equal(d.stages.ema.applied, false);
+    assert.ok(d.centroidInnovation < 0.005, `innovation ${d.centroidInnovation}`);
+    assert.ok(d.centroidLag < 0.005, `lag ${d.centroidLag}`);
+    assert.ok(state.kalman);
+
+    state.reset();
+    assert.equal(state.kalman, null);
+    assert.equal(state.oneEuro, null);
+  });
+
+  it('feeds a BodyManager rigid body velocity into the Kalman update', async () => {
+    const manager = new BodyManager(THREE, MockAmmoFactory, new THREE.Scene(), mockPhysicsWorld(), 1, { PLANE_SIZE: 40 },
+      null, () => ({ width: 1, height: 1 }));
+    manager.setSpeed(SPEED, 0);
+    await manager.start();
+    const entry = manager.getBodies()[0];
+    const tracker = new BodyContactTracker(THREE, entry);
+
+    const track = (bodyVelocity) => {
+      const state = new ContactState();
+      const params = new ContactParams({ centroidTracker: 'kalman', bodyVelocity });
+      for (let i = 0; i <= 10; i++) {
+        state.clockTime = i * DT;
+        sampleContacts(mockDispatcher(mockManifold(entry.body, GROUND, square(SPEED * i * DT))), THREE, null, 4, 0, params, state);
+      }
+      return { kf: state.kalman.x, rv: params.kalmanVelocityNoise * params.kalmanVelocityNoise };
+    };
+
+    tracker.updateVelocity(MockAmmoFactory, tracker.bodyFor(entry.mesh), entry.mesh);
+    assert.deepEqual(tracker.velocity, { x: SPEED, y: 0, z: 0 });
+    const measured = track(tracker.velocity);
+    assertClose(measured.kf.v, SPEED, 1e-3);
+    assert.ok(measured.kf.P11 <= measured.rv, `P11 ${measured.kf.P11}`);
+
+    // Centroid-only filter: the velocity variance stays well above the measurement's
+    const unmeasured = track(null);
+    assert.ok(unmeasured.kf.P11 > 10 * measured.kf.P11, `P11 ${unmeasured.kf.P11}`);
+  });
+
+  it('restarts the filter after a gap longer than trackerMaxGap', () => {
+    const body = mockRigidBody();
+    const state = new ContactState();
+    const params = new ContactParams({ centroidTracker: 'oneEuro' });
+
+    state.clockTime = 0;
+    sampleContacts(mockDispatcher(mockManifold(body, GROUND, square(0))), THREE, null, 4, 0, params, state);
+    state.clockTime = 1.0;
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, square(1))), THREE, null, 4, 0, params, state);
+
+    assert.equal(result.diagnostics.stages.centroid.applied, false);
+    assertClose(result.geometricCenter.x, 1);
+    assertClose(result.diagnostics.centroidLag, 0);
+  });
+});
@@ -0,0 +1,122 @@
+// Contact lifecycle event tests (ContactEventEmitter)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { ContactEventEmitter } from '../js/contact-events.js';
+import { GROUND, WALL, mockContact, mockManifold, mockDispatcher, mockRigidBody, mockSoftBody, mockMesh } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+const DOWN = { x: 0, y: -1, z: 0 };
+
+/**
+ * Emitter recording every event it fires
+ */
+function recordingEmitter(options) {
+  const events = new ContactEventEmitter(options);
+  const log = [];
+  for (const type of ['contactBegin', 'contactPersist', 'contactEnd', 'impact']) {
+    events.on(type, e => log.push(e));
+  }
+  return { events, log };
+}
+
+const corners = (impulse) => [
+  mockContact({ x: -0.5, y: 0, z: -0.5 }, { impulse }),
+  mockContact({ x: 0.5, y: 0, z: -0.5 }, { impulse }),
+  mockContact({ x: 0.5, y: 0, z: 0.5 }, { impulse }),
+  mockContact({ x: -0.5, y: 0, z: 0.5 }, { impulse })
+];
+
+describe('ContactEventEmitter', () => {
+  it('fires begin, persist and end for touchdown and lift-off', () => {
+    const body = mockRigidBody();
+    const bodies = [{ id: 0, body, mesh: null }];
+    const { events, log } = recordingEmitter();
+
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.1))), bodies, 0);
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.1))), bodies, 0.1);
+    events.update(mockDispatcher(), bodies, 0.2);
+
+    assert.deepEqual(log.map(e => e.type), ['contactBegin', 'contactPersist', 'contactEnd']);
+    const begin = log[0];
+    assert.equal(begin.partnerRole, 'ground');
+    assert.equal(begin.bodyId, 0);
+    assert.equal(begin.points.length, 4);
+    assertClose(begin.impulse, 0.4);
+    assertClose(begin.point.x, 0);
+    assertClose(log[2].duration, 0.2);
+  });
+
+  it('orients the normal into the dynamic body and labels registered partners', () => {
+    const body = mockRigidBody();
+    const wallBody = {};
+    const { events, log } = recordingEmitter();
+    events.setBodyRoles([{ body: wallBody, role: 'wall' }, { body: null, role: 'ground' }]);
+
+    // Dynamic body is B: normalWorldOnB (B → A) points away from it
+    events.update(mockDispatcher(mockManifold(wallBody, body, [mockContact({ x: 1, y: 0.5, z: 0 }, { normal: { x: -1, y: 0, z: 0 } })])),
+      [{ id: 3, body, mesh: null }], 0);
+
+    assert.equal(log[0].partnerRole, 'wall');
+    assert.equal(log[0].partner, wallBody);
+    assert.equal(log[0].bodyId, 3);
+    assertClose(log[0].normal.x, 1);
+  });
+
+  it('fires impact on the rising edge of the pair impulse', () => {
+    const body = mockRigidBody();
+    const bodies = [{ id: 0, body, mesh: null }];
+    const { events, log } = recordingEmitter({ impactImpulse: 1 });
+
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.5))), bodies, 0);    // 2 N·s touchdown
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.5))), bodies, 0.1);  // Still above: no repeat
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.05))), bodies, 0.2); // Settled
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0.5))), bodies, 0.3);  // Bounce while touching
+
+    const impacts = log.filter(e => e.type === 'impact');
+    assert.deepEqual(impacts.map(e => e.time), [0, 0.3]);
+    assertClose(impacts[0].maxImpulse, 0.5);
+  });
+
+  it('separates bodies and partners and ignores separated points', () => {
+    const a = mockRigidBody();
+    const b = mockRigidBody();
+    const bodies = [{ id: 0, body: a, mesh: null }, { id: 1, body: b, mesh: null }];
+    const { events, log } = recordingEmitter();
+
+    events.update(mockDispatcher(
+      mockManifold(a, GROUND, corners(0)),
+      mockManifold(a, WALL, [mockContact({ x: 1, y: 0.5, z: 0 }, { distance: 0.05 })]),
+      mockManifold(a, b, [mockContact({ x: 2, y: 0.5, z: 0 }, { normal: DOWN })])
+    ), bodies, 0);
+
+    const begins = log.filter(e => e.type === 'contactBegin').map(e => `${e.bodyId}:${e.partnerRole}`).sort();
+    assert.deepEqual(begins, ['0:body', '0:ground', '1:body']);
+  });
+
+  it('falls back to sampled contacts for soft bodies without manifolds', () => {
+    const body = mockSoftBody([{ position: { x: 0, y: 0, z: 0 } }]);
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: body, isSoftBody: true });
+    const { events, log } = recordingEmitter();
+
+    events.update(mockDispatcher(), [{ id: 0, body, mesh, contactSamples: [{ x: 0, y: 0, z: 0, impulse: 0 }] }], 0);
+
+    assert.equal(log.length, 1);
+    assert.equal(log[0].type, 'contactBegin');
+    assert.equal(log[0].partnerRole, 'ground');
+  });
+
+  it('unsubscribes and rejects unknown event types', () => {
+    const body = mockRigidBody();
+    const events = new ContactEventEmitter();
+    let calls = 0;
+    const off = events.on('contactBegin', () => calls++);
+    off();
+    events.update(mockDispatcher(mockManifold(body, GROUND, corners(0))), [{ id: 0, body, mesh: null }], 0);
+    assert.equal(calls, 0);
+    assert.throws(() => events.on('touchdown', () => {}), /Unknown contact event/);
+  });
+});
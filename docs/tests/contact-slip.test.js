@@ -0,0 +1,119 @@
+// Stick / slip / impact classification tests (contact-slip.js)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SlipParams,
+  pointVelocity,
+  relativeContactVelocity,
+  classifyContact,
+  classifyContactSlip,
+  buildSlipMask
+} from '../js/contact-slip.js';
+import { assertClose } from './helpers.js';
+
+const UP = { x: 0, y: 1, z: 0 };
+
+describe('pointVelocity', () => {
+  it('adds ω × r to the linear velocity', () => {
+    // Spin about +Y: a point at +X moves towards -Z
+    const v = pointVelocity({ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0.5, y: 0, z: 0 }, { x: 0, y: 2, z: 0 });
+    assertClose(v.x, 0.5);
+    assertClose(v.y, 0);
+    assertClose(v.z, -2);
+  });
+
+  it('subtracts the ground velocity at the contact', () => {
+    const v = relativeContactVelocity({ x: 0, y: 0, z: 0 }, {
+      center: { x: 0, y: 0.5, z: 0 },
+      velocity: { x: 1, y: 0, z: 0 },
+      angularVelocity: null,
+      groundVelocity: { x: 1, y: 0, z: 0 },
+      groundAngularVelocity: null
+    });
+    assert.deepEqual(v, { x: 0, y: 0, z: 0 });
+  });
+});
+
+describe('classifyContact', () => {
+  const params = new SlipParams({ slipSpeed: 0.01, impactSpeed: 0.3 });
+
+  it('labels slow contacts stick and sliding contacts slip', () => {
+    assert.equal(classifyContact({ x: 0.005, y: 0, z: 0 }, UP, null, params).state, 'stick');
+    const c = classifyContact({ x: 0.3, y: 0, z: 0.4 }, UP, null, params);
+    assert.equal(c.state, 'slip');
+    assertClose(c.tangentialSpeed, 0.5);
+  });
+
+  it('labels fast approach an impact regardless of sliding', () => {
+    const c = classifyContact({ x: 2, y: -1, z: 0 }, UP, null, params);
+    assert.equal(c.state, 'impact');
+    assertClose(c.normalSpeed, -1);
+  });
+
+  it('keeps a contact inside the friction cone stuck', () => {
+    // m_share·|v_t| = 0.1·0.5 = 0.05 <= μ·J_n = 0.5·0.2 = 0.1
+    assert.equal(classifyContact({ x: 0.5, y: 0, z: 0 }, UP, { mu: 0.5, impulse: 0.2, massShare: 0.1 }, params).state, 'stick');
+    // Same contact with a tenth of the impulse leaves the cone
+    assert.equal(classifyContact({ x: 0.5, y: 0, z: 0 }, UP, { mu: 0.5, impulse: 0.02, massShare: 0.1 }, params).state, 'slip');
+  });
+});
+
+describe('classifyContactSlip', () => {
+  it('labels samples and reports fractions', () => {
+    // Body spinning about its center: contacts far from the axis slip, the one on it sticks
+    const contacts = [
+      { x: 0, y: 0, z: 0, impulse: 0 },
+      { x: 1, y: 0, z: 0, impulse: 0 },
+      { x: -1, y: 0, z: 0, impulse: 0 },
+      { x: 0, y: 0, z: 1, impulse: 0 }
+    ];
+    const stats = classifyContactSlip(contacts, {
+      center: { x: 0, y: 0.5, z: 0 },
+      velocity: null,
+      angularVelocity: { x: 0, y: 1, z: 0 }
+    }, UP, { mu: 0.5, mass: 1 });
+
+    assert.equal(contacts[0].slipState, 'stick');
+    assert.equal(contacts[1].slipState, 'slip');
+    assert.equal(stats.total, 4);
+    assert.equal(stats.stick, 1);
+    assert.equal(stats.slip, 3);
+    assertClose(stats.slipFraction, 0.75);
+    assertClose(stats.stickFraction + stats.slipFraction + stats.impactFraction, 1);
+  });
+
+  it('returns zero fractions without contacts', () => {
+    const stats = classifyContactSlip([], { velocity: { x: 1, y: 0, z: 0 } }, UP);
+    assert.equal(stats.total, 0);
+    assert.equal(stats.slipFraction, 0);
+  });
+});
+
+describe('buildSlipMask', () => {
+  const obb = { center: { x: 0, y: 0, z: 0 }, n: UP, e1: { x: 1, y: 0, z: 0 }, width: 2, height: 2 };
+
+  it('splits the image between the nearest slipping and sticking contacts', () => {
+    const contacts = [
+      { x: -0.5, y: 0, z: 0, slipState: 'slip' },
+      { x: 0.5, y: 0, z: 0, slipState: 'stick' }
+    ];
+    const W = 8, H = 4;
+    const mask = buildSlipMask(contacts, obb, W, H);
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        if (x === W / 2) continue;  // Pixel x/W = 0.5 is equidistant from both contacts
+        assert.equal(mask[y * W + x], x < W / 2 ? 1 : 0, `pixel (${x}, ${y})`);
+      }
+    }
+  });
+
+  it('fills uniform labels and skips unlabelled contacts', () => {
+    assert.ok(buildSlipMask([{ x: 0, y: 0, z: 0, slipState: 'slip' }], obb, 4, 4).every(v => v === 1));
+    assert.ok(buildSlipMask([{ x: 0, y: 0, z: 0, slipState: 'impact' }], obb, 4, 4).every(v => v === 0));
+    assert.equal(buildSlipMask([{ x: 0, y: 0, z: 0 }], obb, 4, 4), null);
+    assert.equal(buildSlipMask([{ x: 0, y: 0, z: 0, slipState: 'slip' }], null, 4, 4), null);
+  });
+});
@@ -0,0 +1,469 @@
+// Contact sampling tests (sampleContacts) against mock Ammo manifolds
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { sampleContacts, ContactParams, ContactState, getRealContacts, getSyntheticContacts, isSameBody, getMeshKDOP8OnPlane } from '../js/contacts.js';
+import { computeBoundingBox } from '../js/bounding-box/index.js';
+import { Plane } from '../js/math/plane.js';
+import { GROUND, WALL, MockAmmo, mockContact, mockManifold, mockDispatcher, mockRigidBody, mockSoftBody, mockMesh } from './mock-ammo.js';
+import { TEST_CFG, assertClose, boxDims } from './helpers.js';
+
+const MIN_CONTACTS = 4;
+const GROUND_Y = 0;  // softGroundThreshold: contact plane at y = 0
+
+/**
+ * Run a sampleContacts result through computeBoundingBox (fresh temporal state)
+ */
+function boxFor(result, body, algorithm = 'ombb', isSoftBody = false) {
+  return computeBoundingBox(result.contactSamples, result.avgContactPoint, result.avgContactNormal, algorithm, TEST_CFG, THREE,
+    body, MockAmmo, null, new THREE.Vector3(), 0, 25 * Math.PI / 180, isSoftBody);
+}
+
+/**
+ * Bottom face corners of a unit cube resting on the ground
+ */
+function cubeFootprint(cx, cz, yaw = 0, half = 0.5) {
+  const c = Math.cos(yaw), s = Math.sin(yaw);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({
+    x: cx + c * u * half + s * v * half,
+    y: 0,
+    z: cz - s * u * half + c * v * half
+  }));
+}
+
+describe('sampleContacts - flat-landed cube', () => {
+  const body = mockRigidBody();
+  const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 2, y: 0.5, z: -1 }, physicsBody: body });
+  const dispatcher = mockDispatcher(mockManifold(body, GROUND, cubeFootprint(2, -1)));
+  const result = sampleContacts(dispatcher, THREE, mesh, MIN_CONTACTS, GROUND_Y);
+
+  it('keeps all four corner contacts', () => {
+    assert.equal(result.rawCount, 4);
+    assert.equal(result.filteredCount, 4);
+    assert.equal(result.realContactCount, 4);
+    assert.deepEqual(result.flags.reasons, []);
+  });
+
+  it('places the geometric center under the cube', () => {
+    assertClose(result.geometricCenter.x, 2);
+    assertClose(result.geometricCenter.y, 0);
+    assertClose(result.geometricCenter.z, -1);
+  });
+
+  it('reports an upward contact normal', () => {
+    assertClose(result.avgContactNormal.y, 1);
+  });
+
+  it('augments the sparse footprint with four KDOP-8 corners on the contact plane', () => {
+    assert.equal(result.syntheticCount, 4);
+    const synthetic = getSyntheticContacts(result.contactSamples);
+    for (const p of synthetic) {
+      assertClose(Math.abs(p.x - 2), 0.5, 1e-6, 'corner x');
+      assertClose(Math.abs(p.z + 1), 0.5, 1e-6, 'corner z');
+      assertClose(p.y, 0);
+    }
+  });
+
+  it('reports per-stage counts', () => {
+    const { stages } = result.diagnostics;
+    assert.equal(stages.acquire.manifolds, 1);
+    assert.equal(stages.acquire.in, 4);
+    assert.equal(stages.acquire.out, 4);
+    assert.equal(stages.gridDedupe.out, 4);
+    assert.equal(stages.iqrOutlier.applied, false);  // needs >= 8 points
+    assert.equal(stages.augmentation.out, 8);
+  });
+
+  it('yields a unit footprint box', () => {
+    const b = boxFor(result, body);
+    const [short, long] = boxDims(b);
+    assertClose(short, 1);
+    assertClose(long, 1);
+    assertClose(b.center.x, 2);
+    assertClose(b.center.z, -1);
+  });
+});
+
+describe('getMeshKDOP8OnPlane', () => {
+  it('returns the bottom face corners of a yawed cube (corners rotated back from the best KDOP angle)', () => {
+    const yaw = Math.PI / 8;
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 1, y: 0.5, z: 2 }, rotation: { x: 0, y: yaw, z: 0 } });
+    const corners = getMeshKDOP8OnPlane(mesh, new Plane(new THREE.Vector3(0, 1, 0), new THREE.Vector3()), THREE);
+
+    const expected = cubeFootprint(1, 2, yaw);
+    assert.equal(corners.length, 4);
+    for (const c of corners) {
+      const nearest = Math.min(...expected.map(e => Math.hypot(c.x - e.x, c.z - e.z)));
+      assert.ok(nearest < 1e-6, `corner (${c.x}, ${c.z}) is ${nearest} m from the cube`);
+      assertClose(c.y, 0);
+    }
+  });
+});
+
+describe('sampleContacts - several dynamic bodies', () => {
+  const bodyA = mockRigidBody();
+  const bodyB = mockRigidBody();
+  const meshA = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: -3, y: 0.5, z: 0 }, physicsBody: bodyA });
+  const meshB = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 3, y: 0.5, z: 0 }, physicsBody: bodyB });
+  const dispatcher = mockDispatcher(
+    mockManifold(bodyA, GROUND, cubeFootprint(-3, 0)),
+    mockManifold(GROUND, bodyB, cubeFootprint(3, 0))
+  );
+
+  it('keeps only the manifolds of the sampled body', () => {
+    const a = sampleContacts(dispatcher, THREE, meshA, MIN_CONTACTS, GROUND_Y);
+    const b = sampleContacts(dispatcher, THREE, meshB, MIN_CONTACTS, GROUND_Y);
+    assert.equal(a.rawCount, 4);
+    assert.equal(b.rawCount, 4);
+    assertClose(a.geometricCenter.x, -3);
+    assertClose(b.geometricCenter.x, 3);
+  });
+
+  it('compares bodies by identity or Ammo pointer, never matching a missing body', () => {
+    assert.equal(isSameBody(bodyA, bodyA), true);
+    assert.equal(isSameBody(bodyA, bodyB), false);
+    assert.equal(isSameBody(Object.assign(mockRigidBody(), { ptr: 8 }), Object.assign(mockRigidBody(), { ptr: 8 })), true);
+    assert.equal(isSameBody(null, null), false);
+    assert.equal(isSameBody(bodyA, undefined), false);
+  });
+
+  it('matches bodies by Ammo pointer when the wrapper objects differ', () => {
+    // getBody0() hands out a new wrapper around the same btCollisionObject
+    const created = Object.assign(mockRigidBody(), { ptr: 4096 });
+    const wrapped = Object.assign(mockRigidBody(), { ptr: 4096 });
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: -3, y: 0.5, z: 0 }, physicsBody: created });
+    const result = sampleContacts(
+      mockDispatcher(mockManifold(wrapped, GROUND, cubeFootprint(-3, 0)), mockManifold(bodyB, GROUND, cubeFootprint(3, 0))),
+      THREE, mesh, MIN_CONTACTS, GROUND_Y
+    );
+    assert.equal(result.rawCount, 4);
+    assertClose(result.geometricCenter.x, -3);
+  });
+});
+
+describe('sampleContacts - edge-balanced cube', () => {
+  // Unit cube rolled 45° about Z: only the bottom edge (x = 0) touches the ground
+  const body = mockRigidBody();
+  const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), {
+    position: { x: 0, y: Math.SQRT1_2, z: 0 },
+    rotation: { x: 0, y: 0, z: Math.PI / 4 },
+    physicsBody: body
+  });
+  const dispatcher = mockDispatcher(mockManifold(body, GROUND, [{ x: 0, y: 0, z: -0.5 }, { x: 0, y: 0, z: 0.5 }]));
+  const result = sampleContacts(dispatcher, THREE, mesh, MIN_CONTACTS, GROUND_Y);
+
+  it('flags the two-point contact as sparse', () => {
+    assert.equal(result.filteredCount, 2);
+    assert.equal(result.flags.degraded, true);
+    assert.equal(result.flags.rejected, false);
+    assert.deepEqual(result.flags.reasons, ['sparse']);
+    assert.equal(result.diagnostics.gateFired, 'sparse');
+  });
+
+  it('centers on the middle of the edge', () => {
+    assertClose(result.geometricCenter.x, 0);
+    assertClose(result.geometricCenter.z, 0);
+  });
+
+  it('adds no synthetic corners for a degenerate (line) footprint', () => {
+    assert.equal(result.syntheticCount, 0);
+    assert.equal(result.contactSamples.length, 2);
+  });
+
+  it('yields a thin strip box along the edge', () => {
+    const [short, long] = boxDims(boxFor(result, body));
+    assertClose(short, TEST_CFG.MIN_CONTACT_SIZE);
+    assertClose(long, 1);
+  });
+});
+
+describe('sampleContacts - rolling sphere', () => {
+  const makeSphere = (velocity, angularVelocity) => {
+    const body = mockRigidBody(velocity, angularVelocity);
+    const mesh = mockMesh(THREE, new THREE.SphereGeometry(0.5, 32, 16), { position: { x: 1, y: 0.5, z: 0 }, physicsBody: body });
+    const dispatcher = mockDispatcher(mockManifold(body, GROUND, [{ x: 1, y: 0, z: 0 }]));
+    return sampleContacts(dispatcher, THREE, mesh, MIN_CONTACTS, GROUND_Y);
+  };
+
+  it('keeps the single real contact under the sphere', () => {
+    const result = makeSphere({ x: 2, y: 0, z: 0 }, { x: 0, y: 0, z: -4 });
+    assert.equal(result.realContactCount, 1);
+    const [real] = getRealContacts(result.contactSamples);
+    assertClose(real.x, 1);
+    assertClose(real.z, 0);
+  });
+
+  it('surrounds the contact with synthetic corners from the near-ground cap', () => {
+    const result = makeSphere({ x: 2, y: 0, z: 0 }, { x: 0, y: 0, z: -4 });
+    assert.equal(result.syntheticCount, 4);
+    // Cap vertices within 10 cm of the ground lie on rings up to r ≈ 0.278 around the contact,
+    // so the corners of their bounding square sit between r and r·√2 from it
+    for (const p of getSyntheticContacts(result.contactSamples)) {
+      const r = Math.hypot(p.x - 1, p.z);
+      assert.ok(r > 0.27 && r < 0.4, `corner (${p.x}, ${p.z}) at ${r} from the contact`);
+    }
+  });
+
+  it('adds edge midpoints when spinning fast', () => {
+    const result = makeSphere({ x: 4, y: 0, z: 0 }, { x: 0, y: 0, z: -8 });
+    assert.equal(result.syntheticCount, 8);
+  });
+
+  it('aligns the box with the rolling direction', () => {
+    const alongX = makeSphere({ x: 2, y: 0, z: 0 }, { x: 0, y: 0, z: -4 });
+    assertClose(boxFor(alongX, mockRigidBody({ x: 2, y: 0, z: 0 })).theta, 0);
+    const alongZ = makeSphere({ x: 0, y: 0, z: 2 }, { x: 4, y: 0, z: 0 });
+    assertClose(boxFor(alongZ, mockRigidBody({ x: 0, y: 0, z: 2 })).theta, Math.PI / 2);
+  });
+});
+
+describe('sampleContacts - deformed soft cube', () => {
+  // Squashed cube: 5×5 bottom nodes spread to 1.2 × 0.8 and sagging to 1 cm, plus middle and top layers
+  const nodes = [];
+  for (const [y, sx, sz] of [[0.01, 0.6, 0.4], [0.3, 0.55, 0.35], [0.6, 0.5, 0.3]]) {
+    for (let i = 0; i < 5; i++) {
+      for (let j = 0; j < 5; j++) {
+        nodes.push({
+          position: { x: -sx + sx * i / 2, y, z: -sz + sz * j / 2 },
+          normal: { x: 0, y: y < 0.1 ? -1 : 1, z: 0 }
+        });
+      }
+    }
+  }
+  const softBody = mockSoftBody(nodes);
+  const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: softBody, isSoftBody: true });
+  const manifoldPoints = [{ x: 0, y: 0, z: 0 }, { x: 0.3, y: 0, z: 0.2 }, { x: -0.3, y: 0, z: -0.2 }];
+  const dispatcher = mockDispatcher(
+    mockManifold(softBody, GROUND, manifoldPoints),
+    mockManifold(mockRigidBody(), GROUND, [{ x: 5, y: 0, z: 5 }])  // unrelated pair, must be ignored
+  );
+  const result = sampleContacts(dispatcher, THREE, mesh, MIN_CONTACTS, GROUND_Y);
+
+  it('combines manifold contacts with near-ground nodes', () => {
+    const { stages } = result.diagnostics;
+    assert.equal(stages.acquire.manifoldContacts, 3);
+    assert.equal(stages.acquire.nodeContacts, 25);
+    assert.equal(stages.acquire.in, 3 + nodes.length);
+    assert.equal(result.filteredCount, 28);
+    assert.equal(result.diagnostics.isSoftBody, true);
+  });
+
+  it('ignores manifolds that do not involve the soft body', () => {
+    for (const p of result.contactSamples) {
+      assert.ok(p.x < 1, 'contact from unrelated manifold leaked in');
+    }
+  });
+
+  it('centers the footprint and orients the normal upward', () => {
+    assertClose(result.geometricCenter.x, 0);
+    assertClose(result.geometricCenter.z, 0);
+    assertClose(result.avgContactNormal.y, 1);
+  });
+
+  it('does not augment a dense footprint', () => {
+    assert.equal(result.syntheticCount, 0);
+    assert.equal(result.contactSamples.length, 28);
+  });
+
+  it('yields a box matching the spread 1.2 × 0.8 footprint', () => {
+    const b = boxFor(result, softBody, 'ombb', true);
+    const [short, long] = boxDims(b);
+    assertClose(short, 0.8);
+    assertClose(long, 1.2);
+    assertClose(b.center.x, 0);
+    assertClose(b.center.z, 0);
+  });
+});
+
+describe('sampleContacts - noise control', () => {
+  const body = mockRigidBody();
+
+  it('rejects separated contacts beyond d_max', () => {
+    const dispatcher = mockDispatcher(mockManifold(body, GROUND, [
+      ...cubeFootprint(0, 0).map(p => mockContact(p, { distance: -0.001 })),
+      mockContact({ x: 0, y: 0.02, z: 0 }, { distance: 0.02 })
+    ]));
+    const result = sampleContacts(dispatcher, THREE, null, MIN_CONTACTS, GROUND_Y);
+    assert.equal(result.diagnostics.stages.acquire.rejectedDistance, 1);
+    assert.equal(result.filteredCount, 4);
+  });
+
+  it('deduplicates contacts sharing an XZ grid cell', () => {
+    const pts = [...cubeFootprint(0, 0), { x: 0.2001, y: 0, z: 0.2001 }, { x: 0.2009, y: 0, z: 0.2009 }];
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, pts)), THREE, null, MIN_CONTACTS, GROUND_Y);
+    const { gridDedupe } = result.diagnostics.stages;
+    assert.equal(gridDedupe.in, 6);
+    assert.equal(gridDedupe.out, 5);
+  });
+
+  it('drops height outliers once there are enough points for quartiles', () => {
+    const pts = [];
+    for (let i = 0; i < 9; i++) pts.push({ x: (i % 3) * 0.1, y: 0, z: Math.floor(i / 3) * 0.1 });
+    pts.push({ x: 0.05, y: 0.05, z: 0.05 });
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, pts)), THREE, null, MIN_CONTACTS, GROUND_Y);
+    const { iqrOutlier } = result.diagnostics.stages;
+    assert.equal(iqrOutlier.applied, true);
+    assert.equal(iqrOutlier.in, 10);
+    assert.equal(iqrOutlier.out, 9);
+    assert.equal(result.flags.rejected, false);
+  });
+
+  it('rejects a vertically spread frame and holds the last good contacts', () => {
+    const state = new ContactState();
+    state.clockTime = 0;
+    const good = sampleContacts(mockDispatcher(mockManifold(body, GROUND, cubeFootprint(0, 0))), THREE, null, MIN_CONTACTS, GROUND_Y, null, state);
+    assert.equal(good.flags.rejected, false);
+
+    const tilted = cubeFootprint(0, 0).map((p, i) => ({ ...p, y: i < 2 ? 0 : 0.03 }));
+    state.clockTime = 1 / 60;
+    const bad = sampleContacts(mockDispatcher(mockManifold(body, GROUND, tilted)), THREE, null, MIN_CONTACTS, GROUND_Y, null, state);
+    assert.equal(bad.flags.rejected, true);
+    assert.ok(bad.flags.reasons.includes('vertical_spread'));
+    assert.equal(bad.flags.held, true);
+    assert.equal(bad.diagnostics.heldLast, true);
+    for (const p of bad.contactSamples) assertClose(p.y, 0);
+  });
+
+  it('returns no samples and flags rejection without contacts', () => {
+    const result = sampleContacts(mockDispatcher(), THREE, null, MIN_CONTACTS, GROUND_Y);
+    assert.equal(result.contactSamples.length, 0);
+    assert.equal(result.flags.rejected, true);
+    assert.ok(result.flags.reasons.includes('no_contacts'));
+  });
+
+  it('can disable every filter', () => {
+    const params = new ContactParams({
+      enableDistanceFilter: false,
+      enableGridDedupe: false,
+      enableIQROutlier: false,
+      enableQualityGates: false,
+      enableEMASmoothing: false,
+      enableHoldLast: false
+    });
+    const pts = [...cubeFootprint(0, 0), { x: 0.5, y: 0, z: 0.5 }, mockContact({ x: 0, y: 0.2, z: 0 }, { distance: 0.2 })];
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, pts)), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assert.equal(result.filteredCount, 6);
+    assert.deepEqual(result.flags.reasons, []);
+  });
+});
+
+describe('sampleContacts - inclined ground', () => {
+  // 1 × 1 footprint (3 × 3 contacts) on a 12° ramp falling towards +X
+  const slope = 12 * Math.PI / 180;
+  const normal = new THREE.Vector3(Math.sin(slope), Math.cos(slope), 0);
+  const downhill = new THREE.Vector3(Math.cos(slope), -Math.sin(slope), 0);
+  const pts = [];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      const p = downhill.clone().multiplyScalar(i * 0.5).add(new THREE.Vector3(0, 0, j * 0.5));
+      pts.push({ x: p.x, y: p.y, z: p.z });
+    }
+  }
+  const body = mockRigidBody();
+  const contacts = pts.map(p => mockContact(p, { normal }));
+  const supportPlane = new Plane(normal, new THREE.Vector3(0, 0, 0));
+
+  it('rejects the slope as vertical spread against a horizontal ground plane', () => {
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, contacts)), THREE, null, MIN_CONTACTS, GROUND_Y);
+    assert.ok(result.flags.reasons.includes('vertical_spread'));
+  });
+
+  it('keeps every contact when measured against the support plane', () => {
+    const params = new ContactParams({ supportPlane });
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, contacts)), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assert.equal(result.diagnostics.stages.iqrOutlier.applied, true);
+    assert.equal(result.filteredCount, 9);
+    assert.deepEqual(result.flags.reasons, []);
+    assertClose(result.avgContactNormal.dot(normal), 1);
+  });
+
+  it('deduplicates in the support plane frame', () => {
+    const near = downhill.clone().multiplyScalar(0.2001);
+    const twin = downhill.clone().multiplyScalar(0.2009);
+    const params = new ContactParams({ supportPlane });
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, [
+      ...contacts.slice(0, 4),
+      mockContact(near, { normal }),
+      mockContact(twin, { normal })
+    ])), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assert.equal(result.diagnostics.stages.gridDedupe.out, 5);
+  });
+});
+
+describe('sampleContacts - temporal smoothing', () => {
+  it('blends the centroid with α = exp(-dt/τ) using the supplied clock', () => {
+    const body = mockRigidBody();
+    const state = new ContactState();
+    const params = new ContactParams();
+
+    state.clockTime = 0;
+    sampleContacts(mockDispatcher(mockManifold(body, GROUND, cubeFootprint(0, 0))), THREE, null, MIN_CONTACTS, GROUND_Y, params, state);
+
+    state.clockTime = 0.05;  // dt = τ
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, cubeFootprint(0.1, 0))), THREE, null, MIN_CONTACTS, GROUND_Y, params, state);
+
+    const alpha = Math.exp(-0.05 / params.tauCentroid);
+    assert.equal(result.diagnostics.stages.ema.applied, true);
+    assertClose(result.diagnostics.emaAlpha, alpha);
+    assertClose(result.geometricCenter.x, (1 - alpha) * 0.1);
+  });
+});
+
+describe('sampleContacts - measured normal force', () => {
+  const body = mockRigidBody();
+  const dt = 1 / 120;
+  const weight = 2 * 9.81;
+  const resting = (normal = { x: 0, y: 1, z: 0 }) =>
+    cubeFootprint(0, 0).map(p => mockContact(p, { normal, impulse: weight * dt / 4 }));
+
+  it('reports per-contact impulses and their total as force', () => {
+    const params = new ContactParams({ solverTimestep: dt });
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, resting())), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assert.equal(result.hasMeasuredForce, true);
+    assert.equal(result.diagnostics.stages.acquire.impulseContacts, 4);
+    for (const p of result.contactSamples) assertClose(p.impulse, weight * dt / 4);
+    assertClose(result.normalImpulse, weight * dt);
+    assertClose(result.normalForce, weight);
+  });
+
+  it('does not depend on which body the normal points away from', () => {
+    const params = new ContactParams({ solverTimestep: dt });
+    const result = sampleContacts(mockDispatcher(mockManifold(GROUND, body, resting({ x: 0, y: -1, z: 0 }))), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assertClose(result.normalForce, weight);
+  });
+
+  it('excludes wall reactions from the ground normal force', () => {
+    const params = new ContactParams({ solverTimestep: dt });
+    const push = mockContact({ x: 0.5, y: 0.3, z: 0 }, { normal: { x: -1, y: 0, z: 0 }, impulse: 5 * weight * dt });
+    const result = sampleContacts(
+      mockDispatcher(mockManifold(body, GROUND, resting()), mockManifold(body, WALL, [push])),
+      THREE, null, MIN_CONTACTS, GROUND_Y, params
+    );
+    assertClose(result.normalForce, weight);
+  });
+
+  it('reports the impact spike of a bounce', () => {
+    const params = new ContactParams({ solverTimestep: dt });
+    const bounce = cubeFootprint(0, 0).map(p => mockContact(p, { impulse: 10 * weight * dt / 4 }));
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, bounce)), THREE, null, MIN_CONTACTS, GROUND_Y, params);
+    assertClose(result.normalForce, 10 * weight);
+  });
+
+  it('flags frames without impulse data so callers can fall back', () => {
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, cubeFootprint(0, 0))), THREE, null, MIN_CONTACTS, GROUND_Y);
+    assert.equal(result.hasMeasuredForce, false);
+    assert.equal(result.normalForce, 0);
+  });
+
+  it('gives soft body node contacts no impulse', () => {
+    const softBody = mockSoftBody(cubeFootprint(0, 0).map(position => ({ position })));
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { physicsBody: softBody, isSoftBody: true });
+    const result = sampleContacts(mockDispatcher(), THREE, mesh, MIN_CONTACTS, GROUND_Y);
+    assert.equal(result.diagnostics.stages.acquire.nodeContacts, 4);
+    assert.equal(result.hasMeasuredForce, false);
+    for (const p of result.contactSamples) assert.equal(p.impulse, 0);
+  });
+});
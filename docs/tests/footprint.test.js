@@ -0,0 +1,191 @@
+// Footprint polygon tests (convex hull, alpha shape, moments, PiP masks)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  alphaShape2D,
+  buildFootprintMask,
+  clipPixels,
+  computeFootprint,
+  delaunay2D,
+  polygonMetrics
+} from '../js/bounding-box/footprint.js';
+import { assertAngleClose, assertClose, rectanglePoints } from './helpers.js';
+
+// Box at the origin on flat ground, e1 = +x, e2 = n × e1 = -z
+const FLAT_OBB = {
+  center: { x: 0, y: 0, z: 0 },
+  n: { x: 0, y: 1, z: 0 },
+  e1: { x: 1, y: 0, z: 0 },
+  e2: { x: 0, y: 0, z: -1 }
+};
+
+// Filled L: a 1 x 1 grid (0.1 spacing) without its upper-right quarter
+function lPoints() {
+  const pts = [];
+  for (let i = 0; i <= 10; i++) {
+    for (let j = 0; j <= 10; j++) {
+      if (i > 5 && j > 5) continue;
+      pts.push({ x: i / 10, z: j / 10 });
+    }
+  }
+  return pts;
+}
+
+function discPoints(radius, rings = 4, perRing = 24) {
+  const pts = [{ x: 0, y: 0, z: 0 }];
+  for (let r = 1; r <= rings; r++) {
+    for (let k = 0; k < perRing; k++) {
+      const a = 2 * Math.PI * k / perRing;
+      pts.push({ x: radius * r / rings * Math.cos(a), y: 0, z: radius * r / rings * Math.sin(a) });
+    }
+  }
+  return pts;
+}
+
+describe('polygonMetrics', () => {
+  it('matches the closed forms of a rectangle', () => {
+    const m = polygonMetrics([[{ x: -1, z: -0.5 }, { x: 1, z: -0.5 }, { x: 1, z: 0.5 }, { x: -1, z: 0.5 }]]);
+    assertClose(m.area, 2);
+    assertClose(m.perimeter, 6);
+    assertClose(m.centroid.x, 0);
+    assertClose(m.centroid.z, 0);
+    assertClose(m.mu20, 8 / 12);  // w³h / 12
+    assertClose(m.mu02, 2 / 12);  // wh³ / 12
+    assertClose(m.mu11, 0);
+    assertClose(m.theta, 0);
+    assertClose(m.elongation, 2);
+  });
+
+  it('finds the major axis of a rotated rectangle regardless of winding', () => {
+    const theta = 0.6;
+    const c = Math.cos(theta), s = Math.sin(theta);
+    const corners = [[-2, -0.5], [2, -0.5], [2, 0.5], [-2, 0.5]].map(([x, z]) => ({ x: 3 + c * x - s * z, z: 1 + s * x + c * z }));
+    for (const loop of [corners, [...corners].reverse()]) {
+      const m = polygonMetrics([loop]);
+      assertClose(m.area, 4);
+      assertClose(m.centroid.x, 3);
+      assertClose(m.centroid.z, 1);
+      assertAngleClose(m.theta, theta);
+    }
+  });
+
+  it('subtracts clockwise holes', () => {
+    const outer = [{ x: 0, z: 0 }, { x: 2, z: 0 }, { x: 2, z: 2 }, { x: 0, z: 2 }];
+    const hole = [{ x: 0.5, z: 0.5 }, { x: 0.5, z: 1.5 }, { x: 1.5, z: 1.5 }, { x: 1.5, z: 0.5 }];
+    const m = polygonMetrics([outer, hole]);
+    assertClose(m.area, 3);
+    assertClose(m.perimeter, 12);
+  });
+});
+
+describe('delaunay2D / alphaShape2D', () => {
+  it('triangulates a grid without overlaps', () => {
+    const pts = rectanglePoints(2, 1, 0, 0, 0, 5, 3).map(p => ({ x: p.x, z: p.z }));
+    const triangles = delaunay2D(pts);
+    const area = triangles.reduce((sum, t) => sum + polygonMetrics([t.v.map(i => pts[i])]).area, 0);
+    assert.equal(triangles.length, 2 * 4 * 2);
+    assertClose(area, 2);
+  });
+
+  it('follows the concave corner that the hull bridges', () => {
+    const loops = alphaShape2D(lPoints(), 0.2);
+    assert.equal(loops.length, 1);
+    const area = polygonMetrics(loops).area;
+    assert.ok(area > 0.74 && area < 0.8, `L area ${area}`);
+  });
+
+  it('keeps nothing when alpha is below the point spacing', () => {
+    assert.deepEqual(alphaShape2D(lPoints(), 0.01), []);
+  });
+});
+
+describe('computeFootprint', () => {
+  it('measures a round patch closer than its bounding square', () => {
+    const fp = computeFootprint(discPoints(0.1), FLAT_OBB, 'hull');
+    assert.equal(fp.used, 'hull');
+    assert.ok(fp.metrics.area < 0.2 * 0.2 * 0.8);
+    assertClose(fp.metrics.area, Math.PI * 0.01, 0.002);
+    assertClose(fp.metrics.perimeter, 2 * Math.PI * 0.1, 0.01);
+  });
+
+  it('uses the alpha shape for an L-shaped patch and falls back to the hull', () => {
+    const contacts = lPoints().map(p => ({ x: p.x, y: 0, z: -p.z }));
+    const hull = computeFootprint(contacts, FLAT_OBB, 'hull');
+    const alpha = computeFootprint(contacts, FLAT_OBB, 'alpha');
+    assertClose(hull.metrics.area, 0.875);
+    assert.equal(alpha.used, 'alpha');
+    assertClose(alpha.alpha, 0.2);
+    assert.ok(alpha.metrics.area < 0.8);
+
+    const tooSmall = computeFootprint(contacts, FLAT_OBB, 'alpha', { alpha: 0.01 });
+    assert.equal(tooSmall.used, 'hull');
+    assertClose(tooSmall.metrics.area, 0.875);
+  });
+
+  it('reports the major axis in world space', () => {
+    const contacts = rectanglePoints(0.4, 0.1, 0.5);
+    const fp = computeFootprint(contacts, FLAT_OBB, 'hull');
+    assertClose(Math.abs(fp.axis.x * Math.cos(0.5) + fp.axis.z * Math.sin(0.5)), 1, 1e-6);
+    assertClose(fp.metrics.area, 0.04);
+  });
+
+  it('takes the box k-DOP polygon when asked for kdop', () => {
+    const polygon = [{ x: -0.2, y: 0, z: 0 }, { x: 0.2, y: 0, z: 0 }, { x: 0, y: 0, z: -0.3 }];
+    const fp = computeFootprint(rectanglePoints(0.4, 0.3), { ...FLAT_OBB, polygon }, 'kdop');
+    assert.equal(fp.used, 'kdop');
+    assertClose(fp.metrics.area, 0.06);
+    assert.equal(computeFootprint(rectanglePoints(0.4, 0.3), FLAT_OBB, 'kdop'), null);
+  });
+
+  it('returns null for collinear or too few contacts', () => {
+    assert.equal(computeFootprint([{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }], FLAT_OBB, 'hull'), null);
+    assert.equal(computeFootprint([0, 1, 2, 3].map(i => ({ x: i, y: 0, z: 0 })), FLAT_OBB, 'alpha'), null);
+  });
+});
+
+describe('buildFootprintMask', () => {
+  // 1m x 1m top-down view centred on the origin, right = +x, up = -z
+  const view = {
+    origin: { x: 0, y: 1, z: 0 },
+    right: { x: 1, y: 0, z: 0 },
+    up: { x: 0, y: 0, z: -1 },
+    width: 1,
+    height: 1
+  };
+
+  it('covers the polygon area in pixels', () => {
+    const fp = computeFootprint(rectanglePoints(0.5, 0.25), FLAT_OBB, 'hull');
+    const mask = buildFootprintMask(fp, view, 64, 64);
+    const covered = mask.reduce((sum, v) => sum + v, 0);
+    assertClose(covered / (64 * 64), 0.125, 0.01);
+    // Centre pixel in, corner pixel out
+    assert.equal(mask[32 * 64 + 32], 1);
+    assert.equal(mask[0], 0);
+  });
+
+  it('places the polygon where the view sees it', () => {
+    // Patch at +x (right half) and -z (up = top rows, which come last in render-target order)
+    const contacts = rectanglePoints(0.2, 0.2, 0, 0.25, -0.25);
+    const fp = computeFootprint(contacts, { ...FLAT_OBB, center: { x: 0.25, y: 0, z: -0.25 } }, 'hull');
+    const mask = buildFootprintMask(fp, view, 40, 40);
+    assert.equal(mask[30 * 40 + 30], 1);
+    assert.equal(mask[10 * 40 + 30], 0);
+    assert.equal(mask[30 * 40 + 10], 0);
+  });
+
+  it('grows by the footprint margin', () => {
+    const fp = computeFootprint(rectanglePoints(0.5, 0.25), FLAT_OBB, 'hull', { margin: 0.05 });
+    const covered = buildFootprintMask(fp, view, 64, 64).reduce((sum, v) => sum + v, 0) / (64 * 64);
+    // (0.5 + 0.1)(0.25 + 0.1) minus the rounded corners
+    assertClose(covered, 0.6 * 0.35 - (4 - Math.PI) * 0.0025, 0.01);
+  });
+
+  it('clips RGBA pixels outside the mask', () => {
+    const pixels = new Uint8Array([255, 255, 255, 255, 255, 255, 255, 255]);
+    clipPixels(pixels, new Uint8Array([1, 0]));
+    assert.deepEqual([...pixels], [255, 255, 255, 255, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,54 @@
+// GPU PiP pass helpers (the passes themselves need WebGL2; verifyGPU() compares them with the CPU views in the app)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reductionLevels } from '../js/pip/gpu-passes.js';
+import { PiPManager } from '../js/pip/index.js';
+
+describe('reductionLevels', () => {
+  it('reduces the PiP views 4×4 at a time down to one texel', () => {
+    assert.deepEqual(reductionLevels(256, 256), [[64, 64], [16, 16], [4, 4], [1, 1]]);
+  });
+
+  it('rounds up sizes that are not powers of four', () => {
+    assert.deepEqual(reductionLevels(300, 200), [[75, 50], [19, 13], [5, 4], [2, 1], [1, 1]]);
+    assert.deepEqual(reductionLevels(1, 1), []);
+  });
+});
+
+describe('PiPManager.verifyGPU', () => {
+  it('resolves with null when no frame is rendered in time', async () => {
+    const manager = Object.create(PiPManager.prototype);
+    manager.pendingVerification = null;
+    assert.equal(await manager.verifyGPU(10), null);
+    assert.equal(manager.pendingVerification, null);
+  });
+
+  it('resolves with the result of the next frame, and a newer request replaces a pending one', async () => {
+    const manager = Object.create(PiPManager.prototype);
+    manager.pendingVerification = null;
+    const first = manager.verifyGPU(1000);
+    const second = manager.verifyGPU(1000);
+    manager.resolveVerification({ mismatchedPixels: 0 });
+    assert.equal(await first, null);
+    assert.deepEqual(await second, { mismatchedPixels: 0 });
+  });
+});
+
+describe('PiPManager.readGPUFlow', () => {
+  it('reads the flow pass once per GPU frame and nothing after a CPU frame', () => {
+    const manager = Object.create(PiPManager.prototype);
+    const flow = new Float32Array(4);
+    let reads = 0;
+    manager.gpuPasses = { readFlow: () => { reads++; return flow; } };
+    manager.gpuFrame = null;
+    assert.equal(manager.readGPUFlow(), null);
+
+    manager.gpuFrame = { views: null, flow: undefined, drawn: new Set() };
+    assert.equal(manager.readGPUFlow(), flow);
+    assert.equal(manager.readGPUFlow(), flow);
+    assert.equal(reads, 1);
+  });
+});
@@ -0,0 +1,141 @@
+// Ground surface tests (support planes and UV-space canvas mapping)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { GroundSurface, createGroundGeometry, groundHeight } from '../js/ground-surface.js';
+import { assertClose } from './helpers.js';
+
+const SIZE = 40;
+const CANVAS = 2048;
+
+/**
+ * Ground mesh laid out like GroundManager (rotated -π/2 about X)
+ */
+function groundMesh(shape) {
+  const mesh = new THREE.Mesh(createGroundGeometry(THREE, shape, SIZE, { segments: 20 }));
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.updateMatrixWorld(true);
+  return mesh;
+}
+
+/**
+ * Mapping used before UV-space accumulation (world XZ over the plane size)
+ */
+function planarCanvas(x, z) {
+  return { x: (x + SIZE / 2) / SIZE * CANVAS, y: (z + SIZE / 2) / SIZE * CANVAS };
+}
+
+describe('GroundSurface - flat ground', () => {
+  const point = { x: 3.2, y: 0.5, z: -7.4 };
+
+  it('falls back to the analytic plane without a target', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    const q = surface.query(point);
+    assert.equal(q.hit, false);
+    assertClose(q.point.y, 0);
+    assertClose(q.normal.y, 1);
+  });
+
+  it('maps the flat ground mesh exactly like the planar XZ mapping', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('flat'));
+    const mapper = surface.createCanvasMapper(point, CANVAS, CANVAS);
+    assert.equal(mapper.sample.hit, true);
+    assertClose(mapper.pixelsPerMeter, CANVAS / SIZE, 1e-4);  // Float32 vertex data
+
+    for (const [x, z] of [[3.2, -7.4], [3.7, -7.1], [-10, 15]]) {
+      const c = mapper.toCanvas(x, 0, z);
+      const expected = planarCanvas(x, z);
+      assertClose(c.x, expected.x, 1e-3);
+      assertClose(c.y, expected.y, 1e-3);
+    }
+  });
+
+  it('gives the y = 0 support plane', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('flat'));
+    const plane = surface.getSupportPlane(point);
+    assertClose(plane.normal.y, 1);
+    assertClose(plane.signedDistanceToPoint(new THREE.Vector3(0, 0.25, 0)), 0.25);
+  });
+});
+
+describe('GroundSurface - ramp and bowl', () => {
+  const slope = 12 * Math.PI / 180;
+
+  it('builds ramp and bowl heights', () => {
+    assertClose(groundHeight('ramp', 2, 5), -2 * Math.tan(slope));
+    assertClose(groundHeight('bowl', 4, 0, { bowlRadius: 20 }), 0.4);
+    assert.equal(groundHeight('flat', 4, 4), 0);
+  });
+
+  it('tilts the support plane with the ramp', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('ramp'));
+    const plane = surface.getSupportPlane({ x: 1, y: 3, z: 2 });
+    assertClose(plane.normal.x, Math.sin(slope));
+    assertClose(plane.normal.y, Math.cos(slope));
+    assertClose(plane.p0.y, -Math.tan(slope));
+  });
+
+  it('keeps UV-space steps proportional to XZ on the ramp (planar UVs)', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('ramp'));
+    const mapper = surface.createCanvasMapper({ x: 1, y: 3, z: 2 }, CANVAS, CANVAS);
+    const x = 1.5, z = 2.2;
+    const c = mapper.toCanvas(x, groundHeight('ramp', x, z), z);
+    const expected = planarCanvas(x, z);
+    assertClose(c.x, expected.x, 1e-3);
+    assertClose(c.y, expected.y, 1e-3);
+  });
+
+  it('follows the bowl wall', () => {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('bowl'));
+    const plane = surface.getSupportPlane({ x: 10, y: 5, z: 0 });
+    assert.ok(plane.normal.x < -0.3, 'normal leans towards the bowl center');
+    assertClose(plane.p0.y, groundHeight('bowl', 10, 0), 0.05);
+  });
+});
+
+describe('GroundSurface - per-frame query cache', () => {
+  /**
+   * Surface on the ramp counting the raycasts it runs
+   */
+  function countingSurface() {
+    const surface = new GroundSurface(THREE, SIZE);
+    surface.setTarget(groundMesh('ramp'));
+    const counter = { casts: 0 };
+    const intersect = surface.raycaster.intersectObject.bind(surface.raycaster);
+    surface.raycaster.intersectObject = (...args) => { counter.casts++; return intersect(...args); };
+    return { surface, counter };
+  }
+
+  it('raycasts once per point per frame for the support plane and canvas mappers', () => {
+    const { surface, counter } = countingSurface();
+    const point = { x: 1, y: 3, z: 2 };
+    const plane = surface.getSupportPlane(point);
+    const mapper = surface.createCanvasMapper(point, CANVAS, CANVAS);
+    surface.createCanvasMapper({ x: 1, y: 0.2, z: 2 }, 256, 256);
+    assert.equal(counter.casts, 1);
+    assertClose(plane.p0.y, mapper.sample.point.y);
+
+    surface.query({ x: 5, y: 3, z: 2 });
+    assert.equal(counter.casts, 2);
+  });
+
+  it('raycasts again after beginFrame() or a new target', () => {
+    const { surface, counter } = countingSurface();
+    const point = { x: 1, y: 3, z: 2 };
+    surface.query(point);
+    surface.beginFrame();
+    surface.query(point);
+    assert.equal(counter.casts, 2);
+
+    surface.setTarget(groundMesh('flat'));
+    assertClose(surface.query(point).point.y, 0);
+  });
+});
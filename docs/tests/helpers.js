@@ -0,0 +1,52 @@
+// Shared test helpers
+
+import assert from 'node:assert/strict';
+
+// Same values as CFG in main-clean-complete.js
+export const TEST_CFG = {
+  OBB_DEPTH: 2.5,
+  MIN_CONTACT_SIZE: 0.05
+};
+
+/**
+ * Assert |actual - expected| <= tolerance
+ */
+export function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message ? message + ': ' : ''}expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+/**
+ * Angle equality modulo a period (box orientations are symmetric under π/2 or π)
+ */
+export function assertAngleClose(actual, expected, period = Math.PI, tolerance = 1e-6, message = '') {
+  let d = (actual - expected) % period;
+  if (d < 0) d += period;
+  d = Math.min(d, period - d);
+  assert.ok(d <= tolerance, `${message ? message + ': ' : ''}expected ${expected} (mod ${period}), got ${actual}`);
+}
+
+/**
+ * Sorted [short, long] box dimensions (width/height assignment depends on theta)
+ */
+export function boxDims(box) {
+  return [box.width, box.height].sort((a, b) => a - b);
+}
+
+/**
+ * Points on an n×m grid covering a w×h rectangle, rotated by theta and centered at (cx, cz)
+ */
+export function rectanglePoints(w, h, theta = 0, cx = 0, cz = 0, n = 9, m = 5, y = 0) {
+  const c = Math.cos(theta), s = Math.sin(theta);
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      const u = -w / 2 + w * i / (n - 1);
+      const v = -h / 2 + h * j / (m - 1);
+      pts.push({ x: cx + c * u - s * v, y, z: cz + s * u + c * v });
+    }
+  }
+  return pts;
+}
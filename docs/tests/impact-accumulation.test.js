@@ -0,0 +1,123 @@
+// Impact wear layer tests (ImpactAccumulationManager)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { ImpactAccumulationManager, decodeImpactRaw } from '../js/managers/impact-accumulation-manager.js';
+import { GroundSurface } from '../js/ground-surface.js';
+import { assertClose } from './helpers.js';
+
+const PLANE_SIZE = 4;
+
+/**
+ * Manager with accumulators only (no canvas / overlay), 256 px over a 4 m plane
+ */
+function createManager() {
+  const manager = new ImpactAccumulationManager(null, { PLANE_SIZE }, THREE, 256);
+  manager.createAccumulators();
+  return manager;
+}
+
+const surface = new GroundSurface(THREE, PLANE_SIZE);
+
+const impactAt = (points, impulse = points.reduce((s, p) => s + p.impulse, 0)) => ({
+  points,
+  impulse,
+  point: points[0]
+});
+
+describe('ImpactAccumulationManager', () => {
+  it('records peak impulse, count and energy around the impact point', () => {
+    const manager = createManager();
+    manager.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 2 }]), 1, surface);
+
+    // World origin maps to the canvas center
+    const center = 128 * 256 + 128;
+    assert.ok(manager.peakImpulse[center] > 1.9 && manager.peakImpulse[center] <= 2);
+    assert.equal(manager.impactCount[center], 1);
+    assert.equal(manager.totalImpacts, 1);
+    assertClose(manager.maxPeakImpulse, manager.peakImpulse[center]);
+
+    // Disc energy adds up to J² / 2m
+    const energy = manager.impactEnergy.reduce((sum, e) => sum + e, 0);
+    assertClose(energy, 2, 1e-4);
+
+    // Far corner untouched
+    assert.equal(manager.impactCount[0], 0);
+    assert.ok(manager.dirty);
+  });
+
+  it('counts each pixel once per impact and keeps the peak across impacts', () => {
+    const manager = createManager();
+    // Two overlapping points in one impact
+    manager.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 1 }, { x: 0.05, y: 0, z: 0, impulse: 1 }]), 1, surface);
+    const center = 128 * 256 + 128;
+    assert.equal(manager.impactCount[center], 1);
+
+    manager.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 0.5 }]), 1, surface);
+    assert.equal(manager.impactCount[center], 2);
+    assert.ok(manager.peakImpulse[center] > 0.9, 'weaker second impact keeps the first peak');
+    assert.equal(manager.maxImpactCount, 2);
+  });
+
+  it('grows the splat with the impulse', () => {
+    const small = createManager();
+    const large = createManager();
+    const touchedSmall = small.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 1 }]), 1, surface);
+    const touchedLarge = large.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 10 }]), 1, surface);
+    assert.ok(touchedLarge > touchedSmall);
+  });
+
+  it('ignores impacts without impulse', () => {
+    const manager = createManager();
+    assert.equal(manager.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 0 }]), 1, surface), 0);
+    assert.equal(manager.totalImpacts, 0);
+  });
+
+  it('round-trips the raw export', () => {
+    const manager = createManager();
+    manager.accumulate(impactAt([{ x: 0.5, y: 0, z: -0.5, impulse: 3 }]), 2, surface);
+    const raw = decodeImpactRaw(manager.encodeRaw());
+
+    assert.equal(raw.header.width, 256);
+    assert.deepEqual(raw.header.channels, ['peak', 'count', 'energy']);
+    assert.equal(raw.header.totalImpacts, 1);
+    assert.deepEqual(Array.from(raw.peak), Array.from(manager.peakImpulse));
+    assert.deepEqual(Array.from(raw.count), Array.from(manager.impactCount));
+    assertClose(raw.energy.reduce((sum, e) => sum + e, 0), 9 / 4, 1e-4);
+  });
+
+  it('redraws the blend map into one canvas and texture', () => {
+    const created = [];
+    const previousDocument = globalThis.document;
+    globalThis.document = {
+      createElement: () => {
+        const canvas = {
+          getContext: () => ({
+            createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+            putImageData(imageData) { canvas.drawn = imageData; }
+          })
+        };
+        created.push(canvas);
+        return canvas;
+      }
+    };
+    try {
+      const manager = createManager();
+      const first = manager.generateBlendTexture(THREE);
+      const version = first.version;
+      manager.accumulate(impactAt([{ x: 0, y: 0, z: 0, impulse: 2 }]), 1, surface);
+      const second = manager.generateBlendTexture(THREE);
+
+      assert.equal(second, first);
+      assert.equal(created.length, 1);
+      assert.ok(second.version > version);
+      const center = (128 * 256 + 128) * 4;
+      assert.equal(created[0].drawn.data[center], 255);
+    } finally {
+      globalThis.document = previousDocument;
+    }
+  });
+});
@@ -0,0 +1,93 @@
+// Mesh slice augmentation tests (section of the body mesh just above the contact plane)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { sliceMeshWithPlane, sampleSlice, getMeshSliceOnPlane } from '../js/mesh-slice.js';
+import { sampleContacts, ContactParams, getMeshKDOP8OnPlane, getSyntheticContacts } from '../js/contacts.js';
+import { Plane } from '../js/math/plane.js';
+import { GROUND, mockManifold, mockDispatcher, mockRigidBody, mockMesh } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+const groundPlane = () => new Plane(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 0));
+
+describe('mesh slice - resting cube', () => {
+  const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 2, y: 0.5, z: -1 } });
+
+  it('cuts a closed square section', () => {
+    const slice = sliceMeshWithPlane(mesh, groundPlane(), THREE, 0.01);
+    assert.ok(slice);
+    const perimeter = slice.segments.reduce((sum, { a, b }) => sum + Math.hypot(b.u - a.u, b.v - a.v), 0);
+    assertClose(perimeter, 4);
+  });
+
+  it('keeps the corners and fills the interior', () => {
+    const points = getMeshSliceOnPlane(mesh, groundPlane(), THREE, { maxOutline: 12, maxInterior: 9 });
+    for (const p of points) {
+      assertClose(p.y, 0);
+      assert.ok(Math.abs(p.x - 2) <= 0.5 + 1e-9 && Math.abs(p.z + 1) <= 0.5 + 1e-9);
+    }
+    const corners = points.filter(p => Math.abs(Math.abs(p.x - 2) - 0.5) < 1e-6 && Math.abs(Math.abs(p.z + 1) - 0.5) < 1e-6);
+    assert.equal(corners.length, 4);
+    const interior = points.filter(p => Math.abs(p.x - 2) < 0.45 && Math.abs(p.z + 1) < 0.45);
+    assert.equal(interior.length, 9);
+  });
+
+  it('returns null when the body is clear of the slice', () => {
+    const lifted = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 0, y: 0.6, z: 0 } });
+    assert.equal(sliceMeshWithPlane(lifted, groundPlane(), THREE, 0.01), null);
+  });
+});
+
+describe('mesh slice - shapes KDOP-8 misrepresents', () => {
+  it('keeps a puck on its rim to the short contact strip', () => {
+    // Upright wheel (axis along Z) touching the ground at x = 0
+    const mesh = mockMesh(THREE, new THREE.CylinderGeometry(0.5, 0.5, 0.2, 64), {
+      position: { x: 0, y: 0.5, z: 0 },
+      rotation: { x: Math.PI / 2, y: 0, z: 0 }
+    });
+    const slice = getMeshSliceOnPlane(mesh, groundPlane(), THREE);
+    const spanX = Math.max(...slice.map(p => p.x)) - Math.min(...slice.map(p => p.x));
+    const kdop = getMeshKDOP8OnPlane(mesh, groundPlane(), THREE, 0.10);
+    const kdopSpanX = Math.max(...kdop.map(p => p.x)) - Math.min(...kdop.map(p => p.x));
+    assert.ok(spanX < 0.25, `slice span ${spanX}`);
+    assert.ok(kdopSpanX > 2 * spanX, `KDOP-8 span ${kdopSpanX}`);
+  });
+
+  it('leaves the hole of a flat-lying ring empty', () => {
+    const mesh = mockMesh(THREE, new THREE.TorusGeometry(0.5, 0.1, 16, 64), {
+      position: { x: 0, y: 0.1, z: 0 },
+      rotation: { x: Math.PI / 2, y: 0, z: 0 }
+    });
+    const slice = sliceMeshWithPlane(mesh, groundPlane(), THREE, 0.01);
+    const points = sampleSlice(slice.segments, { maxOutline: 32, maxInterior: 64 });
+    assert.ok(points.length > 32);
+    for (const p of points) {
+      const r = Math.hypot(p.u, p.v);
+      assert.ok(r > 0.35 && r < 0.65, `sample at r = ${r}`);
+    }
+  });
+});
+
+describe('sampleContacts - mesh slice augmentation', () => {
+  it('adds flagged synthetic section points for a sparse footprint', () => {
+    const body = mockRigidBody();
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(1, 1, 1), { position: { x: 0, y: 0.5, z: 0 }, physicsBody: body });
+    const footprint = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({ x: 0.5 * u, y: 0, z: 0.5 * v }));
+    const params = new ContactParams({ syntheticStrategy: 'meshSlice' });
+    const result = sampleContacts(mockDispatcher(mockManifold(body, GROUND, footprint)), THREE, mesh, 4, 0, params);
+
+    const synthetic = getSyntheticContacts(result.contactSamples);
+    assert.ok(synthetic.length > 4);
+    assert.equal(result.syntheticCount, synthetic.length);
+    assert.equal(result.realContactCount, 4);
+    assert.equal(result.diagnostics.augmentationUsed, 'meshSlice');
+    assert.equal(result.diagnostics.stages.augmentation.strategy, 'meshSlice');
+    for (const p of synthetic) {
+      assert.equal(p.impulse, 0);
+      assertClose(p.y, 0);
+    }
+  });
+});
@@ -0,0 +1,161 @@
+// Mock Ammo - test doubles for the Ammo.js objects the contact pipeline reads
+// Builds dispatcher / manifold / contact point / soft body stand-ins from plain { x, y, z } objects.
+// Backed by the trace replay stand-ins, so tests and trace replays exercise the same interface.
+
+import {
+  ReplayDispatcher,
+  ReplayManifold,
+  ReplayRigidBody,
+  ReplaySoftBody,
+  ReplayVector3,
+  ReplayAmmo
+} from '../js/trace/replay-ammo.js';
+
+const UP = { x: 0, y: 1, z: 0 };
+
+// Ammo namespace stand-in (computeBoundingBox only calls A.destroy)
+export const MockAmmo = ReplayAmmo;
+
+// Static bodies used as the other side of a manifold
+export const GROUND = { role: 'ground' };
+export const WALL = { role: 'wall' };
+
+/**
+ * Contact point in the recorded trace layout
+ * @param {Object} position - World position on both bodies
+ * @param {Object} options - { normal, distance, impulse }
+ */
+export function mockContact(position, { normal = UP, distance = 0, impulse = 0 } = {}) {
+  return [
+    position.x, position.y, position.z,
+    position.x, position.y, position.z,
+    normal.x, normal.y, normal.z,
+    distance,
+    impulse
+  ];
+}
+
+/**
+ * btPersistentManifold stand-in
+ * @param {Object} body0 - First body (dynamic body or GROUND / WALL)
+ * @param {Object} body1 - Second body
+ * @param {Array} contacts - Points built with mockContact() or plain { x, y, z }
+ */
+export function mockManifold(body0, body1, contacts) {
+  const points = contacts.map(c => (Array.isArray(c) ? c : mockContact(c)));
+  return new ReplayManifold(body0, body1, points);
+}
+
+/**
+ * btCollisionDispatcher stand-in
+ */
+export function mockDispatcher(...manifolds) {
+  return new ReplayDispatcher(manifolds);
+}
+
+/**
+ * btRigidBody stand-in with fixed velocities
+ */
+export function mockRigidBody(velocity = { x: 0, y: 0, z: 0 }, angularVelocity = { x: 0, y: 0, z: 0 }) {
+  return new ReplayRigidBody(
+    [velocity.x, velocity.y, velocity.z],
+    [angularVelocity.x, angularVelocity.y, angularVelocity.z]
+  );
+}
+
+/**
+ * btSoftBody stand-in
+ * @param {Array} nodes - [{ position, velocity, normal }]
+ */
+export function mockSoftBody(nodes) {
+  return new ReplaySoftBody(nodes.map(({ position, velocity = { x: 0, y: 0, z: 0 }, normal = UP }) => [
+    position.x, position.y, position.z,
+    velocity.x, velocity.y, velocity.z,
+    normal.x, normal.y, normal.z
+  ]));
+}
+
+/**
+ * btRigidBody stand-in built by the body factories; keeps the velocities BodyManager sets
+ * (material, damping, CCD and activation settings are accepted and ignored)
+ */
+export class MockAmmoRigidBody extends ReplayRigidBody {
+  constructor(info) {
+    super();
+    this.info = info;
+    this.transform = null;
+  }
+
+  setLinearVelocity(v) { this.velocity = [v.x(), v.y(), v.z()]; }
+  setAngularVelocity(v) { this.angularVelocity = [v.x(), v.y(), v.z()]; }
+  setWorldTransform(tr) { this.transform = tr; }
+  getMotionState() { return this.info.motionState; }
+  setFriction() {}
+  setRollingFriction() {}
+  setRestitution() {}
+  setDamping() {}
+  setCcdSweptSphereRadius() {}
+  setCcdMotionThreshold() {}
+  setActivationState() {}
+  clearForces() {}
+  activate() {}
+}
+
+class MockAmmoShape {
+  calculateLocalInertia() {}
+  setMargin() {}
+}
+
+class MockAmmoTransform {
+  setIdentity() { this.origin = new ReplayVector3(); }
+  setOrigin(v) { this.origin = v; }
+}
+
+/**
+ * Ammo namespace stand-in with what BodyManager and the rigid body factories (cube, puck, cone, ...) call
+ */
+export const MockAmmoFactory = {
+  ...ReplayAmmo,
+  btVector3: ReplayVector3,
+  btTransform: MockAmmoTransform,
+  btBoxShape: MockAmmoShape,
+  btConvexTriangleMeshShape: MockAmmoShape,
+  btTriangleMesh: class { addTriangle() {} },
+  btDefaultMotionState: class {
+    constructor(tr) { this.transform = tr; }
+    setWorldTransform(tr) { this.transform = tr; }
+  },
+  btRigidBodyConstructionInfo: class {
+    constructor(mass, motionState, shape, inertia) {
+      Object.assign(this, { mass, motionState, shape, inertia });
+    }
+  },
+  btRigidBody: MockAmmoRigidBody
+};
+
+/**
+ * btDiscreteDynamicsWorld stand-in (body list only)
+ */
+export function mockPhysicsWorld() {
+  return {
+    bodies: [],
+    addRigidBody(body) { this.bodies.push(body); },
+    removeRigidBody(body) { this.bodies = this.bodies.filter(b => b !== body); }
+  };
+}
+
+/**
+ * Body mesh as sampleContacts expects it (posed matrixWorld + physicsBody in userData)
+ * @param {Object} THREE - Three.js namespace
+ * @param {THREE.BufferGeometry} geometry - Body geometry
+ * @param {Object} options - { position, rotation (Euler radians), physicsBody, isSoftBody }
+ */
+export function mockMesh(THREE, geometry, { position = { x: 0, y: 0, z: 0 }, rotation = { x: 0, y: 0, z: 0 }, physicsBody = null, isSoftBody = false } = {}) {
+  const mesh = new THREE.Mesh(geometry);
+  mesh.position.set(position.x, position.y, position.z);
+  mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+  mesh.updateMatrixWorld(true);
+  mesh.userData.physicsBody = physicsBody;
+  mesh.userData.isSoftBody = isSoftBody;
+  return mesh;
+}
@@ -0,0 +1,122 @@
+// Depth penetration map tests (RGBA depth unpacking, ground reference, contact and load shares)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clipPenetrationMap, computePenetrationMap, unpackDepthPixels } from '../js/pip/penetration.js';
+import { assertClose } from './helpers.js';
+
+const N = 32;
+const VIEW = { W: N, H: N, width: 1, height: 1, topDistance: 1.25, bottomDistance: 1.25 };
+
+/**
+ * packDepthToRGBA() from three's packing.glsl, rounded to bytes
+ */
+function packDepth(v) {
+  const fract = (x) => x - Math.floor(x);
+  const r = [fract(v * 16777216), fract(v * 65536), fract(v * 256), v];
+  for (let k = 3; k > 0; k--) r[k] -= r[k - 1] / 256;
+  return r.map(c => Math.round(c * 256 / 255 * 255));
+}
+
+/**
+ * Top / bottom depth of a scene over the VIEW grid: ground(u, v) height, and a body over the centre square
+ * whose underside is at underside(u, v) and top 0.1 m above the ground (null = no body)
+ */
+function scene(ground, underside, bodyHalf = 0.25) {
+  const top = new Float32Array(N * N);
+  const bottom = new Float32Array(N * N).fill(NaN);
+  for (let y = 0; y < N; y++) {
+    for (let x = 0; x < N; x++) {
+      const u = x / N - 0.5, v = y / N - 0.5;
+      const i = y * N + x;
+      const onBody = underside && u >= -bodyHalf && u < bodyHalf && v >= -bodyHalf && v < bodyHalf;
+      top[i] = VIEW.topDistance - (onBody ? ground(u, v) + 0.1 : ground(u, v));
+      if (onBody) bottom[i] = VIEW.bottomDistance + underside(u, v);
+    }
+  }
+  return { top, bottom };
+}
+
+describe('unpackDepthPixels', () => {
+  it('recovers linear orthographic depth and leaves the cleared background empty', () => {
+    const values = [0, 0.1234567, 0.5, 0.987654];
+    const pixels = new Uint8Array([...values.flatMap(packDepth), 255, 255, 255, 255]);
+    const depth = unpackDepthPixels(pixels, 0.01, 2.5);
+    values.forEach((v, i) => assertClose(depth[i], 0.01 + v * 2.49, 1e-5));
+    assert.ok(Number.isNaN(depth[4]));
+  });
+});
+
+describe('computePenetrationMap', () => {
+  it('measures a tilted underside against flat ground', () => {
+    // Underside dips 2 mm into the ground at u = -0.25 and rises 1 cm per 10 cm
+    const { top, bottom } = scene(() => 0, (u) => 0.1 * (u + 0.25) - 0.002);
+    const map = computePenetrationMap(top, bottom, VIEW, { tolerance: 0.005 });
+
+    assertClose(map.ground.h0, 0, 1e-6);
+    assertClose(map.maxPenetration, 0.002, 1e-6);
+    assertClose(map.minGap, -0.002, 1e-6);
+
+    // Gap below 5 mm: the first 0.07 m of the body's 0.5 m, i.e. 3 of 16 columns
+    const i = (x, y) => y * N + x;
+    assert.equal(map.contact[i(8, 16)], 1);
+    assert.equal(map.contact[i(10, 16)], 1);
+    assert.equal(map.contact[i(11, 16)], 0);
+    assert.equal(map.contactPixels, 3 * 16);
+    assert.ok(Number.isNaN(map.gap[i(0, 0)]));
+
+    // Deeper pixels carry more load; shares average 1 over the contact
+    assert.ok(map.weight[i(8, 16)] > map.weight[i(10, 16)]);
+    const total = map.weight.reduce((sum, w) => sum + w, 0);
+    assertClose(total, map.contactPixels, 1e-3);
+  });
+
+  it('follows a sloped ground fitted from the top view', () => {
+    const slope = (u, v) => 0.05 + 0.2 * u - 0.1 * v;
+    const { top, bottom } = scene(slope, slope);
+    const map = computePenetrationMap(top, bottom, VIEW);
+
+    assertClose(map.ground.h0, 0.05, 1e-5);
+    assertClose(map.ground.du, 0.2, 1e-5);
+    assertClose(map.ground.dv, -0.1, 1e-5);
+    // Resting flush: every body pixel in contact with an even share
+    assert.equal(map.contactPixels, 16 * 16);
+    assertClose(map.maxPenetration, 0, 1e-5);
+    assertClose(map.weight[16 * N + 16], 1, 1e-4);
+  });
+
+  it('uses the box mid-plane when the body hides the ground', () => {
+    const { top, bottom } = scene(() => 0, () => -0.001, 1);
+    const map = computePenetrationMap(top, bottom, VIEW);
+    assert.equal(map.ground.pixels, 0);
+    assert.equal(map.ground.h0, 0);
+    assert.equal(map.contactPixels, N * N);
+    assertClose(map.maxPenetration, 0.001, 1e-6);
+  });
+
+  it('has no contact when the body is clear of the ground', () => {
+    const { top, bottom } = scene(() => 0, () => 0.02);
+    const map = computePenetrationMap(top, bottom, VIEW);
+    assert.equal(map.contactPixels, 0);
+    assert.equal(map.maxPenetration, 0);
+    assertClose(map.minGap, 0.02, 1e-6);
+  });
+});
+
+describe('clipPenetrationMap', () => {
+  it('drops contact outside the mask and renormalises the load shares', () => {
+    const { top, bottom } = scene(() => 0, (u) => 0.1 * (u + 0.25) - 0.002);
+    const map = computePenetrationMap(top, bottom, VIEW);
+    // Keep the lower half of the rows only
+    const mask = new Uint8Array(N * N);
+    mask.fill(1, 0, (N / 2) * N);
+
+    clipPenetrationMap(map, mask);
+    assert.equal(map.contactPixels, 3 * 8);
+    assert.equal(map.contact[20 * N + 8], 0);
+    assert.equal(map.weight[20 * N + 8], 0);
+    assertClose(map.weight.reduce((sum, w) => sum + w, 0), map.contactPixels, 1e-3);
+  });
+});
@@ -0,0 +1,293 @@
+// PiP view registry tests (adopting / creating view elements, order, size, resolution, enable, scale bars, lazy frame
+// inputs)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PiPViewRegistry, createFrameResolver } from '../js/pip/registry.js';
+import { PiPManager } from '../js/pip/index.js';
+
+const CFG = { PIP_W: 64, PIP_H: 32 };
+
+// Just enough DOM for the registry: elements with children, ids, style, hidden and a 2D context stub
+class FakeElement {
+  constructor(doc, tagName) {
+    this.ownerDocument = doc;
+    this.tagName = tagName;
+    this.children = [];
+    this.parent = null;
+    this.style = {};
+    this.hidden = false;
+    this.id = '';
+    this.className = '';
+    this.textContent = '';
+    this.context = { cleared: 0, clearRect() { this.cleared++; } };
+  }
+
+  appendChild(child) {
+    if (child.parent) child.remove();
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    this.parent.children = this.parent.children.filter(child => child !== this);
+    this.parent = null;
+  }
+
+  querySelector(tagName) {
+    for (const child of this.children) {
+      if (child.tagName === tagName) return child;
+      const found = child.querySelector(tagName);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  getContext() {
+    return this.context;
+  }
+}
+
+function createContainer(existingIds = []) {
+  const doc = {
+    createElement: (tagName) => new FakeElement(doc, tagName),
+    getElementById: (id) => {
+      const find = (el) => el.id === id ? el : el.children.map(find).find(Boolean) ?? null;
+      return find(container);
+    }
+  };
+  const container = new FakeElement(doc, 'div');
+  for (const id of existingIds) {
+    const el = container.appendChild(doc.createElement('div'));
+    el.id = id;
+    el.appendChild(doc.createElement('canvas')).id = `${id}Canvas`;
+  }
+  return container;
+}
+
+const ids = (container) => container.children.map(child => child.id);
+
+describe('PiPViewRegistry', () => {
+  it('adopts existing view elements and creates a labelled canvas for new views', () => {
+    const container = createContainer(['pip1']);
+    const registry = new PiPViewRegistry(container, CFG);
+    const builtin = registry.register('pip1', { render() {} }, { source: true });
+    const custom = registry.register('shear', { render() {} }, { label: 'Shear', inputs: ['pixels', 'velocity'] });
+
+    assert.equal(builtin.created, false);
+    assert.equal(builtin.source, true);
+    assert.equal(custom.created, true);
+    assert.deepEqual(ids(container), ['pip1', 'shear']);
+    const canvas = custom.element.querySelector('canvas');
+    assert.equal(canvas.id, 'shearCanvas');
+    assert.equal(canvas.width, 64);
+    assert.equal(canvas.height, 32);
+    assert.equal(custom.element.children[0].textContent, 'Shear');
+    assert.equal(custom.canvasCtx, canvas.context);
+  });
+
+  it('rejects duplicate ids and unknown inputs', () => {
+    const registry = new PiPViewRegistry(createContainer(), CFG);
+    registry.register('a', { render() {} });
+    assert.throws(() => registry.register('a', { render() {} }), /already registered/);
+    assert.throws(() => registry.register('b', { render() {} }, { inputs: ['temperature'] }), /Unknown PiP view input/);
+    assert.throws(() => registry.setEnabled('missing', false), /Unknown PiP view/);
+  });
+
+  it('reorders entries and their elements', () => {
+    const container = createContainer();
+    const registry = new PiPViewRegistry(container, CFG);
+    for (const id of ['a', 'b', 'c', 'd']) registry.register(id, { render() {} });
+
+    registry.move('d', 0);
+    assert.deepEqual(registry.list().map(e => e.id), ['d', 'a', 'b', 'c']);
+    registry.move('a', 99);
+    assert.deepEqual(registry.list().map(e => e.id), ['d', 'b', 'c', 'a']);
+    registry.setOrder(['c', 'b']);
+    assert.deepEqual(registry.list().map(e => e.id), ['c', 'b', 'd', 'a']);
+    assert.deepEqual(ids(container), ['c', 'b', 'd', 'a']);
+  });
+
+  it('enables, resizes and removes views and reports every change', () => {
+    const container = createContainer();
+    const registry = new PiPViewRegistry(container, CFG);
+    let changes = 0;
+    const off = registry.onChange(() => changes++);
+    let cleared = 0;
+    const entry = registry.register('a', { render() {}, clear: () => cleared++ }, { enabled: false, size: 200 });
+
+    assert.equal(entry.element.hidden, true);
+    assert.equal(registry.isEnabled('a'), false);
+    assert.equal(cleared, 1);
+    assert.equal(entry.element.style.width, '200px');
+
+    registry.setEnabled('a', true);
+    assert.equal(entry.element.hidden, false);
+    registry.setSize('a', null);
+    assert.equal(entry.element.style.width, '');
+    assert.equal(entry.element.style.aspectRatio, '64 / 32');
+
+    registry.unregister('a');
+    assert.equal(registry.get('a'), null);
+    assert.deepEqual(ids(container), []);
+    assert.ok(changes >= 4);
+
+    off();
+    registry.register('b', { render() {} });
+    const before = changes;
+    registry.setSize('b', 100);
+    assert.equal(changes, before);
+  });
+
+  it('resizes every canvas to the PiP grid and keeps its aspect', () => {
+    const cfg = { ...CFG };
+    const registry = new PiPViewRegistry(createContainer(['pip1']), cfg);
+    const builtin = registry.register('pip1', { render() {} });
+    const custom = registry.register('a', { render() {} });
+
+    cfg.PIP_W = 512;
+    cfg.PIP_H = 256;
+    registry.setResolution();
+    for (const entry of [builtin, custom]) {
+      assert.equal(entry.canvas.width, 512);
+      assert.equal(entry.canvas.height, 256);
+      assert.equal(entry.element.style.aspectRatio, '512 / 256');
+    }
+  });
+
+  it('gives a view its own resolution, which the PiP grid no longer resizes', () => {
+    const cfg = { ...CFG };
+    const registry = new PiPViewRegistry(createContainer(), cfg);
+    const grid = registry.register('a', { render() {} });
+    const own = registry.register('b', { render() {} }, { resolution: { W: 128, H: 128 } });
+    let changes = 0;
+    registry.onChange(() => changes++);
+
+    assert.deepEqual([own.canvas.width, own.canvas.height], [128, 128]);
+    assert.equal(own.element.style.aspectRatio, '128 / 128');
+    assert.deepEqual(registry.resolutionOf(grid), { W: 64, H: 32 });
+
+    cfg.PIP_W = 512;
+    cfg.PIP_H = 256;
+    registry.setResolution();
+    assert.deepEqual([grid.canvas.width, grid.canvas.height], [512, 256]);
+    assert.deepEqual([own.canvas.width, own.canvas.height], [128, 128]);
+
+    registry.setViewResolution('a', { W: 1024, H: 512 });
+    assert.deepEqual([grid.canvas.width, grid.canvas.height], [1024, 512]);
+    assert.equal(grid.element.style.aspectRatio, '1024 / 512');
+    registry.setViewResolution('b', null);
+    assert.deepEqual(registry.resolutionOf(own), { W: 512, H: 256 });
+    assert.equal(own.canvas.width, 512);
+    assert.equal(changes, 3);
+
+    assert.throws(() => registry.setViewResolution('a', { W: 0, H: 64 }), /Invalid PiP view resolution/);
+  });
+
+  it('flags non-square pixels per view resolution', () => {
+    const registry = new PiPViewRegistry(createContainer(), CFG);
+    const grid = registry.register('a', { render() {} });
+    const own = registry.register('b', { render() {} }, { resolution: { W: 64, H: 64 } });
+
+    // 0.64 m × 0.32 m: square on the 64 × 32 grid, 2:1 pixels at 64 × 64
+    registry.setScale(0.64, 0.32);
+    assert.equal(grid.scaleLabel.textContent, '10 cm');
+    assert.equal(own.scaleLabel.textContent, '10 cm (horizontal)');
+    assert.equal(own.scaleBar.style.width, grid.scaleBar.style.width);
+
+    registry.setViewResolution('b', { W: 128, H: 64 });
+    assert.equal(own.scaleLabel.textContent, '10 cm');
+  });
+
+  it('draws the scale bar on every view, flagging non-square pixels', () => {
+    const registry = new PiPViewRegistry(createContainer(), CFG);
+    const first = registry.register('a', { render() {} });
+
+    // 0.64 m over 64 px wide, 0.32 m over 32 px high: 1 cm square pixels
+    registry.setScale(0.64, 0.32);
+    assert.equal(first.scaleLabel.textContent, '10 cm');
+    assert.equal(first.scaleBar.style.width, '15.63%');
+    assert.equal(first.scale.hidden, false);
+
+    const later = registry.register('b', { render() {} });
+    assert.equal(later.scaleLabel.textContent, '10 cm');
+
+    registry.setScale(0.64, 0.64);
+    assert.equal(first.scaleLabel.textContent, '10 cm (horizontal)');
+    registry.setScale(0, 0);
+    assert.equal(later.scale.hidden, true);
+  });
+
+  it('clears views without a clear() through their canvas', () => {
+    const registry = new PiPViewRegistry(createContainer(), CFG);
+    const entry = registry.register('a', { render() {} });
+    registry.setEnabled('a', false);
+    assert.equal(entry.canvasCtx.cleared, 1);
+  });
+});
+
+describe('createFrameResolver', () => {
+  it('resolves only the declared inputs, once per frame', () => {
+    const calls = { pixels: 0, pressure: 0 };
+    const resolve = createFrameResolver({ W: 4, H: 4 }, {
+      pixels: () => { calls.pixels++; return { pixels1: 'top', pixels2: 'bottom' }; },
+      pressure: () => { calls.pressure++; return { pressureField: 'field' }; },
+      velocity: () => ({ velocity: { x: 1, y: 0, z: 0 } })
+    });
+
+    assert.deepEqual(resolve(['velocity']), { W: 4, H: 4, velocity: { x: 1, y: 0, z: 0 } });
+    assert.equal(calls.pixels, 0);
+    const frame = resolve(['pixels', 'pressure']);
+    assert.equal(frame.pixels2, 'bottom');
+    assert.equal(frame.pressureField, 'field');
+    assert.equal(frame.velocity, undefined);
+    resolve(['pixels']);
+    assert.deepEqual(calls, { pixels: 1, pressure: 1 });
+  });
+});
+
+describe('PiPManager.setViewResolution', () => {
+  // Registry and render targets only: no renderer, cameras or GPU passes
+  function createManager() {
+    const manager = Object.create(PiPManager.prototype);
+    manager.CFG = { ...CFG };
+    manager.views = new PiPViewRegistry(createContainer(['pip1']), manager.CFG);
+    manager.gridTargets = new Map();
+    manager.views.onChange(() => manager.pruneGridTargets());
+    const target = (width, height) => ({ width, height, disposed: false, dispose() { this.disposed = true; }, setSize() {} });
+    manager.pipRenderer = { createRenderTarget: target };
+    manager.pip1 = { renderTarget: target() };
+    manager.pip2 = { renderTarget: target() };
+    manager.gpuPasses = null;
+    manager.views.register('pip1', { render() {} }, { source: true });
+    manager.views.register('a', { render() {} });
+    return manager;
+  }
+
+  it('sets a derived view alone and disposes the render targets no view uses', () => {
+    const manager = createManager();
+    manager.setViewResolution('a', { W: 128, H: 128 });
+    assert.deepEqual(manager.views.resolutionOf(manager.views.get('a')), { W: 128, H: 128 });
+    assert.deepEqual([manager.CFG.PIP_W, manager.CFG.PIP_H], [64, 32]);
+
+    const targets = manager.gridTargetsFor({ W: 128, H: 128 });
+    assert.equal(manager.gridTargetsFor({ W: 128, H: 128 }), targets);
+    assert.equal(targets.top.width, 128);
+
+    manager.setViewResolution('a', null);
+    assert.equal(targets.top.disposed, true);
+    assert.equal(targets.bottom.disposed, true);
+    assert.equal(manager.gridTargets.size, 0);
+  });
+
+  it('sets the PiP grid through a source view', () => {
+    const manager = createManager();
+    manager.setViewResolution('pip1', { W: 512, H: 256 });
+    assert.deepEqual([manager.CFG.PIP_W, manager.CFG.PIP_H], [512, 256]);
+    assert.equal(manager.views.get('pip1').resolution, null);
+    assert.equal(manager.views.get('a').canvas.width, 512);
+  });
+});
@@ -0,0 +1,108 @@
+// Contact plane tests (plane fitting and ContactPlaneEstimator)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { fitPlaneLeastSquares, fitPlaneRANSAC, getContactFrame } from '../js/math/plane-fit.js';
+import { ContactPlaneEstimator } from '../js/contact-plane.js';
+import { Plane } from '../js/math/plane.js';
+import { assertClose, rectanglePoints } from './helpers.js';
+
+// Points on a plane through the origin tilted by `angle` about the Z axis
+function slopedPoints(angle, w = 1, h = 1) {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  return rectanglePoints(w, h).map(p => ({ x: p.x * c, y: p.x * s, z: p.z }));
+}
+
+describe('fitPlaneLeastSquares', () => {
+  it('recovers a sloped plane', () => {
+    const angle = Math.PI / 9;
+    const fit = fitPlaneLeastSquares(slopedPoints(angle), THREE);
+    const n = fit.plane.normal;
+    assertClose(Math.abs(n.x), Math.sin(angle));
+    assertClose(Math.abs(n.y), Math.cos(angle));
+    assertClose(fit.rms, 0);
+  });
+
+  it('returns null for collinear points', () => {
+    const pts = [0, 1, 2, 3].map(i => ({ x: i, y: 0, z: 0 }));
+    assert.equal(fitPlaneLeastSquares(pts, THREE), null);
+    assert.equal(fitPlaneLeastSquares(pts.slice(0, 2), THREE), null);
+  });
+});
+
+describe('fitPlaneRANSAC', () => {
+  it('rejects a stray contact and refines over the inliers', () => {
+    const pts = slopedPoints(Math.PI / 9);
+    pts.push({ x: 0, y: 0.3, z: 0 });
+    const fit = fitPlaneRANSAC(pts, THREE);
+    assert.equal(fit.outliers, 1);
+    assert.equal(fit.inliers, pts.length - 1);
+    assertClose(fit.rms, 0);
+  });
+
+  it('is deterministic for a fixed seed', () => {
+    const pts = slopedPoints(0.2).map((p, i) => ({ ...p, y: p.y + (i % 3) * 0.002 }));
+    const a = fitPlaneRANSAC(pts, THREE, { seed: 7 });
+    const b = fitPlaneRANSAC(pts, THREE, { seed: 7 });
+    assert.deepEqual(a.plane.normal.toArray(), b.plane.normal.toArray());
+  });
+});
+
+describe('getContactFrame', () => {
+  it('maps a horizontal plane to world x / z', () => {
+    const frame = getContactFrame(new Plane(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0.15, 0)));
+    assertClose(frame.tangent.x, 1);
+    assertClose(frame.bitangent.z, 1);
+  });
+
+  it('builds an orthonormal frame for a wall', () => {
+    const frame = getContactFrame(new Plane(new THREE.Vector3(1, 0, 0), new THREE.Vector3()));
+    assertClose(frame.tangent.dot(frame.normal), 0);
+    assertClose(frame.bitangent.dot(frame.normal), 0);
+    assertClose(frame.tangent.dot(frame.bitangent), 0);
+  });
+});
+
+describe('ContactPlaneEstimator', () => {
+  it('reports no plane without contacts', () => {
+    const est = new ContactPlaneEstimator(THREE);
+    const r = est.update([], null, 0);
+    assert.equal(r.plane, null);
+    assert.equal(r.reason, 'no_contacts');
+  });
+
+  it('falls back to the static plane for sparse or synthetic-only contacts', () => {
+    const est = new ContactPlaneEstimator(THREE);
+    const pts = slopedPoints(0.5).slice(0, 3);
+    const sparse = est.update(pts, null, 0);
+    assert.equal(sparse.fitted, false);
+    assert.equal(sparse.reason, 'sparse');
+    assertClose(sparse.plane.normal.y, 1);
+
+    est.reset();
+    const synthetic = est.update(slopedPoints(0.5).map(p => ({ ...p, isSynthetic: true })), null, 0);
+    assert.equal(synthetic.reason, 'sparse');
+  });
+
+  it('orients the fitted normal towards the reference normal', () => {
+    const est = new ContactPlaneEstimator(THREE);
+    const angle = Math.PI / 9;
+    const r = est.update(slopedPoints(angle), { x: 0, y: -1, z: 0 }, 0);
+    assert.equal(r.fitted, true);
+    assert.ok(r.plane.normal.y < 0);
+    assertClose(r.tiltDeg, 20, 1e-6);
+  });
+
+  it('smooths the normal over time and snaps after a gap', () => {
+    const est = new ContactPlaneEstimator(THREE, { tau: 0.1, maxGap: 0.5 });
+    est.update(rectanglePoints(1, 1), null, 0);
+    const tilted = est.update(slopedPoints(Math.PI / 9), null, 0.01);
+    assert.ok(tilted.tiltDeg > 0 && tilted.tiltDeg < 20);
+
+    const snapped = est.update(slopedPoints(Math.PI / 9), null, 1.0);
+    assertClose(snapped.tiltDeg, 20, 1e-6);
+  });
+});
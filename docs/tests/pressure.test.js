@@ -0,0 +1,88 @@
+// Contact pressure model tests (uniform, Winkler, Hertz; all integrate to the normal force)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildContactMask, computePressureField } from '../js/pip/pressure.js';
+import { assertClose } from './helpers.js';
+
+const N = 64;
+const VIEW = { W: N, H: N, width: 0.4, height: 0.4 };
+const PIXEL_AREA = (0.4 * 0.4) / (N * N);
+
+// Contact pixels inside a disc of the given radius (m) around the view centre
+function discContact(radius) {
+  const contact = new Uint8Array(N * N);
+  for (let y = 0; y < N; y++) {
+    for (let x = 0; x < N; x++) {
+      const u = (x / N - 0.5) * VIEW.width, v = (y / N - 0.5) * VIEW.height;
+      if (u * u + v * v <= radius * radius) contact[y * N + x] = 1;
+    }
+  }
+  return contact;
+}
+
+const totalForce = (field) => field.pressure.reduce((sum, p) => sum + p, 0) * field.pixelArea;
+
+describe('buildContactMask', () => {
+  it('keeps pixels seen by both views inside the footprint mask', () => {
+    const pixels1 = new Uint8Array([255, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 9, 9, 9, 0]);
+    const pixels2 = new Uint8Array([0, 0, 0, 255, 0, 0, 0, 255, 50, 0, 0, 0, 0, 0, 0, 255]);
+    assert.deepEqual([...buildContactMask(pixels1, pixels2)], [1, 1, 0, 0]);
+    assert.deepEqual([...buildContactMask(pixels1, pixels2, new Uint8Array([0, 1, 1, 1]))], [0, 1, 0, 0]);
+  });
+});
+
+describe('computePressureField', () => {
+  it('uniform spreads F / A over the contact', () => {
+    const contact = discContact(0.1);
+    const field = computePressureField(contact, 50, VIEW, { model: 'uniform' });
+    assert.equal(field.used, 'uniform');
+    assertClose(field.pixelArea, PIXEL_AREA);
+    assertClose(totalForce(field), 50, 1e-3);
+    assertClose(field.peakPressure, field.meanPressure, 1e-3);
+    assertClose(field.contactArea, Math.PI * 0.01, 0.001);
+    assert.equal(field.pressure[0], 0);
+  });
+
+  it('hertz peaks at 1.5 × the mean in the middle and vanishes at the edge', () => {
+    const contact = discContact(0.1);
+    const field = computePressureField(contact, 50, VIEW, { model: 'hertz' });
+    assertClose(totalForce(field), 50, 1e-3);
+    assertClose(field.peakPressure / field.meanPressure, 1.5, 0.05);
+    const centre = field.pressure[(N / 2) * N + N / 2];
+    const edge = field.pressure[(N / 2) * N + N / 2 + 15];
+    assert.ok(centre > 2 * edge, `centre ${centre} edge ${edge}`);
+  });
+
+  it('hertz keeps the load of a single pixel', () => {
+    const contact = new Uint8Array(N * N);
+    contact[100] = 1;
+    const field = computePressureField(contact, 10, VIEW, { model: 'hertz' });
+    assertClose(field.pressure[100] * PIXEL_AREA, 10, 1e-6);
+  });
+
+  it('winkler follows the penetration load shares and falls back to uniform without them', () => {
+    const contact = new Uint8Array([1, 1, 0, 0]);
+    const view = { W: 2, H: 2, width: 0.2, height: 0.2 };
+    const penetration = { contact, weight: new Float32Array([1.5, 0.5, 0, 0]) };
+    const field = computePressureField(contact, 4, view, { model: 'winkler', penetration });
+    assert.equal(field.used, 'winkler');
+    assertClose(field.pressure[0], 3 * field.pressure[1]);
+    assertClose(totalForce(field), 4, 1e-6);
+
+    const fallback = computePressureField(contact, 4, view, { model: 'winkler' });
+    assert.equal(fallback.used, 'uniform');
+    assertClose(fallback.pressure[0], fallback.pressure[1]);
+  });
+
+  it('has no pressure without load or contact', () => {
+    const contact = discContact(0.1);
+    assert.equal(computePressureField(contact, null, VIEW).peakPressure, 0);
+    assert.equal(computePressureField(contact, -5, VIEW).peakPressure, 0);
+    const empty = computePressureField(new Uint8Array(N * N), 50, VIEW, { model: 'hertz' });
+    assert.equal(empty.contactPixels, 0);
+    assert.equal(empty.meanPressure, 0);
+  });
+});
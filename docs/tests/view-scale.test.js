@@ -0,0 +1,53 @@
+// PiP view extent and scale bar tests (stretch, aspect-preserving and fixed mm per pixel)
+// Run: node --test docs/tests/
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeViewExtent, scaleBarLength, formatLength } from '../js/pip/view-scale.js';
+import { assertClose } from './helpers.js';
+
+describe('computeViewExtent', () => {
+  it('stretch keeps the padded box', () => {
+    assert.deepEqual(computeViewExtent(0.4, 0.1, 256, 256), { width: 0.4, height: 0.1 });
+  });
+
+  it('aspect grows the short side so pixels are square', () => {
+    const square = computeViewExtent(0.4, 0.1, 256, 256, { mode: 'aspect' });
+    assertClose(square.width, 0.4);
+    assertClose(square.height, 0.4);
+
+    const wide = computeViewExtent(0.4, 0.3, 512, 256, { mode: 'aspect' });
+    assertClose(wide.width, 0.6);
+    assertClose(wide.height, 0.3);
+    assertClose(wide.width / 512, wide.height / 256);
+  });
+
+  it('fixed is mmPerPixel whatever the box', () => {
+    const small = computeViewExtent(0.05, 0.05, 256, 128, { mode: 'fixed', mmPerPixel: 1.5 });
+    const large = computeViewExtent(2, 1, 256, 128, { mode: 'fixed', mmPerPixel: 1.5 });
+    assert.deepEqual(small, large);
+    assertClose(small.width, 0.384);
+    assertClose(small.height, 0.192);
+    assertClose(computeViewExtent(1, 1, 100, 100, { mode: 'fixed' }).width, 0.2);
+  });
+});
+
+describe('scale bar', () => {
+  it('picks the longest 1 / 2 / 5 step within the fraction of the view', () => {
+    assertClose(scaleBarLength(0.4), 0.1);
+    assertClose(scaleBarLength(0.512), 0.1);
+    assertClose(scaleBarLength(1), 0.2);
+    assertClose(scaleBarLength(0.02), 0.005);
+    assertClose(scaleBarLength(10, 0.5), 5);
+    assert.equal(scaleBarLength(0), 0);
+  });
+
+  it('labels lengths in mm, cm or m', () => {
+    assert.equal(formatLength(0.005), '5 mm');
+    assert.equal(formatLength(0.0005), '0.5 mm');
+    assert.equal(formatLength(0.02), '2 cm');
+    assert.equal(formatLength(0.1), '10 cm');
+    assert.equal(formatLength(2), '2 m');
+  });
+});
@@ -0,0 +1,130 @@
+// Wall stamping tests (WallStampingManager face selection, Archard splat, wall / body matching)
+// Run: node --test docs/tests/
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { WallStampingManager } from '../js/managers/wall-stamping-manager.js';
+import { GROUND, WALL, mockContact, mockManifold, mockDispatcher, mockRigidBody, mockMesh } from './mock-ammo.js';
+import { assertClose } from './helpers.js';
+
+// Face canvases only need a 2D context that accepts the stamp calls
+function fakeCanvas() {
+  const ctx = {};
+  for (const name of ['clearRect', 'save', 'restore', 'beginPath', 'moveTo', 'lineTo', 'stroke', 'arc', 'fill']) {
+    ctx[name] = () => {};
+  }
+  return { width: 0, height: 0, getContext: () => ctx };
+}
+
+const FRONT = { x: 0, y: 0, z: 1 };
+
+/**
+ * 2 m × 1 m × 0.4 m wall standing on the ground at the origin
+ */
+function createManager() {
+  const manager = new WallStampingManager(null, null, {}, THREE);
+  const wallMesh = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 0.4));
+  wallMesh.position.set(0, 0.5, 0);
+  wallMesh.updateMatrixWorld(true);
+  manager.init(wallMesh, WALL);
+  manager.updateVisibility(true);
+  return manager;
+}
+
+const face = (manager, name) => manager.faces.find(f => f.name === name);
+const sum = (data) => data.reduce((total, value) => total + value, 0);
+
+describe('WallStampingManager', () => {
+  let previousDocument;
+  before(() => {
+    previousDocument = globalThis.document;
+    globalThis.document = { createElement: () => fakeCanvas() };
+  });
+  after(() => {
+    globalThis.document = previousDocument;
+  });
+
+  it('sizes one canvas per stampable face from its extent', () => {
+    const manager = createManager();
+    assert.deepEqual(manager.faces.map(f => f.name), ['front', 'back', 'right', 'left', 'top']);
+    assert.deepEqual([face(manager, 'front').width, face(manager, 'front').height], [512, 256]);
+    assert.deepEqual([face(manager, 'right').width, face(manager, 'right').height], [102, 256]);
+    assert.deepEqual([face(manager, 'top').width, face(manager, 'top').height], [512, 102]);
+  });
+
+  it('picks the face with the largest normalised wall-local coordinate', () => {
+    const manager = createManager();
+    const classify = (x, y, z) => manager.classifyFace(new THREE.Vector3(x, y, z)).name;
+    assert.equal(classify(0.5, 0.1, 0.2), 'front');
+    assert.equal(classify(0.5, 0.1, -0.2), 'back');
+    assert.equal(classify(1, 0.1, 0.1), 'right');
+    assert.equal(classify(-1, -0.2, -0.1), 'left');
+    assert.equal(classify(0.2, 0.5, 0.05), 'top');
+    // The bottom rests on the ground: a point near it goes to a side face
+    assert.equal(classify(0.2, -0.5, 0.15), 'front');
+  });
+
+  it('splats Archard wear K · μ · F · s around the contact in the face frame', () => {
+    const manager = createManager();
+    const body = mockRigidBody();
+    const contact = mockContact({ x: 0.25, y: 0.6, z: 0.2 }, { normal: FRONT });
+    const dispatcher = mockDispatcher(mockManifold(body, WALL, [contact]));
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(0.1, 0.1, 0.1), { physicsBody: body });
+
+    // Sliding along the face at 1 m/s (the normal component does not slide), fallback load 10 N, μ = 0.5, 10 ms
+    manager.accumulate(dispatcher, body, mesh, { x: 1, y: 0, z: -0.5 }, null, { x: 0.25, y: 0.6, z: 0.3 }, 10, 0.5, 0.01, 1 / 240);
+
+    const front = face(manager, 'front');
+    assert.equal(manager.lastContactCount, 1);
+    assert.equal(front.contactCount, 1);
+    assertClose(sum(front.wearAccumulation), 0.15 * 0.5 * 10 * 0.01, 1e-9);
+    assertClose(sum(front.slidingDistance), 0.01, 1e-9);
+
+    // Peak under the contact: u = 0.25 m, v = 0.1 m above the face center
+    const peak = front.wearAccumulation.indexOf(front.maxWear);
+    assert.ok(Math.abs((peak % front.width) - 320) <= 1, `peak column ${peak % front.width}`);
+    assert.ok(Math.abs(Math.floor(peak / front.width) - 102) <= 1, `peak row ${Math.floor(peak / front.width)}`);
+    assert.equal(sum(face(manager, 'back').wearAccumulation), 0);
+  });
+
+  it('takes the load from the solver impulse when there is one', () => {
+    const manager = createManager();
+    const body = mockRigidBody();
+    const contact = mockContact({ x: 1, y: 0.5, z: 0 }, { normal: { x: 1, y: 0, z: 0 }, impulse: 0.02 });
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(0.1, 0.1, 0.1), { physicsBody: body });
+
+    manager.accumulate(mockDispatcher(mockManifold(WALL, body, [contact])), body, mesh,
+      { x: 0, y: 0, z: 2 }, null, { x: 1.1, y: 0.5, z: 0 }, 10, 0.5, 0.01, 1 / 240);
+
+    // F = impulse / solver step = 4.8 N, s = 2 m/s · 10 ms
+    assertClose(sum(face(manager, 'right').wearAccumulation), 0.15 * 0.5 * 4.8 * 0.02, 1e-9);
+  });
+
+  it('only stamps manifolds between the wall and the tracked body', () => {
+    const manager = createManager();
+    const body = mockRigidBody();
+    const other = mockRigidBody();
+    const at = mockContact({ x: 0, y: 0.5, z: 0.2 }, { normal: FRONT });
+    const far = mockContact({ x: 0.5, y: 0.5, z: 0.2 }, { normal: FRONT, distance: 0.05 });
+    const mesh = mockMesh(THREE, new THREE.BoxGeometry(0.1, 0.1, 0.1), { physicsBody: body });
+
+    const contacts = manager.collectContacts(mockDispatcher(
+      mockManifold(other, WALL, [at]),
+      mockManifold(body, GROUND, [at]),
+      mockManifold(body, WALL, [at, far]),
+      mockManifold(WALL, body, [at])
+    ), body, mesh);
+    assert.equal(contacts.length, 2, 'one point each way round, the separated point dropped');
+
+    // Ammo hands out new wrappers for the same body: matched by pointer
+    manager.wallBody = { ptr: 7 };
+    const wrapped = manager.collectContacts(mockDispatcher(mockManifold(body, { ptr: 7 }, [at])), body, mesh);
+    assert.equal(wrapped.length, 1);
+
+    manager.updateVisibility(false);
+    manager.accumulate(mockDispatcher(mockManifold(body, WALL, [at])), body, mesh, { x: 1, y: 0, z: 0 }, null, at, 10, 0.5, 0.01, 0);
+    assert.equal(manager.lastContactCount, 0, 'nothing is collected while the wall is hidden');
+  });
+});